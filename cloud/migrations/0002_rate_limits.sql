@@ -0,0 +1,11 @@
+-- Migration: Per-API-key rate limit windows (one row per request)
+CREATE TABLE IF NOT EXISTS rate_limit_requests (
+  id TEXT PRIMARY KEY,
+  keyId TEXT NOT NULL,
+  startedAt INTEGER NOT NULL,
+  completedAt INTEGER,
+  tokens INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_requests_key ON rate_limit_requests(keyId, startedAt);
+CREATE INDEX IF NOT EXISTS idx_rate_limit_requests_completed ON rate_limit_requests(keyId, completedAt);
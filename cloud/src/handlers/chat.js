@@ -1,13 +1,18 @@
-import { getModelInfoCore } from "open-sse/services/model.js";
+import { getModelInfoCore, parseModel } from "open-sse/services/model.js";
 import { handleChatCore } from "open-sse/handlers/chatCore.js";
-import { errorResponse } from "open-sse/utils/error.js";
+import { errorResponse, formattedErrorResponse, getErrorFormatForEndpoint } from "open-sse/utils/error.js";
 import { checkFallbackError, isAccountUnavailable, getUnavailableUntil, getEarliestRateLimitedUntil, formatRetryAfter } from "open-sse/services/accountFallback.js";
-import { getComboModelsFromData, handleComboChat } from "open-sse/services/combo.js";
+import { getComboFromData, handleComboChat, COMBO_STRATEGIES } from "open-sse/services/combo.js";
+import { resolveComboRoute } from "open-sse/services/comboRules.js";
+import { checkApiKeyAccess } from "open-sse/services/apiKeyPolicy.js";
+import { rateLimitResponse, trackResponseCompletion } from "open-sse/services/apiKeyRateLimit.js";
 import { HTTP_STATUS } from "open-sse/config/constants.js";
+import { getTtftTimeout } from "open-sse/utils/streamHandler.js";
 import * as log from "../utils/logger.js";
 import { refreshTokenByProvider } from "../services/tokenRefresh.js";
 import { parseApiKey, extractBearerToken } from "../utils/apiKey.js";
 import { getMachineData, saveMachineData } from "../services/storage.js";
+import { acquireRateLimit } from "../services/rateLimit.js";
 
 const TOKEN_EXPIRY_BUFFER_MS = 5 * 60 * 1000;
 
@@ -16,6 +21,18 @@ async function getModelInfo(modelStr, machineId, env) {
   return getModelInfoCore(modelStr, data?.modelAliases || {});
 }
 
+/**
+ * Combined input + output price for a combo model from synced pricing (null if unpriced)
+ */
+function getModelCost(modelStr, data) {
+  const pricing = data?.pricing;
+  if (!pricing) return null;
+  const { provider, providerAlias, model } = parseModel(modelStr);
+  const entry = pricing[providerAlias]?.[model] || pricing[provider]?.[model];
+  if (!entry) return null;
+  return (entry.input || 0) + (entry.output || 0);
+}
+
 /**
  * Handle chat request
  * @param {Request} request
@@ -68,28 +85,81 @@ export async function handleChat(request, env, ctx, machineIdOverride = null) {
   const modelStr = body.model;
   if (!modelStr) return errorResponse(HTTP_STATUS.BAD_REQUEST, "Missing model");
 
-  // Check if model is a combo
   const data = await getMachineData(machineId, env);
-  const comboModels = getComboModelsFromData(modelStr, data?.combos || []);
+
+  // Per-key scopes (expiry, endpoints, model allowlist) synced from the dashboard
+  const apiKey = extractBearerToken(request);
+  const keyRecord = data?.apiKeys?.find(k => k.key === apiKey);
+  const endpoint = new URL(request.url).pathname;
+  const scopeError = checkApiKeyAccess(keyRecord, { model: modelStr, endpoint });
+  if (scopeError) {
+    log.warn("AUTH", `${machineId} | ${scopeError}`);
+    return formattedErrorResponse(HTTP_STATUS.FORBIDDEN, scopeError, getErrorFormatForEndpoint(endpoint));
+  }
+
+  // Per-key RPM/TPM/concurrency, counted in D1 across isolates
+  const rateLimit = keyRecord ? await acquireRateLimit(machineId, keyRecord, env) : null;
+  if (rateLimit && !rateLimit.allowed) {
+    log.warn("AUTH", `${machineId} | ${rateLimit.message}`);
+    return rateLimitResponse(rateLimit, getErrorFormatForEndpoint(endpoint));
+  }
+
+  // Keep the worker alive until the slot is written back
+  const releaseRateLimit = () => {
+    const pending = rateLimit.release();
+    ctx?.waitUntil?.(pending);
+  };
+
+  let response;
+  try {
+    response = await routeChat(body, modelStr, machineId, env, data, request, apiKey);
+  } catch (error) {
+    if (rateLimit) releaseRateLimit();
+    throw error;
+  }
+
+  if (!rateLimit) return response;
+  // Slot is released (with the request's real tokens) once the body has been delivered
+  return trackResponseCompletion(response, rateLimit.headers, releaseRateLimit);
+}
+
+/**
+ * Route to combo or single model
+ */
+function routeChat(body, modelStr, machineId, env, data, request, apiKey) {
+  // Check if model is a combo
+  const combo = getComboFromData(modelStr, data?.combos || []);
   
-  if (comboModels) {
-    log.info("COMBO", `"${modelStr}" with ${comboModels.length} models`);
+  if (combo) {
+    const strategy = combo.strategy || COMBO_STRATEGIES.PRIORITY;
+    const route = resolveComboRoute(combo, { body, userAgent: request.headers.get("user-agent") || "" });
+    if (route.rule) log.info("COMBO", `"${modelStr}" rule "${route.rule.name || `#${route.ruleIndex + 1}`}" matched`);
+    log.info("COMBO", `"${modelStr}" with ${route.models.length} models (${strategy})`);
+    // Pricing only reaches the worker when a sync payload carries it
+    const hasPricing = Object.keys(data?.pricing || {}).length > 0;
+    if (strategy === COMBO_STRATEGIES.COST && !hasPricing) {
+      log.warn("COMBO", `"${modelStr}" uses the cost strategy but no pricing has been synced, keeping the configured order`);
+    }
     return handleComboChat({
       body,
-      models: comboModels,
-      handleSingleModel: (reqBody, model) => handleSingleModelChat(reqBody, model, machineId, env),
+      models: route.models,
+      strategy,
+      weights: combo.weights,
+      raceCount: combo.raceCount,
+      getModelCost: hasPricing ? (comboModel) => getModelCost(comboModel, data) : null,
+      handleSingleModel: (reqBody, model, opts) => handleSingleModelChat(reqBody, model, machineId, env, apiKey, opts?.signal),
       log
     });
   }
 
   // Single model request
-  return handleSingleModelChat(body, modelStr, machineId, env);
+  return handleSingleModelChat(body, modelStr, machineId, env, apiKey);
 }
 
 /**
  * Handle single model chat request
  */
-async function handleSingleModelChat(body, modelStr, machineId, env) {
+async function handleSingleModelChat(body, modelStr, machineId, env, apiKey = null, signal = null) {
   const modelInfo = await getModelInfo(modelStr, machineId, env);
   if (!modelInfo.provider) return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid model format");
 
@@ -101,6 +171,8 @@ async function handleSingleModelChat(body, modelStr, machineId, env) {
   let lastStatus = null;
 
   while (true) {
+    if (signal?.aborted) return errorResponse(499, "Request cancelled");
+
     const credentials = await getProviderCredentials(machineId, provider, env, excludeConnectionId);
     if (!credentials || credentials.allRateLimited) {
       if (credentials?.allRateLimited) {
@@ -134,6 +206,9 @@ async function handleSingleModelChat(body, modelStr, machineId, env) {
       modelInfo: { provider, model },
       credentials: refreshedCredentials,
       log,
+      apiKey,
+      abortSignal: signal,
+      ttftTimeoutMs: getTtftTimeout(provider),
       onCredentialsRefreshed: async (newCreds) => {
         await updateCredentials(machineId, credentials.id, newCreds, env);
       },
@@ -144,6 +219,8 @@ async function handleSingleModelChat(body, modelStr, machineId, env) {
     });
 
     if (result.success) return result.response;
+    // Cancelled race attempt - not the account's fault
+    if (signal?.aborted) return result.response;
 
     const { shouldFallback } = checkFallbackError(result.status, result.error);
 
@@ -17,6 +17,13 @@ export async function handleCleanup(env) {
       .run();
     
     log.info("CLEANUP", `Deleted ${result.meta?.changes || 0} old records`);
+
+    // Rate limit windows only need the last minute; keep a day for debugging
+    const rateLimitCutoff = Date.now() - 24 * 60 * 60 * 1000;
+    const rateLimitResult = await env.DB.prepare("DELETE FROM rate_limit_requests WHERE startedAt < ?")
+      .bind(rateLimitCutoff)
+      .run();
+    log.info("CLEANUP", `Deleted ${rateLimitResult.meta?.changes || 0} rate limit records`);
     
     return {
       success: true,
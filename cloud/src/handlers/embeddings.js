@@ -8,6 +8,7 @@ import {
   getUnavailableUntil,
   formatRetryAfter
 } from "open-sse/services/accountFallback.js";
+import { checkApiKeyAccess } from "open-sse/services/apiKeyPolicy.js";
 import { HTTP_STATUS } from "open-sse/config/constants.js";
 import * as log from "../utils/logger.js";
 import { parseApiKey, extractBearerToken } from "../utils/apiKey.js";
@@ -78,8 +79,14 @@ export async function handleEmbeddings(request, env, ctx, machineIdOverride = nu
 
   log.info("EMBEDDINGS", `${machineId} | ${modelStr}`);
 
-  // Resolve model info
   const data = await getMachineData(machineId, env);
+
+  // Per-key scopes (expiry, endpoints, model allowlist)
+  const keyRecord = data?.apiKeys?.find(k => k.key === extractBearerToken(request));
+  const scopeError = checkApiKeyAccess(keyRecord, { model: modelStr, endpoint: new URL(request.url).pathname });
+  if (scopeError) return errorResponse(HTTP_STATUS.FORBIDDEN, scopeError);
+
+  // Resolve model info
   const modelInfo = await getModelInfoCore(modelStr, data?.modelAliases || {});
   if (!modelInfo.provider) return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid model format");
 
@@ -110,6 +110,7 @@ async function handlePost(request, machineId, env) {
     modelAliases: body.modelAliases || existingData.modelAliases || {},
     combos: body.combos || existingData.combos || [],
     apiKeys: body.apiKeys || existingData.apiKeys || [],
+    pricing: body.pricing || existingData.pricing || {},
     updatedAt: new Date().toISOString()
   };
 
@@ -1,6 +1,6 @@
 import { initTranslators } from "open-sse/translator/index.js";
 import { ollamaModels } from "open-sse/config/ollamaModels.js";
-import { transformToOllama } from "open-sse/utils/ollamaTransform.js";
+import { transformToOllama, ollamaChatToOpenAI } from "open-sse/utils/ollamaTransform.js";
 import * as log from "./utils/logger.js";
 
 // Static imports for handlers (avoid dynamic import CPU cost)
@@ -31,6 +31,15 @@ function addCorsHeaders(response) {
   });
 }
 
+// Same request with an OpenAI body (Ollama endpoints)
+function toOpenAIRequest(request, body) {
+  return new Request(request.url, {
+    method: "POST",
+    headers: request.headers,
+    body: JSON.stringify(body)
+  });
+}
+
 const worker = {
   async scheduled(event, env, ctx) {
     const result = await handleCleanup(env);
@@ -139,10 +148,9 @@ const worker = {
 
       // New format: /v1/api/chat (Ollama format)
       if (path === "/v1/api/chat" && request.method === "POST") {
-        const clonedReq = request.clone();
-        const body = await clonedReq.json();
-        const response = await handleChat(request, env, ctx, null);
-        const ollamaResponse = transformToOllama(response, body.model || "llama3.2");
+        const body = await request.json();
+        const response = await handleChat(toOpenAIRequest(request, ollamaChatToOpenAI(body)), env, ctx, null);
+        const ollamaResponse = await transformToOllama(response, body.model || "llama3.2");
         log.response(200, Date.now() - startTime);
         return ollamaResponse;
       }
@@ -176,10 +184,9 @@ const worker = {
       // Machine ID based api/chat endpoint (Ollama format)
       if (path.match(/^\/[^\/]+\/v1\/api\/chat$/) && request.method === "POST") {
         const machineId = path.split("/")[1];
-        const clonedReq = request.clone();
-        const body = await clonedReq.json();
-        const response = await handleChat(request, env, ctx, machineId);
-        const ollamaResponse = transformToOllama(response, body.model || "llama3.2");
+        const body = await request.json();
+        const response = await handleChat(toOpenAIRequest(request, ollamaChatToOpenAI(body)), env, ctx, machineId);
+        const ollamaResponse = await transformToOllama(response, body.model || "llama3.2");
         log.response(200, Date.now() - startTime);
         return ollamaResponse;
       }
@@ -0,0 +1,73 @@
+import { evaluateRateLimit, getApiKeyLimits, getRateLimitHeaders, RATE_LIMIT_WINDOW_MS } from "open-sse/services/apiKeyRateLimit.js";
+import { takePendingTokens } from "../stubs/usageDb.js";
+import * as log from "../utils/logger.js";
+
+// Requests never marked complete (isolate evicted mid-stream) stop counting as in-flight after this
+const STALE_ACTIVE_MS = 10 * 60 * 1000;
+
+/**
+ * Build a usage snapshot for evaluateRateLimit from D1 rows
+ */
+function toUsage(rows, now) {
+  const windowStart = now - RATE_LIMIT_WINDOW_MS;
+  const usage = { requests: [], tokens: [], active: 0 };
+  for (const row of rows || []) {
+    if (row.startedAt > windowStart) usage.requests.push(row.startedAt);
+    if (row.completedAt && row.completedAt > windowStart && row.tokens > 0) {
+      usage.tokens.push({ t: row.completedAt, n: row.tokens });
+    }
+    if (!row.completedAt && row.startedAt > now - STALE_ACTIVE_MS) usage.active++;
+  }
+  return usage;
+}
+
+/**
+ * Check a key's RPM/TPM/concurrency limits against D1 and claim a request slot.
+ * Check-then-insert is not atomic, so bursts across isolates may briefly overshoot.
+ * @param {string} machineId
+ * @param {object} keyRecord - Synced API key record
+ * @param {Object} env
+ * @returns {Promise<object|null>} null when the key is unlimited, else { allowed, headers, release?, message? }
+ */
+export async function acquireRateLimit(machineId, keyRecord, env) {
+  const limits = getApiKeyLimits(keyRecord);
+  if (!limits) return null;
+
+  const keyId = `${machineId}:${keyRecord.id || keyRecord.key}`;
+  const now = Date.now();
+  const windowStart = now - RATE_LIMIT_WINDOW_MS;
+
+  const { results } = await env.DB.prepare(
+    `SELECT startedAt, completedAt, tokens FROM rate_limit_requests
+     WHERE keyId = ? AND (startedAt > ? OR completedAt > ? OR (completedAt IS NULL AND startedAt > ?))`
+  )
+    .bind(keyId, windowStart, windowStart, now - STALE_ACTIVE_MS)
+    .all();
+
+  const usage = toUsage(results, now);
+  const decision = evaluateRateLimit(limits, usage, now);
+  if (!decision.allowed) return decision;
+
+  const id = crypto.randomUUID();
+  await env.DB.prepare("INSERT INTO rate_limit_requests (id, keyId, startedAt) VALUES (?, ?, ?)")
+    .bind(id, keyId, now)
+    .run();
+
+  usage.requests.push(now);
+  usage.active++;
+
+  return {
+    allowed: true,
+    headers: getRateLimitHeaders(limits, usage, now),
+    // Mark complete with the real tokens recorded by saveRequestUsage during the request
+    release: async () => {
+      try {
+        await env.DB.prepare("UPDATE rate_limit_requests SET completedAt = ?, tokens = ? WHERE id = ?")
+          .bind(Date.now(), takePendingTokens(keyRecord.key), id)
+          .run();
+      } catch (error) {
+        log.warn("RATELIMIT", `release failed: ${error.message}`);
+      }
+    }
+  };
+}
@@ -1,8 +1,27 @@
+import { getTotalTokens } from "open-sse/services/apiKeyRateLimit.js";
+
+// Tokens used per API key since the last drain (feeds per-key TPM limits in D1)
+const pendingTokens = new Map();
+
 // Stub for cloud worker - no-op async functions
-export async function saveRequestUsage() {}
+export async function saveRequestUsage(entry) {
+  const total = getTotalTokens(entry?.tokens);
+  if (!entry?.apiKey || total <= 0) return;
+  pendingTokens.set(entry.apiKey, (pendingTokens.get(entry.apiKey) || 0) + total);
+}
 export function trackPendingRequest() {}
 export async function appendRequestLog() {}
-export async function getUsageDb() { return { data: { history: [] } }; }
 export async function getUsageHistory() { return []; }
 export async function getUsageStats() { return {}; }
 export async function getRecentLogs() { return []; }
+
+/**
+ * Take (and reset) tokens recorded for an API key
+ * @param {string} apiKey
+ * @returns {number}
+ */
+export function takePendingTokens(apiKey) {
+  const total = pendingTokens.get(apiKey) || 0;
+  pendingTokens.delete(apiKey);
+  return total;
+}
@@ -39,6 +39,14 @@ const nextConfig = {
       {
         source: "/v1",
         destination: "/api/v1"
+      },
+      {
+        source: "/v2/:path*",
+        destination: "/api/v2/:path*"
+      },
+      {
+        source: "/metrics",
+        destination: "/api/metrics"
       }
     ];
   }
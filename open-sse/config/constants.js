@@ -507,6 +507,52 @@ export const BACKOFF_CONFIG = {
   maxLevel: 15             // Cap backoff level
 };
 
+// Circuit breaker per connection+model (see services/circuitBreaker.js)
+export const CIRCUIT_BREAKER_CONFIG = {
+  windowMs: 60 * 1000,         // Sliding window for error rate
+  minRequests: 4,              // Min samples in window before error rate can trip
+  errorRateThreshold: 0.5,     // Trip when >= 50% of window failed
+  maxOpenMs: 30 * 60 * 1000,   // Cap for repeated re-opens after failed probes
+  trialTimeoutMs: 60 * 1000    // Half-open trial request slot is released after this
+};
+
+// Streaming failover: time-to-first-token timeouts in ms, 0 = wait for the provider.
+// settings.ttftTimeouts ({ default, [providerId]: ms }) overrides these.
+export const TTFT_TIMEOUTS = {
+  default: 0
+};
+
+// Quota snapshots for the most-remaining-quota strategy (see services/quotaCache.js)
+export const QUOTA_CACHE_CONFIG = {
+  ttlMs: 5 * 60 * 1000,        // Refresh snapshots older than this in the background
+  errorTtlMs: 15 * 60 * 1000,  // Back off on accounts whose usage API failed
+  exhaustedRetryMs: 5 * 60 * 1000 // Skip time for exhausted accounts without a known reset
+};
+
+// Remote image URLs inlined for targets that only accept inline images (see services/imageFetcher.js)
+export const IMAGE_FETCH_CONFIG = {
+  maxBytes: 20 * 1024 * 1024,          // Reject larger downloads
+  timeoutMs: 15 * 1000,
+  maxDimension: 2048,                  // Downscale longer side to this when sharp is installed, 0 = never
+  cacheEntries: 64,                    // LRU cache of downloaded images by URL
+  cacheMaxBytes: 128 * 1024 * 1024
+};
+
+// Audio endpoints (see handlers/audioCore.js)
+export const AUDIO_CONFIG = {
+  pollIntervalMs: 1000,               // AssemblyAI transcript status polling
+  maxWaitMs: 5 * 60 * 1000,           // Give up on a transcript still queued after this
+  speechCharsPerSecond: 15            // Spoken-length estimate when generated audio can't be measured
+};
+
+// Batch jobs (see services/batch.js)
+export const BATCH_CONFIG = {
+  concurrency: 4,                     // Requests of one batch in flight at a time
+  completionWindowMs: 24 * 60 * 60 * 1000, // "24h", the only window OpenAI and Anthropic offer
+  maxRequests: 50000,                 // Per batch (OpenAI limit)
+  maxFileBytes: 200 * 1024 * 1024     // Per uploaded file (OpenAI limit)
+};
+
 // Error-based cooldown times (aligned with CLIProxyAPI)
 export const COOLDOWN_MS = {
   unauthorized: 2 * 60 * 1000,       // 401 → 30 min
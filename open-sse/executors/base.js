@@ -1,4 +1,15 @@
 import { HTTP_STATUS } from "../config/constants.js";
+import { withSpan, SPAN_KINDS } from "../services/tracing.js";
+
+// Query strings can carry API keys (Gemini ?key=), keep them out of traces
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch {
+    return String(url).split("?")[0];
+  }
+}
 
 /**
  * BaseExecutor - Base class for provider executors
@@ -86,11 +97,19 @@ export class BaseExecutor {
       const transformedBody = this.transformRequest(model, body, stream, credentials);
 
       try {
-        const response = await fetch(url, {
-          method: "POST",
-          headers,
-          body: JSON.stringify(transformedBody),
-          signal
+        // One span per URL tried; it ends when the response headers arrive (time to first byte)
+        const response = await withSpan("upstream.attempt", {
+          kind: SPAN_KINDS.CLIENT,
+          attributes: { "gen_ai.system": this.provider, "url.full": redactUrl(url), "router.url_index": urlIndex }
+        }, async (span) => {
+          const res = await fetch(url, {
+            method: "POST",
+            headers,
+            body: JSON.stringify(transformedBody),
+            signal
+          });
+          span.setAttribute("http.response.status_code", res.status);
+          return res;
         });
 
         if (this.shouldRetry(response.status, urlIndex)) {
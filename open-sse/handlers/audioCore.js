@@ -0,0 +1,434 @@
+import { createErrorResult, parseUpstreamError, formatProviderError } from "../utils/error.js";
+import { HTTP_STATUS, PROVIDERS, AUDIO_CONFIG } from "../config/constants.js";
+
+// OpenAI audio endpoints: /v1/audio/{transcriptions,translations,speech}
+export const AUDIO_ACTIONS = {
+  TRANSCRIPTION: "transcriptions",
+  TRANSLATION: "translations",
+  SPEECH: "speech"
+};
+
+// Upstream API shapes
+export const AUDIO_BACKENDS = {
+  OPENAI: "openai",
+  DEEPGRAM: "deepgram",
+  ASSEMBLYAI: "assemblyai"
+};
+
+const DEEPGRAM_BASE = "https://api.deepgram.com/v1";
+const ASSEMBLYAI_BASE = "https://api.assemblyai.com/v2";
+
+// OpenAI speech response_format → Deepgram /speak query + content type
+const DEEPGRAM_SPEECH_FORMATS = {
+  mp3: { query: { encoding: "mp3" }, contentType: "audio/mpeg" },
+  opus: { query: { encoding: "opus" }, contentType: "audio/ogg" },
+  aac: { query: { encoding: "aac" }, contentType: "audio/aac" },
+  flac: { query: { encoding: "flac" }, contentType: "audio/flac" },
+  wav: { query: { encoding: "linear16", container: "wav" }, contentType: "audio/wav" },
+  pcm: { query: { encoding: "linear16", container: "none", sample_rate: "24000" }, contentType: "audio/pcm" }
+};
+
+// Subtitle cues are cut at sentence ends or these limits
+const CUE_MAX_WORDS = 12;
+const CUE_MAX_SECONDS = 6;
+
+/**
+ * Base URL of an OpenAI-style audio API for a provider, null when it has none.
+ * openai-compatible providers use their baseUrl; other OpenAI-format providers
+ * expose audio next to /chat/completions (e.g. Groq Whisper).
+ */
+function getOpenAIAudioBase(provider, credentials) {
+  if (provider === "openai") return "https://api.openai.com/v1";
+  if (provider?.startsWith?.("openai-compatible-")) {
+    const baseUrl = credentials?.providerSpecificData?.baseUrl || "https://api.openai.com/v1";
+    return baseUrl.replace(/\/$/, "");
+  }
+  const config = PROVIDERS[provider];
+  if (config?.format === "openai" && config.baseUrl?.endsWith("/chat/completions")) {
+    return config.baseUrl.slice(0, -"/chat/completions".length);
+  }
+  return null;
+}
+
+/**
+ * Which upstream API serves audio for a provider
+ * @param {string} provider
+ * @param {object} [credentials]
+ * @returns {string|null} One of AUDIO_BACKENDS
+ */
+export function getAudioBackend(provider, credentials) {
+  if (provider === "deepgram") return AUDIO_BACKENDS.DEEPGRAM;
+  if (provider === "assemblyai") return AUDIO_BACKENDS.ASSEMBLYAI;
+  return getOpenAIAudioBase(provider, credentials) ? AUDIO_BACKENDS.OPENAI : null;
+}
+
+// ─── Audio duration ─────────────────────────────────────────────────────────
+
+const MP3_BITRATES_V1 = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+const MP3_BITRATES_V2 = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+
+const ascii = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+function wavDuration(bytes, view) {
+  let byteRate = 0;
+  for (let offset = 12; offset + 8 <= bytes.length;) {
+    const id = ascii(bytes, offset, 4);
+    const size = view.getUint32(offset + 4, true);
+    if (id === "fmt ") byteRate = view.getUint32(offset + 16, true);
+    // Streamed WAVs leave the data size as 0 / 0xFFFFFFFF: use the bytes present
+    if (id === "data" && byteRate > 0) {
+      const available = bytes.length - offset - 8;
+      return (size === 0 || size > available ? available : size) / byteRate;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+function flacDuration(bytes, view) {
+  // STREAMINFO is always the first metadata block
+  if (bytes.length < 26) return null;
+  const sampleRate = (bytes[18] << 12) | (bytes[19] << 4) | (bytes[20] >> 4);
+  const totalSamples = (bytes[21] & 0x0f) * 2 ** 32 + view.getUint32(22);
+  return sampleRate > 0 && totalSamples > 0 ? totalSamples / sampleRate : null;
+}
+
+// Constant-bitrate estimate from the first Layer III frame header
+function mp3Duration(bytes) {
+  let offset = 0;
+  if (ascii(bytes, 0, 3) === "ID3" && bytes.length >= 10) {
+    offset = 10 + ((bytes[6] & 0x7f) << 21 | (bytes[7] & 0x7f) << 14 | (bytes[8] & 0x7f) << 7 | (bytes[9] & 0x7f));
+  }
+  for (; offset + 4 <= bytes.length; offset++) {
+    if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) continue;
+    const version = (bytes[offset + 1] >> 3) & 0x03; // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+    const layer = (bytes[offset + 1] >> 1) & 0x03;   // 1 = Layer III
+    const bitrateIndex = bytes[offset + 2] >> 4;
+    if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15) continue;
+    const kbps = (version === 3 ? MP3_BITRATES_V1 : MP3_BITRATES_V2)[bitrateIndex];
+    return ((bytes.length - offset) * 8) / (kbps * 1000);
+  }
+  return null;
+}
+
+/**
+ * Duration in seconds of a WAV, FLAC or MP3 file (MP3 estimated from its bitrate).
+ * @param {Uint8Array} bytes
+ * @returns {number|null} null for other containers
+ */
+export function getAudioDuration(bytes) {
+  if (!bytes || bytes.length < 12) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (ascii(bytes, 0, 4) === "RIFF" && ascii(bytes, 8, 4) === "WAVE") return wavDuration(bytes, view);
+  if (ascii(bytes, 0, 4) === "fLaC") return flacDuration(bytes, view);
+  return mp3Duration(bytes);
+}
+
+// ─── Transcript formatting ──────────────────────────────────────────────────
+
+// Group word timings into subtitle cues
+function buildCues(words) {
+  const cues = [];
+  let current = null;
+  for (const word of words) {
+    if (!current) current = { start: word.start, end: word.end, words: [] };
+    current.words.push(word.word);
+    current.end = word.end;
+    if (/[.!?]$/.test(word.word) || current.words.length >= CUE_MAX_WORDS || current.end - current.start >= CUE_MAX_SECONDS) {
+      cues.push(current);
+      current = null;
+    }
+  }
+  if (current) cues.push(current);
+  return cues.map(cue => ({ start: cue.start, end: cue.end, text: cue.words.join(" ") }));
+}
+
+function formatTimestamp(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Render a transcript in an OpenAI response_format
+ * @param {object} transcript - { text, language, duration, words: [{ word, start, end }] }
+ * @param {string} [format] - json | text | verbose_json | srt | vtt
+ * @param {object} [options] - { task, wordTimestamps }
+ * @returns {{ body: string, contentType: string }}
+ */
+export function formatTranscript(transcript, format = "json", { task = "transcribe", wordTimestamps = false } = {}) {
+  const words = transcript.words || [];
+  const cues = words.length > 0
+    ? buildCues(words)
+    : [{ start: 0, end: transcript.duration || 0, text: transcript.text }];
+
+  switch (format) {
+    case "text":
+      return { body: transcript.text, contentType: "text/plain; charset=utf-8" };
+    case "srt":
+      return {
+        body: cues.map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start, ",")} --> ${formatTimestamp(cue.end, ",")}\n${cue.text}\n`).join("\n"),
+        contentType: "text/plain; charset=utf-8"
+      };
+    case "vtt":
+      return {
+        body: `WEBVTT\n\n${cues.map(cue => `${formatTimestamp(cue.start, ".")} --> ${formatTimestamp(cue.end, ".")}\n${cue.text}\n`).join("\n")}`,
+        contentType: "text/vtt; charset=utf-8"
+      };
+    case "verbose_json":
+      return {
+        body: JSON.stringify({
+          task,
+          language: transcript.language || "",
+          duration: transcript.duration || 0,
+          text: transcript.text,
+          segments: cues.map((cue, id) => ({ id, start: cue.start, end: cue.end, text: cue.text })),
+          ...(wordTimestamps && { words })
+        }),
+        contentType: "application/json"
+      };
+    default:
+      return { body: JSON.stringify({ text: transcript.text }), contentType: "application/json" };
+  }
+}
+
+// ─── Upstream calls ─────────────────────────────────────────────────────────
+
+const apiKeyOf = (credentials) => credentials.apiKey || credentials.accessToken;
+
+async function upstreamError(response, provider, model) {
+  const { statusCode, message } = await parseUpstreamError(response, provider);
+  return createErrorResult(statusCode, formatProviderError(new Error(message), provider, model, statusCode));
+}
+
+// Multipart passthrough to an OpenAI-style transcriptions / translations endpoint
+async function openAITranscribe({ action, body, model, provider, credentials, bytes }) {
+  const form = new FormData();
+  form.append("file", new Blob([bytes], { type: body.file.type || "application/octet-stream" }), body.file.name || "audio");
+  form.append("model", model);
+  for (const field of ["language", "prompt", "response_format", "temperature"]) {
+    if (body[field] !== undefined && body[field] !== null && body[field] !== "") form.append(field, String(body[field]));
+  }
+  for (const granularity of body.timestamp_granularities || []) form.append("timestamp_granularities[]", granularity);
+
+  const response = await fetch(`${getOpenAIAudioBase(provider, credentials)}/audio/${action}`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${apiKeyOf(credentials)}` },
+    body: form
+  });
+  if (!response.ok) return upstreamError(response, provider, model);
+
+  const text = await response.text();
+  const contentType = response.headers.get("content-type") || "application/json";
+  // Prefer the provider's own duration (verbose_json, usage.seconds) over measuring the file
+  let reported = null;
+  if (contentType.includes("json")) {
+    try {
+      const parsed = JSON.parse(text);
+      reported = parsed.usage?.seconds ?? parsed.duration ?? null;
+    } catch {
+      // Not JSON after all
+    }
+  }
+  return { success: true, body: text, contentType, audioSeconds: reported ?? getAudioDuration(bytes) };
+}
+
+async function deepgramTranscribe({ body, model, provider, credentials, bytes }) {
+  const query = new URLSearchParams({ model, smart_format: "true", punctuate: "true" });
+  if (body.language) query.set("language", body.language);
+  else query.set("detect_language", "true");
+
+  const response = await fetch(`${DEEPGRAM_BASE}/listen?${query}`, {
+    method: "POST",
+    headers: { Authorization: `Token ${apiKeyOf(credentials)}`, "Content-Type": body.file.type || "application/octet-stream" },
+    body: bytes
+  });
+  if (!response.ok) return upstreamError(response, provider, model);
+
+  const result = await response.json();
+  const channel = result.results?.channels?.[0] || {};
+  const alternative = channel.alternatives?.[0] || {};
+  return {
+    success: true,
+    transcript: {
+      text: alternative.transcript || "",
+      language: channel.detected_language || body.language || "",
+      duration: result.metadata?.duration || 0,
+      words: (alternative.words || []).map(w => ({ word: w.punctuated_word || w.word, start: w.start, end: w.end }))
+    }
+  };
+}
+
+// Upload, create the transcript, then poll until AssemblyAI finishes it
+async function assemblyAITranscribe({ body, model, provider, credentials, bytes, log }) {
+  const headers = { Authorization: apiKeyOf(credentials) };
+
+  const upload = await fetch(`${ASSEMBLYAI_BASE}/upload`, {
+    method: "POST",
+    headers: { ...headers, "Content-Type": "application/octet-stream" },
+    body: bytes
+  });
+  if (!upload.ok) return upstreamError(upload, provider, model);
+  const { upload_url: audioUrl } = await upload.json();
+
+  const created = await fetch(`${ASSEMBLYAI_BASE}/transcript`, {
+    method: "POST",
+    headers: { ...headers, "Content-Type": "application/json" },
+    body: JSON.stringify({
+      audio_url: audioUrl,
+      speech_model: model,
+      ...(body.language ? { language_code: body.language } : { language_detection: true })
+    })
+  });
+  if (!created.ok) return upstreamError(created, provider, model);
+  const { id } = await created.json();
+
+  const deadline = Date.now() + AUDIO_CONFIG.maxWaitMs;
+  while (true) {
+    const poll = await fetch(`${ASSEMBLYAI_BASE}/transcript/${id}`, { headers });
+    if (!poll.ok) return upstreamError(poll, provider, model);
+    const result = await poll.json();
+
+    if (result.status === "completed") {
+      return {
+        success: true,
+        transcript: {
+          text: result.text || "",
+          language: result.language_code || body.language || "",
+          duration: result.audio_duration || 0,
+          words: (result.words || []).map(w => ({ word: w.text, start: w.start / 1000, end: w.end / 1000 }))
+        }
+      };
+    }
+    // Failed transcripts are about the audio (unsupported, silent...), not the account
+    if (result.status === "error") {
+      return createErrorResult(HTTP_STATUS.BAD_REQUEST, `[${HTTP_STATUS.BAD_REQUEST}]: ${result.error || "Transcription failed"}`);
+    }
+    if (Date.now() >= deadline) {
+      return createErrorResult(HTTP_STATUS.GATEWAY_TIMEOUT, `[${HTTP_STATUS.GATEWAY_TIMEOUT}]: Transcript ${id} not ready after ${AUDIO_CONFIG.maxWaitMs / 1000}s`);
+    }
+    log?.debug?.("AUDIO", `AssemblyAI transcript ${id} ${result.status}`);
+    await new Promise(resolve => setTimeout(resolve, AUDIO_CONFIG.pollIntervalMs));
+  }
+}
+
+async function openAISpeech({ body, model, provider, credentials }) {
+  const { model: _model, ...rest } = body;
+  const response = await fetch(`${getOpenAIAudioBase(provider, credentials)}/audio/speech`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${apiKeyOf(credentials)}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ ...rest, model })
+  });
+  if (!response.ok) return upstreamError(response, provider, model);
+  return { success: true, audio: new Uint8Array(await response.arrayBuffer()), contentType: response.headers.get("content-type") || "audio/mpeg" };
+}
+
+// Deepgram voices are models (aura-2-thalia-en): an aura voice overrides the model
+async function deepgramSpeech({ body, model, provider, credentials }) {
+  const format = DEEPGRAM_SPEECH_FORMATS[body.response_format || "mp3"];
+  if (!format) {
+    return createErrorResult(HTTP_STATUS.BAD_REQUEST, `Unsupported response_format for Deepgram: ${body.response_format}`);
+  }
+  const voiceModel = typeof body.voice === "string" && body.voice.startsWith("aura") ? body.voice : model;
+  const query = new URLSearchParams({ model: voiceModel, ...format.query });
+
+  const response = await fetch(`${DEEPGRAM_BASE}/speak?${query}`, {
+    method: "POST",
+    headers: { Authorization: `Token ${apiKeyOf(credentials)}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ text: body.input })
+  });
+  if (!response.ok) return upstreamError(response, provider, voiceModel);
+  return { success: true, audio: new Uint8Array(await response.arrayBuffer()), contentType: format.contentType };
+}
+
+const TRANSCRIBERS = {
+  [AUDIO_BACKENDS.OPENAI]: openAITranscribe,
+  [AUDIO_BACKENDS.DEEPGRAM]: deepgramTranscribe,
+  [AUDIO_BACKENDS.ASSEMBLYAI]: assemblyAITranscribe
+};
+
+const SPEAKERS = {
+  [AUDIO_BACKENDS.OPENAI]: openAISpeech,
+  [AUDIO_BACKENDS.DEEPGRAM]: deepgramSpeech
+};
+
+function audioResponse(body, contentType) {
+  return new Response(body, {
+    headers: { "Content-Type": contentType, "Access-Control-Allow-Origin": "*" }
+  });
+}
+
+/**
+ * Core audio handler — transcription, translation and speech on OpenAI-style,
+ * Deepgram and AssemblyAI APIs, answered in OpenAI's shape.
+ *
+ * @param {object} options
+ * @param {string} options.action - One of AUDIO_ACTIONS
+ * @param {object} options.body - Speech: JSON body. Transcription: multipart fields with `file` as a Blob
+ * @param {object} options.modelInfo - { provider, model }
+ * @param {object} options.credentials - Provider credentials
+ * @param {object} [options.log] - Logger
+ * @param {function} [options.onRequestSuccess] - Called on success (clear error state)
+ * @returns {Promise<{ success: boolean, response: Response, usage?: { audioSeconds: number }, status?: number, error?: string }>}
+ */
+export async function handleAudioCore({ action, body, modelInfo, credentials, log, onRequestSuccess }) {
+  const { provider, model } = modelInfo;
+  const backend = getAudioBackend(provider, credentials);
+  const handlers = action === AUDIO_ACTIONS.SPEECH ? SPEAKERS : TRANSCRIBERS;
+  // Only OpenAI-style APIs translate to English
+  const supported = backend && handlers[backend] && (action !== AUDIO_ACTIONS.TRANSLATION || backend === AUDIO_BACKENDS.OPENAI);
+  if (!supported) {
+    return createErrorResult(HTTP_STATUS.BAD_REQUEST, `Provider '${provider}' does not support audio ${action}`);
+  }
+
+  let bytes = null;
+  if (action === AUDIO_ACTIONS.SPEECH) {
+    if (typeof body.input !== "string" || !body.input) {
+      return createErrorResult(HTTP_STATUS.BAD_REQUEST, "Missing required field: input");
+    }
+  } else {
+    if (!body.file || typeof body.file.arrayBuffer !== "function") {
+      return createErrorResult(HTTP_STATUS.BAD_REQUEST, "Missing required field: file");
+    }
+    bytes = new Uint8Array(await body.file.arrayBuffer());
+  }
+
+  log?.debug?.("AUDIO", `${provider.toUpperCase()} | ${model} | ${action}${bytes ? ` | ${bytes.length} bytes` : ""}`);
+
+  let result;
+  try {
+    result = await handlers[backend]({ action, body, model, provider, credentials, bytes, log });
+  } catch (error) {
+    const errMsg = formatProviderError(error, provider, model, HTTP_STATUS.BAD_GATEWAY);
+    log?.debug?.("AUDIO", `Fetch error: ${errMsg}`);
+    return createErrorResult(HTTP_STATUS.BAD_GATEWAY, errMsg);
+  }
+  if (!result.success) {
+    log?.debug?.("AUDIO", `Provider error: ${result.error}`);
+    return result;
+  }
+
+  if (onRequestSuccess) {
+    await onRequestSuccess();
+  }
+
+  let response;
+  let audioSeconds;
+  if (result.audio) {
+    audioSeconds = getAudioDuration(result.audio) ?? body.input.length / AUDIO_CONFIG.speechCharsPerSecond / (Number(body.speed) || 1);
+    response = audioResponse(result.audio, result.contentType);
+  } else if (result.transcript) {
+    audioSeconds = result.transcript.duration || getAudioDuration(bytes);
+    const task = action === AUDIO_ACTIONS.TRANSLATION ? "translate" : "transcribe";
+    const wordTimestamps = (body.timestamp_granularities || []).includes("word");
+    const formatted = formatTranscript(result.transcript, body.response_format, { task, wordTimestamps });
+    response = audioResponse(formatted.body, formatted.contentType);
+  } else {
+    audioSeconds = result.audioSeconds;
+    response = audioResponse(result.body, result.contentType);
+  }
+
+  log?.debug?.("AUDIO", `Success | audio_seconds=${audioSeconds ?? "unknown"}`);
+
+  return { success: true, response, usage: { audioSeconds: Math.round((audioSeconds || 0) * 1000) / 1000 } };
+}
@@ -4,6 +4,8 @@ import { FORMATS } from "../translator/formats.js";
 import { COLORS } from "../utils/stream.js";
 import { createStreamController } from "../utils/streamHandler.js";
 import { refreshWithRetry } from "../services/tokenRefresh.js";
+import { recordRequest } from "../services/metrics.js";
+import { withSpan, startSpan, SPAN_KINDS, SPAN_STATUS } from "../services/tracing.js";
 import { createRequestLogger } from "../utils/requestLogger.js";
 import { getModelTargetFormat, PROVIDER_ID_TO_ALIAS } from "../config/providerModels.js";
 import { createErrorResult, parseUpstreamError, formatProviderError } from "../utils/error.js";
@@ -14,6 +16,7 @@ import { getExecutor } from "../executors/index.js";
 import { buildRequestDetail, extractRequestConfig } from "./chatCore/requestDetail.js";
 import { handleForcedSSEToJson } from "./chatCore/sseToJsonHandler.js";
 import { handleNonStreamingResponse } from "./chatCore/nonStreamingHandler.js";
+import { enforceStructuredOutput, needsBufferedStructuredOutput, toStreamingResult } from "./chatCore/structuredOutputHandler.js";
 import { handleStreamingResponse, buildOnStreamComplete } from "./chatCore/streamingHandler.js";
 
 /**
@@ -22,8 +25,14 @@ import { handleStreamingResponse, buildOnStreamComplete } from "./chatCore/strea
  * @param {object} options.modelInfo - { provider, model }
  * @param {object} options.credentials - Provider credentials
  * @param {string} options.sourceFormatOverride - Override detected source format (e.g. "openai-responses")
+ * @param {AbortSignal} options.abortSignal - Cancels the attempt (combo race loser); logged as CANCELLED, not failed
+ * @param {Promise<boolean>} options.raceWon - Combo race attempt: resolves true once it won; a non-streaming success is recorded only then
+ * @param {number} options.ttftTimeoutMs - Fail the stream (for failover) when no first token arrives in time, 0 = none
+ * @param {boolean} options.structuredOutputRetried - Set on the single retry after an invalid structured output
+ * @param {number} options.rawStreamLimit - Keep up to this many characters of raw upstream SSE in the request detail, 0 = none
  */
-export async function handleChatCore({ body, modelInfo, credentials, log, onCredentialsRefreshed, onRequestSuccess, onDisconnect, clientRawRequest, connectionId, userAgent, apiKey, sourceFormatOverride }) {
+export async function handleChatCore(options) {
+  const { body, modelInfo, credentials, log, onCredentialsRefreshed, onRequestSuccess, onDisconnect, clientRawRequest, connectionId, userAgent, apiKey, sourceFormatOverride, abortSignal, raceWon = null, ttftTimeoutMs = 0, structuredOutputRetried = false, rawStreamLimit = 0 } = options;
   const { provider, model } = modelInfo;
   const requestStartTime = Date.now();
 
@@ -41,12 +50,20 @@ export async function handleChatCore({ body, modelInfo, credentials, log, onCred
   const providerRequiresStreaming = provider === "openai" || provider === "codex";
   const stream = providerRequiresStreaming ? true : (body.stream !== false);
 
+  // Emulated structured output (prompt or forced tool) cannot be checked mid-stream: fetch it
+  // without streaming so it is validated (and retried), then replay it as SSE
+  if (stream && needsBufferedStructuredOutput(body, sourceFormat, targetFormat)) {
+    const { stream_options, ...bufferedBody } = body;
+    return toStreamingResult(await handleChatCore({ ...options, body: { ...bufferedBody, stream: false } }));
+  }
+
   const reqLogger = await createRequestLogger(sourceFormat, targetFormat, model);
   if (clientRawRequest) reqLogger.logClientRawRequest(clientRawRequest.endpoint, clientRawRequest.body, clientRawRequest.headers);
   reqLogger.logRawRequest(body);
   log?.debug?.("FORMAT", `${sourceFormat} → ${targetFormat} | stream=${stream}`);
 
-  let translatedBody = translateRequest(sourceFormat, targetFormat, model, body, stream, credentials, provider, reqLogger);
+  let translatedBody = await withSpan("request.translate", { attributes: { "router.source_format": sourceFormat, "router.target_format": targetFormat, "router.stream": stream } },
+    () => translateRequest(sourceFormat, targetFormat, model, body, stream, credentials, provider, reqLogger, log));
   const toolNameMap = translatedBody._toolNameMap;
   delete translatedBody._toolNameMap;
   translatedBody.model = model;
@@ -58,27 +75,63 @@ export async function handleChatCore({ body, modelInfo, credentials, log, onCred
   const msgCount = translatedBody.messages?.length || translatedBody.input?.length || translatedBody.contents?.length || translatedBody.request?.contents?.length || 0;
   log?.debug?.("REQUEST", `${provider.toUpperCase()} | ${model} | ${msgCount} msgs`);
 
+  // Cancelled attempts are logged separately from failures, until the attempt has settled
+  const onAbort = () => {
+    appendRequestLog({ model, provider, connectionId, status: "CANCELLED" }).catch(() => {});
+  };
+  abortSignal?.addEventListener("abort", onAbort, { once: true });
+  const settle = (result) => {
+    abortSignal?.removeEventListener("abort", onAbort);
+    return result;
+  };
+
+  // Set once the response streams; ends on completion, disconnect or stream error
+  let streamSpan = null;
+
   const streamController = createStreamController({
     onDisconnect: (reason) => {
+      settle();
       trackPendingRequest(model, provider, connectionId, false);
+      streamSpan?.setAttribute("router.stream.disconnect", reason?.reason).end();
       if (onDisconnect) onDisconnect(reason);
     },
-    onError: () => trackPendingRequest(model, provider, connectionId, false),
-    log, provider, model
+    onError: () => {
+      settle();
+      trackPendingRequest(model, provider, connectionId, false);
+      streamSpan?.setStatus(SPAN_STATUS.ERROR, "Stream error").end();
+    },
+    log, provider, model,
+    signal: abortSignal
+  });
+
+  // Upstream call until response headers: time to first byte (URL fallbacks are child spans)
+  const executeTraced = () => withSpan("upstream.fetch", {
+    kind: SPAN_KINDS.CLIENT,
+    attributes: { "gen_ai.system": provider, "gen_ai.request.model": model, "router.connection": connectionId }
+  }, async (span) => {
+    const result = await executor.execute({ model, body: translatedBody, stream, credentials, signal: streamController.signal, log });
+    span.setAttribute("http.response.status_code", result.response.status);
+    return result;
   });
 
   // Execute request
   let providerResponse, providerUrl, providerHeaders, finalBody;
   try {
-    const result = await executor.execute({ model, body: translatedBody, stream, credentials, signal: streamController.signal, log });
+    const result = await executeTraced();
     providerResponse = result.response;
     providerUrl = result.url;
     providerHeaders = result.headers;
     finalBody = result.transformedBody;
     reqLogger.logTargetRequest(providerUrl, providerHeaders, finalBody);
   } catch (error) {
+    if (abortSignal?.aborted) {
+      trackPendingRequest(model, provider, connectionId, false);
+      streamController.handleError(error);
+      return settle(createErrorResult(499, "Request cancelled"));
+    }
     trackPendingRequest(model, provider, connectionId, false, true);
     appendRequestLog({ model, provider, connectionId, status: `FAILED ${error.name === "AbortError" ? 499 : HTTP_STATUS.BAD_GATEWAY}` }).catch(() => {});
+    recordRequest({ provider, model, connectionId, status: error.name === "AbortError" ? 499 : HTTP_STATUS.BAD_GATEWAY, latencyMs: Date.now() - requestStartTime });
     saveRequestDetail(buildRequestDetail({
       provider, model, connectionId,
       latency: { ttft: 0, total: Date.now() - requestStartTime },
@@ -91,22 +144,22 @@ export async function handleChatCore({ body, modelInfo, credentials, log, onCred
 
     if (error.name === "AbortError") {
       streamController.handleError(error);
-      return createErrorResult(499, "Request aborted");
+      return settle(createErrorResult(499, "Request aborted"));
     }
     const errMsg = formatProviderError(error, provider, model, HTTP_STATUS.BAD_GATEWAY);
     console.log(`${COLORS.red}[ERROR] ${errMsg}${COLORS.reset}`);
-    return createErrorResult(HTTP_STATUS.BAD_GATEWAY, errMsg);
+    return settle(createErrorResult(HTTP_STATUS.BAD_GATEWAY, errMsg));
   }
 
   // Handle 401/403 - try token refresh
   if (providerResponse.status === HTTP_STATUS.UNAUTHORIZED || providerResponse.status === HTTP_STATUS.FORBIDDEN) {
-    const newCredentials = await refreshWithRetry(() => executor.refreshCredentials(credentials, log), 3, log);
+    const newCredentials = await refreshWithRetry(() => executor.refreshCredentials(credentials, log), 3, log, provider);
     if (newCredentials?.accessToken || newCredentials?.copilotToken) {
       log?.info?.("TOKEN", `${provider.toUpperCase()} | refreshed`);
       Object.assign(credentials, newCredentials);
       if (onCredentialsRefreshed) await onCredentialsRefreshed(newCredentials);
       try {
-        const retryResult = await executor.execute({ model, body: translatedBody, stream, credentials, signal: streamController.signal, log });
+        const retryResult = await executeTraced();
         if (retryResult.response.ok) { providerResponse = retryResult.response; providerUrl = retryResult.url; }
       } catch { log?.warn?.("TOKEN", `${provider.toUpperCase()} | retry after refresh failed`); }
     } else {
@@ -119,6 +172,7 @@ export async function handleChatCore({ body, modelInfo, credentials, log, onCred
     trackPendingRequest(model, provider, connectionId, false, true);
     const { statusCode, message, retryAfterMs } = await parseUpstreamError(providerResponse, provider);
     appendRequestLog({ model, provider, connectionId, status: `FAILED ${statusCode}` }).catch(() => {});
+    recordRequest({ provider, model, connectionId, status: statusCode, latencyMs: Date.now() - requestStartTime });
     saveRequestDetail(buildRequestDetail({
       provider, model, connectionId,
       latency: { ttft: 0, total: Date.now() - requestStartTime },
@@ -135,27 +189,39 @@ export async function handleChatCore({ body, modelInfo, credentials, log, onCred
       log?.debug?.("RETRY", `Antigravity quota reset in ${Math.ceil(retryAfterMs / 1000)}s`);
     }
     reqLogger.logError(new Error(message), finalBody || translatedBody);
-    return createErrorResult(statusCode, errMsg, retryAfterMs);
+    return settle(createErrorResult(statusCode, errMsg, retryAfterMs));
   }
 
-  const sharedCtx = { provider, model, body, stream, translatedBody, finalBody, requestStartTime, connectionId, apiKey, clientRawRequest, onRequestSuccess };
+  const sharedCtx = { provider, model, body, stream, translatedBody, finalBody, requestStartTime, connectionId, apiKey, clientRawRequest, onRequestSuccess, abortSignal, raceWon, isRaceAttempt: !!abortSignal };
   const appendLog = (extra) => appendRequestLog({ model, provider, connectionId, ...extra }).catch(() => {});
   const trackDone = () => trackPendingRequest(model, provider, connectionId, false);
 
   // Provider forced streaming but client wants JSON
   if (!clientRequestedStreaming && providerRequiresStreaming) {
     const result = await handleForcedSSEToJson({ ...sharedCtx, providerResponse, sourceFormat, trackDone, appendLog });
-    if (result) return result;
+    if (result) return settle(result);
   }
 
   // True non-streaming response
   if (!stream) {
-    return handleNonStreamingResponse({ ...sharedCtx, providerResponse, sourceFormat, targetFormat, reqLogger, trackDone, appendLog });
+    const result = settle(await handleNonStreamingResponse({ ...sharedCtx, providerResponse, sourceFormat, targetFormat, reqLogger, trackDone, appendLog }));
+    return enforceStructuredOutput(result, {
+      body, log,
+      retry: structuredOutputRetried ? null : (retryBody) => handleChatCore({ ...options, body: retryBody, structuredOutputRetried: true })
+    });
   }
 
   // Streaming response
-  const { onStreamComplete } = buildOnStreamComplete({ ...sharedCtx });
-  return handleStreamingResponse({ ...sharedCtx, providerResponse, sourceFormat, targetFormat, userAgent, reqLogger, toolNameMap, streamController, onStreamComplete });
+  streamSpan = startSpan("stream.translate", {
+    attributes: { "gen_ai.system": provider, "gen_ai.request.model": model, "router.source_format": sourceFormat, "router.target_format": targetFormat }
+  });
+  const { onStreamComplete, streamDetailId } = buildOnStreamComplete({ ...sharedCtx, streamSpan });
+  const onComplete = (...args) => {
+    settle();
+    onStreamComplete(...args);
+  };
+  const result = await handleStreamingResponse({ ...sharedCtx, providerResponse, sourceFormat, targetFormat, userAgent, reqLogger, toolNameMap, streamController, onStreamComplete: onComplete, streamDetailId, rawStreamLimit, ttftTimeoutMs, appendLog, streamSpan });
+  return result.success ? result : settle(result);
 }
 
 export function isTokenExpiringSoon(expiresAt, bufferMs = 5 * 60 * 1000) {
@@ -55,6 +55,19 @@ export function extractUsageFromResponse(responseBody) {
   return null;
 }
 
+/**
+ * Usage in the OpenAI token shape request details are displayed in (Claude / Responses
+ * streams report input_tokens / output_tokens)
+ */
+export function normalizeTokens(tokens) {
+  if (!tokens || typeof tokens !== "object") return { prompt_tokens: 0, completion_tokens: 0 };
+  return {
+    ...tokens,
+    prompt_tokens: tokens.prompt_tokens ?? tokens.input_tokens ?? 0,
+    completion_tokens: tokens.completion_tokens ?? tokens.output_tokens ?? 0
+  };
+}
+
 export function buildRequestDetail(base, overrides = {}) {
   return {
     provider: base.provider || "unknown",
@@ -72,7 +85,18 @@ export function buildRequestDetail(base, overrides = {}) {
   };
 }
 
-export function saveUsageStats({ provider, model, tokens, connectionId, apiKey, endpoint, label = "USAGE" }) {
+/**
+ * Run a success recorder (usage, request log, metrics, request detail) now, or for a combo race
+ * attempt once it is confirmed as the winner, so losers that also finish record nothing
+ * @param {Promise<boolean>|null} raceWon
+ * @param {function(): void} record
+ */
+export function recordIfRaceWinner(raceWon, record) {
+  if (!raceWon) return record();
+  raceWon.then((won) => { if (won) record(); });
+}
+
+export function saveUsageStats({ provider, model, tokens, connectionId, apiKey, endpoint, batchId, label = "USAGE" }) {
   if (!tokens || typeof tokens !== "object") return;
 
   const inTokens = tokens.input_tokens ?? tokens.prompt_tokens ?? 0;
@@ -97,6 +121,7 @@ export function saveUsageStats({ provider, model, tokens, connectionId, apiKey,
     timestamp: new Date().toISOString(),
     connectionId: connectionId || undefined,
     apiKey: apiKey || undefined,
-    endpoint: endpoint || null
+    endpoint: endpoint || null,
+    ...(batchId && { batchId })
   }).catch(() => {});
 }
@@ -1,9 +1,13 @@
 import { FORMATS } from "../../translator/formats.js";
 import { needsTranslation } from "../../translator/index.js";
 import { createSSETransformStreamWithLogger, createPassthroughStreamWithLogger } from "../../utils/stream.js";
-import { pipeWithDisconnect } from "../../utils/streamHandler.js";
-import { buildRequestDetail, extractRequestConfig, saveUsageStats } from "./requestDetail.js";
+import { pipeWithDisconnect, primeStream } from "../../utils/streamHandler.js";
+import { COLORS } from "../../utils/stream.js";
+import { createErrorResult, formatProviderError } from "../../utils/error.js";
+import { HTTP_STATUS } from "../../config/constants.js";
+import { buildRequestDetail, extractRequestConfig, normalizeTokens, saveUsageStats } from "./requestDetail.js";
 import { saveRequestDetail } from "@/lib/usageDb.js";
+import { recordRequest } from "../../services/metrics.js";
 
 const SSE_HEADERS = {
   "Content-Type": "text/event-stream",
@@ -15,7 +19,7 @@ const SSE_HEADERS = {
 /**
  * Determine which SSE transform stream to use based on provider/format.
  */
-function buildTransformStream({ provider, sourceFormat, targetFormat, userAgent, reqLogger, toolNameMap, model, connectionId, body, onStreamComplete, apiKey }) {
+function buildTransformStream({ provider, sourceFormat, targetFormat, userAgent, reqLogger, toolNameMap, model, connectionId, body, onStreamComplete, apiKey, rawStreamLimit }) {
   const isDroidCLI = userAgent?.toLowerCase().includes("droid") || userAgent?.toLowerCase().includes("codex-cli");
   const needsCodexTranslation = provider === "codex" && targetFormat === FORMATS.OPENAI_RESPONSES && !isDroidCLI;
 
@@ -26,36 +30,72 @@ function buildTransformStream({ provider, sourceFormat, targetFormat, userAgent,
     else if (sourceFormat === FORMATS.CLAUDE) codexTarget = FORMATS.CLAUDE;
     else if (sourceFormat === FORMATS.ANTIGRAVITY || sourceFormat === FORMATS.GEMINI || sourceFormat === FORMATS.GEMINI_CLI) codexTarget = FORMATS.ANTIGRAVITY;
     else codexTarget = FORMATS.OPENAI;
-    return createSSETransformStreamWithLogger(FORMATS.OPENAI_RESPONSES, codexTarget, provider, reqLogger, toolNameMap, model, connectionId, body, onStreamComplete, apiKey);
+    return createSSETransformStreamWithLogger(FORMATS.OPENAI_RESPONSES, codexTarget, provider, reqLogger, toolNameMap, model, connectionId, body, onStreamComplete, apiKey, rawStreamLimit);
   }
 
   if (needsTranslation(targetFormat, sourceFormat)) {
-    return createSSETransformStreamWithLogger(targetFormat, sourceFormat, provider, reqLogger, toolNameMap, model, connectionId, body, onStreamComplete, apiKey);
+    return createSSETransformStreamWithLogger(targetFormat, sourceFormat, provider, reqLogger, toolNameMap, model, connectionId, body, onStreamComplete, apiKey, rawStreamLimit);
   }
 
-  return createPassthroughStreamWithLogger(provider, reqLogger, model, connectionId, body, onStreamComplete, apiKey);
+  return createPassthroughStreamWithLogger(provider, reqLogger, model, connectionId, body, onStreamComplete, apiKey, rawStreamLimit);
 }
 
 /**
  * Handle streaming response — pipe provider SSE through transform stream to client.
+ * The client response is held back until the first content token: an upstream error,
+ * error event or TTFT timeout before that returns an error result so the caller can
+ * fail over to the next account/model without the client seeing a broken stream.
  */
-export function handleStreamingResponse({ providerResponse, provider, model, sourceFormat, targetFormat, userAgent, body, stream, translatedBody, finalBody, requestStartTime, connectionId, apiKey, clientRawRequest, onRequestSuccess, reqLogger, toolNameMap, streamController, onStreamComplete }) {
+export async function handleStreamingResponse({ providerResponse, provider, model, sourceFormat, targetFormat, userAgent, body, stream, translatedBody, finalBody, requestStartTime, connectionId, apiKey, clientRawRequest, onRequestSuccess, reqLogger, toolNameMap, streamController, onStreamComplete, streamDetailId, rawStreamLimit, isRaceAttempt, abortSignal, ttftTimeoutMs, appendLog, streamSpan }) {
+  const transformStream = buildTransformStream({ provider, sourceFormat, targetFormat, userAgent, reqLogger, toolNameMap, model, connectionId, body, onStreamComplete, apiKey, rawStreamLimit });
+
+  // TTFT counts from the start of the request, the wait for headers included
+  const timeoutMs = ttftTimeoutMs > 0 ? Math.max(ttftTimeoutMs - (Date.now() - requestStartTime), 1) : 0;
+
+  let transformedBody;
+  try {
+    ({ stream: transformedBody } = await primeStream(pipeWithDisconnect(providerResponse, transformStream, streamController), { timeoutMs }));
+  } catch (error) {
+    streamSpan?.recordError(error).end();
+    if (error.name === "AbortError" || abortSignal?.aborted) return createErrorResult(499, "Request cancelled");
+    const status = error.status || HTTP_STATUS.BAD_GATEWAY;
+    // Pending count is released by the stream controller when the primed stream is cancelled
+    appendLog?.({ status: `FAILED ${status}` });
+    recordRequest({ provider, model, connectionId, status, latencyMs: Date.now() - requestStartTime });
+    saveRequestDetail(buildRequestDetail({
+      provider, model, connectionId,
+      latency: { ttft: 0, total: Date.now() - requestStartTime },
+      tokens: { prompt_tokens: 0, completion_tokens: 0 },
+      request: extractRequestConfig(body, stream),
+      providerRequest: finalBody || translatedBody || null,
+      response: { error: error.message, status, thinking: null },
+      status: "error"
+    })).catch(() => {});
+    const errMsg = formatProviderError(error, provider, model, status);
+    console.log(`${COLORS.red}[ERROR] ${errMsg}${COLORS.reset}`);
+    return createErrorResult(status, errMsg);
+  }
+
   if (onRequestSuccess) onRequestSuccess();
 
-  const transformStream = buildTransformStream({ provider, sourceFormat, targetFormat, userAgent, reqLogger, toolNameMap, model, connectionId, body, onStreamComplete, apiKey });
-  const transformedBody = pipeWithDisconnect(providerResponse, transformStream, streamController);
+  // Race attempts may still be cancelled before first token: only the winner's completion is recorded
+  if (isRaceAttempt) {
+    return {
+      success: true,
+      response: new Response(transformedBody, { headers: SSE_HEADERS })
+    };
+  }
 
-  const streamDetailId = `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+  // Placeholder row, replaced under the same id by onStreamComplete
   saveRequestDetail(buildRequestDetail({
     provider, model, connectionId,
     latency: { ttft: 0, total: Date.now() - requestStartTime },
     tokens: { prompt_tokens: 0, completion_tokens: 0 },
     request: extractRequestConfig(body, stream),
     providerRequest: finalBody || translatedBody || null,
-    providerResponse: "[Streaming - raw response not captured]",
     response: { content: "[Streaming in progress...]", thinking: null, type: "streaming" },
     status: "success"
-  }, { id: streamDetailId })).catch(err => {
+  }, { id: streamDetailId, timestamp: new Date(requestStartTime).toISOString() })).catch(err => {
     console.error("[RequestDetail] Failed to save streaming request:", err.message);
   });
 
@@ -66,31 +106,49 @@ export function handleStreamingResponse({ providerResponse, provider, model, sou
 }
 
 /**
- * Build onStreamComplete callback for streaming usage tracking.
+ * Build onStreamComplete callback for streaming usage tracking. The request detail it saves
+ * replaces the placeholder row of handleStreamingResponse (same streamDetailId).
  */
-export function buildOnStreamComplete({ provider, model, connectionId, apiKey, requestStartTime, body, stream, finalBody, translatedBody, clientRawRequest }) {
+export function buildOnStreamComplete({ provider, model, connectionId, apiKey, requestStartTime, body, stream, finalBody, translatedBody, clientRawRequest, streamSpan }) {
   const streamDetailId = `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
 
-  const onStreamComplete = (contentObj, usage, ttftAt) => {
+  /**
+   * @param {object} collected - { content, thinking, toolCalls, finishReason, raw } from the stream collector
+   * @param {object} usage
+   * @param {number|null} ttftAt - Time of the first token
+   */
+  const onStreamComplete = (collected, usage, ttftAt) => {
     const latency = {
       ttft: ttftAt ? ttftAt - requestStartTime : Date.now() - requestStartTime,
       total: Date.now() - requestStartTime
     };
+    recordRequest({ provider, model, connectionId, status: 200, latencyMs: latency.total, ttftMs: ttftAt ? latency.ttft : 0 });
+    if (ttftAt) streamSpan?.addEvent("first_token", {}, ttftAt);
+    streamSpan?.setAttributes({
+      "gen_ai.usage.input_tokens": usage?.prompt_tokens ?? usage?.input_tokens,
+      "gen_ai.usage.output_tokens": usage?.completion_tokens ?? usage?.output_tokens
+    }).end();
 
     saveRequestDetail(buildRequestDetail({
       provider, model, connectionId,
       latency,
-      tokens: usage || { prompt_tokens: 0, completion_tokens: 0 },
+      tokens: normalizeTokens(usage),
       request: extractRequestConfig(body, stream),
       providerRequest: finalBody || translatedBody || null,
-      providerResponse: contentObj.content || "[Empty streaming response]",
-      response: { content: contentObj.content || "[Empty streaming response]", thinking: contentObj.thinking || null, type: "streaming" },
+      providerResponse: collected.raw || null,
+      response: {
+        content: collected.content || (collected.toolCalls?.length ? null : "[Empty streaming response]"),
+        thinking: collected.thinking || null,
+        ...(collected.toolCalls?.length && { tool_calls: collected.toolCalls }),
+        finish_reason: collected.finishReason || "unknown",
+        type: "streaming"
+      },
       status: "success"
-    }, { id: streamDetailId })).catch(err => {
+    }, { id: streamDetailId, timestamp: new Date(requestStartTime).toISOString() })).catch(err => {
       console.error("[RequestDetail] Failed to update streaming content:", err.message);
     });
 
-    saveUsageStats({ provider, model, tokens: usage, connectionId, apiKey, endpoint: clientRawRequest?.endpoint, label: "STREAM USAGE" });
+    saveUsageStats({ provider, model, tokens: usage, connectionId, apiKey, endpoint: clientRawRequest?.endpoint, batchId: clientRawRequest?.batchId, label: "STREAM USAGE" });
   };
 
   return { onStreamComplete, streamDetailId };
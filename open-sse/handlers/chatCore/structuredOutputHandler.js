@@ -0,0 +1,106 @@
+import { getStructuredOutput, parseStructuredOutput } from "../../translator/helpers/structuredOutputHelper.js";
+import { FORMATS } from "../../translator/formats.js";
+
+// Targets whose structured output is emulated: a schema instruction in the prompt (Kiro, Cursor)
+// or a forced structured_output tool (Claude). Native targets (OpenAI, Responses API, Gemini
+// responseSchema) are held to the schema by the provider.
+const EMULATED_FORMATS = [FORMATS.KIRO, FORMATS.CURSOR, FORMATS.CLAUDE];
+
+/**
+ * Whether a streaming structured output request must be buffered to be validated: the target
+ * emulates structured output and the client reads OpenAI chat completions
+ */
+export function needsBufferedStructuredOutput(body, sourceFormat, targetFormat) {
+  return sourceFormat === FORMATS.OPENAI && EMULATED_FORMATS.includes(targetFormat) && !!getStructuredOutput(body);
+}
+
+/**
+ * Replay a buffered (non-streaming) chat completion as an SSE stream: one chunk with the
+ * message, one with the finish reason and usage
+ * @param {object} result - enforceStructuredOutput() result
+ */
+export async function toStreamingResult(result) {
+  if (!result?.success) return result;
+
+  let json;
+  try {
+    json = await result.response.clone().json();
+  } catch {
+    return result;
+  }
+
+  const { id, created, model, usage, choices = [] } = json;
+  const chunk = (chunkChoices, extra) => ({ id, object: "chat.completion.chunk", created, model, choices: chunkChoices, ...extra });
+  const events = [
+    chunk(choices.map(({ index, message = {} }) => ({
+      index,
+      delta: {
+        ...message,
+        ...(message.tool_calls && { tool_calls: message.tool_calls.map((call, i) => ({ index: i, ...call })) })
+      },
+      finish_reason: null
+    }))),
+    chunk(choices.map(({ index, finish_reason }) => ({ index, delta: {}, finish_reason })), usage && { usage })
+  ];
+
+  const body = events.map(event => `data: ${JSON.stringify(event)}\n\n`).join("") + "data: [DONE]\n\n";
+  return {
+    ...result,
+    response: new Response(body, {
+      headers: {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "Access-Control-Allow-Origin": "*"
+      }
+    })
+  };
+}
+
+/**
+ * Validate a non-streaming structured output (response_format) result against the requested schema.
+ * Only OpenAI chat completions are checked; other client formats (Responses API) pass through.
+ * Invalid JSON gets one retry with the validation error appended to the conversation; the
+ * retried answer is returned as-is. Valid JSON wrapped in code fences is returned unwrapped.
+ * @param {object} result - handleNonStreamingResponse() result
+ * @param {object} options
+ * @param {object} options.body - Client request body
+ * @param {Function|null} options.retry - (body) => Promise<result>, null once already retried
+ */
+export async function enforceStructuredOutput(result, { body, log, retry }) {
+  const spec = getStructuredOutput(body);
+  if (!spec || !result?.success) return result;
+
+  let json;
+  try {
+    json = await result.response.clone().json();
+  } catch {
+    return result;
+  }
+
+  // Tool-calling turn: no final answer to validate yet
+  const message = json?.choices?.[0]?.message;
+  if (!message || message.tool_calls?.length) return result;
+
+  const parsed = parseStructuredOutput(message.content, spec);
+  if (parsed.valid) {
+    if (parsed.text === message.content) return result;
+    message.content = parsed.text;
+    return { ...result, response: new Response(JSON.stringify(json), { headers: result.response.headers }) };
+  }
+
+  if (!retry || !Array.isArray(body.messages)) {
+    log?.warn?.("STRUCTURED", `invalid output: ${parsed.error}`);
+    return result;
+  }
+
+  log?.warn?.("STRUCTURED", `invalid output, retrying once: ${parsed.error}`);
+  return retry({
+    ...body,
+    messages: [
+      ...body.messages,
+      { role: "assistant", content: message.content || "" },
+      { role: "user", content: `Your previous response was not valid (${parsed.error}). Reply again with only the corrected JSON.` }
+    ]
+  });
+}
@@ -0,0 +1,115 @@
+import { FORMATS } from "../translator/formats.js";
+import { translateRequest } from "../translator/index.js";
+import { getExecutor } from "../executors/index.js";
+import { countTokensOffline, TOKEN_COUNT_SOURCES } from "../services/tokenCounter.js";
+
+// Providers with a native count endpoint, by the request format it takes
+const NATIVE_COUNT_FORMATS = {
+  claude: FORMATS.CLAUDE,
+  anthropic: FORMATS.CLAUDE,
+  gemini: FORMATS.GEMINI
+};
+
+// Fields Anthropic's count_tokens endpoint accepts
+const CLAUDE_COUNT_FIELDS = ["system", "messages", "tools", "tool_choice", "thinking", "mcp_servers"];
+
+// Count calls sit in front of every Claude Code turn, don't let a slow provider hold it
+const NATIVE_COUNT_TIMEOUT_MS = 10000;
+
+/**
+ * Request format of a provider's native count endpoint, null when it has none
+ * @param {string} provider
+ */
+export function getNativeCountFormat(provider) {
+  if (provider?.startsWith?.("anthropic-compatible-")) return FORMATS.CLAUDE;
+  return NATIVE_COUNT_FORMATS[provider] || null;
+}
+
+// Build url, headers and payload for the provider's count endpoint
+function buildNativeCountRequest(format, provider, model, credentials, request) {
+  const executor = getExecutor(provider);
+  const headers = executor.buildHeaders(credentials, false);
+  const url = executor.buildUrl(model, false, 0, credentials);
+
+  if (format === FORMATS.CLAUDE) {
+    const payload = { model };
+    for (const field of CLAUDE_COUNT_FIELDS) {
+      if (request[field] !== undefined) payload[field] = request[field];
+    }
+    return {
+      url: url.replace(/\/messages(?=\?|$)/, "/messages/count_tokens"),
+      headers,
+      payload,
+      readTokens: (json) => json.input_tokens
+    };
+  }
+
+  const generateContentRequest = { ...(request.generateContentRequest || request), model: `models/${model}` };
+  return {
+    url: url.replace(/:generateContent$/, ":countTokens"),
+    headers,
+    payload: { generateContentRequest },
+    readTokens: (json) => json.totalTokens
+  };
+}
+
+/**
+ * Ask the provider to count tokens
+ * @returns {Promise<number|null>} null when the provider has no endpoint or the call failed
+ */
+async function countTokensNative({ body, sourceFormat, provider, model, credentials, log }) {
+  const format = getNativeCountFormat(provider);
+  if (!format || !credentials) return null;
+
+  try {
+    const request = sourceFormat === format
+      ? body
+      : await translateRequest(sourceFormat, format, model, structuredClone(body), false, credentials, provider, null, log);
+    const { url, headers, payload, readTokens } = buildNativeCountRequest(format, provider, model, credentials, request);
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(NATIVE_COUNT_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      log?.warn?.("TOKENS", `${provider}/${model} count endpoint returned ${response.status}, counting offline`);
+      return null;
+    }
+
+    const tokens = readTokens(await response.json());
+    return Number.isFinite(tokens) ? tokens : null;
+  } catch (error) {
+    log?.warn?.("TOKENS", `${provider}/${model} count endpoint failed, counting offline: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Core token counting handler — shared between Worker and SSE server.
+ * Tiers: provider count endpoint → bundled tokenizer → calibrated heuristic.
+ *
+ * @param {object} options
+ * @param {object} options.body - Request body in sourceFormat
+ * @param {string} options.sourceFormat - FORMATS.CLAUDE, FORMATS.GEMINI or FORMATS.OPENAI
+ * @param {object} [options.modelInfo] - { provider, model }, provider null skips the native tier
+ * @param {object} [options.credentials] - Provider credentials
+ * @param {object} [options.log] - Logger
+ * @returns {Promise<{ tokens: number, source: string }>} source is one of TOKEN_COUNT_SOURCES
+ */
+export async function handleCountTokensCore({ body, sourceFormat, modelInfo = {}, credentials = null, log = null }) {
+  const { provider, model } = modelInfo;
+
+  if (provider) {
+    const tokens = await countTokensNative({ body, sourceFormat, provider, model, credentials, log });
+    if (tokens !== null) {
+      log?.debug?.("TOKENS", `${provider}/${model} | ${tokens} tokens (provider)`);
+      return { tokens, source: TOKEN_COUNT_SOURCES.PROVIDER };
+    }
+  }
+
+  const result = await countTokensOffline(body, { model, log });
+  log?.debug?.("TOKENS", `${model || "unknown model"} | ${result.tokens} tokens (${result.source})`);
+  return result;
+}
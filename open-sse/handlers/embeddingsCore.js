@@ -237,7 +237,8 @@ export async function handleEmbeddingsCore({
     const newCredentials = await refreshWithRetry(
       () => executor.refreshCredentials(credentials, log),
       3,
-      log
+      log,
+      provider
     );
 
     if (newCredentials?.accessToken || newCredentials?.apiKey) {
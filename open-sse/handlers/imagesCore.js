@@ -0,0 +1,211 @@
+import { createErrorResult, parseUpstreamError, formatProviderError } from "../utils/error.js";
+import { HTTP_STATUS } from "../config/constants.js";
+import { fetchImage, sniffImageMime } from "../services/imageFetcher.js";
+
+// OpenAI image endpoints: /v1/images/{generations,edits}
+export const IMAGE_ACTIONS = {
+  GENERATION: "generations",
+  EDIT: "edits"
+};
+
+// Fields forwarded as-is to an OpenAI-style images API
+const IMAGE_FIELDS = ["prompt", "n", "size", "quality", "style", "background", "output_format", "output_compression", "moderation", "user"];
+
+const DATA_URL = /^data:([^;,]+);base64,(.+)$/s;
+const MARKDOWN_IMAGE = /!\[[^\]]*\]\(([^)\s]+)\)/g;
+
+/**
+ * Whether a provider has a native OpenAI-style /images API. Other providers
+ * generate images through chat completions (Gemini image models and the like).
+ * @param {string} provider
+ */
+export function hasImagesApi(provider) {
+  return provider === "openai" || !!provider?.startsWith?.("openai-compatible-");
+}
+
+function imagesApiBase(provider, credentials) {
+  if (provider === "openai") return "https://api.openai.com/v1";
+  return (credentials?.providerSpecificData?.baseUrl || "https://api.openai.com/v1").replace(/\/$/, "");
+}
+
+/**
+ * "1536x1024" → "3:2" for models that take an aspect ratio instead of a size
+ * @param {string} [size]
+ * @returns {string|null}
+ */
+export function sizeToAspectRatio(size) {
+  const match = /^(\d+)x(\d+)$/.exec(size || "");
+  if (!match) return null;
+  const width = Number(match[1]);
+  const height = Number(match[2]);
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  const divisor = gcd(width, height);
+  return divisor ? `${width / divisor}:${height / divisor}` : null;
+}
+
+/**
+ * Images request → OpenAI chat completions body asking for image output
+ * @param {object} body - { model, prompt, size }
+ * @param {Array<{ mimeType: string, data: string }>} [inputImages] - Base64 images to edit
+ * @returns {object}
+ */
+export function imageRequestToChat(body, inputImages = []) {
+  const content = [
+    ...inputImages.map(image => ({ type: "image_url", image_url: { url: `data:${image.mimeType};base64,${image.data}` } })),
+    { type: "text", text: body.prompt }
+  ];
+  const result = {
+    model: body.model,
+    stream: false,
+    modalities: ["image", "text"],
+    messages: [{ role: "user", content }]
+  };
+  const aspectRatio = sizeToAspectRatio(body.size);
+  if (aspectRatio) result.image_config = { aspect_ratio: aspectRatio };
+  return result;
+}
+
+/**
+ * Images in a chat completion: message.images (Gemini translation, OpenRouter),
+ * image_url content parts, or markdown images in text content
+ * @param {object} completion - OpenAI chat.completion JSON
+ * @returns {Array<{ url: string }>} data: or http(s) URLs
+ */
+export function extractChatImages(completion) {
+  const urls = [];
+  for (const choice of completion?.choices || []) {
+    const message = choice.message || {};
+    for (const image of message.images || []) {
+      if (image?.image_url?.url) urls.push(image.image_url.url);
+    }
+    if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        if (part?.type === "image_url" && part.image_url?.url) urls.push(part.image_url.url);
+      }
+    } else if (typeof message.content === "string") {
+      for (const match of message.content.matchAll(MARKDOWN_IMAGE)) urls.push(match[1]);
+    }
+  }
+  return [...new Set(urls)].filter(url => DATA_URL.test(url) || /^https?:\/\//.test(url)).map(url => ({ url }));
+}
+
+/**
+ * Build the OpenAI images response, storing images as files when URLs were asked for
+ * @param {Array<{ url: string, revised_prompt?: string }>} images - data: or http(s) URLs
+ * @param {object} options
+ * @param {string} [options.responseFormat] - "b64_json" (default) or "url"
+ * @param {function} [options.storeImage] - async (bytes, mimeType) => public URL
+ * @returns {Promise<{ created: number, data: object[] }>}
+ */
+export async function toImagesResponse(images, { responseFormat = "b64_json", storeImage } = {}) {
+  const data = [];
+  for (const image of images) {
+    const extra = image.revised_prompt ? { revised_prompt: image.revised_prompt } : {};
+    const inline = DATA_URL.exec(image.url);
+
+    if (responseFormat === "url") {
+      // Remote images are already URLs; inline ones go to the local store
+      const url = inline && storeImage ? await storeImage(Buffer.from(inline[2], "base64"), inline[1]) : image.url;
+      data.push({ url, ...extra });
+    } else {
+      const b64 = inline ? inline[2] : (await fetchImage(image.url)).data;
+      data.push({ b64_json: b64, ...extra });
+    }
+  }
+  return { created: Math.floor(Date.now() / 1000), data };
+}
+
+// Native images API result → data: URLs
+function normalizeImagesApiData(result, outputFormat) {
+  return (result.data || []).map((item) => {
+    if (item.url) return { url: item.url, revised_prompt: item.revised_prompt };
+    const bytes = Buffer.from(item.b64_json.slice(0, 64), "base64");
+    const mimeType = sniffImageMime(new Uint8Array(bytes)) || `image/${outputFormat || "png"}`;
+    return { url: `data:${mimeType};base64,${item.b64_json}`, revised_prompt: item.revised_prompt };
+  });
+}
+
+function buildImagesApiRequest(action, body, model) {
+  const fields = { model };
+  for (const field of IMAGE_FIELDS) {
+    if (body[field] !== undefined && body[field] !== null && body[field] !== "") fields[field] = body[field];
+  }
+  // gpt-image models always answer base64 and reject response_format; ask the others for base64
+  // so the response can be re-served in either format
+  if (!/^gpt-image/.test(model)) fields.response_format = "b64_json";
+
+  if (action === IMAGE_ACTIONS.GENERATION) {
+    return { headers: { "Content-Type": "application/json" }, body: JSON.stringify(fields) };
+  }
+
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) form.append(key, String(value));
+  const images = body.image || [];
+  const imageField = images.length > 1 ? "image[]" : "image";
+  images.forEach((image, i) => form.append(imageField, image, image.name || `image-${i}.png`));
+  if (body.mask) form.append("mask", body.mask, body.mask.name || "mask.png");
+  return { headers: {}, body: form };
+}
+
+/**
+ * Core images handler for providers with a native OpenAI-style images API.
+ *
+ * @param {object} options
+ * @param {string} options.action - One of IMAGE_ACTIONS
+ * @param {object} options.body - Generation: JSON body. Edit: multipart fields with `image` (Blob[]) and optional `mask`
+ * @param {object} options.modelInfo - { provider, model }
+ * @param {object} options.credentials - Provider credentials
+ * @param {object} [options.log] - Logger
+ * @param {function} [options.onRequestSuccess] - Called on success (clear error state)
+ * @returns {Promise<{ success: boolean, images?: Array<{ url: string }>, usage?: { images: number }, response?: Response, status?: number, error?: string }>}
+ */
+export async function handleImagesCore({ action, body, modelInfo, credentials, log, onRequestSuccess }) {
+  const { provider, model } = modelInfo;
+
+  if (!hasImagesApi(provider)) {
+    return createErrorResult(HTTP_STATUS.BAD_REQUEST, `Provider '${provider}' has no images API`);
+  }
+  if (action === IMAGE_ACTIONS.EDIT && !body.image?.length) {
+    return createErrorResult(HTTP_STATUS.BAD_REQUEST, "Missing required field: image");
+  }
+
+  const url = `${imagesApiBase(provider, credentials)}/images/${action}`;
+  const request = buildImagesApiRequest(action, body, model);
+
+  log?.debug?.("IMAGES", `${provider.toUpperCase()} | ${model} | ${action} | n=${body.n || 1}`);
+
+  let providerResponse;
+  try {
+    providerResponse = await fetch(url, {
+      method: "POST",
+      headers: { ...request.headers, Authorization: `Bearer ${credentials.apiKey || credentials.accessToken}` },
+      body: request.body
+    });
+  } catch (error) {
+    const errMsg = formatProviderError(error, provider, model, HTTP_STATUS.BAD_GATEWAY);
+    log?.debug?.("IMAGES", `Fetch error: ${errMsg}`);
+    return createErrorResult(HTTP_STATUS.BAD_GATEWAY, errMsg);
+  }
+
+  if (!providerResponse.ok) {
+    const { statusCode, message } = await parseUpstreamError(providerResponse, provider);
+    const errMsg = formatProviderError(new Error(message), provider, model, statusCode);
+    log?.debug?.("IMAGES", `Provider error: ${errMsg}`);
+    return createErrorResult(statusCode, errMsg);
+  }
+
+  let result;
+  try {
+    result = await providerResponse.json();
+  } catch {
+    return createErrorResult(HTTP_STATUS.BAD_GATEWAY, `Invalid JSON response from ${provider}`);
+  }
+
+  if (onRequestSuccess) {
+    await onRequestSuccess();
+  }
+
+  const images = normalizeImagesApiData(result, body.output_format);
+  log?.debug?.("IMAGES", `Success | images=${images.length}`);
+  return { success: true, images, usage: { images: images.length } };
+}
@@ -0,0 +1,131 @@
+import { createErrorResult, parseUpstreamError, formatProviderError } from "../utils/error.js";
+import { HTTP_STATUS } from "../config/constants.js";
+
+// Model used when a /v1/moderations request names none (OpenAI's default)
+export const DEFAULT_MODERATION_MODEL = "openai/omni-moderation-latest";
+
+const MISTRAL_MODERATIONS_URL = "https://api.mistral.ai/v1/moderations";
+
+// Mistral categories → OpenAI names; the rest (health, financial, law, pii) are kept as-is
+const MISTRAL_CATEGORIES = {
+  sexual: "sexual",
+  hate_and_discrimination: "hate",
+  violence_and_threats: "violence",
+  dangerous_and_criminal_content: "illicit",
+  selfharm: "self-harm"
+};
+
+/**
+ * Whether a provider has a moderations API
+ * @param {string} provider
+ */
+export function hasModerationsApi(provider) {
+  return provider === "openai" || provider === "mistral" || !!provider?.startsWith?.("openai-compatible-");
+}
+
+function moderationsUrl(provider, credentials) {
+  if (provider === "mistral") return MISTRAL_MODERATIONS_URL;
+  if (provider === "openai") return "https://api.openai.com/v1/moderations";
+  return `${(credentials?.providerSpecificData?.baseUrl || "https://api.openai.com/v1").replace(/\/$/, "")}/moderations`;
+}
+
+/**
+ * Moderation input as plain text: Mistral takes strings only, so the text parts of
+ * OpenAI multimodal input are joined and images dropped
+ * @param {string|Array<string|object>} input
+ * @returns {string|string[]}
+ */
+export function moderationInputToText(input) {
+  if (!Array.isArray(input) || input.every(item => typeof item === "string")) return input;
+  return input.filter(part => part?.type === "text").map(part => part.text).join("\n");
+}
+
+/**
+ * Mistral moderation result → OpenAI result ({ flagged, categories, category_scores })
+ * @param {object} result - { categories, category_scores }
+ */
+export function mistralToOpenAIResult(result) {
+  const rename = (values = {}) => Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [MISTRAL_CATEGORIES[key] || key, value])
+  );
+  const categories = rename(result.categories);
+  return {
+    flagged: Object.values(categories).some(Boolean),
+    categories,
+    category_scores: rename(result.category_scores)
+  };
+}
+
+/**
+ * Core moderations handler: OpenAI-format response for OpenAI, Mistral and
+ * openai-compatible providers.
+ *
+ * @param {object} options
+ * @param {object} options.body - { input }
+ * @param {object} options.modelInfo - { provider, model }
+ * @param {object} options.credentials - Provider credentials
+ * @param {object} [options.log] - Logger
+ * @param {function} [options.onRequestSuccess] - Called on success (clear error state)
+ * @returns {Promise<{ success: boolean, response: Response, status?: number, error?: string }>}
+ */
+export async function handleModerationsCore({ body, modelInfo, credentials, log, onRequestSuccess }) {
+  const { provider, model } = modelInfo;
+
+  if (!hasModerationsApi(provider)) {
+    return createErrorResult(
+      HTTP_STATUS.BAD_REQUEST,
+      `Provider '${provider}' does not support moderations. Use openai, mistral, or an openai-compatible provider.`
+    );
+  }
+  if (!body.input || (typeof body.input !== "string" && !Array.isArray(body.input))) {
+    return createErrorResult(HTTP_STATUS.BAD_REQUEST, "Missing required field: input");
+  }
+
+  const input = provider === "mistral" ? moderationInputToText(body.input) : body.input;
+  log?.debug?.("MODERATIONS", `${provider.toUpperCase()} | ${model} | input_type=${Array.isArray(input) ? `array[${input.length}]` : "string"}`);
+
+  let providerResponse;
+  try {
+    providerResponse = await fetch(moderationsUrl(provider, credentials), {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${credentials.apiKey || credentials.accessToken}` },
+      body: JSON.stringify({ model, input })
+    });
+  } catch (error) {
+    const errMsg = formatProviderError(error, provider, model, HTTP_STATUS.BAD_GATEWAY);
+    log?.debug?.("MODERATIONS", `Fetch error: ${errMsg}`);
+    return createErrorResult(HTTP_STATUS.BAD_GATEWAY, errMsg);
+  }
+
+  if (!providerResponse.ok) {
+    const { statusCode, message } = await parseUpstreamError(providerResponse, provider);
+    const errMsg = formatProviderError(new Error(message), provider, model, statusCode);
+    log?.debug?.("MODERATIONS", `Provider error: ${errMsg}`);
+    return createErrorResult(statusCode, errMsg);
+  }
+
+  let responseBody;
+  try {
+    responseBody = await providerResponse.json();
+  } catch {
+    return createErrorResult(HTTP_STATUS.BAD_GATEWAY, `Invalid JSON response from ${provider}`);
+  }
+
+  if (onRequestSuccess) {
+    await onRequestSuccess();
+  }
+
+  const normalized = provider === "mistral"
+    ? { id: responseBody.id || `modr-${crypto.randomUUID()}`, model: responseBody.model || model, results: (responseBody.results || []).map(mistralToOpenAIResult) }
+    : responseBody;
+
+  return {
+    success: true,
+    response: new Response(JSON.stringify(normalized), {
+      headers: {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*"
+      }
+    })
+  };
+}
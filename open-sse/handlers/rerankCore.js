@@ -0,0 +1,216 @@
+import { createErrorResult, parseUpstreamError, formatProviderError } from "../utils/error.js";
+import { HTTP_STATUS, PROVIDERS } from "../config/constants.js";
+import { handleEmbeddingsCore } from "./embeddingsCore.js";
+
+// Response shapes: Jina / Cohere v1 on /v1/rerank, Cohere v2 on /v2/rerank
+export const RERANK_FORMATS = {
+  JINA: "jina",
+  COHERE: "cohere"
+};
+
+// Upstream APIs that rank documents
+export const RERANK_BACKENDS = {
+  COHERE: "cohere",
+  JINA: "jina",
+  EMBEDDINGS: "embeddings"
+};
+
+const COHERE_RERANK_URL = "https://api.cohere.com/v2/rerank";
+
+// OpenAI-format providers serving a Jina-style /rerank next to /chat/completions
+const JINA_RERANK_PROVIDERS = new Set(["together", "siliconflow"]);
+
+function jinaRerankUrl(provider, credentials) {
+  if (provider?.startsWith?.("openai-compatible-")) {
+    const baseUrl = credentials?.providerSpecificData?.baseUrl || "https://api.openai.com/v1";
+    return `${baseUrl.replace(/\/$/, "")}/rerank`;
+  }
+  return PROVIDERS[provider].baseUrl.replace(/\/chat\/completions$/, "/rerank");
+}
+
+/**
+ * Which upstream API ranks documents for a provider. Providers without a rerank
+ * API fall back to embeddings + cosine similarity.
+ * @param {string} provider
+ * @returns {string} One of RERANK_BACKENDS
+ */
+export function getRerankBackend(provider) {
+  if (provider === "cohere") return RERANK_BACKENDS.COHERE;
+  if (JINA_RERANK_PROVIDERS.has(provider) || provider?.startsWith?.("openai-compatible-")) return RERANK_BACKENDS.JINA;
+  return RERANK_BACKENDS.EMBEDDINGS;
+}
+
+/**
+ * Text of a rerank document: plain strings, or { text } objects (Jina, Cohere v1)
+ * @param {string|object} document
+ */
+export function documentText(document) {
+  if (typeof document === "string") return document;
+  if (typeof document?.text === "string") return document.text;
+  return JSON.stringify(document);
+}
+
+/**
+ * Cosine similarity of two vectors (0 when either is all zeros)
+ * @param {number[]} a
+ * @param {number[]} b
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Rank documents by cosine similarity to the query embedding
+ * @param {number[]} queryEmbedding
+ * @param {number[][]} documentEmbeddings
+ * @returns {Array<{ index: number, relevance_score: number }>}
+ */
+export function rankByEmbeddings(queryEmbedding, documentEmbeddings) {
+  return documentEmbeddings.map((embedding, index) => ({
+    index,
+    relevance_score: cosineSimilarity(queryEmbedding, embedding)
+  }));
+}
+
+/**
+ * Build the rerank response in the caller's format: results by descending score,
+ * cut to top_n, with the documents attached when asked for
+ * @param {Array<{ index: number, relevance_score: number }>} results
+ * @param {object} options
+ * @param {string} options.format - One of RERANK_FORMATS
+ * @param {string} options.model - Model string the caller sent
+ * @param {Array<string|object>} options.documents - Documents as sent
+ * @param {number} [options.topN]
+ * @param {boolean} [options.returnDocuments] - Defaults to true for Jina, false for Cohere
+ * @param {object} [options.usage] - { total_tokens }
+ * @returns {object}
+ */
+export function toRerankResponse(results, { format, model, documents, topN, returnDocuments, usage }) {
+  const withDocuments = returnDocuments ?? format === RERANK_FORMATS.JINA;
+  const ranked = [...results]
+    .sort((a, b) => b.relevance_score - a.relevance_score)
+    .slice(0, topN > 0 ? topN : results.length)
+    .map(({ index, relevance_score }) => ({
+      index,
+      relevance_score,
+      ...(withDocuments && { document: { text: documentText(documents[index]) } })
+    }));
+
+  const id = crypto.randomUUID();
+  if (format === RERANK_FORMATS.COHERE) {
+    return { id, results: ranked, meta: { api_version: { version: "2" }, billed_units: { search_units: 1 } } };
+  }
+  return { id, model, results: ranked, usage: { total_tokens: usage?.total_tokens || 0 } };
+}
+
+// Cohere v2: { results: [{ index, relevance_score }], meta }
+async function rerankWithCohere({ model, query, texts, topN, credentials }) {
+  return await fetch(COHERE_RERANK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${credentials.apiKey || credentials.accessToken}` },
+    body: JSON.stringify({ model, query, documents: texts, ...(topN > 0 && { top_n: topN }) })
+  });
+}
+
+// Jina-style: { results: [{ index, relevance_score }], usage } (Together, SiliconFlow, vLLM, Infinity, TEI...)
+async function rerankWithJina({ provider, model, query, texts, topN, credentials }) {
+  return await fetch(jinaRerankUrl(provider, credentials), {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${credentials.apiKey || credentials.accessToken}` },
+    body: JSON.stringify({ model, query, documents: texts, return_documents: false, ...(topN > 0 && { top_n: topN }) })
+  });
+}
+
+// Embed query + documents in one call, then rank by cosine similarity
+async function rerankWithEmbeddings({ provider, model, query, texts, credentials, log, onCredentialsRefreshed }) {
+  const result = await handleEmbeddingsCore({
+    body: { model, input: [query, ...texts] },
+    modelInfo: { provider, model },
+    credentials,
+    log,
+    onCredentialsRefreshed
+  });
+  if (!result.success) return result;
+
+  const { data = [], usage } = await result.response.json();
+  const embeddings = [...data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+  if (embeddings.length !== texts.length + 1) {
+    return createErrorResult(HTTP_STATUS.BAD_GATEWAY, `${provider} returned ${embeddings.length} embeddings for ${texts.length + 1} inputs`);
+  }
+  return { success: true, results: rankByEmbeddings(embeddings[0], embeddings.slice(1)), usage: { total_tokens: usage?.total_tokens || 0 } };
+}
+
+/**
+ * Core rerank handler: scores every document against the query.
+ *
+ * @param {object} options
+ * @param {object} options.body - { query, documents, top_n }
+ * @param {object} options.modelInfo - { provider, model }
+ * @param {object} options.credentials - Provider credentials
+ * @param {object} [options.log] - Logger
+ * @param {function} [options.onCredentialsRefreshed] - Called when creds are refreshed (embeddings fallback)
+ * @param {function} [options.onRequestSuccess] - Called on success (clear error state)
+ * @returns {Promise<{ success: boolean, results?: Array<{ index: number, relevance_score: number }>, usage?: object, response?: Response, status?: number, error?: string }>}
+ */
+export async function handleRerankCore({ body, modelInfo, credentials, log, onCredentialsRefreshed, onRequestSuccess }) {
+  const { provider, model } = modelInfo;
+
+  if (typeof body.query !== "string" || !body.query) {
+    return createErrorResult(HTTP_STATUS.BAD_REQUEST, "Missing required field: query");
+  }
+  if (!Array.isArray(body.documents) || body.documents.length === 0) {
+    return createErrorResult(HTTP_STATUS.BAD_REQUEST, "documents must be a non-empty array");
+  }
+
+  const backend = getRerankBackend(provider);
+  const texts = body.documents.map(documentText);
+  const topN = Number(body.top_n) || 0;
+  const args = { provider, model, query: body.query, texts, topN, credentials, log, onCredentialsRefreshed };
+
+  log?.debug?.("RERANK", `${provider.toUpperCase()} | ${model} | ${backend} | ${texts.length} documents`);
+
+  if (backend === RERANK_BACKENDS.EMBEDDINGS) {
+    const result = await rerankWithEmbeddings(args);
+    if (result.success && onRequestSuccess) await onRequestSuccess();
+    return result;
+  }
+
+  let providerResponse;
+  try {
+    providerResponse = backend === RERANK_BACKENDS.COHERE ? await rerankWithCohere(args) : await rerankWithJina(args);
+  } catch (error) {
+    const errMsg = formatProviderError(error, provider, model, HTTP_STATUS.BAD_GATEWAY);
+    log?.debug?.("RERANK", `Fetch error: ${errMsg}`);
+    return createErrorResult(HTTP_STATUS.BAD_GATEWAY, errMsg);
+  }
+
+  if (!providerResponse.ok) {
+    const { statusCode, message } = await parseUpstreamError(providerResponse, provider);
+    const errMsg = formatProviderError(new Error(message), provider, model, statusCode);
+    log?.debug?.("RERANK", `Provider error: ${errMsg}`);
+    return createErrorResult(statusCode, errMsg);
+  }
+
+  let responseBody;
+  try {
+    responseBody = await providerResponse.json();
+  } catch {
+    return createErrorResult(HTTP_STATUS.BAD_GATEWAY, `Invalid JSON response from ${provider}`);
+  }
+
+  if (onRequestSuccess) {
+    await onRequestSuccess();
+  }
+
+  const results = (responseBody.results || []).map(({ index, relevance_score }) => ({ index, relevance_score }));
+  const totalTokens = responseBody.usage?.total_tokens || responseBody.usage?.prompt_tokens || responseBody.meta?.tokens?.input_tokens || 0;
+  return { success: true, results, usage: { total_tokens: totalTokens } };
+}
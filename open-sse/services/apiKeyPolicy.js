@@ -0,0 +1,110 @@
+/**
+ * Per-API-key access scopes, shared by the local server and the cloud worker.
+ *
+ * Key record fields (all optional, empty = unrestricted):
+ * {
+ *   allowedModels: ["cc/*", "gemini/gemini-2.5-*", "my-combo"],  // globs on the requested model/combo
+ *   allowedEndpoints: ["/v1/chat/completions", "/v1/embeddings"], // path globs, prefix match on "/"
+ *   expiresAt: "2026-12-31T23:59:59.000Z"
+ * }
+ */
+
+/** Endpoints offered in the keys UI */
+export const API_KEY_ENDPOINTS = [
+  "/v1/chat/completions",
+  "/v1/messages",
+  "/v1/responses",
+  "/v1/embeddings",
+  "/v1/rerank",
+  "/v1/moderations",
+  "/v1beta/models",
+  "/v1/api/chat"
+];
+
+/**
+ * Match a glob pattern (`*` any chars, `?` single char), case-insensitive
+ * @param {string} pattern
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function matchesGlob(pattern, value) {
+  if (typeof pattern !== "string" || typeof value !== "string") return false;
+  const source = pattern
+    .split("")
+    .map(ch => (ch === "*" ? ".*" : ch === "?" ? "." : ch.replace(/[.+^${}()|[\]\\/]/g, "\\$&")))
+    .join("");
+  return new RegExp(`^${source}$`, "i").test(value);
+}
+
+/**
+ * Normalize request path to the public endpoint form:
+ * "/api/v1/messages" → "/v1/messages", "/{machineId}/v1/embeddings" → "/v1/embeddings", "/v1/v1/x" → "/v1/x",
+ * "/api/v2/rerank" → "/v2/rerank"
+ */
+export function normalizeEndpoint(pathname) {
+  if (!pathname) return "";
+  return pathname.replace(/^\/[^/]+(?=\/v[12](?:beta)?\/)/, "").replace(/\/+$/, "");
+}
+
+function matchesEndpoint(pattern, endpoint) {
+  const base = pattern.replace(/\/+$/, "");
+  return matchesGlob(base, endpoint) || endpoint.toLowerCase().startsWith(`${base.toLowerCase()}/`);
+}
+
+/**
+ * Check if key is past its expiry date
+ */
+export function isApiKeyExpired(keyRecord, now = Date.now()) {
+  if (!keyRecord?.expiresAt) return false;
+  const expiresAt = new Date(keyRecord.expiresAt).getTime();
+  return Number.isFinite(expiresAt) && expiresAt <= now;
+}
+
+/**
+ * Check a request against the key's scopes
+ * @param {object} keyRecord - Stored API key
+ * @param {object} request
+ * @param {string} [request.model] - Requested model or combo name
+ * @param {string} [request.endpoint] - Request pathname
+ * @returns {string|null} Denial reason, or null when allowed
+ */
+export function checkApiKeyAccess(keyRecord, { model, endpoint } = {}) {
+  if (!keyRecord) return null;
+
+  if (isApiKeyExpired(keyRecord)) {
+    return "API key has expired";
+  }
+
+  const endpoints = keyRecord.allowedEndpoints || [];
+  const normalized = normalizeEndpoint(endpoint);
+  if (endpoints.length > 0 && normalized && !endpoints.some(p => matchesEndpoint(p, normalized))) {
+    return `API key is not allowed to access ${normalized}`;
+  }
+
+  const models = keyRecord.allowedModels || [];
+  if (models.length > 0 && model && !models.some(p => matchesGlob(p, model))) {
+    return `API key is not allowed to use model ${model}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate scope fields from the keys API
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateApiKeyScopes({ allowedModels, allowedEndpoints, expiresAt } = {}) {
+  for (const [field, list] of [["allowedModels", allowedModels], ["allowedEndpoints", allowedEndpoints]]) {
+    if (list === undefined) continue;
+    if (!Array.isArray(list) || !list.every(p => typeof p === "string" && p.trim())) {
+      return `${field} must be an array of non-empty strings`;
+    }
+  }
+  if (allowedEndpoints?.some(p => !p.startsWith("/"))) {
+    return "allowedEndpoints entries must start with /";
+  }
+  if (expiresAt !== undefined && expiresAt !== null && !Number.isFinite(new Date(expiresAt).getTime())) {
+    return "expiresAt must be a valid date";
+  }
+  return null;
+}
@@ -0,0 +1,295 @@
+/**
+ * Per-API-key rate limits, shared by the local server and the cloud worker.
+ *
+ * Key record field (all optional, 0/empty = unlimited):
+ * {
+ *   rateLimits: { rpm: 60, tpm: 100000, maxConcurrent: 4 }
+ * }
+ *
+ * Limits are evaluated against a usage snapshot over a sliding 60s window:
+ * { requests: number[] (start timestamps), tokens: [{ t, n }] (completion timestamps), active: number }
+ * The local server keeps snapshots in memory (below); the cloud worker builds them from D1.
+ * Token counts come from the usage that saveRequestUsage records after each request.
+ */
+
+import { HTTP_STATUS } from "../config/constants.js";
+import { buildFormattedErrorBody, ERROR_FORMATS } from "../utils/error.js";
+
+export const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+export const RATE_LIMIT_TYPES = {
+  REQUESTS: "requests",
+  TOKENS: "tokens",
+  CONCURRENCY: "concurrency"
+};
+
+// Shared across route modules (Next.js bundles each route separately)
+if (!globalThis._apiKeyRateLimits) {
+  globalThis._apiKeyRateLimits = new Map();
+}
+const windows = globalThis._apiKeyRateLimits;
+
+/**
+ * Normalized limits from a key record
+ * @returns {{ rpm: number, tpm: number, maxConcurrent: number }|null} null when the key is unlimited
+ */
+export function getApiKeyLimits(keyRecord) {
+  const limits = keyRecord?.rateLimits;
+  if (!limits) return null;
+  const rpm = Number(limits.rpm) || 0;
+  const tpm = Number(limits.tpm) || 0;
+  const maxConcurrent = Number(limits.maxConcurrent) || 0;
+  if (!rpm && !tpm && !maxConcurrent) return null;
+  return { rpm, tpm, maxConcurrent };
+}
+
+/**
+ * Validate rateLimits from the keys API
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateApiKeyRateLimits(rateLimits) {
+  if (rateLimits === undefined || rateLimits === null) return null;
+  if (typeof rateLimits !== "object" || Array.isArray(rateLimits)) {
+    return "rateLimits must be an object";
+  }
+  for (const field of ["rpm", "tpm", "maxConcurrent"]) {
+    const value = rateLimits[field];
+    if (value === undefined || value === null) continue;
+    if (!Number.isInteger(value) || value < 0) {
+      return `rateLimits.${field} must be a non-negative integer`;
+    }
+  }
+  return null;
+}
+
+/** Total billable tokens of a usage entry (OpenAI or Claude shape) */
+export function getTotalTokens(tokens) {
+  if (!tokens || typeof tokens !== "object") return 0;
+  const input = tokens.prompt_tokens ?? tokens.input_tokens ?? 0;
+  const output = tokens.completion_tokens ?? tokens.output_tokens ?? 0;
+  return (Number(input) || 0) + (Number(output) || 0);
+}
+
+// "1m30s" / "850ms" - duration format of OpenAI x-ratelimit-reset-* headers
+function formatResetDuration(ms) {
+  if (ms <= 0) return "0s";
+  if (ms < 1000) return `${Math.ceil(ms)}ms`;
+  const totalSec = Math.ceil(ms / 1000);
+  const min = Math.floor(totalSec / 60);
+  const sec = totalSec % 60;
+  return min > 0 ? `${min}m${sec}s` : `${sec}s`;
+}
+
+/**
+ * Evaluate limits against a usage snapshot
+ * @param {{ rpm: number, tpm: number, maxConcurrent: number }} limits
+ * @param {{ requests: number[], tokens: Array<{t: number, n: number}>, active: number }} usage
+ * @param {number} [now]
+ * @returns {{ allowed: boolean, limitType: string|null, retryAfterMs: number, message: string|null, headers: object }}
+ */
+export function evaluateRateLimit(limits, usage, now = Date.now()) {
+  const windowStart = now - RATE_LIMIT_WINDOW_MS;
+  const requests = (usage.requests || []).filter(t => t > windowStart).sort((a, b) => a - b);
+  const tokens = (usage.tokens || []).filter(s => s.t > windowStart).sort((a, b) => a.t - b.t);
+  const usedTokens = tokens.reduce((sum, s) => sum + s.n, 0);
+  const active = usage.active || 0;
+
+  // Time until the window frees enough capacity
+  const requestsResetMs = requests.length > 0 && limits.rpm
+    ? requests[Math.max(requests.length - limits.rpm, 0)] + RATE_LIMIT_WINDOW_MS - now
+    : 0;
+  let tokensResetMs = 0;
+  if (limits.tpm && usedTokens >= limits.tpm) {
+    let remaining = usedTokens;
+    for (const sample of tokens) {
+      remaining -= sample.n;
+      if (remaining < limits.tpm) {
+        tokensResetMs = sample.t + RATE_LIMIT_WINDOW_MS - now;
+        break;
+      }
+    }
+  } else if (tokens.length > 0) {
+    tokensResetMs = tokens[0].t + RATE_LIMIT_WINDOW_MS - now;
+  }
+
+  const headers = {};
+  const resetAt = (ms) => new Date(now + Math.max(ms, 0)).toISOString();
+  if (limits.rpm) {
+    const remaining = Math.max(limits.rpm - requests.length, 0);
+    headers["x-ratelimit-limit-requests"] = String(limits.rpm);
+    headers["x-ratelimit-remaining-requests"] = String(remaining);
+    headers["x-ratelimit-reset-requests"] = formatResetDuration(requestsResetMs);
+    headers["anthropic-ratelimit-requests-limit"] = String(limits.rpm);
+    headers["anthropic-ratelimit-requests-remaining"] = String(remaining);
+    headers["anthropic-ratelimit-requests-reset"] = resetAt(requestsResetMs);
+  }
+  if (limits.tpm) {
+    const remaining = Math.max(limits.tpm - usedTokens, 0);
+    headers["x-ratelimit-limit-tokens"] = String(limits.tpm);
+    headers["x-ratelimit-remaining-tokens"] = String(remaining);
+    headers["x-ratelimit-reset-tokens"] = formatResetDuration(tokensResetMs);
+    headers["anthropic-ratelimit-tokens-limit"] = String(limits.tpm);
+    headers["anthropic-ratelimit-tokens-remaining"] = String(remaining);
+    headers["anthropic-ratelimit-tokens-reset"] = resetAt(tokensResetMs);
+  }
+
+  let limitType = null;
+  let retryAfterMs = 0;
+  let message = null;
+  if (limits.maxConcurrent && active >= limits.maxConcurrent) {
+    // No way to know when an in-flight request finishes - ask for a short backoff
+    limitType = RATE_LIMIT_TYPES.CONCURRENCY;
+    retryAfterMs = 1000;
+    message = `Rate limit reached: ${active} concurrent requests (limit ${limits.maxConcurrent})`;
+  } else if (limits.rpm && requests.length >= limits.rpm) {
+    limitType = RATE_LIMIT_TYPES.REQUESTS;
+    retryAfterMs = requestsResetMs;
+    message = `Rate limit reached: ${requests.length} requests per minute (limit ${limits.rpm})`;
+  } else if (limits.tpm && usedTokens >= limits.tpm) {
+    limitType = RATE_LIMIT_TYPES.TOKENS;
+    retryAfterMs = tokensResetMs;
+    message = `Rate limit reached: ${usedTokens} tokens per minute (limit ${limits.tpm})`;
+  }
+
+  if (limitType) {
+    headers["Retry-After"] = String(Math.max(Math.ceil(retryAfterMs / 1000), 1));
+  }
+
+  return { allowed: !limitType, limitType, retryAfterMs, message, headers };
+}
+
+/**
+ * x-ratelimit-* headers for a request that has already claimed its slot (no Retry-After)
+ * @returns {object}
+ */
+export function getRateLimitHeaders(limits, usage, now = Date.now()) {
+  const { headers } = evaluateRateLimit(limits, usage, now);
+  delete headers["Retry-After"];
+  return headers;
+}
+
+/**
+ * 429 response in the caller's native error format with Retry-After and rate limit headers
+ * @param {object} decision - Result of evaluateRateLimit
+ * @param {string} [format] - One of ERROR_FORMATS
+ * @returns {Response}
+ */
+export function rateLimitResponse(decision, format = ERROR_FORMATS.OPENAI) {
+  const body = buildFormattedErrorBody(HTTP_STATUS.RATE_LIMITED, decision.message, format);
+  return new Response(JSON.stringify(body), {
+    status: HTTP_STATUS.RATE_LIMITED,
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      ...decision.headers
+    }
+  });
+}
+
+/**
+ * Re-wrap a response so onDone runs once its body is fully consumed, errors or is cancelled
+ * (immediately when there is no body). Used to release concurrency slots after streaming.
+ * @param {Response} response
+ * @param {object} headers - Extra headers to set
+ * @param {Function} onDone
+ * @returns {Response}
+ */
+export function trackResponseCompletion(response, headers, onDone) {
+  let done = false;
+  const finish = () => {
+    if (done) return;
+    done = true;
+    onDone();
+  };
+
+  const merged = new Headers(response.headers);
+  for (const [name, value] of Object.entries(headers || {})) merged.set(name, value);
+
+  if (!response.body) {
+    finish();
+    return new Response(null, { status: response.status, statusText: response.statusText, headers: merged });
+  }
+
+  const reader = response.body.getReader();
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done: finished, value } = await reader.read();
+        if (finished) {
+          finish();
+          controller.close();
+          return;
+        }
+        controller.enqueue(value);
+      } catch (error) {
+        finish();
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      finish();
+      return reader.cancel(reason);
+    }
+  });
+
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: merged });
+}
+
+// ─── In-memory store (local server) ──────────────────────────────────────────
+
+function getWindow(apiKey, create = false) {
+  let entry = windows.get(apiKey);
+  if (!entry && create) {
+    entry = { requests: [], tokens: [], active: 0 };
+    windows.set(apiKey, entry);
+  }
+  return entry || null;
+}
+
+function pruneWindow(entry, now) {
+  const windowStart = now - RATE_LIMIT_WINDOW_MS;
+  entry.requests = entry.requests.filter(t => t > windowStart);
+  entry.tokens = entry.tokens.filter(s => s.t > windowStart);
+}
+
+/**
+ * Check limits and claim a request slot for a key (local, in-memory)
+ * @param {string} apiKey
+ * @param {{ rpm: number, tpm: number, maxConcurrent: number }} limits
+ * @returns {{ allowed: boolean, headers: object, release?: Function, message?: string }}
+ */
+export function acquireApiKeySlot(apiKey, limits) {
+  const now = Date.now();
+  const entry = getWindow(apiKey, true);
+  pruneWindow(entry, now);
+
+  const decision = evaluateRateLimit(limits, entry, now);
+  if (!decision.allowed) return decision;
+
+  entry.requests.push(now);
+  entry.active++;
+
+  let released = false;
+  return {
+    allowed: true,
+    headers: getRateLimitHeaders(limits, entry, now),
+    release: () => {
+      if (released) return;
+      released = true;
+      entry.active = Math.max(entry.active - 1, 0);
+    }
+  };
+}
+
+/**
+ * Record real token usage for a key. Only keys with a live window (rate limited keys) are tracked.
+ * @param {string} apiKey
+ * @param {object} tokens - Usage tokens (OpenAI or Claude shape)
+ */
+export function recordApiKeyTokens(apiKey, tokens) {
+  if (!apiKey) return;
+  const entry = getWindow(apiKey);
+  const total = getTotalTokens(tokens);
+  if (!entry || total <= 0) return;
+  entry.tokens.push({ t: Date.now(), n: total });
+}
@@ -0,0 +1,298 @@
+/**
+ * Batch jobs: OpenAI Batch API (/v1/batches over /v1/files JSONL) and Anthropic
+ * Message Batches (/v1/messages/batches), both run locally request by request.
+ *
+ * A batch record (see src/lib/batchDb.js) is format-neutral:
+ * {
+ *   id, format: "openai" | "anthropic", endpoint, status, inputFileId, outputFileId, errorFileId,
+ *   metadata, errors, counts: { total, succeeded, errored, expired },
+ *   createdAt, inProgressAt, finalizingAt, completedAt, failedAt, expiredAt, cancellingAt, cancelledAt, expiresAt
+ * }
+ * Timestamps are ms; OpenAI and Anthropic objects are built from it on the way out.
+ */
+
+import { randomUUID } from "crypto";
+
+export const BATCH_FORMATS = {
+  OPENAI: "openai",
+  ANTHROPIC: "anthropic"
+};
+
+// OpenAI statuses, also used for Anthropic batches internally
+export const BATCH_STATUS = {
+  VALIDATING: "validating",
+  FAILED: "failed",
+  IN_PROGRESS: "in_progress",
+  FINALIZING: "finalizing",
+  COMPLETED: "completed",
+  EXPIRED: "expired",
+  CANCELLING: "cancelling",
+  CANCELLED: "cancelled"
+};
+
+// Statuses a batch never leaves
+export const FINAL_BATCH_STATUSES = [BATCH_STATUS.FAILED, BATCH_STATUS.COMPLETED, BATCH_STATUS.EXPIRED, BATCH_STATUS.CANCELLED];
+
+// Endpoints batch lines may target
+export const OPENAI_BATCH_ENDPOINTS = ["/v1/chat/completions", "/v1/responses", "/v1/embeddings"];
+export const ANTHROPIC_BATCH_ENDPOINT = "/v1/messages";
+
+// Error codes of result lines written by the runner rather than by a provider
+export const BATCH_LINE_ERRORS = {
+  EXPIRED: "batch_expired"
+};
+
+const CUSTOM_ID = /^[a-zA-Z0-9_-]{1,64}$/;
+
+function randomHex() {
+  return randomUUID().replace(/-/g, "");
+}
+
+/**
+ * New ID with the given prefix ("batch_", "msgbatch_", "file-", ...)
+ * @param {string} prefix
+ */
+export function createBatchId(prefix) {
+  return `${prefix}${randomHex()}`;
+}
+
+/**
+ * Parse and validate an OpenAI batch input file
+ * @param {string} text - JSONL content
+ * @param {string} endpoint - Endpoint of the batch, every line must target it
+ * @param {number} [maxRequests]
+ * @returns {{ requests: Array<{ custom_id: string, method: string, url: string, body: object }>, errors: Array<{ code: string, message: string, line: number|null }> }}
+ */
+export function parseBatchInput(text, endpoint, maxRequests = Infinity) {
+  const requests = [];
+  const errors = [];
+  const seen = new Set();
+  const lines = (text || "").split("\n");
+
+  lines.forEach((raw, index) => {
+    if (!raw.trim()) return;
+    const line = index + 1;
+    let request;
+    try {
+      request = JSON.parse(raw);
+    } catch {
+      errors.push({ code: "invalid_json_line", message: "This line is not parseable as valid JSON.", line });
+      return;
+    }
+    if (typeof request?.custom_id !== "string" || !request.custom_id) {
+      errors.push({ code: "missing_required_parameter", message: "Missing required parameter: 'custom_id'.", line });
+    } else if (seen.has(request.custom_id)) {
+      errors.push({ code: "duplicate_custom_id", message: `The custom_id '${request.custom_id}' is used more than once.`, line });
+    } else if (request.method !== "POST") {
+      errors.push({ code: "invalid_method", message: "Only the POST method is supported.", line });
+    } else if (request.url !== endpoint) {
+      errors.push({ code: "mismatched_endpoint", message: `The url '${request.url}' does not match the batch endpoint '${endpoint}'.`, line });
+    } else if (!request.body || typeof request.body !== "object" || Array.isArray(request.body)) {
+      errors.push({ code: "missing_required_parameter", message: "Missing required parameter: 'body'.", line });
+    } else {
+      seen.add(request.custom_id);
+      requests.push({ custom_id: request.custom_id, method: request.method, url: request.url, body: request.body });
+    }
+  });
+
+  if (requests.length === 0 && errors.length === 0) {
+    errors.push({ code: "empty_file", message: "The input file contains no requests.", line: null });
+  }
+  if (requests.length > maxRequests) {
+    errors.push({ code: "too_many_requests", message: `A batch can contain at most ${maxRequests} requests.`, line: null });
+  }
+  return { requests, errors };
+}
+
+/**
+ * Anthropic `requests` array → OpenAI-style input lines against /v1/messages
+ * @param {Array<{ custom_id: string, params: object }>} requests
+ * @param {number} [maxRequests]
+ * @returns {{ lines: Array<object>, error: string|null }}
+ */
+export function anthropicRequestsToLines(requests, maxRequests = Infinity) {
+  if (!Array.isArray(requests) || requests.length === 0) {
+    return { lines: [], error: "requests: must be a non-empty array" };
+  }
+  if (requests.length > maxRequests) {
+    return { lines: [], error: `requests: at most ${maxRequests} requests are allowed` };
+  }
+
+  const seen = new Set();
+  const lines = [];
+  for (const [index, request] of requests.entries()) {
+    if (typeof request?.custom_id !== "string" || !CUSTOM_ID.test(request.custom_id)) {
+      return { lines: [], error: `requests.${index}.custom_id: must be 1-64 letters, digits, '_' or '-'` };
+    }
+    if (seen.has(request.custom_id)) {
+      return { lines: [], error: `requests.${index}.custom_id: '${request.custom_id}' is not unique` };
+    }
+    if (!request.params || typeof request.params !== "object" || !request.params.model) {
+      return { lines: [], error: `requests.${index}.params: must be a Messages API request with a model` };
+    }
+    seen.add(request.custom_id);
+    lines.push({ custom_id: request.custom_id, method: "POST", url: ANTHROPIC_BATCH_ENDPOINT, body: request.params });
+  }
+  return { lines, error: null };
+}
+
+/**
+ * Output line for a request that got a response
+ * @param {string} customId
+ * @param {number} statusCode
+ * @param {*} body - Parsed response body
+ * @returns {object}
+ */
+export function buildResultLine(customId, statusCode, body) {
+  return {
+    id: `batch_req_${randomHex()}`,
+    custom_id: customId,
+    response: { status_code: statusCode, request_id: randomHex(), body },
+    error: null
+  };
+}
+
+/**
+ * Error line for a request that never got a response (e.g. batch_expired)
+ * @param {string} customId
+ * @param {string} code
+ * @param {string} message
+ * @returns {object}
+ */
+export function buildErrorLine(customId, code, message) {
+  return { id: `batch_req_${randomHex()}`, custom_id: customId, response: null, error: { code, message } };
+}
+
+/**
+ * Run a worker over items with at most `limit` in flight; stops taking new items
+ * once shouldStop() is true
+ * @param {Array} items
+ * @param {number} limit
+ * @param {function} worker - async (item) => void
+ * @param {function} [shouldStop]
+ * @returns {Promise<number>} Number of items started
+ */
+export async function runWithConcurrency(items, limit, worker, shouldStop = () => false) {
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length && !shouldStop()) {
+      const item = items[next++];
+      await worker(item);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(Math.min(limit, items.length), 0) }, lane));
+  return next;
+}
+
+const toSeconds = (ms) => (ms ? Math.floor(ms / 1000) : null);
+const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+/**
+ * Batch record → OpenAI batch object
+ * @param {object} batch
+ */
+export function toOpenAIBatch(batch) {
+  const counts = batch.counts || {};
+  return {
+    id: batch.id,
+    object: "batch",
+    endpoint: batch.endpoint,
+    errors: batch.errors?.length ? { object: "list", data: batch.errors } : null,
+    input_file_id: batch.inputFileId,
+    completion_window: "24h",
+    status: batch.status,
+    output_file_id: batch.outputFileId || null,
+    error_file_id: batch.errorFileId || null,
+    created_at: toSeconds(batch.createdAt),
+    in_progress_at: toSeconds(batch.inProgressAt),
+    expires_at: toSeconds(batch.expiresAt),
+    finalizing_at: toSeconds(batch.finalizingAt),
+    completed_at: toSeconds(batch.completedAt),
+    failed_at: toSeconds(batch.failedAt),
+    expired_at: toSeconds(batch.expiredAt),
+    cancelling_at: toSeconds(batch.cancellingAt),
+    cancelled_at: toSeconds(batch.cancelledAt),
+    request_counts: {
+      total: counts.total || 0,
+      completed: counts.succeeded || 0,
+      failed: (counts.errored || 0) + (counts.expired || 0)
+    },
+    metadata: batch.metadata || null
+  };
+}
+
+/**
+ * Batch record → Anthropic message_batch object
+ * @param {object} batch
+ * @param {string} [resultsUrl] - Absolute URL of the results endpoint
+ */
+export function toAnthropicBatch(batch, resultsUrl = null) {
+  const counts = batch.counts || {};
+  const finished = (counts.succeeded || 0) + (counts.errored || 0) + (counts.expired || 0);
+  const remaining = Math.max((counts.total || 0) - finished, 0);
+  const ended = FINAL_BATCH_STATUSES.includes(batch.status);
+  const endedAt = batch.completedAt || batch.cancelledAt || batch.expiredAt || batch.failedAt;
+
+  let processingStatus = "in_progress";
+  if (ended) processingStatus = "ended";
+  else if (batch.status === BATCH_STATUS.CANCELLING) processingStatus = "canceling";
+
+  return {
+    id: batch.id,
+    type: "message_batch",
+    processing_status: processingStatus,
+    request_counts: {
+      processing: ended ? 0 : remaining,
+      succeeded: counts.succeeded || 0,
+      errored: counts.errored || 0,
+      canceled: ended && batch.status !== BATCH_STATUS.EXPIRED ? remaining : 0,
+      expired: counts.expired || 0
+    },
+    ended_at: ended ? toIso(endedAt) : null,
+    created_at: toIso(batch.createdAt),
+    expires_at: toIso(batch.expiresAt),
+    archived_at: null,
+    cancel_initiated_at: toIso(batch.cancellingAt),
+    results_url: ended ? resultsUrl : null
+  };
+}
+
+/**
+ * Output/error file line → Anthropic results line
+ * @param {object} line - Line built by buildResultLine / buildErrorLine
+ */
+export function toAnthropicResult(line) {
+  const customId = line.custom_id;
+  if (line.error?.code === BATCH_LINE_ERRORS.EXPIRED) {
+    return { custom_id: customId, result: { type: "expired" } };
+  }
+
+  const status = line.response?.status_code;
+  const body = line.response?.body;
+  if (status >= 200 && status < 300) {
+    return { custom_id: customId, result: { type: "succeeded", message: body } };
+  }
+
+  // Claude-format errors pass through; anything else is wrapped as an api_error
+  const error = body?.type === "error" && body.error
+    ? body
+    : { type: "error", error: { type: status && status < 500 ? "invalid_request_error" : "api_error", message: body?.error?.message || line.error?.message || `Request failed (${status})` } };
+  return { custom_id: customId, result: { type: "errored", error } };
+}
+
+/**
+ * Stored file record → OpenAI file object
+ * @param {object} file - { id, filename, purpose, bytes, createdAt }
+ */
+export function toOpenAIFile(file) {
+  return {
+    id: file.id,
+    object: "file",
+    bytes: file.bytes,
+    created_at: toSeconds(file.createdAt),
+    filename: file.filename,
+    purpose: file.purpose,
+    status: "processed",
+    status_details: null
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * Spending budgets (USD) over daily/monthly periods.
+ *
+ * Budget record:
+ * {
+ *   id, name,
+ *   scope: "global" | "apiKey" | "provider",
+ *   target: apiKeyId | providerId | null,   // null for global
+ *   period: "daily" | "monthly",            // calendar day/month in server local time
+ *   limit: 10,                              // USD
+ *   action: "block" | "skipPaid",           // hard block, or only allow free (unpriced) models
+ *   isActive: true
+ * }
+ *
+ * Spend is the sum of `cost` on usage history entries (priced by calculateCost when saved).
+ */
+
+import { HTTP_STATUS } from "../config/constants.js";
+import { buildFormattedErrorBody, ERROR_FORMATS } from "../utils/error.js";
+
+// Marks budget 429s so they are not taken for provider rate limits (request queue, combo retry time)
+export const BUDGET_EXCEEDED_HEADER = "X-Budget-Exceeded";
+
+export const BUDGET_SCOPES = {
+  GLOBAL: "global",
+  API_KEY: "apiKey",
+  PROVIDER: "provider"
+};
+
+export const BUDGET_PERIODS = {
+  DAILY: "daily",
+  MONTHLY: "monthly"
+};
+
+export const BUDGET_ACTIONS = {
+  BLOCK: "block",
+  SKIP_PAID: "skipPaid"
+};
+
+/**
+ * Current period window for a budget
+ * @param {string} period - One of BUDGET_PERIODS
+ * @param {number} [now]
+ * @returns {{ start: number, end: number }} Epoch ms, end exclusive
+ */
+export function getBudgetWindow(period, now = Date.now()) {
+  const date = new Date(now);
+  if (period === BUDGET_PERIODS.MONTHLY) {
+    const start = new Date(date.getFullYear(), date.getMonth(), 1);
+    const end = new Date(date.getFullYear(), date.getMonth() + 1, 1);
+    return { start: start.getTime(), end: end.getTime() };
+  }
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const end = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+  return { start: start.getTime(), end: end.getTime() };
+}
+
+/**
+ * Validate budget fields from the budgets API
+ * @param {object} data
+ * @param {{ partial?: boolean }} [options] - partial: only validate fields present (updates)
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateBudget(data, { partial = false } = {}) {
+  if (!data || typeof data !== "object") return "Invalid budget";
+  const has = (field) => data[field] !== undefined;
+
+  if ((!partial || has("scope")) && !Object.values(BUDGET_SCOPES).includes(data.scope)) {
+    return "Invalid scope";
+  }
+  if ((!partial || has("target")) && data.scope && data.scope !== BUDGET_SCOPES.GLOBAL) {
+    if (typeof data.target !== "string" || !data.target.trim()) {
+      return "Target is required for apiKey and provider budgets";
+    }
+  }
+  if ((!partial || has("period")) && !Object.values(BUDGET_PERIODS).includes(data.period)) {
+    return "Invalid period";
+  }
+  if ((!partial || has("limit")) && !(typeof data.limit === "number" && Number.isFinite(data.limit) && data.limit >= 0)) {
+    return "Limit must be a non-negative number";
+  }
+  if (has("action") && !Object.values(BUDGET_ACTIONS).includes(data.action)) {
+    return "Invalid action";
+  }
+  return null;
+}
+
+/**
+ * Current spend against each budget
+ * @param {Array<object>} budgets
+ * @param {Array<object>} history - Usage entries { timestamp, provider, apiKey, cost }
+ * @param {Array<object>} [apiKeys] - Key records, maps entry.apiKey → key id
+ * @param {number} [now]
+ * @returns {Array<object>} Budgets with { spent, remaining, exceeded, periodStart, resetsAt }
+ */
+export function computeBudgetStatuses(budgets, history, apiKeys = [], now = Date.now()) {
+  const keyIds = new Map(apiKeys.map(k => [k.key, k.id]));
+  const windows = new Map();
+
+  const statuses = budgets.map((budget) => {
+    if (!windows.has(budget.period)) windows.set(budget.period, getBudgetWindow(budget.period, now));
+    return { budget, window: windows.get(budget.period), spent: 0 };
+  });
+
+  // Single pass over history for all budgets
+  for (const entry of history) {
+    if (!entry.cost) continue;
+    const time = new Date(entry.timestamp).getTime();
+    for (const status of statuses) {
+      const { budget, window } = status;
+      if (time < window.start || time >= window.end) continue;
+      if (budget.scope === BUDGET_SCOPES.PROVIDER && entry.provider !== budget.target) continue;
+      if (budget.scope === BUDGET_SCOPES.API_KEY && keyIds.get(entry.apiKey) !== budget.target) continue;
+      status.spent += entry.cost;
+    }
+  }
+
+  return statuses.map(({ budget, window, spent }) => ({
+    ...budget,
+    spent,
+    remaining: Math.max(budget.limit - spent, 0),
+    exceeded: budget.isActive !== false && spent >= budget.limit,
+    periodStart: new Date(window.start).toISOString(),
+    resetsAt: new Date(window.end).toISOString()
+  }));
+}
+
+/**
+ * Find an exceeded budget that applies to a request
+ * @param {Array<object>} statuses - From computeBudgetStatuses
+ * @param {object} request
+ * @param {string|null} [request.apiKeyId]
+ * @param {string|null} [request.provider] - Omit before the model is resolved
+ * @param {boolean} [request.paid] - Whether the resolved model has pricing
+ * @returns {object|null} The blocking budget status
+ */
+export function findExceededBudget(statuses, { apiKeyId = null, provider = null, paid = false } = {}) {
+  return statuses.find((status) => {
+    if (!status.exceeded) return false;
+    if (status.scope === BUDGET_SCOPES.API_KEY && status.target !== apiKeyId) return false;
+    if (status.scope === BUDGET_SCOPES.PROVIDER && status.target !== provider) return false;
+    // skipPaid only restricts once the model is known to be priced
+    return status.action === BUDGET_ACTIONS.SKIP_PAID ? paid : true;
+  }) || null;
+}
+
+/**
+ * 429 response for an exceeded budget, Retry-After until the period resets
+ * @param {object} status - Exceeded budget status
+ * @param {string} [format] - One of ERROR_FORMATS
+ * @returns {Response}
+ */
+export function budgetExceededResponse(status, format = ERROR_FORMATS.OPENAI) {
+  const label = status.name || `${status.scope}${status.target ? ` ${status.target}` : ""}`;
+  const detail = status.action === BUDGET_ACTIONS.SKIP_PAID ? " (only free models allowed)" : "";
+  const message = `Budget "${label}" exceeded: $${status.spent.toFixed(2)} of $${status.limit.toFixed(2)} ${status.period}${detail}`;
+  const retryAfterSec = Math.max(Math.ceil((new Date(status.resetsAt).getTime() - Date.now()) / 1000), 1);
+
+  return new Response(JSON.stringify(buildFormattedErrorBody(HTTP_STATUS.RATE_LIMITED, message, format)), {
+    status: HTTP_STATUS.RATE_LIMITED,
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Retry-After": String(retryAfterSec),
+      [BUDGET_EXCEEDED_HEADER]: status.scope
+    }
+  });
+}
+
+/** Whether a response is a budgetExceededResponse() rejection */
+export function isBudgetRejection(response) {
+  return !!response?.headers?.has(BUDGET_EXCEEDED_HEADER);
+}
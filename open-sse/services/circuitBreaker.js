@@ -0,0 +1,341 @@
+/**
+ * Circuit breaker per connection+model pair.
+ *
+ * closed    → requests flow, outcomes tracked in a sliding window
+ * open      → requests skip this connection until the cooldown elapses
+ * half-open → a background probe (if registered) decides whether to close or re-open;
+ *             without a prober a single trial request is let through instead
+ *
+ * Auth/quota/rate-limit errors (401/402/403/404/429) trip immediately with the
+ * cooldown from checkFallbackError; transient errors trip on window error rate.
+ * State is in-memory (global singleton); open/closed transitions are handed to a
+ * registered persister and restored with restoreCircuitBreaker after a restart.
+ */
+
+import { CIRCUIT_BREAKER_CONFIG, HTTP_STATUS } from "../config/constants.js";
+import { checkFallbackError } from "./accountFallback.js";
+
+export const CIRCUIT_STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half-open"
+};
+
+/** Model key used for account-level breakers (error not tied to a model) */
+export const CIRCUIT_ALL_MODELS = "__all";
+
+const IMMEDIATE_TRIP_STATUSES = [
+  HTTP_STATUS.UNAUTHORIZED,
+  HTTP_STATUS.PAYMENT_REQUIRED,
+  HTTP_STATUS.FORBIDDEN,
+  HTTP_STATUS.NOT_FOUND,
+  HTTP_STATUS.RATE_LIMITED
+];
+
+// Shared across route modules (Next.js bundles each route separately)
+if (!globalThis._circuitBreakers) {
+  globalThis._circuitBreakers = { breakers: new Map(), prober: null, persister: null };
+}
+const registry = globalThis._circuitBreakers;
+
+/** Build the registry key for a connection+model pair */
+export function getCircuitKey(connectionId, model) {
+  return `${connectionId}::${model || CIRCUIT_ALL_MODELS}`;
+}
+
+/**
+ * Register the background health probe used in half-open state.
+ * @param {Function|null} prober - async (connectionId, model) => { ok: boolean, unsupported?: boolean, error?: string }
+ */
+export function setCircuitProber(prober) {
+  registry.prober = prober;
+}
+
+/**
+ * Register where breaker cooldowns are saved so they survive a restart.
+ * @param {Function|null} persister - (connectionId, model, openUntil) => void; openUntil is an ISO
+ *   timestamp when the breaker opens, null when it closes
+ */
+export function setCircuitPersister(persister) {
+  registry.persister = persister;
+}
+
+function persistBreaker(breaker, openUntil) {
+  if (!registry.persister) return;
+  Promise.resolve()
+    .then(() => registry.persister(breaker.connectionId, breaker.model, openUntil ? new Date(openUntil).toISOString() : null))
+    .catch(() => {});
+}
+
+function getBreaker(connectionId, model, create = false) {
+  const key = getCircuitKey(connectionId, model);
+  let breaker = registry.breakers.get(key);
+  if (!breaker && create) {
+    breaker = {
+      connectionId,
+      model: model || CIRCUIT_ALL_MODELS,
+      state: CIRCUIT_STATES.CLOSED,
+      samples: [],
+      backoffLevel: 0,
+      openedAt: null,
+      openUntil: null,
+      openMs: 0,
+      trialUntil: null,
+      probing: false,
+      lastProbeAt: null,
+      lastProbeError: null,
+      lastError: null,
+      lastStatus: null,
+      timer: null
+    };
+    registry.breakers.set(key, breaker);
+  }
+  return breaker || null;
+}
+
+function pruneSamples(breaker, now) {
+  const cutoff = now - CIRCUIT_BREAKER_CONFIG.windowMs;
+  while (breaker.samples.length > 0 && breaker.samples[0].t < cutoff) breaker.samples.shift();
+}
+
+function getWindowStats(breaker, now = Date.now()) {
+  pruneSamples(breaker, now);
+  const requests = breaker.samples.length;
+  const failures = breaker.samples.filter(s => !s.ok).length;
+  return { requests, failures, errorRate: requests > 0 ? failures / requests : 0 };
+}
+
+function clearTimer(breaker) {
+  if (breaker.timer) clearTimeout(breaker.timer);
+  breaker.timer = null;
+}
+
+function openBreaker(breaker, cooldownMs) {
+  const now = Date.now();
+  clearTimer(breaker);
+  breaker.state = CIRCUIT_STATES.OPEN;
+  breaker.openedAt = now;
+  breaker.openMs = Math.min(Math.max(cooldownMs, 0), CIRCUIT_BREAKER_CONFIG.maxOpenMs);
+  breaker.openUntil = now + breaker.openMs;
+  breaker.trialUntil = null;
+  breaker.probing = false;
+
+  breaker.timer = setTimeout(() => enterHalfOpen(breaker), breaker.openMs);
+  breaker.timer.unref?.();
+  persistBreaker(breaker, breaker.openUntil);
+}
+
+function closeBreaker(breaker) {
+  if (breaker.state !== CIRCUIT_STATES.CLOSED) persistBreaker(breaker, null);
+  clearTimer(breaker);
+  breaker.state = CIRCUIT_STATES.CLOSED;
+  breaker.samples = [];
+  breaker.backoffLevel = 0;
+  breaker.openedAt = null;
+  breaker.openUntil = null;
+  breaker.openMs = 0;
+  breaker.trialUntil = null;
+  breaker.probing = false;
+}
+
+/** Re-open after a failed probe or trial, doubling the previous cooldown */
+function reopenBreaker(breaker) {
+  openBreaker(breaker, Math.max(breaker.openMs * 2, 1000));
+}
+
+function enterHalfOpen(breaker) {
+  if (breaker.state !== CIRCUIT_STATES.OPEN) return;
+  clearTimer(breaker);
+  breaker.state = CIRCUIT_STATES.HALF_OPEN;
+  breaker.openUntil = null;
+  breaker.trialUntil = null;
+
+  if (!registry.prober) return;
+
+  breaker.probing = true;
+  breaker.lastProbeAt = Date.now();
+  Promise.resolve()
+    .then(() => registry.prober(breaker.connectionId, breaker.model === CIRCUIT_ALL_MODELS ? null : breaker.model))
+    .then((result) => {
+      if (breaker.state !== CIRCUIT_STATES.HALF_OPEN || !breaker.probing) return;
+      breaker.probing = false;
+      breaker.lastProbeError = result?.ok ? null : (result?.error || "Probe failed");
+      if (result?.ok) closeBreaker(breaker);
+      else if (!result?.unsupported) reopenBreaker(breaker);
+      // unsupported → stay half-open and let one trial request decide
+    })
+    .catch((error) => {
+      if (breaker.state !== CIRCUIT_STATES.HALF_OPEN || !breaker.probing) return;
+      breaker.probing = false;
+      breaker.lastProbeError = error?.message || String(error);
+      reopenBreaker(breaker);
+    });
+}
+
+/** Whether a single breaker lets a request through right now */
+function allowsRequest(breaker, now) {
+  if (!breaker || breaker.state === CIRCUIT_STATES.CLOSED) return true;
+  if (breaker.state === CIRCUIT_STATES.OPEN) {
+    if (now < breaker.openUntil) return false;
+    // Timer may not have fired yet (e.g. suspended event loop)
+    enterHalfOpen(breaker);
+    if (breaker.state !== CIRCUIT_STATES.HALF_OPEN) return false;
+  }
+  if (breaker.probing) return false;
+  return !breaker.trialUntil || breaker.trialUntil <= now;
+}
+
+/**
+ * Check if a connection may serve a model (model breaker and account-level breaker)
+ * @param {string} connectionId
+ * @param {string|null} model
+ * @returns {boolean}
+ */
+export function isCircuitAvailable(connectionId, model = null) {
+  const now = Date.now();
+  if (!allowsRequest(getBreaker(connectionId, null), now)) return false;
+  if (model && !allowsRequest(getBreaker(connectionId, model), now)) return false;
+  return true;
+}
+
+/**
+ * Claim the half-open trial slot for the selected connection so concurrent
+ * requests do not all hit a connection that may still be down.
+ */
+export function acquireCircuitTrial(connectionId, model = null) {
+  const trialUntil = Date.now() + CIRCUIT_BREAKER_CONFIG.trialTimeoutMs;
+  for (const breaker of [getBreaker(connectionId, null), model ? getBreaker(connectionId, model) : null]) {
+    if (breaker?.state === CIRCUIT_STATES.HALF_OPEN) breaker.trialUntil = trialUntil;
+  }
+}
+
+/**
+ * Earliest time the connection may be tried again for a model
+ * @returns {string|null} ISO timestamp, or null when available now
+ */
+export function getCircuitRetryAt(connectionId, model = null) {
+  const now = Date.now();
+  let retryAt = null;
+  for (const breaker of [getBreaker(connectionId, null), model ? getBreaker(connectionId, model) : null]) {
+    if (!breaker || allowsRequest(breaker, now)) continue;
+    const until = breaker.state === CIRCUIT_STATES.OPEN
+      ? breaker.openUntil
+      : (breaker.probing ? now + 1000 : breaker.trialUntil);
+    if (until && (!retryAt || until > retryAt)) retryAt = until;
+  }
+  return retryAt ? new Date(retryAt).toISOString() : null;
+}
+
+/**
+ * Record a successful request. Closes the model breaker and the account-level breaker.
+ */
+export function recordCircuitSuccess(connectionId, model = null) {
+  const breaker = getBreaker(connectionId, model, true);
+  if (breaker.state !== CIRCUIT_STATES.CLOSED) closeBreaker(breaker);
+  breaker.samples.push({ t: Date.now(), ok: true });
+
+  const accountBreaker = model ? getBreaker(connectionId, null) : null;
+  if (accountBreaker && accountBreaker.state !== CIRCUIT_STATES.CLOSED) closeBreaker(accountBreaker);
+}
+
+/**
+ * Record a failed request and trip the breaker when thresholds are reached
+ * @param {string} connectionId
+ * @param {string|null} model
+ * @param {{ status: number, errorText: string }} error
+ * @returns {{ state: string, tripped: boolean, cooldownMs: number }}
+ */
+export function recordCircuitFailure(connectionId, model, { status, errorText } = {}) {
+  const now = Date.now();
+  const breaker = getBreaker(connectionId, model, true);
+  breaker.samples.push({ t: now, ok: false });
+  breaker.lastStatus = status || null;
+  breaker.lastError = typeof errorText === "string" ? errorText.slice(0, 200) : null;
+
+  if (breaker.state === CIRCUIT_STATES.OPEN) {
+    return { state: breaker.state, tripped: false, cooldownMs: Math.max(breaker.openUntil - now, 0) };
+  }
+
+  if (breaker.state === CIRCUIT_STATES.HALF_OPEN) {
+    reopenBreaker(breaker);
+    return { state: breaker.state, tripped: true, cooldownMs: breaker.openMs };
+  }
+
+  const { cooldownMs, newBackoffLevel } = checkFallbackError(status, errorText, breaker.backoffLevel);
+  const immediate = IMMEDIATE_TRIP_STATUSES.includes(status) || newBackoffLevel !== undefined;
+  const { requests, errorRate } = getWindowStats(breaker, now);
+  const overThreshold = requests >= CIRCUIT_BREAKER_CONFIG.minRequests && errorRate >= CIRCUIT_BREAKER_CONFIG.errorRateThreshold;
+
+  if (!immediate && !overThreshold) {
+    return { state: breaker.state, tripped: false, cooldownMs: 0 };
+  }
+
+  breaker.backoffLevel = newBackoffLevel ?? breaker.backoffLevel;
+  openBreaker(breaker, cooldownMs);
+  return { state: breaker.state, tripped: true, cooldownMs: breaker.openMs };
+}
+
+/**
+ * Re-open a breaker saved by the persister before a restart. Ignored once the saved
+ * cooldown has passed or when the breaker is already tracked in memory.
+ * @param {string} connectionId
+ * @param {string|null} model - CIRCUIT_ALL_MODELS or null for the account-level breaker
+ * @param {string} openUntil - ISO timestamp
+ * @returns {boolean} Whether a breaker was restored
+ */
+export function restoreCircuitBreaker(connectionId, model, openUntil) {
+  const cooldownMs = new Date(openUntil).getTime() - Date.now();
+  if (!(cooldownMs > 0) || getBreaker(connectionId, model)) return false;
+  openBreaker(getBreaker(connectionId, model, true), cooldownMs);
+  return true;
+}
+
+/**
+ * Snapshot of breaker state for API/UI
+ * @param {{ connectionId?: string }} [filter]
+ * @returns {Array<object>}
+ */
+export function getCircuitBreakers({ connectionId } = {}) {
+  const now = Date.now();
+  const list = [];
+  for (const breaker of registry.breakers.values()) {
+    if (connectionId && breaker.connectionId !== connectionId) continue;
+    // Lazily advance expired open breakers so the snapshot is accurate
+    if (breaker.state === CIRCUIT_STATES.OPEN && now >= breaker.openUntil) enterHalfOpen(breaker);
+    const { requests, failures, errorRate } = getWindowStats(breaker, now);
+    list.push({
+      connectionId: breaker.connectionId,
+      model: breaker.model,
+      state: breaker.state,
+      requests,
+      failures,
+      errorRate,
+      openUntil: breaker.openUntil ? new Date(breaker.openUntil).toISOString() : null,
+      probing: breaker.probing,
+      lastProbeAt: breaker.lastProbeAt ? new Date(breaker.lastProbeAt).toISOString() : null,
+      lastProbeError: breaker.lastProbeError,
+      lastError: breaker.lastError,
+      lastStatus: breaker.lastStatus
+    });
+  }
+  return list.sort((a, b) => a.connectionId.localeCompare(b.connectionId) || a.model.localeCompare(b.model));
+}
+
+/**
+ * Force breakers back to closed
+ * @param {string} connectionId
+ * @param {string} [model] - Only this model (omit to reset every breaker of the connection)
+ * @returns {number} Number of breakers reset
+ */
+export function resetCircuitBreaker(connectionId, model) {
+  let count = 0;
+  for (const breaker of registry.breakers.values()) {
+    if (breaker.connectionId !== connectionId) continue;
+    if (model && breaker.model !== model) continue;
+    closeBreaker(breaker);
+    breaker.lastError = null;
+    breaker.lastStatus = null;
+    count++;
+  }
+  return count;
+}
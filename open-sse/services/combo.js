@@ -4,6 +4,27 @@
 
 import { checkFallbackError, formatRetryAfter } from "./accountFallback.js";
 import { unavailableResponse } from "../utils/error.js";
+import { primeStream } from "../utils/streamHandler.js";
+import { isBudgetRejection } from "./budget.js";
+
+/** Combo routing strategies (how the model list is ordered per request) */
+export const COMBO_STRATEGIES = {
+  PRIORITY: "priority",   // strict order as configured
+  WEIGHTED: "weighted",   // weighted random order using per-model weights
+  LATENCY: "latency",     // lowest observed p50 latency first
+  COST: "cost"            // cheapest (input + output price) first
+};
+
+const DEFAULT_WEIGHT = 1;
+const LATENCY_WINDOW = 50;
+// Sample recorded for a failed attempt so failing models sort after working ones
+const FAILURE_LATENCY_MS = 60 * 1000;
+
+// Rolling latency samples per model string, shared across route modules / requests
+if (!globalThis._comboLatencySamples) {
+  globalThis._comboLatencySamples = new Map();
+}
+const latencySamples = globalThis._comboLatencySamples;
 
 /**
  * Get combo models from combos data
@@ -12,6 +33,17 @@ import { unavailableResponse } from "../utils/error.js";
  * @returns {string[]|null} Array of models or null if not a combo
  */
 export function getComboModelsFromData(modelStr, combosData) {
+  const combo = getComboFromData(modelStr, combosData);
+  return combo ? combo.models : null;
+}
+
+/**
+ * Get full combo object (models + strategy + weights) from combos data
+ * @param {string} modelStr - Model string to check
+ * @param {Array|Object} combosData - Array of combos or object with combos
+ * @returns {Object|null} Combo or null if not a combo (or combo has no models)
+ */
+export function getComboFromData(modelStr, combosData) {
   // Don't check if it's in provider/model format
   if (modelStr.includes("/")) return null;
   
@@ -20,76 +52,342 @@ export function getComboModelsFromData(modelStr, combosData) {
   
   const combo = combos.find(c => c.name === modelStr);
   if (combo && combo.models && combo.models.length > 0) {
-    return combo.models;
+    return combo;
   }
   return null;
 }
 
+/**
+ * Record an observed latency sample for a combo model
+ * @param {string} modelStr - Model string as listed in the combo
+ * @param {number} ms - Latency in milliseconds
+ */
+export function recordComboLatency(modelStr, ms) {
+  if (!modelStr || !Number.isFinite(ms) || ms < 0) return;
+  const samples = latencySamples.get(modelStr) || [];
+  samples.push(ms);
+  if (samples.length > LATENCY_WINDOW) samples.shift();
+  latencySamples.set(modelStr, samples);
+}
+
+/**
+ * Get p50 latency over the rolling window
+ * @param {string} modelStr
+ * @returns {number|null} Median latency in ms, or null if never observed
+ */
+export function getComboLatencyP50(modelStr) {
+  const samples = latencySamples.get(modelStr);
+  if (!samples || samples.length === 0) return null;
+  const sorted = [...samples].sort((a, b) => a - b);
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+/**
+ * Validate combo weights map: plain object of model → non-negative number
+ * @param {*} weights
+ * @returns {boolean}
+ */
+export function isValidComboWeights(weights) {
+  if (!weights || typeof weights !== "object" || Array.isArray(weights)) return false;
+  return Object.values(weights).every(w => typeof w === "number" && Number.isFinite(w) && w >= 0);
+}
+
+/**
+ * Validate race count: 0/1 = sequential, N >= 2 = race first N models
+ */
+export function isValidRaceCount(raceCount) {
+  return Number.isInteger(raceCount) && raceCount >= 0;
+}
+
+/**
+ * Resolve model weight (missing or invalid → default 1)
+ */
+function getModelWeight(weights, modelStr) {
+  const weight = Number(weights?.[modelStr]);
+  return Number.isFinite(weight) && weight >= 0 ? weight : DEFAULT_WEIGHT;
+}
+
+/**
+ * Weighted random order without replacement; zero-weight models go last in configured order
+ */
+function orderByWeight(models, weights) {
+  const pool = models.filter(m => getModelWeight(weights, m) > 0);
+  const zeroWeight = models.filter(m => getModelWeight(weights, m) === 0);
+  const ordered = [];
+
+  while (pool.length > 0) {
+    const total = pool.reduce((sum, m) => sum + getModelWeight(weights, m), 0);
+    let pick = Math.random() * total;
+    let index = 0;
+    for (; index < pool.length - 1; index++) {
+      pick -= getModelWeight(weights, pool[index]);
+      if (pick < 0) break;
+    }
+    ordered.push(pool.splice(index, 1)[0]);
+  }
+
+  return [...ordered, ...zeroWeight];
+}
+
+/**
+ * Order combo models according to strategy. Ordering is stable: ties keep configured priority.
+ * @param {Object} options
+ * @param {string[]} options.models - Models in configured priority order
+ * @param {string} [options.strategy] - One of COMBO_STRATEGIES
+ * @param {Object} [options.weights] - { [modelStr]: number } for weighted strategy
+ * @param {Function} [options.getModelCost] - async (modelStr) => number|null, price per 1M tokens
+ * @returns {Promise<string[]>}
+ */
+export async function orderComboModels({ models, strategy, weights, getModelCost }) {
+  switch (strategy) {
+    case COMBO_STRATEGIES.WEIGHTED:
+      return orderByWeight(models, weights);
+
+    case COMBO_STRATEGIES.LATENCY: {
+      // Never-observed models sort first so every model gets measured; failures count as
+      // FAILURE_LATENCY_MS samples, so a model that keeps failing does not stay first
+      const ranked = models.map(m => ({ m, p50: getComboLatencyP50(m) ?? 0 }));
+      return ranked.sort((a, b) => a.p50 - b.p50).map(r => r.m);
+    }
+
+    case COMBO_STRATEGIES.COST: {
+      if (!getModelCost) return [...models];
+      const ranked = await Promise.all(models.map(async (m) => {
+        let cost = null;
+        try { cost = await getModelCost(m); } catch { /* unknown cost */ }
+        // Unpriced models sort last
+        return { m, cost: Number.isFinite(cost) ? cost : Infinity };
+      }));
+      return ranked.sort((a, b) => a.cost - b.cost).map(r => r.m);
+    }
+
+    default:
+      return [...models];
+  }
+}
+
+/**
+ * Wait until a streaming response produces its first token (or finishes).
+ * Buffered chunks are replayed in the returned response so nothing is lost.
+ * Non-SSE responses are already complete and returned as-is.
+ * @param {Response} response
+ * @returns {Promise<{ response: Response, cancel: Function }>}
+ */
+export async function waitForFirstToken(response) {
+  const contentType = response.headers.get("content-type") || "";
+  if (!response.body || !contentType.includes("text/event-stream")) {
+    return { response, cancel: () => {} };
+  }
+
+  const primed = await primeStream(response.body);
+  return {
+    response: new Response(primed.stream, { status: response.status, statusText: response.statusText, headers: response.headers }),
+    cancel: primed.cancel
+  };
+}
+
+/**
+ * Extract error info from a failed combo model response
+ * @returns {Promise<{ errorText: string, retryAfter: string|null }>}
+ */
+async function extractComboError(result) {
+  let errorText = result.statusText || "";
+  let retryAfter = null;
+  try {
+    const errorBody = await result.clone().json();
+    errorText = errorBody?.error?.message || errorBody?.error || errorBody?.message || errorText;
+    retryAfter = errorBody?.retryAfter || null;
+  } catch {
+    // Ignore JSON parse errors
+  }
+
+  // Account-level unavailability only carries the retry time in the header
+  const retryAfterSec = Number(result.headers?.get("retry-after"));
+  if (!retryAfter && retryAfterSec > 0) {
+    retryAfter = new Date(Date.now() + retryAfterSec * 1000).toISOString();
+  }
+
+  // Normalize error text to string (Worker-safe)
+  if (typeof errorText !== "string") {
+    try { errorText = JSON.stringify(errorText); } catch { errorText = String(errorText); }
+  }
+
+  return { errorText, retryAfter };
+}
+
+/**
+ * Fire models concurrently; first one to produce a first token wins, the rest are aborted.
+ * Each attempt gets a `won` promise that resolves once the race is decided, so it can hold
+ * back recording a success until it is known to be the winner.
+ * @returns {Promise<{ winner: { modelStr: string, response: Response }|null, failures: Array<{ modelStr: string, result?: Response, error?: Error }> }>}
+ */
+async function raceComboModels({ body, models, handleSingleModel, log }) {
+  const attempts = models.map((modelStr) => {
+    let decide;
+    const won = new Promise((resolve) => { decide = resolve; });
+    return { modelStr, controller: new AbortController(), settled: false, won, decide };
+  });
+  const failures = [];
+
+  return new Promise((resolve) => {
+    let winner = null;
+    let remaining = attempts.length;
+
+    const finishIfDone = () => {
+      if (!winner && remaining === 0) {
+        for (const attempt of attempts) attempt.decide(false);
+        // Keep configured order so error reporting matches sequential mode
+        failures.sort((a, b) => models.indexOf(a.modelStr) - models.indexOf(b.modelStr));
+        resolve({ winner: null, failures });
+      }
+    };
+
+    for (const attempt of attempts) {
+      const startedAt = Date.now();
+      log.info("COMBO", `Racing model: ${attempt.modelStr}`);
+
+      Promise.resolve()
+        .then(() => handleSingleModel(body, attempt.modelStr, { signal: attempt.controller.signal, won: attempt.won }))
+        .then(async (result) => {
+          if (!result.ok) return { result };
+          return { primed: await waitForFirstToken(result) };
+        })
+        .then(({ result, primed }) => {
+          attempt.settled = true;
+          remaining--;
+
+          if (result) {
+            if (!winner) failures.push({ modelStr: attempt.modelStr, result });
+            return finishIfDone();
+          }
+
+          if (winner) {
+            // Lost the race after getting headers - drop its stream
+            attempt.controller.abort("race_lost");
+            primed.cancel("race_lost");
+            return;
+          }
+
+          winner = { modelStr: attempt.modelStr, response: primed.response };
+          recordComboLatency(attempt.modelStr, Date.now() - startedAt);
+          log.info("COMBO", `Model ${attempt.modelStr} won the race`);
+
+          attempt.decide(true);
+          for (const other of attempts) {
+            if (other === attempt) continue;
+            other.decide(false);
+            if (!other.settled) other.controller.abort("race_lost");
+          }
+          resolve({ winner, failures });
+        })
+        .catch((error) => {
+          attempt.settled = true;
+          remaining--;
+          if (!winner) failures.push({ modelStr: attempt.modelStr, error });
+          finishIfDone();
+        });
+    }
+  });
+}
+
 /**
  * Handle combo chat with fallback
  * @param {Object} options
  * @param {Object} options.body - Request body
  * @param {string[]} options.models - Array of model strings to try
- * @param {Function} options.handleSingleModel - Function to handle single model: (body, modelStr) => Promise<Response>
+ * @param {Function} options.handleSingleModel - Function to handle single model: (body, modelStr, { signal, won }) => Promise<Response>
  * @param {Object} options.log - Logger object
+ * @param {string} [options.strategy] - Combo strategy (see COMBO_STRATEGIES), defaults to priority
+ * @param {Object} [options.weights] - Per-model weights for weighted strategy
+ * @param {Function} [options.getModelCost] - async (modelStr) => price, used by cost strategy
+ * @param {number} [options.raceCount] - Race the first N models concurrently (N >= 2), rest stay sequential fallback
  * @returns {Promise<Response>}
  */
-export async function handleComboChat({ body, models, handleSingleModel, log }) {
+export async function handleComboChat({ body, models: configuredModels, handleSingleModel, log, strategy, weights, getModelCost, raceCount }) {
   let lastError = null;
   let earliestRetryAfter = null;
   let lastStatus = null;
 
-  for (let i = 0; i < models.length; i++) {
+  const models = await orderComboModels({ models: configuredModels, strategy, weights, getModelCost });
+  if (strategy && strategy !== COMBO_STRATEGIES.PRIORITY) {
+    log.debug?.("COMBO", `Strategy ${strategy} → ${models.join(", ")}`);
+  }
+
+  /**
+   * Record a failed attempt. Returns the response to send if the error must not fall back.
+   */
+  const handleFailure = async (modelStr, result) => {
+    const { errorText, retryAfter } = await extractComboError(result);
+
+    // Track earliest retryAfter across all combo models (a budget reset is not a rate limit)
+    if (retryAfter && !isBudgetRejection(result) && (!earliestRetryAfter || new Date(retryAfter) < new Date(earliestRetryAfter))) {
+      earliestRetryAfter = retryAfter;
+    }
+
+    // Check if should fallback to next model
+    const { shouldFallback } = checkFallbackError(result.status, errorText);
+
+    if (!shouldFallback) {
+      log.warn("COMBO", `Model ${modelStr} failed (no fallback)`, { status: result.status });
+      return result;
+    }
+
+    // Fallback to next model
+    recordComboLatency(modelStr, FAILURE_LATENCY_MS);
+    lastError = errorText || String(result.status);
+    if (!lastStatus) lastStatus = result.status;
+    log.warn("COMBO", `Model ${modelStr} failed, trying next`, { status: result.status });
+    return null;
+  };
+
+  const handleException = (modelStr, error) => {
+    // Catch unexpected exceptions to ensure fallback continues
+    recordComboLatency(modelStr, FAILURE_LATENCY_MS);
+    lastError = error.message || String(error);
+    if (!lastStatus) lastStatus = 500;
+    log.warn("COMBO", `Model ${modelStr} threw error, trying next`, { error: lastError });
+  };
+
+  let startIndex = 0;
+  const raceSize = Math.min(Math.floor(Number(raceCount) || 0), models.length);
+
+  if (raceSize >= 2) {
+    const raced = models.slice(0, raceSize);
+    log.info("COMBO", `Racing ${raceSize} models: ${raced.join(", ")}`);
+    const { winner, failures } = await raceComboModels({ body, models: raced, handleSingleModel, log });
+    if (winner) return winner.response;
+
+    for (const failure of failures) {
+      if (failure.error) {
+        handleException(failure.modelStr, failure.error);
+        continue;
+      }
+      const stopResponse = await handleFailure(failure.modelStr, failure.result);
+      if (stopResponse) return stopResponse;
+    }
+    startIndex = raceSize;
+  }
+
+  for (let i = startIndex; i < models.length; i++) {
     const modelStr = models[i];
     log.info("COMBO", `Trying model ${i + 1}/${models.length}: ${modelStr}`);
 
     try {
+      const startedAt = Date.now();
       const result = await handleSingleModel(body, modelStr);
       
-      // Success (2xx) - return response
+      // Success (2xx) - return response, timed at its first token
       if (result.ok) {
+        const primed = await waitForFirstToken(result);
+        recordComboLatency(modelStr, Date.now() - startedAt);
         log.info("COMBO", `Model ${modelStr} succeeded`);
-        return result;
-      }
-
-      // Extract error info from response
-      let errorText = result.statusText || "";
-      let retryAfter = null;
-      try {
-        const errorBody = await result.clone().json();
-        errorText = errorBody?.error?.message || errorBody?.error || errorBody?.message || errorText;
-        retryAfter = errorBody?.retryAfter || null;
-      } catch {
-        // Ignore JSON parse errors
-      }
-
-      // Track earliest retryAfter across all combo models
-      if (retryAfter && (!earliestRetryAfter || new Date(retryAfter) < new Date(earliestRetryAfter))) {
-        earliestRetryAfter = retryAfter;
-      }
-
-      // Normalize error text to string (Worker-safe)
-      if (typeof errorText !== "string") {
-        try { errorText = JSON.stringify(errorText); } catch { errorText = String(errorText); }
-      }
-
-      // Check if should fallback to next model
-      const { shouldFallback } = checkFallbackError(result.status, errorText);
-      
-      if (!shouldFallback) {
-        log.warn("COMBO", `Model ${modelStr} failed (no fallback)`, { status: result.status });
-        return result;
+        return primed.response;
       }
 
-      // Fallback to next model
-      lastError = errorText || String(result.status);
-      if (!lastStatus) lastStatus = result.status;
-      log.warn("COMBO", `Model ${modelStr} failed, trying next`, { status: result.status });
+      const stopResponse = await handleFailure(modelStr, result);
+      if (stopResponse) return stopResponse;
     } catch (error) {
-      // Catch unexpected exceptions to ensure fallback continues
-      lastError = error.message || String(error);
-      if (!lastStatus) lastStatus = 500;
-      log.warn("COMBO", `Model ${modelStr} threw error, trying next`, { error: lastError });
+      handleException(modelStr, error);
     }
   }
 
@@ -0,0 +1,208 @@
+/**
+ * Rule-based conditional routing inside combos.
+ * A combo may define `rules`: the first rule whose conditions all match the request
+ * replaces the combo's default model list. Unset conditions are ignored.
+ *
+ * Rule shape:
+ * {
+ *   name: "long-context",
+ *   enabled: true,
+ *   match: {
+ *     minPromptTokens: 100000, maxPromptTokens: null,
+ *     hasTools: true, hasImages: false,
+ *     reasoningEffort: ["high"],
+ *     sourceFormat: ["claude", "openai", "openai-responses"],
+ *     userAgent: "claude-cli"            // case-insensitive substring, or "/regex/"
+ *   },
+ *   models: ["gemini/gemini-2.5-pro"]
+ * }
+ */
+
+import { detectFormat } from "./provider.js";
+
+// Rough estimate: ~4 chars per token
+const CHARS_PER_TOKEN = 4;
+
+const MATCH_KEYS = ["minPromptTokens", "maxPromptTokens", "hasTools", "hasImages", "reasoningEffort", "sourceFormat", "userAgent"];
+
+/**
+ * Estimate prompt tokens from everything that is sent as prompt (messages, system, tools)
+ * @param {object} body - Request body in any supported format
+ * @returns {number}
+ */
+export function estimatePromptTokens(body) {
+  if (!body || typeof body !== "object") return 0;
+  let chars = 0;
+  const add = (value) => {
+    if (value === undefined || value === null) return;
+    chars += typeof value === "string" ? value.length : JSON.stringify(value).length;
+  };
+
+  add(body.messages);
+  add(body.input);
+  add(body.system);
+  add(body.instructions);
+  add(body.contents);
+  add(body.systemInstruction);
+  add(body.request?.contents);
+  add(body.request?.systemInstruction);
+  add(body.tools);
+
+  return Math.ceil(chars / CHARS_PER_TOKEN);
+}
+
+/**
+ * Check if a content part is an image (OpenAI, Claude, Responses, Gemini shapes)
+ */
+function isImagePart(part) {
+  if (!part || typeof part !== "object") return false;
+  if (part.type === "image_url" || part.type === "image" || part.type === "input_image") return true;
+  const inline = part.inlineData || part.inline_data;
+  return !!inline?.mimeType?.startsWith?.("image/") || !!inline?.mime_type?.startsWith?.("image/");
+}
+
+/**
+ * Detect image content anywhere in the conversation
+ */
+function hasImageContent(body) {
+  const lists = [body.messages, Array.isArray(body.input) ? body.input : null, body.contents, body.request?.contents];
+  for (const list of lists) {
+    if (!Array.isArray(list)) continue;
+    for (const item of list) {
+      const parts = Array.isArray(item?.content) ? item.content : (Array.isArray(item?.parts) ? item.parts : []);
+      if (isImagePart(item) || parts.some(isImagePart)) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Extract the request features rules can match on
+ * @param {object} options
+ * @param {object} options.body - Request body
+ * @param {string} [options.sourceFormat] - Detected source format (falls back to body detection)
+ * @param {string} [options.userAgent] - Client user-agent
+ * @returns {{ promptTokens: number, hasTools: boolean, hasImages: boolean, reasoningEffort: string|null, sourceFormat: string, userAgent: string }}
+ */
+export function extractRequestFeatures({ body, sourceFormat, userAgent }) {
+  const safeBody = body || {};
+  const tools = safeBody.tools || safeBody.request?.tools;
+  return {
+    promptTokens: estimatePromptTokens(safeBody),
+    hasTools: Array.isArray(tools) && tools.length > 0,
+    hasImages: hasImageContent(safeBody),
+    reasoningEffort: safeBody.reasoning_effort || safeBody.reasoning?.effort || null,
+    sourceFormat: sourceFormat || detectFormat(safeBody),
+    userAgent: userAgent || ""
+  };
+}
+
+/**
+ * Match user-agent pattern: "/regex/flags" or case-insensitive substring
+ */
+function matchUserAgent(pattern, userAgent) {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    try {
+      return new RegExp(regexMatch[1], regexMatch[2] || "i").test(userAgent);
+    } catch {
+      return false;
+    }
+  }
+  return userAgent.toLowerCase().includes(pattern.toLowerCase());
+}
+
+/**
+ * Normalize a "one or many" condition to a lowercase array (null when unset)
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const list = (Array.isArray(value) ? value : [value]).map(v => String(v).toLowerCase()).filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+/**
+ * Check whether every condition in `match` holds for the request features
+ * @param {object} match - Rule conditions
+ * @param {object} features - Output of extractRequestFeatures
+ * @returns {boolean}
+ */
+export function matchesRule(match, features) {
+  if (!match) return true;
+
+  if (Number.isFinite(match.minPromptTokens) && features.promptTokens < match.minPromptTokens) return false;
+  if (Number.isFinite(match.maxPromptTokens) && features.promptTokens > match.maxPromptTokens) return false;
+  if (typeof match.hasTools === "boolean" && features.hasTools !== match.hasTools) return false;
+  if (typeof match.hasImages === "boolean" && features.hasImages !== match.hasImages) return false;
+
+  const efforts = toList(match.reasoningEffort);
+  if (efforts && !efforts.includes(String(features.reasoningEffort || "").toLowerCase())) return false;
+
+  const formats = toList(match.sourceFormat);
+  if (formats && !formats.includes(String(features.sourceFormat || "").toLowerCase())) return false;
+
+  if (match.userAgent && !matchUserAgent(match.userAgent, features.userAgent || "")) return false;
+
+  return true;
+}
+
+/**
+ * Resolve which model list a combo should use for this request
+ * @param {object} combo - Combo with models and optional rules
+ * @param {object} context - { body, sourceFormat, userAgent }
+ * @returns {{ rule: object|null, ruleIndex: number, models: string[], features: object }}
+ */
+export function resolveComboRoute(combo, context) {
+  const features = extractRequestFeatures(context);
+  const rules = Array.isArray(combo?.rules) ? combo.rules : [];
+
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    if (!rule || rule.enabled === false) continue;
+    if (!Array.isArray(rule.models) || rule.models.length === 0) continue;
+    if (matchesRule(rule.match, features)) {
+      return { rule, ruleIndex: i, models: rule.models, features };
+    }
+  }
+
+  return { rule: null, ruleIndex: -1, models: combo?.models || [], features };
+}
+
+/**
+ * Validate combo rules payload
+ * @param {*} rules
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateComboRules(rules) {
+  if (!Array.isArray(rules)) return "Rules must be an array";
+
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    const label = `Rule ${i + 1}`;
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) return `${label} must be an object`;
+    if (!Array.isArray(rule.models) || rule.models.length === 0 || !rule.models.every(m => typeof m === "string" && m.trim())) {
+      return `${label} needs at least one model`;
+    }
+
+    const match = rule.match || {};
+    if (typeof match !== "object" || Array.isArray(match)) return `${label} match must be an object`;
+    const unknown = Object.keys(match).filter(k => !MATCH_KEYS.includes(k));
+    if (unknown.length > 0) return `${label} has unknown condition: ${unknown.join(", ")}`;
+
+    for (const key of ["minPromptTokens", "maxPromptTokens"]) {
+      if (match[key] !== undefined && match[key] !== null && !(Number.isFinite(match[key]) && match[key] >= 0)) {
+        return `${label} ${key} must be a non-negative number`;
+      }
+    }
+    for (const key of ["hasTools", "hasImages"]) {
+      if (match[key] !== undefined && match[key] !== null && typeof match[key] !== "boolean") {
+        return `${label} ${key} must be true or false`;
+      }
+    }
+    if (match.userAgent !== undefined && match.userAgent !== null && typeof match.userAgent !== "string") {
+      return `${label} userAgent must be a string`;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,157 @@
+/**
+ * Remote image fetcher for targets that only accept inline (base64) images.
+ *
+ * Downloads http(s) image URLs with a size cap and timeout, sniffs the real MIME type
+ * from the file signature, downscales oversized images when the optional `sharp`
+ * package is installed, and keeps results in an LRU cache keyed by URL so a
+ * conversation resending the same image does not download it again.
+ */
+
+import { IMAGE_FETCH_CONFIG } from "../config/constants.js";
+
+// Optional dependency resolved at runtime only (ships with Next.js image optimization)
+const SHARP_MODULE = "sharp";
+
+// Shared across route modules (Next.js bundles each route separately)
+if (!globalThis._imageCache) {
+  globalThis._imageCache = { entries: new Map(), bytes: 0, pending: new Map() };
+}
+const cache = globalThis._imageCache;
+
+/**
+ * Detect image MIME type from the file signature
+ * @param {Uint8Array} bytes
+ * @returns {string|null}
+ */
+export function sniffImageMime(bytes) {
+  const startsWith = (signature, offset = 0) => signature.every((b, i) => bytes[offset + i] === b);
+  const ascii = (text, offset) => startsWith([...text].map(c => c.charCodeAt(0)), offset);
+
+  if (startsWith([0x89, 0x50, 0x4e, 0x47])) return "image/png";
+  if (startsWith([0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (ascii("GIF8", 0)) return "image/gif";
+  if (ascii("RIFF", 0) && ascii("WEBP", 8)) return "image/webp";
+  if (ascii("ftyp", 4) && (ascii("heic", 8) || ascii("heix", 8) || ascii("mif1", 8))) return "image/heic";
+  if (ascii("ftyp", 4) && ascii("avif", 8)) return "image/avif";
+  return null;
+}
+
+/** Clear the image cache (tests) */
+export function resetImageCache() {
+  cache.entries.clear();
+  cache.pending.clear();
+  cache.bytes = 0;
+}
+
+function remember(url, image) {
+  const size = image.data.length;
+  if (size > IMAGE_FETCH_CONFIG.cacheMaxBytes) return;
+  cache.entries.set(url, image);
+  cache.bytes += size;
+
+  // Map keeps insertion order: the first entries are least recently used
+  for (const [key, entry] of cache.entries) {
+    if (cache.entries.size <= IMAGE_FETCH_CONFIG.cacheEntries && cache.bytes <= IMAGE_FETCH_CONFIG.cacheMaxBytes) break;
+    cache.entries.delete(key);
+    cache.bytes -= entry.data.length;
+  }
+}
+
+async function readCapped(response, maxBytes) {
+  const declared = Number(response.headers.get("content-length"));
+  if (declared > maxBytes) throw new Error(`image larger than ${maxBytes} bytes`);
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let total = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > maxBytes) {
+      reader.cancel().catch(() => {});
+      throw new Error(`image larger than ${maxBytes} bytes`);
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+// Resize so the longer side fits maxDimension; null when not needed or sharp is unavailable
+async function downscale(bytes, mimeType) {
+  const maxDimension = IMAGE_FETCH_CONFIG.maxDimension;
+  if (!maxDimension || mimeType === "image/gif") return null;
+
+  let sharp;
+  try {
+    sharp = (await import(/* webpackIgnore: true */ SHARP_MODULE)).default;
+  } catch {
+    return null;
+  }
+
+  try {
+    const image = sharp(bytes);
+    const { width, height } = await image.metadata();
+    if (!width || !height || Math.max(width, height) <= maxDimension) return null;
+    const resized = await image.resize({ width: maxDimension, height: maxDimension, fit: "inside" }).toBuffer();
+    return new Uint8Array(resized);
+  } catch {
+    return null;
+  }
+}
+
+async function download(url) {
+  const response = await fetch(url, {
+    headers: { Accept: "image/*" },
+    redirect: "follow",
+    signal: AbortSignal.timeout(IMAGE_FETCH_CONFIG.timeoutMs)
+  });
+  if (!response.ok) {
+    response.body?.cancel().catch(() => {});
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  let bytes = await readCapped(response, IMAGE_FETCH_CONFIG.maxBytes);
+  const headerType = (response.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+  const mimeType = sniffImageMime(bytes) || (headerType.startsWith("image/") ? headerType : null);
+  if (!mimeType) throw new Error(`not an image (${headerType || "unknown type"})`);
+
+  const resized = await downscale(bytes, mimeType);
+  if (resized) bytes = resized;
+
+  return { mimeType, data: Buffer.from(bytes).toString("base64") };
+}
+
+/**
+ * Fetch a remote image as base64, cached by URL
+ * @param {string} url - http(s) URL
+ * @returns {Promise<{ mimeType: string, data: string }>} Throws when the download fails or is not an image
+ */
+export async function fetchImage(url) {
+  const cached = cache.entries.get(url);
+  if (cached) {
+    // Refresh LRU position
+    cache.entries.delete(url);
+    cache.entries.set(url, cached);
+    return cached;
+  }
+
+  // Same URL twice in one conversation: share the in-flight download
+  if (cache.pending.has(url)) return cache.pending.get(url);
+
+  const promise = download(url)
+    .then((image) => {
+      remember(url, image);
+      return image;
+    })
+    .finally(() => cache.pending.delete(url));
+  cache.pending.set(url, promise);
+  return promise;
+}
@@ -0,0 +1,162 @@
+/**
+ * Prometheus metrics: in-memory counters and histograms fed from the request path,
+ * rendered in the text exposition format by GET /metrics.
+ *
+ * Recording is a few Map updates per call, so hot paths (saveRequestUsage, stream
+ * completion) don't get slower. Gauges (in flight, queued, cooldowns) are not stored
+ * here; the /metrics handler reads them from their owners at scrape time.
+ */
+
+// Seconds
+export const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+export const TTFT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30];
+
+const PREFIX = "ninerouter";
+
+// Shared across Next.js route modules (each route bundles its own copy of this file)
+if (!globalThis._metricsRegistry) {
+  globalThis._metricsRegistry = createRegistry();
+}
+let registry = globalThis._metricsRegistry;
+
+function createRegistry() {
+  return {
+    requests: new Map(),      // label key → count
+    latency: new Map(),       // label key → histogram
+    ttft: new Map(),
+    tokens: new Map(),
+    cost: new Map(),
+    tokenRefresh: new Map()
+  };
+}
+
+/**
+ * Escape a label value (backslash, double quote, newline)
+ * @param {*} value
+ */
+export function escapeLabelValue(value) {
+  return String(value ?? "").replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+/**
+ * { provider: "openai", model: "gpt-4o" } → `{provider="openai",model="gpt-4o"}`
+ * @param {object} labels
+ */
+export function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function increment(map, labels, by = 1) {
+  const key = formatLabels(labels);
+  map.set(key, (map.get(key) || 0) + by);
+}
+
+function observe(map, labels, buckets, value) {
+  const key = formatLabels(labels);
+  let histogram = map.get(key);
+  if (!histogram) {
+    histogram = { labels, counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+    map.set(key, histogram);
+  }
+  const index = buckets.findIndex(bound => value <= bound);
+  if (index !== -1) histogram.counts[index]++;
+  histogram.sum += value;
+  histogram.count++;
+}
+
+/**
+ * Count a finished upstream request
+ * @param {object} request
+ * @param {string} request.provider
+ * @param {string} request.model
+ * @param {string} [request.connectionId]
+ * @param {number} request.status - HTTP status returned to the caller (499 = cancelled)
+ * @param {number} [request.latencyMs] - Total duration
+ * @param {number} [request.ttftMs] - Time to first token (streamed responses)
+ */
+export function recordRequest({ provider, model, connectionId, status, latencyMs, ttftMs }) {
+  const labels = { provider: provider || "unknown", model: model || "unknown" };
+  increment(registry.requests, { ...labels, connection: connectionId || "", status: String(status || 0) });
+  if (latencyMs >= 0) observe(registry.latency, labels, LATENCY_BUCKETS, latencyMs / 1000);
+  if (ttftMs > 0) observe(registry.ttft, labels, TTFT_BUCKETS, ttftMs / 1000);
+}
+
+/**
+ * Count the tokens and cost of a saved usage entry
+ * @param {object} entry - { provider, model, tokens, cost }
+ */
+export function recordUsage({ provider, model, tokens, cost }) {
+  const labels = { provider: provider || "unknown", model: model || "unknown" };
+  const prompt = tokens?.prompt_tokens ?? tokens?.input_tokens ?? 0;
+  const completion = tokens?.completion_tokens ?? tokens?.output_tokens ?? 0;
+  if (prompt) increment(registry.tokens, { ...labels, type: "prompt" }, prompt);
+  if (completion) increment(registry.tokens, { ...labels, type: "completion" }, completion);
+  if (cost > 0) increment(registry.cost, labels, cost);
+}
+
+/**
+ * Count a token refresh outcome (refreshWithRetry)
+ * @param {string} provider
+ * @param {boolean} success
+ */
+export function recordTokenRefresh(provider, success) {
+  increment(registry.tokenRefresh, { provider: provider || "unknown", result: success ? "success" : "failure" });
+}
+
+/**
+ * Drop every recorded value (tests)
+ */
+export function resetMetrics() {
+  registry = globalThis._metricsRegistry = createRegistry();
+}
+
+function renderFamily(lines, name, type, help, samples) {
+  lines.push(`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} ${type}`);
+  for (const [labels, value] of samples) lines.push(`${PREFIX}_${name}${labels} ${value}`);
+}
+
+function renderHistogram(lines, name, help, map, buckets) {
+  lines.push(`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} histogram`);
+  for (const histogram of map.values()) {
+    let cumulative = 0;
+    buckets.forEach((bound, index) => {
+      cumulative += histogram.counts[index];
+      lines.push(`${PREFIX}_${name}_bucket${formatLabels({ ...histogram.labels, le: String(bound) })} ${cumulative}`);
+    });
+    lines.push(`${PREFIX}_${name}_bucket${formatLabels({ ...histogram.labels, le: "+Inf" })} ${histogram.count}`);
+    lines.push(`${PREFIX}_${name}_sum${formatLabels(histogram.labels)} ${histogram.sum}`);
+    lines.push(`${PREFIX}_${name}_count${formatLabels(histogram.labels)} ${histogram.count}`);
+  }
+}
+
+/**
+ * Render all metrics in the Prometheus text format (version 0.0.4)
+ * @param {object} [gauges] - Values read at scrape time
+ * @param {Array<{ provider: string, model: string, connection: string, count: number }>} [gauges.inFlight]
+ * @param {number} [gauges.queued] - Requests parked until an account's cooldown ends
+ * @param {Array<{ provider: string, connection: string, model: string, seconds: number }>} [gauges.cooldowns]
+ * @returns {string}
+ */
+export function renderMetrics({ inFlight = [], queued = 0, cooldowns = [] } = {}) {
+  const lines = [];
+
+  renderFamily(lines, "requests_total", "counter", "Upstream requests by provider, model, account and HTTP status",
+    registry.requests.entries());
+  renderHistogram(lines, "request_duration_seconds", "Total request duration", registry.latency, LATENCY_BUCKETS);
+  renderHistogram(lines, "time_to_first_token_seconds", "Time to first streamed token", registry.ttft, TTFT_BUCKETS);
+  renderFamily(lines, "tokens_total", "counter", "Tokens by provider, model and type (prompt, completion)",
+    registry.tokens.entries());
+  renderFamily(lines, "cost_usd_total", "counter", "Estimated spend in USD from configured pricing",
+    registry.cost.entries());
+  renderFamily(lines, "token_refresh_total", "counter", "OAuth token refreshes by provider and result",
+    registry.tokenRefresh.entries());
+  renderFamily(lines, "requests_in_flight", "gauge", "Requests waiting for a provider response",
+    inFlight.map(({ provider, model, connection, count }) => [formatLabels({ provider, model, connection }), count]));
+  renderFamily(lines, "requests_queued", "gauge", "Requests parked until an account cooldown ends",
+    [["", queued]]);
+  renderFamily(lines, "account_cooldown_seconds", "gauge", "Seconds until a cooling-down account is used again",
+    cooldowns.map(({ provider, connection, model, seconds }) => [formatLabels({ provider, connection, model }), seconds]));
+
+  return `${lines.join("\n")}\n`;
+}
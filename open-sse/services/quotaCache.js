@@ -0,0 +1,199 @@
+/**
+ * Provider quota snapshots for the "most-remaining-quota" account strategy.
+ *
+ * Snapshots are fetched in the background through a registered fetcher (the local
+ * server wires it to getUsageForProvider) and never block account selection:
+ * accounts without a snapshot yet are ranked after accounts with known quota.
+ *
+ * Ranking:
+ * - exhausted accounts (a quota at 0, or limitReached) are skipped until their reset time
+ * - known quota first, soonest reset first so expiring subscription quota gets used
+ * - same reset time → most remaining quota first
+ * - unknown quota last, by priority
+ *
+ * State is in-memory (global singleton) and resets on restart.
+ */
+
+import { QUOTA_CACHE_CONFIG } from "../config/constants.js";
+
+// Shared across route modules (Next.js bundles each route separately)
+if (!globalThis._quotaSnapshots) {
+  globalThis._quotaSnapshots = { entries: new Map(), fetcher: null };
+}
+const registry = globalThis._quotaSnapshots;
+
+/**
+ * Register the usage fetcher used to refresh snapshots.
+ * @param {Function|null} fetcher - async (connection) => usage object from getUsageForProvider
+ */
+export function setQuotaFetcher(fetcher) {
+  registry.fetcher = fetcher;
+}
+
+function toTime(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+// Remaining fraction (0..1) of a single quota, null when it carries no usable numbers
+function getQuotaFraction(quota) {
+  if (!quota || typeof quota !== "object" || quota.unlimited) return null;
+  if (typeof quota.remainingPercentage === "number") {
+    return Math.min(Math.max(quota.remainingPercentage / 100, 0), 1);
+  }
+  const total = Number(quota.total);
+  if (!(total > 0)) return null;
+  const remaining = quota.remaining !== undefined ? Number(quota.remaining) : total - (Number(quota.used) || 0);
+  if (!Number.isFinite(remaining)) return null;
+  return Math.min(Math.max(remaining / total, 0), 1);
+}
+
+/**
+ * Reduce a usage response to what account selection needs
+ * @param {object} usage - Result of getUsageForProvider
+ * @param {string|null} [model] - Quotas keyed by this model (Antigravity) take precedence
+ * @param {number} [now]
+ * @returns {{ remainingFraction: number, resetAt: number|null, exhausted: boolean, exhaustedUntil: number|null }|null}
+ *   null when the usage carries no quota numbers
+ */
+export function summarizeQuota(usage, model = null, now = Date.now()) {
+  const quotas = usage?.quotas;
+  if (!quotas || typeof quotas !== "object") return null;
+
+  const entries = model && quotas[model] ? [quotas[model]] : Object.values(quotas);
+  const measured = entries
+    .map(quota => ({ fraction: getQuotaFraction(quota), resetAt: toTime(quota?.resetAt) }))
+    .filter(q => q.fraction !== null);
+  if (measured.length === 0) return null;
+
+  // The tightest quota binds the account
+  const binding = measured.reduce((min, q) => (q.fraction < min.fraction ? q : min));
+  const empty = measured.filter(q => q.fraction <= 0);
+  const exhausted = empty.length > 0 || usage.limitReached === true;
+
+  let exhaustedUntil = null;
+  if (exhausted) {
+    // Every empty quota has to reset before the account is usable again
+    const resets = (empty.length > 0 ? empty : [binding]).map(q => q.resetAt);
+    exhaustedUntil = resets.every(Boolean)
+      ? Math.max(...resets)
+      : now + QUOTA_CACHE_CONFIG.exhaustedRetryMs;
+  }
+
+  return {
+    remainingFraction: exhausted ? 0 : binding.fraction,
+    resetAt: binding.resetAt,
+    exhausted,
+    exhaustedUntil
+  };
+}
+
+/**
+ * Cached snapshot of a connection
+ * @returns {{ usage: object|null, error: string|null, fetchedAt: number }|null}
+ */
+export function getQuotaSnapshot(connectionId) {
+  const entry = registry.entries.get(connectionId);
+  if (!entry || !entry.fetchedAt) return null;
+  return { usage: entry.usage, error: entry.error, fetchedAt: entry.fetchedAt };
+}
+
+/** Drop a cached snapshot, e.g. after the provider answered 429 */
+export function invalidateQuotaSnapshot(connectionId) {
+  const entry = registry.entries.get(connectionId);
+  if (entry) entry.fetchedAt = 0;
+}
+
+/** Clear all snapshots (tests) */
+export function resetQuotaSnapshots() {
+  registry.entries.clear();
+}
+
+function isStale(entry, now) {
+  if (!entry || !entry.fetchedAt) return true;
+  const ttl = entry.error ? QUOTA_CACHE_CONFIG.errorTtlMs : QUOTA_CACHE_CONFIG.ttlMs;
+  if (now - entry.fetchedAt >= ttl) return true;
+  // Quota has reset since the snapshot was taken
+  const summary = summarizeQuota(entry.usage, null, entry.fetchedAt);
+  return !!summary?.exhaustedUntil && now >= summary.exhaustedUntil;
+}
+
+/**
+ * Refresh stale snapshots in the background (deduplicated per connection)
+ * @param {Array<object>} connections
+ * @returns {Promise<void>} Settles when the started refreshes finish; callers need not await it
+ */
+export function refreshQuotaSnapshots(connections, now = Date.now()) {
+  if (!registry.fetcher) return Promise.resolve();
+
+  const pending = [];
+  for (const connection of connections) {
+    let entry = registry.entries.get(connection.id);
+    if (entry?.inflight || !isStale(entry, now)) continue;
+    if (!entry) {
+      entry = { usage: null, error: null, fetchedAt: 0, inflight: null };
+      registry.entries.set(connection.id, entry);
+    }
+
+    const target = entry;
+    target.inflight = Promise.resolve()
+      .then(() => registry.fetcher(connection))
+      .then((usage) => {
+        target.usage = usage || null;
+        target.error = null;
+      })
+      .catch((error) => {
+        target.error = error?.message || String(error);
+      })
+      .finally(() => {
+        target.fetchedAt = Date.now();
+        target.inflight = null;
+      });
+    pending.push(target.inflight);
+  }
+  return Promise.all(pending).then(() => {});
+}
+
+/**
+ * Rank connections by cached quota
+ * @param {Array<object>} connections - Candidates, in priority order
+ * @param {string|null} [model]
+ * @param {number} [now]
+ * @returns {{ ranked: Array<object>, exhausted: Array<{ connection: object, until: number }> }}
+ */
+export function rankByQuota(connections, model = null, now = Date.now()) {
+  const known = [];
+  const unknown = [];
+  const exhausted = [];
+
+  connections.forEach((connection, index) => {
+    const entry = registry.entries.get(connection.id);
+    const summary = entry?.fetchedAt ? summarizeQuota(entry.usage, model, entry.fetchedAt) : null;
+    if (!summary) {
+      unknown.push({ connection, index });
+    } else if (summary.exhausted && summary.exhaustedUntil > now) {
+      exhausted.push({ connection, until: summary.exhaustedUntil });
+    } else if (summary.exhausted) {
+      // Reset time passed - full quota until the refresh says otherwise
+      known.push({ connection, index, fraction: 1, resetAt: null });
+    } else {
+      known.push({ connection, index, fraction: summary.remainingFraction, resetAt: summary.resetAt });
+    }
+  });
+
+  known.sort((a, b) => {
+    if (a.resetAt !== b.resetAt) {
+      if (a.resetAt === null) return 1;
+      if (b.resetAt === null) return -1;
+      return a.resetAt - b.resetAt;
+    }
+    if (a.fraction !== b.fraction) return b.fraction - a.fraction;
+    return a.index - b.index;
+  });
+
+  return {
+    ranked: [...known, ...unknown].map(c => c.connection),
+    exhausted: exhausted.sort((a, b) => a.until - b.until)
+  };
+}
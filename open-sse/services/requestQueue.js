@@ -0,0 +1,241 @@
+/**
+ * Hold-and-retry queue for requests whose accounts are all rate limited.
+ *
+ * Opt-in per requested model or combo via settings:
+ * {
+ *   rateLimitQueue: { models: ["cc/*", "my-combo"], maxWaitMs: 120000 }
+ * }
+ *
+ * A routed response that failed with Retry-After (every account / combo model limited)
+ * is parked until the retry time and routed again, as long as the total wait stays
+ * under maxWaitMs. Budget 429s are not parked. Streaming clients get an SSE response right
+ * away with keepalive comments while parked; the final stream (or an error event) follows on
+ * the same response.
+ * Parked requests are listed by getQueuedRequests() (in-memory, global singleton).
+ */
+
+import { matchesGlob } from "./apiKeyPolicy.js";
+import { buildFormattedErrorBody, ERROR_FORMATS } from "../utils/error.js";
+import { isBudgetRejection } from "./budget.js";
+
+export const QUEUE_KEEPALIVE_MS = 15 * 1000;
+
+// Shared across route modules (Next.js bundles each route separately)
+if (!globalThis._requestQueue) {
+  globalThis._requestQueue = { entries: new Map(), listener: null, nextId: 1 };
+}
+const registry = globalThis._requestQueue;
+
+/**
+ * Register a callback run whenever a request is parked or resumed (dashboard feed)
+ * @param {Function|null} listener
+ */
+export function setQueueListener(listener) {
+  registry.listener = listener;
+}
+
+function notify() {
+  try {
+    registry.listener?.();
+  } catch {
+    // Feed updates must never break a request
+  }
+}
+
+/**
+ * Max wait for a requested model/combo, 0 when queueing is off for it
+ * @param {object} [config] - settings.rateLimitQueue
+ * @param {string} modelStr - Requested model or combo name
+ * @returns {number} ms
+ */
+export function getQueueMaxWait(config, modelStr) {
+  const maxWaitMs = Number(config?.maxWaitMs) || 0;
+  if (maxWaitMs <= 0 || !modelStr) return 0;
+  const patterns = Array.isArray(config?.models) ? config.models : [];
+  return patterns.some(p => matchesGlob(p, modelStr)) ? maxWaitMs : 0;
+}
+
+/**
+ * Validate settings.rateLimitQueue from the settings API
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateQueueConfig(config) {
+  if (config === undefined || config === null) return null;
+  if (typeof config !== "object" || Array.isArray(config)) return "rateLimitQueue must be an object";
+  if (config.models !== undefined && (!Array.isArray(config.models) || !config.models.every(p => typeof p === "string" && p.trim()))) {
+    return "rateLimitQueue.models must be an array of non-empty strings";
+  }
+  if (config.maxWaitMs !== undefined && !(Number.isInteger(config.maxWaitMs) && config.maxWaitMs >= 0)) {
+    return "rateLimitQueue.maxWaitMs must be a non-negative integer";
+  }
+  return null;
+}
+
+/**
+ * Parked requests, oldest first
+ * @returns {Array<{ id: number, model: string, provider: string|null, queuedAt: string, retryAt: string, attempts: number }>}
+ */
+export function getQueuedRequests() {
+  return [...registry.entries.values()].map(entry => ({
+    id: entry.id,
+    model: entry.model,
+    provider: entry.provider,
+    queuedAt: new Date(entry.queuedAt).toISOString(),
+    retryAt: new Date(entry.retryAt).toISOString(),
+    attempts: entry.attempts
+  }));
+}
+
+/**
+ * Retry delay from a failed response's Retry-After header (seconds or HTTP date), null when absent.
+ * Budget rejections are not rate limits and return null: waiting would only hold the request.
+ */
+export function getRetryDelayMs(response, now = Date.now()) {
+  if (!response || response.ok || isBudgetRejection(response)) return null;
+  const header = response.headers?.get("retry-after");
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = new Date(header).getTime();
+  return Number.isFinite(date) ? Math.max(date - now, 0) : null;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Route, and while the result is a retryable rate limit that fits in the remaining
+ * wait, park until Retry-After and route again.
+ * @param {Function} route - async () => Response
+ * @param {object} options
+ * @param {number} options.maxWaitMs
+ * @param {string} options.model - Requested model/combo (feed)
+ * @param {string|null} [options.provider] - Resolved provider, if single model (feed)
+ * @param {AbortSignal} [options.signal] - Stops waiting (client went away)
+ * @param {Response} [options.firstResponse] - Result of an attempt already made
+ * @param {Function} [options.onPark] - (retryAt) => void, called before each wait
+ * @returns {Promise<Response>}
+ */
+export async function routeWithQueue(route, { maxWaitMs, model, provider = null, signal, firstResponse, onPark } = {}) {
+  const deadline = Date.now() + maxWaitMs;
+  let response = firstResponse || await route();
+  let entry = null;
+
+  try {
+    while (!signal?.aborted) {
+      const delayMs = getRetryDelayMs(response);
+      if (delayMs === null || Date.now() + delayMs > deadline) break;
+
+      const retryAt = Date.now() + delayMs;
+      if (!entry) {
+        entry = { id: registry.nextId++, model, provider, queuedAt: Date.now(), retryAt, attempts: 0 };
+        registry.entries.set(entry.id, entry);
+      }
+      entry.retryAt = retryAt;
+      entry.attempts++;
+      notify();
+      onPark?.(retryAt);
+
+      // Drain the failed body so the connection is released
+      response.body?.cancel().catch(() => {});
+      await sleep(delayMs, signal);
+      if (signal?.aborted) break;
+      response = await route();
+    }
+  } finally {
+    if (entry) {
+      registry.entries.delete(entry.id);
+      notify();
+    }
+  }
+  return response;
+}
+
+async function readErrorMessage(response) {
+  try {
+    const body = await response.json();
+    const error = body?.error;
+    return (typeof error === "string" ? error : error?.message) || body?.message || `Request failed (${response.status})`;
+  } catch {
+    return `Request failed (${response.status})`;
+  }
+}
+
+/**
+ * Streaming variant: answer immediately with an SSE response that carries keepalive
+ * comments while parked, then the routed stream, or an error event when it still fails.
+ * @param {Function} route - async () => Response
+ * @param {object} options - As routeWithQueue, plus format (ERROR_FORMATS) for the error event
+ * @returns {Response}
+ */
+export function streamWithQueue(route, { format = ERROR_FORMATS.OPENAI, ...options }) {
+  const encoder = new TextEncoder();
+  const abort = new AbortController();
+  let keepalive = null;
+  let reader = null;
+
+  const body = new ReadableStream({
+    async start(controller) {
+      const comment = (text) => {
+        try {
+          controller.enqueue(encoder.encode(`: ${text}\n\n`));
+        } catch {
+          // Client gone
+        }
+      };
+      keepalive = setInterval(() => comment("queued"), QUEUE_KEEPALIVE_MS);
+
+      const response = await routeWithQueue(route, {
+        ...options,
+        signal: abort.signal,
+        onPark: (retryAt) => comment(`queued, retrying in ${Math.ceil((retryAt - Date.now()) / 1000)}s`)
+      }).finally(() => clearInterval(keepalive));
+
+      if (abort.signal.aborted) {
+        response.body?.cancel().catch(() => {});
+        return;
+      }
+
+      if (!response.ok || !response.body) {
+        const message = response.ok ? "Empty response" : await readErrorMessage(response);
+        const error = buildFormattedErrorBody(response.status, message, format);
+        controller.enqueue(encoder.encode(`event: error\ndata: ${JSON.stringify(error)}\n\n`));
+        controller.close();
+        return;
+      }
+      reader = response.body.getReader();
+    },
+    async pull(controller) {
+      if (!reader) return;
+      try {
+        const { done, value } = await reader.read();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      clearInterval(keepalive);
+      abort.abort();
+      return reader?.cancel(reason);
+    }
+  });
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+      "Access-Control-Allow-Origin": "*"
+    }
+  });
+}
@@ -0,0 +1,323 @@
+/**
+ * Offline input token counting.
+ *
+ * Used when the provider has no count endpoint (or it failed). Text is counted with a
+ * bundled BPE tokenizer (js-tiktoken) when it can be loaded, otherwise with a
+ * per-family chars-per-token heuristic. Images and documents are priced with each
+ * family's published formula, tool definitions and per-message framing are included.
+ *
+ * Bodies may be in Claude, Gemini or OpenAI format: content blocks are read by shape.
+ */
+
+import { parseDataUrl } from "../translator/helpers/documentHelper.js";
+import { extractPdfText } from "../utils/pdfText.js";
+
+export const TOKEN_COUNT_SOURCES = {
+  PROVIDER: "provider",
+  TOKENIZER: "tokenizer",
+  ESTIMATE: "estimate"
+};
+
+// Model families, first match wins. OpenAI encodings are exact; Claude and Gemini
+// tokenizers are not public, so o200k counts are scaled by a ratio measured against
+// their count endpoints. charsPerToken drives the heuristic tier.
+const FAMILIES = [
+  { name: "openai", match: /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|gpt-oss|chatgpt|codex|o\d)/, encoding: "o200k_base", ratio: 1, charsPerToken: 4, baseTokens: 3, messageTokens: 3, toolTokens: 0, image: "openai" },
+  { name: "openai", match: /^(gpt-4|gpt-3\.5)/, encoding: "cl100k_base", ratio: 1, charsPerToken: 4, baseTokens: 3, messageTokens: 3, toolTokens: 0, image: "openai" },
+  { name: "claude", match: /claude|opus|sonnet|haiku/, encoding: "o200k_base", ratio: 1.2, charsPerToken: 3.5, baseTokens: 3, messageTokens: 4, toolTokens: 346, image: "claude" },
+  { name: "gemini", match: /gemini|gemma/, encoding: "o200k_base", ratio: 1.05, charsPerToken: 4, baseTokens: 0, messageTokens: 1, toolTokens: 0, image: "gemini" },
+  { name: "default", match: /.*/, encoding: "o200k_base", ratio: 1.1, charsPerToken: 3.5, baseTokens: 3, messageTokens: 4, toolTokens: 0, image: "claude" }
+];
+
+// CJK, kana and hangul: roughly one token per character in every family
+const CJK_REGEX = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+// Tokens for an image (dimensions null when unknown) and for one rendered PDF page
+const IMAGE_COSTS = {
+  claude: {
+    page: 1600,
+    image: (dims) => {
+      if (!dims) return 1600;
+      // Long edge capped at 1568px and ~1.15 megapixels, then width * height / 750
+      const scale = Math.min(1, 1568 / Math.max(dims.width, dims.height), Math.sqrt(1150000 / (dims.width * dims.height)));
+      return Math.ceil((dims.width * scale) * (dims.height * scale) / 750);
+    }
+  },
+  openai: {
+    page: 765,
+    image: (dims, detail) => {
+      if (detail === "low") return 85;
+      if (!dims) return 765;
+      // Fit in 2048x2048, shortest side down to 768px, then 170 per 512px tile
+      let { width, height } = dims;
+      const fit = Math.min(1, 2048 / Math.max(width, height));
+      width *= fit;
+      height *= fit;
+      const shrink = Math.min(1, 768 / Math.min(width, height));
+      return 85 + 170 * Math.ceil((width * shrink) / 512) * Math.ceil((height * shrink) / 512);
+    }
+  },
+  gemini: {
+    page: 258,
+    image: (dims) => {
+      if (!dims || (dims.width <= 384 && dims.height <= 384)) return 258;
+      return 258 * Math.ceil(dims.width / 768) * Math.ceil(dims.height / 768);
+    }
+  }
+};
+
+/**
+ * Model family used for tokenizer and pricing rules
+ * @param {string} [model] - Model id, provider prefix allowed ("cc/claude-sonnet-4-5")
+ */
+export function getModelFamily(model) {
+  const id = String(model || "").toLowerCase().split("/").pop();
+  return FAMILIES.find(family => family.match.test(id));
+}
+
+// ─── Tokenizer loading ──────────────────────────────────────────────────────
+
+const ENCODING_LOADERS = {
+  o200k_base: () => import("js-tiktoken/ranks/o200k_base"),
+  cl100k_base: () => import("js-tiktoken/ranks/cl100k_base")
+};
+
+async function loadTiktoken(encoding) {
+  const [{ Tiktoken }, ranks] = await Promise.all([import("js-tiktoken/lite"), ENCODING_LOADERS[encoding]()]);
+  return new Tiktoken(ranks.default);
+}
+
+let tokenizerLoader = loadTiktoken;
+
+if (!globalThis._tokenizers) globalThis._tokenizers = new Map();
+
+/**
+ * Replace the tokenizer loader (runtimes without js-tiktoken, tests).
+ * The loader gets an encoding name and resolves to { encode(text) } or null.
+ */
+export function setTokenizerLoader(loader) {
+  tokenizerLoader = loader || loadTiktoken;
+  globalThis._tokenizers.clear();
+}
+
+// Tokenizer for an encoding, null when it cannot be loaded (cached either way)
+function getTokenizer(encoding, log) {
+  if (!globalThis._tokenizers.has(encoding)) {
+    const pending = Promise.resolve()
+      .then(() => tokenizerLoader(encoding))
+      .catch((error) => {
+        log?.warn?.("TOKENS", `tokenizer ${encoding} unavailable, using estimates: ${error.message}`);
+        return null;
+      });
+    globalThis._tokenizers.set(encoding, pending);
+  }
+  return globalThis._tokenizers.get(encoding);
+}
+
+// ─── Content collection ─────────────────────────────────────────────────────
+
+// Read width/height from PNG, GIF, JPEG and WEBP headers
+export function getImageDimensions(bytes) {
+  if (!bytes || bytes.length < 24) return null;
+  const u16be = (i) => (bytes[i] << 8) | bytes[i + 1];
+  const u16le = (i) => bytes[i] | (bytes[i + 1] << 8);
+  const u24le = (i) => bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16);
+  const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+  if (bytes[0] === 0x89 && ascii(1, 4) === "PNG") {
+    return { width: (u16be(16) << 16 | u16be(18)) >>> 0, height: (u16be(20) << 16 | u16be(22)) >>> 0 };
+  }
+  if (ascii(0, 3) === "GIF") {
+    return { width: u16le(6), height: u16le(8) };
+  }
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+    const chunk = ascii(12, 16);
+    if (chunk === "VP8X") return { width: 1 + u24le(24), height: 1 + u24le(27) };
+    if (chunk === "VP8 ") return { width: u16le(26) & 0x3fff, height: u16le(28) & 0x3fff };
+    if (chunk === "VP8L") {
+      const [b0, b1, b2, b3] = bytes.subarray(21, 25);
+      return { width: 1 + (((b1 & 0x3f) << 8) | b0), height: 1 + (((b3 & 0x0f) << 10) | (b2 << 2) | ((b1 & 0xc0) >> 6)) };
+    }
+    return null;
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    // Walk JPEG segments to the first start-of-frame marker
+    let i = 2;
+    while (i + 9 < bytes.length) {
+      if (bytes[i] !== 0xff) {
+        i++;
+        continue;
+      }
+      const marker = bytes[i + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return { width: u16be(i + 7), height: u16be(i + 5) };
+      }
+      i += 2 + u16be(i + 2);
+    }
+  }
+  return null;
+}
+
+function base64Bytes(data) {
+  return new Uint8Array(Buffer.from(data, "base64"));
+}
+
+function addImage(out, data, detail) {
+  out.images.push({ dims: data ? getImageDimensions(base64Bytes(data)) : null, detail });
+}
+
+// Documents contribute their text plus a rendered image per PDF page
+async function addDocument(out, mimeType, data) {
+  if (!data) {
+    out.pages += 1;
+    return;
+  }
+  if (mimeType === "application/pdf") {
+    const bytes = base64Bytes(data);
+    const pages = new TextDecoder("latin1").decode(bytes).match(/\/Type\s*\/Page\b/g)?.length || 1;
+    out.pages += pages;
+    try {
+      out.texts.push(await extractPdfText(bytes));
+    } catch {
+      // Page images are still counted
+    }
+  } else if (mimeType.startsWith("image/")) {
+    addImage(out, data);
+  } else {
+    out.texts.push(Buffer.from(data, "base64").toString("utf8"));
+  }
+}
+
+async function addInline(out, mimeType, data, detail) {
+  if (mimeType?.startsWith("image/")) addImage(out, data, detail);
+  else await addDocument(out, mimeType || "application/octet-stream", data);
+}
+
+// One content block in any supported format
+async function addBlock(out, block) {
+  if (block == null) return;
+  if (typeof block === "string") {
+    out.texts.push(block);
+    return;
+  }
+  if (Array.isArray(block)) {
+    for (const item of block) await addBlock(out, item);
+    return;
+  }
+
+  if (typeof block.text === "string") out.texts.push(block.text);
+  if (typeof block.thinking === "string") out.texts.push(block.thinking);
+
+  // Claude
+  if (block.type === "image" || block.type === "document") {
+    const source = block.source || {};
+    if (source.type === "base64") await addInline(out, source.media_type || (block.type === "image" ? "image/png" : "application/pdf"), source.data);
+    else if (source.type === "text") out.texts.push(source.data || "");
+    else if (source.type === "content") await addBlock(out, source.content);
+    else if (block.type === "image") addImage(out, null);
+    else await addDocument(out, "application/pdf", null);
+  }
+  if (block.type === "tool_use" || block.type === "server_tool_use") out.texts.push(block.name || "", JSON.stringify(block.input || {}));
+  if (block.type === "tool_result") await addBlock(out, block.content);
+
+  // OpenAI
+  if (block.type === "image_url" || block.type === "input_image") {
+    const url = typeof block.image_url === "string" ? block.image_url : block.image_url?.url;
+    const parsed = parseDataUrl(url);
+    addImage(out, parsed?.data, block.image_url?.detail || block.detail);
+  }
+  if (block.type === "file" || block.type === "input_file") {
+    const parsed = parseDataUrl(block.file?.file_data || block.file_data);
+    await addDocument(out, parsed?.mimeType || "application/pdf", parsed?.data);
+  }
+
+  // Gemini
+  const inline = block.inlineData || block.inline_data;
+  if (inline) await addInline(out, inline.mimeType || inline.mime_type, inline.data);
+  const fileData = block.fileData || block.file_data;
+  if (fileData && typeof fileData === "object") await addInline(out, fileData.mimeType || fileData.mime_type, null);
+  if (block.functionCall) out.texts.push(block.functionCall.name || "", JSON.stringify(block.functionCall.args || {}));
+  if (block.functionResponse) out.texts.push(block.functionResponse.name || "", JSON.stringify(block.functionResponse.response || {}));
+}
+
+/**
+ * Collect everything that costs input tokens from a request body
+ * @returns {Promise<{ texts: string[], images: object[], pages: number, messages: number, tools: number }>}
+ */
+async function collectContent(body) {
+  const out = { texts: [], images: [], pages: 0, messages: 0, tools: 0 };
+  const request = body?.generateContentRequest || body || {};
+
+  await addBlock(out, request.system);
+  if (request.systemInstruction) await addBlock(out, request.systemInstruction.parts || request.systemInstruction);
+  if (typeof request.instructions === "string") out.texts.push(request.instructions);
+
+  const messages = request.messages || request.contents || (Array.isArray(request.input) ? request.input : request.input ? [request.input] : []);
+  for (const msg of messages) {
+    out.messages++;
+    if (typeof msg === "string") {
+      out.texts.push(msg);
+      continue;
+    }
+    await addBlock(out, msg.content ?? msg.parts);
+    for (const call of msg.tool_calls || []) out.texts.push(call.function?.name || "", call.function?.arguments || "");
+    if (msg.type === "function_call") out.texts.push(msg.name || "", msg.arguments || "");
+    if (msg.type === "function_call_output") out.texts.push(typeof msg.output === "string" ? msg.output : JSON.stringify(msg.output));
+  }
+
+  for (const tool of request.tools || []) {
+    const declarations = tool.functionDeclarations || tool.function_declarations;
+    out.tools += declarations ? declarations.length : 1;
+    out.texts.push(JSON.stringify(tool));
+  }
+
+  return out;
+}
+
+// ─── Counting ───────────────────────────────────────────────────────────────
+
+/**
+ * Heuristic text tokens for a family (last-resort tier)
+ * @param {string} text
+ * @param {object} family - From getModelFamily()
+ */
+export function estimateTextTokens(text, family = getModelFamily()) {
+  if (!text) return 0;
+  const cjk = text.match(CJK_REGEX)?.length || 0;
+  return Math.ceil((text.length - cjk) / family.charsPerToken + cjk);
+}
+
+/**
+ * Count input tokens without calling the provider
+ * @param {object} body - Request body (Claude, Gemini or OpenAI format)
+ * @param {object} [options]
+ * @param {string} [options.model] - Model id, selects tokenizer and pricing rules
+ * @param {object} [options.log] - Logger
+ * @returns {Promise<{ tokens: number, source: string }>}
+ */
+export async function countTokensOffline(body, { model, log } = {}) {
+  const family = getModelFamily(model);
+  const content = await collectContent(body);
+  const text = content.texts.filter(Boolean).join("\n");
+
+  const tokenizer = text ? await getTokenizer(family.encoding, log) : null;
+  let textTokens;
+  let source = TOKEN_COUNT_SOURCES.ESTIMATE;
+  if (tokenizer) {
+    textTokens = Math.ceil(tokenizer.encode(text, [], []).length * family.ratio);
+    source = TOKEN_COUNT_SOURCES.TOKENIZER;
+  } else {
+    textTokens = estimateTextTokens(text, family);
+  }
+
+  const costs = IMAGE_COSTS[family.image];
+  const imageTokens = content.images.reduce((sum, image) => sum + costs.image(image.dims, image.detail), 0);
+  const tokens = family.baseTokens +
+    content.messages * family.messageTokens +
+    (content.tools ? family.toolTokens : 0) +
+    textTokens +
+    imageTokens +
+    content.pages * costs.page;
+
+  return { tokens, source };
+}
@@ -1,4 +1,6 @@
 import { PROVIDERS, OAUTH_ENDPOINTS, GITHUB_COPILOT } from "../config/constants.js";
+import { recordTokenRefresh } from "./metrics.js";
+import { withSpan } from "./tracing.js";
 
 // Token expiry buffer (refresh if expires within 5 minutes)
 export const TOKEN_EXPIRY_BUFFER_MS = 5 * 60 * 1000;
@@ -629,25 +631,35 @@ export async function getAllAccessTokens(userInfo, log) {
  * @param {function} refreshFn - Async function that returns token or null
  * @param {number} maxRetries - Max retry attempts (default 3)
  * @param {object} log - Logger instance (optional)
+ * @param {string} [provider] - Provider label for the token refresh metrics
  * @returns {Promise<object|null>} Token result or null if all retries fail
  */
-export async function refreshWithRetry(refreshFn, maxRetries = 3, log = null) {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    if (attempt > 0) {
-      const delay = attempt * 1000;
-      log?.debug?.("TOKEN_REFRESH", `Retry ${attempt}/${maxRetries} after ${delay}ms`);
-      await new Promise(r => setTimeout(r, delay));
-    }
+export function refreshWithRetry(refreshFn, maxRetries = 3, log = null, provider = null) {
+  return withSpan("token.refresh", { attributes: { "gen_ai.system": provider } }, async (span) => {
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = attempt * 1000;
+        log?.debug?.("TOKEN_REFRESH", `Retry ${attempt}/${maxRetries} after ${delay}ms`);
+        await new Promise(r => setTimeout(r, delay));
+      }
 
-    try {
-      const result = await refreshFn();
-      if (result) return result;
-    } catch (error) {
-      log?.warn?.("TOKEN_REFRESH", `Attempt ${attempt + 1}/${maxRetries} failed: ${error.message}`);
+      try {
+        const result = await refreshFn();
+        if (result) {
+          recordTokenRefresh(provider, true);
+          span.setAttributes({ "router.refresh.success": true, "router.refresh.attempts": attempt + 1 });
+          return result;
+        }
+      } catch (error) {
+        log?.warn?.("TOKEN_REFRESH", `Attempt ${attempt + 1}/${maxRetries} failed: ${error.message}`);
+        span.addEvent("refresh_failed", { "exception.message": error.message });
+      }
     }
-  }
 
-  log?.error?.("TOKEN_REFRESH", `All ${maxRetries} retry attempts failed`);
-  return null;
+    log?.error?.("TOKEN_REFRESH", `All ${maxRetries} retry attempts failed`);
+    recordTokenRefresh(provider, false);
+    span.setAttributes({ "router.refresh.success": false, "router.refresh.attempts": maxRetries });
+    return null;
+  });
 }
 
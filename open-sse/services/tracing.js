@@ -0,0 +1,331 @@
+/**
+ * OpenTelemetry tracing: spans for the request lifecycle, exported as OTLP/HTTP JSON.
+ *
+ * Off unless OTEL_EXPORTER_OTLP_ENDPOINT (or OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) is set;
+ * while off every span is a shared no-op, so instrumented code costs nothing.
+ * The current span is carried in AsyncLocalStorage, so nested withSpan() calls become
+ * children without passing spans around. An incoming W3C `traceparent` header becomes the
+ * parent of the root span, connecting the caller's trace to the router's.
+ *
+ * Env (standard OTel names):
+ *   OTEL_EXPORTER_OTLP_ENDPOINT        - collector base URL, spans go to <url>/v1/traces
+ *   OTEL_EXPORTER_OTLP_TRACES_ENDPOINT - full traces URL (takes precedence)
+ *   OTEL_EXPORTER_OTLP_HEADERS         - "key=value,key2=value2" sent with every export
+ *   OTEL_SERVICE_NAME                  - service.name resource attribute (default "9router")
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+export const SPAN_KINDS = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3
+};
+
+export const SPAN_STATUS = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+const DEFAULT_SERVICE_NAME = "9router";
+const EXPORT_INTERVAL_MS = 5000;
+const EXPORT_BATCH_SIZE = 512;
+const MAX_QUEUE_SIZE = 2048;
+const TRACEPARENT_REGEX = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// Shared across Next.js route modules (each route bundles its own copy of this file)
+if (!globalThis._tracing) {
+  globalThis._tracing = {
+    storage: new AsyncLocalStorage(),
+    config: null,      // resolved lazily from env
+    queue: [],         // ended spans waiting for export
+    timer: null,
+    exportFailed: false
+  };
+}
+const state = globalThis._tracing;
+
+function parseHeaders(value) {
+  const headers = {};
+  for (const pair of (value || "").split(",")) {
+    const index = pair.indexOf("=");
+    if (index <= 0) continue;
+    headers[decodeURIComponent(pair.slice(0, index).trim())] = decodeURIComponent(pair.slice(index + 1).trim());
+  }
+  return headers;
+}
+
+function readEnvConfig() {
+  const env = typeof process !== "undefined" ? process.env : {};
+  const base = env.OTEL_EXPORTER_OTLP_ENDPOINT;
+  const endpoint = env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || (base ? `${base.replace(/\/$/, "")}/v1/traces` : null);
+  return {
+    endpoint,
+    headers: parseHeaders(env.OTEL_EXPORTER_OTLP_HEADERS),
+    serviceName: env.OTEL_SERVICE_NAME || DEFAULT_SERVICE_NAME
+  };
+}
+
+function getConfig() {
+  if (!state.config) state.config = readEnvConfig();
+  return state.config;
+}
+
+/**
+ * Override the env configuration (tests, or callers configuring tracing in code).
+ * Pass nothing to re-read the env.
+ * @param {{ endpoint?: string|null, headers?: object, serviceName?: string }} [overrides]
+ */
+export function configureTracing(overrides = null) {
+  state.config = overrides ? { ...readEnvConfig(), ...overrides } : null;
+  state.queue = [];
+  state.exportFailed = false;
+}
+
+/**
+ * Whether spans are being recorded and exported
+ */
+export function isTracingEnabled() {
+  return !!getConfig().endpoint;
+}
+
+function randomHex(bytes) {
+  const values = crypto.getRandomValues(new Uint8Array(bytes));
+  return Array.from(values, b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Parse a W3C traceparent header ("00-<trace id>-<parent id>-<flags>")
+ * @param {string|null} header
+ * @returns {{ traceId: string, spanId: string, sampled: boolean }|null}
+ */
+export function parseTraceparent(header) {
+  const match = String(header || "").trim().toLowerCase().match(TRACEPARENT_REGEX);
+  if (!match || match[1] === "ff") return null;
+  const [, , traceId, spanId, flags] = match;
+  if (/^0+$/.test(traceId) || /^0+$/.test(spanId)) return null;
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+/**
+ * Build the traceparent header value for a span (to hand to downstream services)
+ * @param {{ traceId: string, spanId: string, sampled?: boolean }} span
+ */
+export function formatTraceparent(span) {
+  return `00-${span.traceId}-${span.spanId}-${span.sampled === false ? "00" : "01"}`;
+}
+
+const NOOP_METHODS = {
+  setAttribute() { return this; },
+  setAttributes() { return this; },
+  addEvent() { return this; },
+  recordError() { return this; },
+  setStatus() { return this; },
+  end() {}
+};
+
+const NOOP_SPAN = Object.freeze({ recording: false, traceId: "0".repeat(32), spanId: "0".repeat(16), sampled: false, ...NOOP_METHODS });
+
+// Stands in for an unsampled remote parent so children stay unsampled too
+function nonRecordingSpan(parent) {
+  return { recording: false, traceId: parent.traceId, spanId: parent.spanId, sampled: false, ...NOOP_METHODS };
+}
+
+class Span {
+  constructor(name, { kind, parent, attributes }) {
+    this.recording = true;
+    this.name = name;
+    this.kind = kind || SPAN_KINDS.INTERNAL;
+    this.traceId = parent?.traceId || randomHex(16);
+    this.spanId = randomHex(8);
+    this.parentSpanId = parent?.spanId || null;
+    this.sampled = true;
+    this.startTime = Date.now();
+    this.endTime = null;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: SPAN_STATUS.UNSET };
+    this.setAttributes(attributes);
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null && value !== "") this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes || {})) this.setAttribute(key, value);
+    return this;
+  }
+
+  addEvent(name, attributes = {}, time = Date.now()) {
+    this.events.push({ name, attributes, time });
+    return this;
+  }
+
+  recordError(error) {
+    this.addEvent("exception", {
+      "exception.type": error?.name || "Error",
+      "exception.message": error?.message || String(error)
+    });
+    return this.setStatus(SPAN_STATUS.ERROR, error?.message || String(error));
+  }
+
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  // Ending twice keeps the first end time
+  end(endTime = Date.now()) {
+    if (this.endTime !== null) return;
+    this.endTime = endTime;
+    enqueue(this);
+  }
+}
+
+/**
+ * Start a span that the caller ends. It is not made current; use withSpan() for nesting.
+ * @param {string} name
+ * @param {object} [options]
+ * @param {number} [options.kind] - One of SPAN_KINDS
+ * @param {object|null} [options.parent] - Span or parsed traceparent; defaults to the current span
+ * @param {object} [options.attributes]
+ * @returns {Span|object} A no-op span when tracing is off or the parent is not sampled
+ */
+export function startSpan(name, { kind, parent, attributes } = {}) {
+  if (!isTracingEnabled()) return NOOP_SPAN;
+  const parentContext = parent === undefined ? state.storage.getStore() : parent;
+  if (parentContext?.sampled === false) return parentContext.recording === false ? parentContext : nonRecordingSpan(parentContext);
+  return new Span(name, { kind, parent: parentContext?.traceId ? parentContext : null, attributes });
+}
+
+/**
+ * Run fn inside a new current span, ending it when fn returns or settles.
+ * Thrown errors and rejections are recorded on the span and rethrown.
+ * @param {string} name
+ * @param {object} options - Same as startSpan()
+ * @param {function(Span): *} fn
+ */
+export function withSpan(name, options, fn) {
+  const span = startSpan(name, options);
+  if (span === NOOP_SPAN) return fn(span);
+
+  let result;
+  try {
+    result = state.storage.run(span, () => fn(span));
+  } catch (error) {
+    span.recordError(error);
+    span.end();
+    throw error;
+  }
+
+  if (!span.recording) return result;
+  if (result && typeof result.then === "function") {
+    return result.then(
+      (value) => { span.end(); return value; },
+      (error) => { span.recordError(error); span.end(); throw error; }
+    );
+  }
+  span.end();
+  return result;
+}
+
+/**
+ * Current span (no-op span when there is none)
+ */
+export function getActiveSpan() {
+  return state.storage.getStore() || NOOP_SPAN;
+}
+
+// ─── Export ──────────────────────────────────────────────────────────────────
+
+function toAttributeValue(value) {
+  if (typeof value === "boolean") return { boolValue: value };
+  if (typeof value === "number") return Number.isInteger(value) ? { intValue: value } : { doubleValue: value };
+  return { stringValue: String(value) };
+}
+
+function toAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toAttributeValue(value) }));
+}
+
+function toUnixNano(ms) {
+  return `${Math.round(ms)}000000`;
+}
+
+/**
+ * Serialize ended spans as an OTLP/JSON ExportTraceServiceRequest
+ * @param {Span[]} spans
+ * @param {string} [serviceName]
+ */
+export function toOtlpPayload(spans, serviceName = getConfig().serviceName) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toAttributes({ "service.name": serviceName }) },
+      scopeSpans: [{
+        scope: { name: "9router" },
+        spans: spans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+          name: span.name,
+          kind: span.kind,
+          startTimeUnixNano: toUnixNano(span.startTime),
+          endTimeUnixNano: toUnixNano(span.endTime),
+          attributes: toAttributes(span.attributes),
+          events: span.events.map(event => ({
+            name: event.name,
+            timeUnixNano: toUnixNano(event.time),
+            attributes: toAttributes(event.attributes)
+          })),
+          status: span.status
+        }))
+      }]
+    }]
+  };
+}
+
+function enqueue(span) {
+  // Collector unreachable for long: drop the oldest rather than grow without bound
+  if (state.queue.length >= MAX_QUEUE_SIZE) state.queue.shift();
+  state.queue.push(span);
+
+  if (state.queue.length >= EXPORT_BATCH_SIZE) {
+    flushSpans();
+  } else if (!state.timer) {
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      flushSpans();
+    }, EXPORT_INTERVAL_MS);
+    state.timer.unref?.();
+  }
+}
+
+/**
+ * Export queued spans now (also runs every few seconds while spans are queued)
+ * @returns {Promise<void>}
+ */
+export async function flushSpans() {
+  const { endpoint, headers } = getConfig();
+  if (!endpoint) return;
+
+  while (state.queue.length > 0) {
+    const batch = state.queue.splice(0, EXPORT_BATCH_SIZE);
+    try {
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(toOtlpPayload(batch))
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      state.exportFailed = false;
+    } catch (error) {
+      // Log once per outage, not once per batch
+      if (!state.exportFailed) console.warn(`[TRACING] Span export to ${endpoint} failed: ${error.message}`);
+      state.exportFailed = true;
+      return;
+    }
+  }
+}
@@ -42,19 +42,12 @@ function processSSEMessage(msg, state) {
 const EMPTY_RESPONSE = { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
 
 /**
- * Convert Responses API SSE stream to single JSON response
- * @param {ReadableStream} stream - SSE stream from provider
- * @returns {Promise<Object>} Final JSON response in Responses API format
+ * Incremental Responses API SSE collector: feed it the stream text as it arrives,
+ * then build the final response object once the stream is done
+ * @returns {{ push: (text: string) => void, finish: () => Object }}
  */
-export async function convertResponsesStreamToJson(stream) {
-  if (!stream || typeof stream.getReader !== "function") {
-    return { id: `resp_${Date.now()}`, object: "response", created_at: Math.floor(Date.now() / 1000), status: "failed", output: [], usage: { ...EMPTY_RESPONSE } };
-  }
-
-  const reader = stream.getReader();
-  const decoder = new TextDecoder();
+export function createResponsesStreamCollector() {
   let buffer = "";
-
   const state = {
     responseId: "",
     created: Math.floor(Date.now() / 1000),
@@ -63,41 +56,66 @@ export async function convertResponsesStreamToJson(stream) {
     items: new Map()
   };
 
-  try {
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      buffer += decoder.decode(value, { stream: true });
+  return {
+    push(text) {
+      buffer += text;
       const messages = buffer.split("\n\n");
       buffer = messages.pop() || "";
 
       for (const msg of messages) {
         processSSEMessage(msg, state);
       }
+    },
+
+    finish() {
+      // Flush remaining buffer (last event may not end with \n\n)
+      if (buffer.trim()) {
+        processSSEMessage(buffer, state);
+        buffer = "";
+      }
+
+      // Build output array from accumulated items (ordered by index)
+      const output = [];
+      const maxIndex = state.items.size > 0 ? Math.max(...state.items.keys()) : -1;
+      for (let i = 0; i <= maxIndex; i++) {
+        output.push(state.items.get(i) || { type: "message", content: [], role: "assistant" });
+      }
+
+      return {
+        id: state.responseId || `resp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        object: "response",
+        created_at: state.created,
+        status: state.status || "completed",
+        output,
+        usage: state.usage
+      };
     }
+  };
+}
+
+/**
+ * Convert Responses API SSE stream to single JSON response
+ * @param {ReadableStream} stream - SSE stream from provider
+ * @returns {Promise<Object>} Final JSON response in Responses API format
+ */
+export async function convertResponsesStreamToJson(stream) {
+  if (!stream || typeof stream.getReader !== "function") {
+    return { id: `resp_${Date.now()}`, object: "response", created_at: Math.floor(Date.now() / 1000), status: "failed", output: [], usage: { ...EMPTY_RESPONSE } };
+  }
 
-    // Flush remaining buffer (last event may not end with \n\n)
-    if (buffer.trim()) {
-      processSSEMessage(buffer, state);
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  const collector = createResponsesStreamCollector();
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      collector.push(decoder.decode(value, { stream: true }));
     }
   } finally {
     reader.releaseLock();
   }
 
-  // Build output array from accumulated items (ordered by index)
-  const output = [];
-  const maxIndex = state.items.size > 0 ? Math.max(...state.items.keys()) : -1;
-  for (let i = 0; i <= maxIndex; i++) {
-    output.push(state.items.get(i) || { type: "message", content: [], role: "assistant" });
-  }
-
-  return {
-    id: state.responseId || `resp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
-    object: "response",
-    created_at: state.created,
-    status: state.status || "completed",
-    output,
-    usage: state.usage
-  };
+  return collector.finish();
 }
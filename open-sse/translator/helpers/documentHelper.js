@@ -0,0 +1,193 @@
+// Document helper functions for translator
+// Documents travel through the OpenAI intermediate format as Chat Completions file parts:
+// { type: "file", file: { filename, file_data: "data:<mime>;base64,...", file_url? }, citations?, context? }
+// (file_url, citations and context are kept so Claude targets get them back; they are
+// stripped for real OpenAI targets by filterToOpenAIFormat)
+import { FORMATS } from "../formats.js";
+import { extractPdfText } from "../../utils/pdfText.js";
+
+const PDF = "application/pdf";
+
+// MIME types each target reads natively; anything else is converted to extracted text
+const NATIVE_DOCUMENT_TYPES = {
+  [FORMATS.CLAUDE]: (mime) => mime === PDF || mime.startsWith("text/"),
+  [FORMATS.GEMINI]: (mime) => mime === PDF || mime.startsWith("text/"),
+  [FORMATS.GEMINI_CLI]: (mime) => mime === PDF || mime.startsWith("text/"),
+  [FORMATS.ANTIGRAVITY]: (mime) => mime === PDF || mime.startsWith("text/"),
+  [FORMATS.OPENAI_RESPONSES]: (mime) => mime === PDF,
+  [FORMATS.OPENAI]: (mime) => mime === PDF
+};
+
+// OpenAI-format providers that accept file parts (others get extracted text)
+const OPENAI_FILE_PROVIDERS = new Set(["openai", "openrouter"]);
+
+/**
+ * Split a data: URL
+ * @returns {{ mimeType: string, data: string }|null} data is base64
+ */
+export function parseDataUrl(url) {
+  const match = typeof url === "string" && url.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+  if (!match) return null;
+  const mimeType = (match[1] || "text/plain").toLowerCase();
+  const data = match[2] ? match[3] : Buffer.from(decodeURIComponent(match[3]), "utf8").toString("base64");
+  return { mimeType, data };
+}
+
+function decodeBase64Text(data) {
+  return Buffer.from(data, "base64").toString("utf8");
+}
+
+function encodeBase64Text(text) {
+  return Buffer.from(text, "utf8").toString("base64");
+}
+
+// Claude document block → OpenAI file part
+export function claudeDocumentToOpenAI(block) {
+  const source = block.source || {};
+  const file = {};
+  if (block.title) file.filename = block.title;
+
+  if (source.type === "base64") {
+    file.file_data = `data:${source.media_type || PDF};base64,${source.data}`;
+  } else if (source.type === "text") {
+    file.file_data = `data:${source.media_type || "text/plain"};base64,${encodeBase64Text(source.data || "")}`;
+  } else if (source.type === "content") {
+    const text = (Array.isArray(source.content) ? source.content : [])
+      .map(c => (typeof c === "string" ? c : c.text || ""))
+      .join("\n");
+    file.file_data = `data:text/plain;base64,${encodeBase64Text(text)}`;
+  } else if (source.type === "url") {
+    file.file_url = source.url;
+  } else {
+    return null;
+  }
+
+  return {
+    type: "file",
+    file,
+    ...(block.citations && { citations: block.citations }),
+    ...(block.context && { context: block.context })
+  };
+}
+
+// Responses API input_file → OpenAI file part
+export function responsesInputFileToOpenAI(item) {
+  const file = {};
+  if (item.filename) file.filename = item.filename;
+  if (item.file_data) {
+    // Responses API accepts a data URL or bare base64 (PDF)
+    file.file_data = item.file_data.startsWith("data:") ? item.file_data : `data:${PDF};base64,${item.file_data}`;
+  }
+  if (item.file_url) file.file_url = item.file_url;
+  if (item.file_id) file.file_id = item.file_id;
+  return { type: "file", file };
+}
+
+// OpenAI file part → Responses API input_file
+export function openAIFileToResponsesInputFile(part) {
+  const file = part.file || {};
+  return {
+    type: "input_file",
+    ...(file.filename && { filename: file.filename }),
+    ...(file.file_data && { file_data: file.file_data }),
+    ...(file.file_url && { file_url: file.file_url }),
+    ...(file.file_id && { file_id: file.file_id })
+  };
+}
+
+// OpenAI file part → Claude document block (null when it cannot be represented)
+export function openAIFileToClaudeDocument(part) {
+  const file = part.file || {};
+  const parsed = parseDataUrl(file.file_data);
+  let source;
+  if (parsed?.mimeType === PDF) {
+    source = { type: "base64", media_type: PDF, data: parsed.data };
+  } else if (parsed?.mimeType.startsWith("text/")) {
+    source = { type: "text", media_type: "text/plain", data: decodeBase64Text(parsed.data) };
+  } else if (!parsed && file.file_url) {
+    source = { type: "url", url: file.file_url };
+  } else {
+    return null;
+  }
+
+  return {
+    type: "document",
+    source,
+    ...(file.filename && { title: file.filename }),
+    ...(part.context && { context: part.context }),
+    ...(part.citations && { citations: part.citations })
+  };
+}
+
+// OpenAI file part → Gemini inlineData part (null when there is no inline data)
+export function openAIFileToGeminiPart(part) {
+  const parsed = parseDataUrl(part.file?.file_data);
+  if (!parsed) return null;
+  return { inlineData: { mime_type: parsed.mimeType, data: parsed.data } };
+}
+
+/**
+ * Whether a target reads a document natively
+ * @param {object} part - OpenAI file part
+ * @param {object} target - { targetFormat, provider, model }
+ */
+export function supportsDocument(part, { targetFormat, provider, model }) {
+  const file = part.file || {};
+  const parsed = parseDataUrl(file.file_data);
+
+  if (!parsed) {
+    // URL / uploaded file references only reach targets that can resolve them
+    if (file.file_url) return targetFormat === FORMATS.CLAUDE || targetFormat === FORMATS.OPENAI_RESPONSES;
+    if (file.file_id) return targetFormat === FORMATS.OPENAI_RESPONSES || (targetFormat === FORMATS.OPENAI && provider === "openai");
+    return false;
+  }
+
+  if (targetFormat === FORMATS.OPENAI && !OPENAI_FILE_PROVIDERS.has(provider)) return false;
+  // Cloud Code Claude models only get text and tool parts
+  if (targetFormat === FORMATS.ANTIGRAVITY && model?.toLowerCase().includes("claude")) return false;
+  return NATIVE_DOCUMENT_TYPES[targetFormat]?.(parsed.mimeType) || false;
+}
+
+// Extracted text for a document part, "" when nothing could be read
+async function extractDocumentText(part) {
+  const parsed = parseDataUrl(part.file?.file_data);
+  if (!parsed) return "";
+  if (parsed.mimeType.startsWith("text/") || parsed.mimeType === "application/json") return decodeBase64Text(parsed.data);
+  if (parsed.mimeType === PDF) return extractPdfText(new Uint8Array(Buffer.from(parsed.data, "base64")));
+  return "";
+}
+
+/**
+ * Replace file parts the target cannot read with their extracted text.
+ * Returns a new body, input is not mutated.
+ * @param {object} body - OpenAI format body
+ * @param {object} target - { targetFormat, provider, model }
+ * @param {object} [log] - Logger
+ * @returns {Promise<object>}
+ */
+export async function extractUnsupportedDocuments(body, target, log = null) {
+  if (!Array.isArray(body?.messages)) return body;
+  const needsText = (part) => part?.type === "file" && !supportsDocument(part, target);
+  if (!body.messages.some(msg => Array.isArray(msg.content) && msg.content.some(needsText))) return body;
+
+  const messages = await Promise.all(body.messages.map(async (msg) => {
+    if (!Array.isArray(msg.content) || !msg.content.some(needsText)) return msg;
+    const content = await Promise.all(msg.content.map(async (part) => {
+      if (!needsText(part)) return part;
+      const name = part.file?.filename || part.file?.file_url || "document";
+      let text = "";
+      try {
+        text = await extractDocumentText(part);
+      } catch (error) {
+        log?.warn?.("MEDIA", `text extraction failed for ${name}: ${error.message}`);
+      }
+      return {
+        type: "text",
+        text: text ? `<document name="${name}">\n${text}\n</document>` : `[Document ${name}: no extractable text]`
+      };
+    }));
+    return { ...msg, content };
+  }));
+
+  return { ...body, messages };
+}
@@ -1,4 +1,5 @@
 // Gemini helper functions for translator
+import { openAIFileToGeminiPart } from "./documentHelper.js";
 
 // Unsupported JSON Schema constraints that should be removed for Antigravity
 // Reference: CLIProxyAPI/internal/util/gemini_schema.go (removeUnsupportedKeywords)
@@ -54,6 +55,9 @@ export function convertOpenAIContentToParts(content) {
             inlineData: { mime_type: mimeType, data: data }
           });
         }
+      } else if (item.type === "file") {
+        const part = openAIFileToGeminiPart(item);
+        if (part) parts.push(part);
       }
     }
   }
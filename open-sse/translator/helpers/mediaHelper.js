@@ -0,0 +1,70 @@
+// Media helper functions for translator
+import { FORMATS } from "../formats.js";
+import { fetchImage } from "../../services/imageFetcher.js";
+
+// Targets that only take inline (base64) images: remote URLs are downloaded first
+export const INLINE_IMAGE_FORMATS = new Set([
+  FORMATS.CLAUDE,
+  FORMATS.GEMINI,
+  FORMATS.GEMINI_CLI,
+  FORMATS.ANTIGRAVITY,
+  FORMATS.KIRO
+]);
+
+function isRemoteUrl(url) {
+  return typeof url === "string" && /^https?:\/\//i.test(url);
+}
+
+function getImageUrl(part) {
+  if (part?.type !== "image_url") return null;
+  return typeof part.image_url === "string" ? part.image_url : part.image_url?.url;
+}
+
+/**
+ * Replace remote image_url parts of an OpenAI body with data: URLs so each target's
+ * converter can emit its inline format. Images that cannot be fetched become a text
+ * placeholder instead of being dropped silently. Returns a new body, input is not mutated.
+ * @param {object} body - OpenAI format body
+ * @param {object} [log] - Logger
+ * @returns {Promise<object>}
+ */
+export async function inlineRemoteImages(body, log = null) {
+  if (!Array.isArray(body?.messages)) return body;
+
+  const urls = new Set();
+  for (const msg of body.messages) {
+    if (!Array.isArray(msg.content)) continue;
+    for (const part of msg.content) {
+      const url = getImageUrl(part);
+      if (isRemoteUrl(url)) urls.add(url);
+    }
+  }
+  if (urls.size === 0) return body;
+
+  const images = new Map();
+  await Promise.all([...urls].map(async (url) => {
+    try {
+      images.set(url, await fetchImage(url));
+    } catch (error) {
+      log?.warn?.("MEDIA", `image fetch failed: ${url} (${error.message})`);
+      images.set(url, { error: error.message });
+    }
+  }));
+
+  const messages = body.messages.map((msg) => {
+    if (!Array.isArray(msg.content) || !msg.content.some(part => isRemoteUrl(getImageUrl(part)))) return msg;
+    const content = msg.content.map((part) => {
+      const url = getImageUrl(part);
+      if (!isRemoteUrl(url)) return part;
+      const image = images.get(url);
+      if (image.error) return { type: "text", text: `[Image unavailable: ${url}]` };
+      return {
+        type: "image_url",
+        image_url: { ...(typeof part.image_url === "object" && part.image_url), url: `data:${image.mimeType};base64,${image.data}` }
+      };
+    });
+    return { ...msg, content };
+  });
+
+  return { ...body, messages };
+}
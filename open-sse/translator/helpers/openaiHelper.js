@@ -1,7 +1,7 @@
 // OpenAI helper functions for translator
 
 // Valid OpenAI content block types
-export const VALID_OPENAI_CONTENT_TYPES = ["text", "image_url", "image"];
+export const VALID_OPENAI_CONTENT_TYPES = ["text", "image_url", "image", "file"];
 export const VALID_OPENAI_MESSAGE_TYPES = ["text", "image_url", "image", "tool_calls", "tool_result"];
 
 // Filter messages to OpenAI standard format
@@ -27,8 +27,11 @@ export function filterToOpenAIFormat(body) {
         // Skip thinking blocks
         if (block.type === "thinking" || block.type === "redacted_thinking") continue;
         
-        // Only keep valid OpenAI content types
-        if (VALID_OPENAI_CONTENT_TYPES.includes(block.type)) {
+        // File parts: drop translator-only fields (file_url, citations, context)
+        if (block.type === "file") {
+          const { filename, file_data, file_id } = block.file || {};
+          filteredContent.push({ type: "file", file: { filename, file_data, file_id } });
+        } else if (VALID_OPENAI_CONTENT_TYPES.includes(block.type)) {
           // Remove signature field if exists
           const { signature, cache_control, ...cleanBlock } = block;
           filteredContent.push(cleanBlock);
@@ -1,3 +1,5 @@
+import { responsesInputFileToOpenAI } from "./documentHelper.js";
+
 /**
  * Normalize Responses API input to array format.
  * Accepts string or array, returns array of message items.
@@ -13,6 +15,40 @@ export function normalizeResponsesInput(input) {
   return null;
 }
 
+/**
+ * Output items of a stored response → input items for the next turn.
+ * Item ids only resolve against OpenAI's own store, so they are dropped; reasoning
+ * items are only replayable with their encrypted content.
+ * @param {Array} output - Response output items
+ * @returns {Array}
+ */
+export function responseOutputToInput(output) {
+  const items = [];
+  for (const item of output || []) {
+    if (item.type === "reasoning" && !item.encrypted_content) continue;
+    const { id, status, ...rest } = item;
+    items.push(rest);
+  }
+  return items;
+}
+
+/**
+ * Rebuild the conversation behind previous_response_id: each stored turn contributes
+ * its input items followed by its output items
+ * @param {Array<{ input: Array, output: Array }>} chain - Stored responses, oldest first
+ * @param {string|Array} input - Input of the new request
+ * @returns {Array} Full input item list
+ */
+export function buildResponsesHistory(chain, input) {
+  const items = [];
+  for (const turn of chain) {
+    items.push(...(turn.input || []).map(({ id, ...item }) => item));
+    items.push(...responseOutputToInput(turn.output));
+  }
+  items.push(...(normalizeResponsesInput(input) || []));
+  return items;
+}
+
 /**
  * Convert OpenAI Responses API format to standard chat completions format
  * Responses API uses: { input: [...], instructions: "..." }
@@ -65,6 +101,7 @@ export function convertResponsesApiFormat(body) {
             const url = c.image_url || c.file_id || "";
             return { type: "image_url", image_url: { url, detail: c.detail || "auto" } };
           }
+          if (c.type === "input_file") return responsesInputFileToOpenAI(c);
           return c;
         })
         : item.content;
@@ -123,6 +160,7 @@ export function convertResponsesApiFormat(body) {
   delete result.include;
   delete result.prompt_cache_key;
   delete result.store;
+  delete result.previous_response_id;
   delete result.reasoning;
 
   return result;
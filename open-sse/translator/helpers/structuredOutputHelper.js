@@ -0,0 +1,196 @@
+// Structured output helper functions for translator
+// OpenAI response_format (json_schema / json_object) is mapped per target: forced tool use
+// for Claude, responseSchema for Gemini, text.format for Responses API, and a schema
+// instruction for targets without native support. Results are unwrapped back into
+// message.content and validated here.
+
+// Tool the Claude target is forced to call; its input is the structured result
+export const STRUCTURED_OUTPUT_TOOL = "structured_output";
+
+/**
+ * Read the requested structured output from a Chat Completions (response_format)
+ * or Responses API (text.format) body
+ * @param {object} body - Request body
+ * @returns {{ type: "json_schema"|"json_object", name: string, description?: string, schema: object|null, strict: boolean }|null}
+ */
+export function getStructuredOutput(body) {
+  const format = body?.response_format || body?.text?.format;
+  if (!format || typeof format !== "object") return null;
+
+  if (format.type === "json_object") {
+    return { type: "json_object", name: "json_object", schema: null, strict: false };
+  }
+  if (format.type === "json_schema") {
+    // Chat Completions nests the definition under json_schema, Responses API is flat
+    const definition = format.json_schema || format;
+    return {
+      type: "json_schema",
+      name: definition.name || "response",
+      description: definition.description,
+      schema: definition.schema && typeof definition.schema === "object" ? definition.schema : null,
+      strict: definition.strict === true
+    };
+  }
+  return null;
+}
+
+// Convert structured output to Responses API text.format
+export function toResponsesTextFormat(spec) {
+  if (spec.type === "json_object") return { type: "json_object" };
+  return {
+    type: "json_schema",
+    name: spec.name,
+    ...(spec.description && { description: spec.description }),
+    schema: spec.schema || { type: "object" },
+    strict: spec.strict
+  };
+}
+
+// Convert Responses API text.format to Chat Completions response_format
+export function toChatResponseFormat(format) {
+  if (!format || typeof format !== "object") return undefined;
+  if (format.type !== "json_schema") return format.type === "json_object" ? { type: "json_object" } : undefined;
+  const { type, ...definition } = format;
+  return { type, json_schema: definition };
+}
+
+// Instruction for targets without native structured output
+export function buildStructuredOutputPrompt(spec) {
+  const lines = ["Respond with a single valid JSON value only: no prose, no markdown code fences."];
+  if (spec.schema) {
+    lines.push(`The JSON must conform to this JSON Schema (${spec.name}):`, JSON.stringify(spec.schema));
+  } else {
+    lines.push("The response must be a JSON object.");
+  }
+  return lines.join("\n");
+}
+
+// Prepend the structured output instruction as a system message (OpenAI messages)
+export function withStructuredOutputPrompt(messages, spec) {
+  if (!spec || !Array.isArray(messages)) return messages;
+  return [{ role: "system", content: buildStructuredOutputPrompt(spec) }, ...messages];
+}
+
+// Strip markdown code fences models add around JSON despite instructions
+function extractJsonText(text) {
+  const trimmed = String(text ?? "").trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i);
+  return fenced ? fenced[1].trim() : trimmed;
+}
+
+/**
+ * Parse and validate a structured result
+ * @param {string} text - message.content
+ * @param {object} spec - From getStructuredOutput()
+ * @returns {{ valid: boolean, value?: any, text: string, error?: string }}
+ */
+export function parseStructuredOutput(text, spec) {
+  const jsonText = extractJsonText(text);
+  let value;
+  try {
+    value = JSON.parse(jsonText);
+  } catch (error) {
+    return { valid: false, text: jsonText, error: `Invalid JSON: ${error.message}` };
+  }
+
+  if (spec.type === "json_object" && (value === null || typeof value !== "object" || Array.isArray(value))) {
+    return { valid: false, value, text: jsonText, error: "Expected a JSON object" };
+  }
+  const error = spec.schema ? validateJsonSchema(value, spec.schema) : null;
+  return error ? { valid: false, value, text: jsonText, error } : { valid: true, value, text: jsonText };
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function resolveRef(ref, root) {
+  if (typeof ref !== "string" || !ref.startsWith("#/")) return null;
+  return ref.slice(2).split("/").reduce((node, key) => node?.[key.replace(/~1/g, "/").replace(/~0/g, "~")], root) || null;
+}
+
+/**
+ * Validate a value against the JSON Schema subset used for structured outputs:
+ * type, enum, const, properties, required, additionalProperties, items, anyOf/oneOf/allOf, local $ref
+ * @returns {string|null} First error ("$.path: message") or null when valid
+ */
+export function validateJsonSchema(value, schema, root = schema, path = "$") {
+  if (!schema || typeof schema !== "object") return null;
+  if (schema.$ref) return validateJsonSchema(value, resolveRef(schema.$ref, root), root, path);
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    const matches = types.some(t => t === actual || (t === "number" && actual === "integer"));
+    if (!matches) return `${path}: expected ${types.join(" or ")}, got ${actual}`;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    return `${path}: must be one of ${JSON.stringify(schema.enum)}`;
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    return `${path}: must be ${JSON.stringify(schema.const)}`;
+  }
+
+  for (const key of ["anyOf", "oneOf"]) {
+    if (Array.isArray(schema[key]) && !schema[key].some(option => validateJsonSchema(value, option, root, path) === null)) {
+      return `${path}: does not match any allowed schema`;
+    }
+  }
+  if (Array.isArray(schema.allOf)) {
+    for (const part of schema.allOf) {
+      const error = validateJsonSchema(value, part, root, path);
+      if (error) return error;
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) return `${path}: missing required property "${key}"`;
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        const error = validateJsonSchema(child, properties[key], root, `${path}.${key}`);
+        if (error) return error;
+      } else if (schema.additionalProperties === false) {
+        return `${path}: unexpected property "${key}"`;
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        const error = validateJsonSchema(child, schema.additionalProperties, root, `${path}.${key}`);
+        if (error) return error;
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items && typeof schema.items === "object") {
+    for (let i = 0; i < value.length; i++) {
+      const error = validateJsonSchema(value[i], schema.items, root, `${path}[${i}]`);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Move a structured_output tool call (Claude forced tool use) into message.content
+ * of a non-streaming OpenAI chat completion. Mutates and returns the response.
+ */
+export function unwrapStructuredOutput(response) {
+  for (const choice of response?.choices || []) {
+    const message = choice.message;
+    const call = message?.tool_calls?.find(tc => tc.function?.name === STRUCTURED_OUTPUT_TOOL);
+    if (!call) continue;
+
+    message.content = call.function.arguments || "{}";
+    message.tool_calls = message.tool_calls.filter(tc => tc !== call);
+    if (message.tool_calls.length === 0) {
+      delete message.tool_calls;
+      if (choice.finish_reason === "tool_calls") choice.finish_reason = "stop";
+    }
+  }
+  return response;
+}
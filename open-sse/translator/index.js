@@ -2,6 +2,8 @@ import { FORMATS } from "./formats.js";
 import { ensureToolCallIds, fixMissingToolResponses } from "./helpers/toolCallHelper.js";
 import { prepareClaudeRequest } from "./helpers/claudeHelper.js";
 import { filterToOpenAIFormat } from "./helpers/openaiHelper.js";
+import { inlineRemoteImages, INLINE_IMAGE_FORMATS } from "./helpers/mediaHelper.js";
+import { extractUnsupportedDocuments } from "./helpers/documentHelper.js";
 import { normalizeThinkingConfig } from "../services/provider.js";
 
 // Registry for translators
@@ -47,8 +49,8 @@ function ensureInitialized() {
   require("./response/cursor-to-openai.js");
 }
 
-// Translate request: source -> openai -> target
-export function translateRequest(sourceFormat, targetFormat, model, body, stream = true, credentials = null, provider = null, reqLogger = null) {
+// Translate request: source -> openai -> (media normalization) -> target
+export async function translateRequest(sourceFormat, targetFormat, model, body, stream = true, credentials = null, provider = null, reqLogger = null, log = null) {
   ensureInitialized();
   let result = body;
 
@@ -73,6 +75,14 @@ export function translateRequest(sourceFormat, targetFormat, model, body, stream
       }
     }
 
+    // Remote image URLs -> data URLs for targets that only accept inline images
+    if (INLINE_IMAGE_FORMATS.has(targetFormat)) {
+      result = await inlineRemoteImages(result, log);
+    }
+
+    // Documents the target cannot read natively -> extracted text
+    result = await extractUnsupportedDocuments(result, { targetFormat, provider, model }, log);
+
     // Step 2: openai -> target (if target is not openai)
     if (targetFormat !== FORMATS.OPENAI) {
       const fromOpenAI = requestRegistry.get(`${FORMATS.OPENAI}:${targetFormat}`);
@@ -80,6 +90,9 @@ export function translateRequest(sourceFormat, targetFormat, model, body, stream
         result = fromOpenAI(model, result, stream, credentials);
       }
     }
+  } else if (sourceFormat === FORMATS.OPENAI) {
+    // OpenAI-compatible providers without file input still need document text
+    result = await extractUnsupportedDocuments(result, { targetFormat, provider, model }, log);
   }
 
   // Always normalize to clean OpenAI format when target is OpenAI
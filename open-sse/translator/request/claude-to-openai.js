@@ -1,6 +1,7 @@
 import { register } from "../index.js";
 import { FORMATS } from "../formats.js";
 import { adjustMaxTokens } from "../helpers/maxTokensHelper.js";
+import { claudeDocumentToOpenAI } from "../helpers/documentHelper.js";
 
 // Convert Claude request to OpenAI format
 export function claudeToOpenAIRequest(model, body, stream) {
@@ -138,9 +139,17 @@ function convertClaudeMessage(msg) {
                 url: `data:${block.source.media_type};base64,${block.source.data}`
               }
             });
+          } else if (block.source?.type === "url" && block.source.url) {
+            parts.push({ type: "image_url", image_url: { url: block.source.url } });
           }
           break;
 
+        case "document": {
+          const filePart = claudeDocumentToOpenAI(block);
+          if (filePart) parts.push(filePart);
+          break;
+        }
+
         case "tool_use":
           toolCalls.push({
             id: block.id,
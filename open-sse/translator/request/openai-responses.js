@@ -7,6 +7,8 @@
 import { register } from "../index.js";
 import { FORMATS } from "../formats.js";
 import { normalizeResponsesInput } from "../helpers/responsesApiHelper.js";
+import { responsesInputFileToOpenAI, openAIFileToResponsesInputFile } from "../helpers/documentHelper.js";
+import { getStructuredOutput, toChatResponseFormat, toResponsesTextFormat } from "../helpers/structuredOutputHelper.js";
 
 /**
  * Convert OpenAI Responses API request to OpenAI Chat Completions format
@@ -57,6 +59,7 @@ export function openaiResponsesToOpenAIRequest(model, body, stream, credentials)
             const url = c.image_url || c.file_id || "";
             return { type: "image_url", image_url: { url, detail: c.detail || "auto" } };
           }
+          if (c.type === "input_file") return responsesInputFileToOpenAI(c);
           return c;
         })
         : item.content;
@@ -143,12 +146,18 @@ export function openaiResponsesToOpenAIRequest(model, body, stream, credentials)
       .filter(Boolean);
   }
 
+  // Structured output: text.format → response_format
+  const responseFormat = toChatResponseFormat(body.text?.format);
+  if (responseFormat) result.response_format = responseFormat;
+
   // Cleanup Responses API specific fields
+  delete result.text;
   delete result.input;
   delete result.instructions;
   delete result.include;
   delete result.prompt_cache_key;
   delete result.store;
+  delete result.previous_response_id;
   delete result.reasoning;
 
   return result;
@@ -198,6 +207,7 @@ export function openaiToOpenAIResponsesRequest(model, body, stream, credentials)
               return { type: "input_image", image_url: url, detail: c.image_url?.detail || "auto" };
             }
             if (c.type === "input_image") return c;
+            if (c.type === "file") return openAIFileToResponsesInputFile(c);
             // Serialize any unknown type (tool_use, tool_result, thinking, etc.) as text
             const text = c.text || c.content || JSON.stringify(c);
             return { type: contentType, text: typeof text === "string" ? text : JSON.stringify(text) };
@@ -264,6 +274,10 @@ export function openaiToOpenAIResponsesRequest(model, body, stream, credentials)
   if (body.max_tokens !== undefined) result.max_tokens = body.max_tokens;
   if (body.top_p !== undefined) result.top_p = body.top_p;
 
+  // Structured output: response_format → text.format
+  const structuredOutput = getStructuredOutput(body);
+  if (structuredOutput) result.text = { format: toResponsesTextFormat(structuredOutput) };
+
   return result;
 }
 
@@ -2,6 +2,8 @@ import { register } from "../index.js";
 import { FORMATS } from "../formats.js";
 import { CLAUDE_SYSTEM_PROMPT } from "../../config/constants.js";
 import { adjustMaxTokens } from "../helpers/maxTokensHelper.js";
+import { getStructuredOutput, buildStructuredOutputPrompt, STRUCTURED_OUTPUT_TOOL } from "../helpers/structuredOutputHelper.js";
+import { openAIFileToClaudeDocument } from "../helpers/documentHelper.js";
 
 // Empty prefix matches real Claude Code behavior (no tool name prefix).
 // Previously "proxy_" was used but this is a detectable fingerprint difference.
@@ -159,6 +161,12 @@ export function openaiToClaudeRequest(model, body, stream) {
     };
   }
 
+  // Structured output (response_format) → forced tool use
+  const structuredOutput = getStructuredOutput(body);
+  if (structuredOutput) {
+    applyStructuredOutput(result, structuredOutput, body);
+  }
+
   // Attach toolNameMap to result for response translation
   if (toolNameMap.size > 0) {
     result._toolNameMap = toolNameMap;
@@ -167,6 +175,34 @@ export function openaiToClaudeRequest(model, body, stream) {
   return result;
 }
 
+// Map response_format onto a tool whose input is the structured result.
+// Extended thinking only allows tool_choice auto, and a request with its own tools keeps
+// them callable (any), so both also get an instruction to answer through the tool.
+function applyStructuredOutput(result, spec, body) {
+  const schema = spec.schema?.type === "object" ? spec.schema : null;
+  if (spec.type === "json_schema" && !schema) {
+    // Tool input must be an object: fall back to the schema instruction
+    result.system.push({ type: "text", text: buildStructuredOutputPrompt(spec) });
+    return;
+  }
+
+  result.tools = result.tools || [];
+  result.tools.push({
+    name: STRUCTURED_OUTPUT_TOOL,
+    description: spec.description || `Return the final response as ${spec.name}. Call this tool exactly once with the complete result.`,
+    input_schema: schema || { type: "object" }
+  });
+
+  const thinking = result.thinking && result.thinking.type !== "disabled";
+  if (!thinking && result.tools.length > 1) {
+    if (!body.tool_choice) result.tool_choice = { type: "any" };
+  } else if (!thinking) {
+    result.tool_choice = { type: "tool", name: STRUCTURED_OUTPUT_TOOL };
+    return;
+  }
+  result.system.push({ type: "text", text: `Give your final answer by calling the ${STRUCTURED_OUTPUT_TOOL} tool, not as text.` });
+}
+
 // Get content blocks from single message
 function getContentBlocksFromMessage(msg, toolNameMap = new Map()) {
   const blocks = [];
@@ -204,6 +240,11 @@ function getContentBlocksFromMessage(msg, toolNameMap = new Map()) {
           }
         } else if (part.type === "image" && part.source) {
           blocks.push({ type: "image", source: part.source });
+        } else if (part.type === "file") {
+          const document = openAIFileToClaudeDocument(part);
+          if (document) blocks.push(document);
+        } else if (part.type === "document" && part.source) {
+          blocks.push(part);
         }
       }
     }
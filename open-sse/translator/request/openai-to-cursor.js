@@ -6,6 +6,7 @@
  */
 import { register } from "../index.js";
 import { FORMATS } from "../formats.js";
+import { getStructuredOutput, withStructuredOutputPrompt } from "../helpers/structuredOutputHelper.js";
 
 function extractContent(content) {
   if (typeof content === "string") return content;
@@ -108,9 +109,10 @@ function convertMessages(messages) {
 }
 
 export function buildCursorRequest(model, body, stream, credentials) {
-  const messages = convertMessages(body.messages || []);
+  // No native structured output: response_format becomes a schema instruction
+  const messages = convertMessages(withStructuredOutputPrompt(body.messages || [], getStructuredOutput(body)));
   // Strip fields irrelevant to Cursor (OpenAI/Anthropic-specific)
-  const { user, metadata, tool_choice, stream_options, system, ...rest } = body;
+  const { user, metadata, tool_choice, stream_options, system, response_format, ...rest } = body;
   return {
     ...rest,
     messages,
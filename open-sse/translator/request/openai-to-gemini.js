@@ -18,6 +18,7 @@ import {
   generateProjectId,
   cleanJSONSchemaForAntigravity
 } from "../helpers/geminiHelper.js";
+import { getStructuredOutput } from "../helpers/structuredOutputHelper.js";
 import { deriveSessionId } from "../../utils/sessionManager.js";
 
 // Core: Convert OpenAI request to Gemini format (base for all variants)
@@ -43,6 +44,12 @@ function openaiToGeminiBase(model, body, stream) {
     result.generationConfig.maxOutputTokens = body.max_tokens;
   }
 
+  // Structured output (response_format) → JSON mime type + responseSchema
+  applyStructuredOutput(result.generationConfig, getStructuredOutput(body));
+
+  // Image output (modalities: ["image", "text"]) → responseModalities + imageConfig
+  applyImageOutput(result.generationConfig, body);
+
   // Build tool_call_id -> name map
   const tcID2Name = {};
   if (body.messages && Array.isArray(body.messages)) {
@@ -203,6 +210,24 @@ function openaiToGeminiBase(model, body, stream) {
   return result;
 }
 
+// Image-capable models only return images when IMAGE is among the response modalities
+function applyImageOutput(generationConfig, body) {
+  if (!Array.isArray(body.modalities) || !body.modalities.includes("image")) return;
+  generationConfig.responseModalities = body.modalities.map(modality => modality.toUpperCase());
+  if (body.image_config?.aspect_ratio) {
+    generationConfig.imageConfig = { aspectRatio: body.image_config.aspect_ratio };
+  }
+}
+
+// Map response_format onto generationConfig (schema cleaned to the subset Gemini accepts)
+function applyStructuredOutput(generationConfig, spec) {
+  if (!spec) return;
+  generationConfig.responseMimeType = "application/json";
+  if (spec.schema) {
+    generationConfig.responseSchema = cleanJSONSchemaForAntigravity(structuredClone(spec.schema));
+  }
+}
+
 // OpenAI -> Gemini (standard API)
 export function openaiToGeminiRequest(model, body, stream) {
   return openaiToGeminiBase(model, body, stream);
@@ -416,8 +441,12 @@ export function openaiToAntigravityRequest(model, body, stream, credentials = nu
   const isClaude = model.toLowerCase().includes("claude");
 
   if (isClaude) {
-    const claudeRequest = openaiToClaudeRequestForAntigravity(model, body, stream);
-    return wrapInCloudCodeEnvelopeForClaude(model, claudeRequest, credentials);
+    // Cloud Code takes structured output through generationConfig, not Claude tool use
+    const { response_format, ...claudeBody } = body;
+    const claudeRequest = openaiToClaudeRequestForAntigravity(model, claudeBody, stream);
+    const envelope = wrapInCloudCodeEnvelopeForClaude(model, claudeRequest, credentials);
+    applyStructuredOutput(envelope.request.generationConfig, getStructuredOutput(body));
+    return envelope;
   }
 
   const geminiCLI = openaiToGeminiCLIRequest(model, body, stream);
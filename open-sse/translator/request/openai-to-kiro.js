@@ -5,6 +5,7 @@
 import { register } from "../index.js";
 import { FORMATS } from "../formats.js";
 import { v4 as uuidv4 } from "uuid";
+import { getStructuredOutput, withStructuredOutputPrompt } from "../helpers/structuredOutputHelper.js";
 
 /**
  * Convert OpenAI messages to Kiro format
@@ -253,7 +254,8 @@ function convertMessages(messages, tools, model) {
  * Build Kiro payload from OpenAI format
  */
 export function buildKiroPayload(model, body, stream, credentials) {
-  const messages = body.messages || [];
+  // No native structured output: response_format becomes a schema instruction
+  const messages = withStructuredOutputPrompt(body.messages || [], getStructuredOutput(body));
   const tools = body.tools || [];
   const maxTokens = 32000;
   const temperature = body.temperature;
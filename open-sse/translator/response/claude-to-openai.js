@@ -1,5 +1,6 @@
 import { register } from "../index.js";
 import { FORMATS } from "../formats.js";
+import { STRUCTURED_OUTPUT_TOOL } from "../helpers/structuredOutputHelper.js";
 
 // Create OpenAI chunk helper
 function createChunk(state, delta, finishReason = null) {
@@ -45,6 +46,9 @@ export function claudeToOpenAIResponse(chunk, state) {
         state.inThinkingBlock = true;
         state.currentBlockIndex = chunk.index;
         results.push(createChunk(state, { content: "<think>" }));
+      } else if (block?.type === "tool_use" && state.structuredOutput && block.name === STRUCTURED_OUTPUT_TOOL) {
+        // Structured output tool: stream its input as message content
+        state.structuredBlockIndex = chunk.index;
       } else if (block?.type === "tool_use") {
         const toolCallIndex = state.toolCallIndex++;
         // Restore original tool name from mapping (Claude OAuth)
@@ -72,6 +76,8 @@ export function claudeToOpenAIResponse(chunk, state) {
         results.push(createChunk(state, { content: delta.text }));
       } else if (delta?.type === "thinking_delta" && delta.thinking) {
         results.push(createChunk(state, { reasoning_content: delta.thinking }));
+      } else if (delta?.type === "input_json_delta" && delta.partial_json && chunk.index === state.structuredBlockIndex) {
+        results.push(createChunk(state, { content: delta.partial_json }));
       } else if (delta?.type === "input_json_delta" && delta.partial_json) {
         const toolCall = state.toolCalls.get(chunk.index);
         if (toolCall) {
@@ -131,6 +137,10 @@ export function claudeToOpenAIResponse(chunk, state) {
       
       if (chunk.delta?.stop_reason) {
         state.finishReason = convertStopReason(chunk.delta.stop_reason);
+        // Only the structured output tool was called: a regular answer for the client
+        if (state.finishReason === "tool_calls" && state.structuredBlockIndex !== undefined && state.toolCalls.size === 0) {
+          state.finishReason = "stop";
+        }
         const finalChunk = {
           id: `chatcmpl-${state.messageId}`,
           object: "chat.completion.chunk",
@@ -37,6 +37,85 @@ export function errorResponse(statusCode, message) {
   });
 }
 
+/** Error body shapes by client API family */
+export const ERROR_FORMATS = {
+  OPENAI: "openai",
+  CLAUDE: "claude",
+  GEMINI: "gemini",
+  OLLAMA: "ollama"
+};
+
+const CLAUDE_ERROR_TYPES = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  403: "permission_error",
+  404: "not_found_error",
+  413: "request_too_large",
+  429: "rate_limit_error",
+  529: "overloaded_error"
+};
+
+const GEMINI_ERROR_STATUSES = {
+  400: "INVALID_ARGUMENT",
+  401: "UNAUTHENTICATED",
+  403: "PERMISSION_DENIED",
+  404: "NOT_FOUND",
+  429: "RESOURCE_EXHAUSTED",
+  500: "INTERNAL",
+  503: "UNAVAILABLE",
+  504: "DEADLINE_EXCEEDED"
+};
+
+/**
+ * Pick the error body shape the caller's SDK expects from the request path
+ * @param {string} pathname - Request pathname
+ * @returns {string} One of ERROR_FORMATS
+ */
+export function getErrorFormatForEndpoint(pathname = "") {
+  if (pathname.includes("/v1beta/")) return ERROR_FORMATS.GEMINI;
+  if (/\/api\/(chat|generate|embed|show)$/.test(pathname)) return ERROR_FORMATS.OLLAMA;
+  if (pathname.includes("/v1/messages")) return ERROR_FORMATS.CLAUDE;
+  return ERROR_FORMATS.OPENAI;
+}
+
+/**
+ * Build error body in the caller's native format
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {string} format - One of ERROR_FORMATS
+ * @returns {object}
+ */
+export function buildFormattedErrorBody(statusCode, message, format = ERROR_FORMATS.OPENAI) {
+  const text = message || DEFAULT_ERROR_MESSAGES[statusCode] || "An error occurred";
+  switch (format) {
+    case ERROR_FORMATS.CLAUDE:
+      return { type: "error", error: { type: CLAUDE_ERROR_TYPES[statusCode] || (statusCode >= 500 ? "api_error" : "invalid_request_error"), message: text } };
+    case ERROR_FORMATS.GEMINI:
+      return { error: { code: statusCode, message: text, status: GEMINI_ERROR_STATUSES[statusCode] || (statusCode >= 500 ? "INTERNAL" : "FAILED_PRECONDITION") } };
+    case ERROR_FORMATS.OLLAMA:
+      return { error: text };
+    default:
+      return buildErrorBody(statusCode, text);
+  }
+}
+
+/**
+ * Create error Response in the caller's native format
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {string} format - One of ERROR_FORMATS
+ * @returns {Response}
+ */
+export function formattedErrorResponse(statusCode, message, format) {
+  return new Response(JSON.stringify(buildFormattedErrorBody(statusCode, message, format)), {
+    status: statusCode,
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*"
+    }
+  });
+}
+
 /**
  * Write error to SSE stream (for streaming)
  * @param {WritableStreamDefaultWriter} writer - Stream writer
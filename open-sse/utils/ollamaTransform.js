@@ -1,77 +1,258 @@
-// Transform OpenAI SSE stream to Ollama JSON lines format
-export function transformToOllama(response, model) {
+import { createHash } from "crypto";
+import { sniffImageMime } from "../services/imageFetcher.js";
+
+// Reported by /api/version. Clients gate features (tools, structured outputs, /api/embed)
+// on the Ollama version, so report one that has all of them.
+export const OLLAMA_VERSION = "0.9.0";
+
+// Ollama modes: /api/chat streams `message`, /api/generate streams `response`
+export const OLLAMA_MODES = {
+  CHAT: "chat",
+  GENERATE: "generate"
+};
+
+const DONE_REASONS = {
+  stop: "stop",
+  length: "length",
+  tool_calls: "stop",
+  content_filter: "stop"
+};
+
+// ─── Requests: Ollama → OpenAI ──────────────────────────────────────────────
+
+// Ollama images are bare base64 strings
+function imagesToParts(images) {
+  return images.map((data) => {
+    const mimeType = sniffImageMime(new Uint8Array(Buffer.from(data.slice(0, 64), "base64"))) || "image/png";
+    return { type: "image_url", image_url: { url: `data:${mimeType};base64,${data}` } };
+  });
+}
+
+function toContent(text, images) {
+  if (!Array.isArray(images) || images.length === 0) return text ?? "";
+  return [...(text ? [{ type: "text", text }] : []), ...imagesToParts(images)];
+}
+
+// options / format / think → OpenAI sampling fields
+function applyOptions(result, body) {
+  const options = body.options || {};
+  if (options.temperature !== undefined) result.temperature = options.temperature;
+  if (options.top_p !== undefined) result.top_p = options.top_p;
+  if (options.top_k !== undefined) result.top_k = options.top_k;
+  if (options.num_predict > 0) result.max_tokens = options.num_predict;
+  if (options.stop !== undefined) result.stop = options.stop;
+  if (options.seed !== undefined) result.seed = options.seed;
+  if (options.presence_penalty !== undefined) result.presence_penalty = options.presence_penalty;
+  if (options.frequency_penalty !== undefined) result.frequency_penalty = options.frequency_penalty;
+
+  if (body.format === "json") {
+    result.response_format = { type: "json_object" };
+  } else if (body.format && typeof body.format === "object") {
+    result.response_format = { type: "json_schema", json_schema: { name: "response", schema: body.format } };
+  }
+
+  if (typeof body.think === "string") result.reasoning_effort = body.think;
+  else if (body.think === true) result.reasoning_effort = "medium";
+}
+
+/**
+ * Ollama /api/chat body → OpenAI chat completions body.
+ * Ollama streams unless stream is false; tool calls carry no ids, so ids are assigned
+ * here and tool results are matched to them by tool name, then by order.
+ * @param {object} body - Ollama chat request
+ * @returns {object}
+ */
+export function ollamaChatToOpenAI(body) {
+  const messages = [];
+  let pendingCalls = [];
+
+  (body.messages || []).forEach((msg, msgIndex) => {
+    if (msg.role === "assistant" && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+      const toolCalls = msg.tool_calls.map((call, i) => {
+        const args = call.function?.arguments;
+        return {
+          id: call.id || `call_${msgIndex}_${i}`,
+          type: "function",
+          function: { name: call.function?.name || "", arguments: typeof args === "string" ? args : JSON.stringify(args || {}) }
+        };
+      });
+      pendingCalls = [...toolCalls];
+      messages.push({ role: "assistant", content: msg.content || "", tool_calls: toolCalls });
+      return;
+    }
+
+    if (msg.role === "tool") {
+      const index = Math.max(0, pendingCalls.findIndex(call => call.function.name === msg.tool_name));
+      const call = pendingCalls.splice(index, 1)[0];
+      messages.push({ role: "tool", tool_call_id: msg.tool_call_id || call?.id || `call_${msgIndex}`, content: msg.content ?? "" });
+      return;
+    }
+
+    messages.push({ role: msg.role, content: toContent(msg.content, msg.images) });
+  });
+
+  const result = { model: body.model, messages, stream: body.stream !== false };
+  if (Array.isArray(body.tools) && body.tools.length > 0) result.tools = body.tools;
+  applyOptions(result, body);
+  return result;
+}
+
+/**
+ * Ollama /api/generate body → OpenAI chat completions body (system + one user turn)
+ * @param {object} body - Ollama generate request
+ * @returns {object}
+ */
+export function ollamaGenerateToOpenAI(body) {
+  const messages = [];
+  if (body.system) messages.push({ role: "system", content: body.system });
+  messages.push({ role: "user", content: toContent(body.prompt || "", body.images) });
+
+  const result = { model: body.model, messages, stream: body.stream !== false };
+  applyOptions(result, body);
+  return result;
+}
+
+// ─── Responses: OpenAI → Ollama ─────────────────────────────────────────────
+
+function formatToolCalls(toolCalls) {
+  return toolCalls.map((call) => {
+    let args = {};
+    try {
+      args = JSON.parse(call.function?.arguments || "{}");
+    } catch {
+      args = {};
+    }
+    return { function: { name: call.function?.name || "", arguments: args } };
+  });
+}
+
+// One non-final chunk / message body for the mode
+function ollamaPart(model, mode, { content = "", thinking, toolCalls } = {}) {
+  const createdAt = new Date().toISOString();
+  if (mode === OLLAMA_MODES.GENERATE) {
+    return { model, created_at: createdAt, response: content, ...(thinking && { thinking }), done: false };
+  }
+  const message = { role: "assistant", content };
+  if (thinking) message.thinking = thinking;
+  if (toolCalls?.length) message.tool_calls = formatToolCalls(toolCalls);
+  return { model, created_at: createdAt, message, done: false };
+}
+
+// Final chunk with stop reason and token counts (durations in nanoseconds)
+function ollamaDone(model, mode, { finishReason, usage, startedAt }, part = {}) {
+  const totalDuration = (Date.now() - startedAt) * 1e6;
+  return {
+    ...ollamaPart(model, mode, part),
+    done: true,
+    done_reason: DONE_REASONS[finishReason] || "stop",
+    total_duration: totalDuration,
+    load_duration: 0,
+    prompt_eval_count: usage?.prompt_tokens || 0,
+    prompt_eval_duration: 0,
+    eval_count: usage?.completion_tokens || 0,
+    eval_duration: totalDuration
+  };
+}
+
+/**
+ * Convert a non-streaming OpenAI chat completion to a single Ollama response
+ * @param {object} completion - OpenAI chat.completion JSON
+ * @param {string} model - Model name echoed to the client
+ * @param {string} [mode] - One of OLLAMA_MODES
+ * @param {number} [startedAt] - Request start (ms) for durations
+ */
+export function openAICompletionToOllama(completion, model, mode = OLLAMA_MODES.CHAT, startedAt = Date.now()) {
+  const choice = completion.choices?.[0] || {};
+  const message = choice.message || {};
+  return ollamaDone(model, mode, { finishReason: choice.finish_reason, usage: completion.usage, startedAt }, {
+    content: message.content || "",
+    thinking: message.reasoning_content,
+    toolCalls: message.tool_calls
+  });
+}
+
+/**
+ * Transform an OpenAI response (SSE stream or JSON) to Ollama format:
+ * JSON lines when streaming, one JSON object for stream:false requests.
+ * @param {Response} response - Response from handleChat
+ * @param {string} model - Model name echoed to the client
+ * @param {string} [mode] - One of OLLAMA_MODES
+ * @returns {Promise<Response>}
+ */
+export async function transformToOllama(response, model, mode = OLLAMA_MODES.CHAT) {
+  // Errors are already JSON ({ error }) - pass through with original status
+  if (!response.ok) return response;
+
+  const startedAt = Date.now();
+
+  if (!response.headers.get("content-type")?.includes("text/event-stream")) {
+    const completion = await response.json();
+    return new Response(JSON.stringify(openAICompletionToOllama(completion, model, mode, startedAt)), {
+      headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+    });
+  }
+
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
   let buffer = "";
   let pendingToolCalls = {};
-  
+  let finishReason = null;
+  let usage = null;
+  let finished = false;
+
+  const emit = (controller, obj) => controller.enqueue(encoder.encode(JSON.stringify(obj) + "\n"));
+  const finish = (controller) => {
+    if (finished) return;
+    finished = true;
+    const toolCalls = Object.values(pendingToolCalls);
+    if (toolCalls.length > 0) emit(controller, ollamaPart(model, mode, { toolCalls }));
+    emit(controller, ollamaDone(model, mode, { finishReason, usage, startedAt }));
+  };
+
   const transform = new TransformStream({
     transform(chunk, controller) {
-      const text = new TextDecoder().decode(chunk);
-      buffer += text;
+      buffer += decoder.decode(chunk, { stream: true });
       const lines = buffer.split("\n");
       buffer = lines.pop() || "";
 
       for (const line of lines) {
         if (!line.startsWith("data:")) continue;
         const data = line.slice(5).trim();
-        
+
         if (data === "[DONE]") {
-          const ollamaEnd = JSON.stringify({ model, message: { role: "assistant", content: "" }, done: true }) + "\n";
-          controller.enqueue(new TextEncoder().encode(ollamaEnd));
+          finish(controller);
           return;
         }
 
+        let parsed;
         try {
-          const parsed = JSON.parse(data);
-          const delta = parsed.choices?.[0]?.delta || {};
-          const content = delta.content || "";
-          const toolCalls = delta.tool_calls;
-
-          if (toolCalls) {
-            for (const tc of toolCalls) {
-              const idx = tc.index;
-              if (!pendingToolCalls[idx]) {
-                pendingToolCalls[idx] = { id: tc.id, function: { name: "", arguments: "" } };
-              }
-              if (tc.function?.name) pendingToolCalls[idx].function.name += tc.function.name;
-              if (tc.function?.arguments) pendingToolCalls[idx].function.arguments += tc.function.arguments;
-            }
-          }
-
-          if (content) {
-            const ollama = JSON.stringify({ model, message: { role: "assistant", content }, done: false }) + "\n";
-            controller.enqueue(new TextEncoder().encode(ollama));
-          }
-
-          const finishReason = parsed.choices?.[0]?.finish_reason;
-          if (finishReason === "tool_calls" || finishReason === "stop") {
-            const toolCallsArr = Object.values(pendingToolCalls);
-            if (toolCallsArr.length > 0) {
-              const formattedCalls = toolCallsArr.map(tc => ({
-                function: {
-                  name: tc.function.name,
-                  arguments: JSON.parse(tc.function.arguments || "{}")
-                }
-              }));
-              const ollama = JSON.stringify({ 
-                model, 
-                message: { role: "assistant", content: "", tool_calls: formattedCalls }, 
-                done: true
-              }) + "\n";
-              controller.enqueue(new TextEncoder().encode(ollama));
-              pendingToolCalls = {};
-            } else if (finishReason === "stop") {
-              const ollamaEnd = JSON.stringify({ model, message: { role: "assistant", content: "" }, done: true }) + "\n";
-              controller.enqueue(new TextEncoder().encode(ollamaEnd));
-            }
-          }
-        } catch (e) {
+          parsed = JSON.parse(data);
+        } catch {
           // Silently ignore parse errors
+          continue;
+        }
+
+        if (parsed.usage) usage = parsed.usage;
+        const choice = parsed.choices?.[0];
+        if (!choice) continue;
+        const delta = choice.delta || {};
+
+        for (const tc of delta.tool_calls || []) {
+          const idx = tc.index ?? 0;
+          if (!pendingToolCalls[idx]) pendingToolCalls[idx] = { id: tc.id, function: { name: "", arguments: "" } };
+          if (tc.function?.name) pendingToolCalls[idx].function.name += tc.function.name;
+          if (tc.function?.arguments) pendingToolCalls[idx].function.arguments += tc.function.arguments;
+        }
+
+        if (delta.content || delta.reasoning_content) {
+          emit(controller, ollamaPart(model, mode, { content: delta.content || "", thinking: delta.reasoning_content }));
         }
+
+        if (choice.finish_reason) finishReason = choice.finish_reason;
       }
     },
     flush(controller) {
-      const ollamaEnd = JSON.stringify({ model, message: { role: "assistant", content: "" }, done: true }) + "\n";
-      controller.enqueue(new TextEncoder().encode(ollamaEnd));
+      finish(controller);
     }
   });
 
@@ -80,3 +261,44 @@ export function transformToOllama(response, model) {
   });
 }
 
+/**
+ * OpenAI embeddings response → Ollama /api/embed response
+ * @param {object} result - { data: [{ embedding, index }], usage }
+ * @param {string} model
+ * @param {number} [startedAt] - Request start (ms)
+ */
+export function openAIEmbeddingsToOllama(result, model, startedAt = Date.now()) {
+  const data = [...(result.data || [])].sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+  return {
+    model,
+    embeddings: data.map(item => item.embedding),
+    total_duration: (Date.now() - startedAt) * 1e6,
+    load_duration: 0,
+    prompt_eval_count: result.usage?.prompt_tokens || 0
+  };
+}
+
+// ─── Models ─────────────────────────────────────────────────────────────────
+
+/**
+ * Ollama model entry (/api/tags, /api/ps) for a remote model
+ * @param {string} name - Model name clients send back
+ * @param {object} [details] - { family, modifiedAt }
+ */
+export function toOllamaModel(name, { family = "", modifiedAt = new Date().toISOString() } = {}) {
+  return {
+    name,
+    model: name,
+    modified_at: modifiedAt,
+    size: 0,
+    digest: createHash("sha256").update(name).digest("hex"),
+    details: {
+      parent_model: "",
+      format: "remote",
+      family,
+      families: family ? [family] : [],
+      parameter_size: "",
+      quantization_level: ""
+    }
+  };
+}
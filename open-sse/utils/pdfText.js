@@ -0,0 +1,169 @@
+/**
+ * Best-effort PDF text extraction without dependencies.
+ *
+ * Inflates FlateDecode content streams (DecompressionStream, works in Node and Workers)
+ * and collects the strings shown by text operators (Tj, TJ, ', ") between BT/ET.
+ * Good enough for PDFs with standard fonts; CID-keyed fonts and scanned pages yield
+ * little or no text, callers treat an empty result as "no extractable text".
+ */
+
+const latin1Decoder = new TextDecoder("latin1");
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+// Literal string body (without parentheses) → text
+function decodeLiteral(raw) {
+  let out = "";
+  for (let i = 0; i < raw.length; i++) {
+    const ch = raw[i];
+    if (ch !== "\\") {
+      out += ch;
+      continue;
+    }
+    const next = raw[++i];
+    if (next === undefined) break;
+    if (/[0-7]/.test(next)) {
+      let octal = next;
+      while (octal.length < 3 && /[0-7]/.test(raw[i + 1] || "")) octal += raw[++i];
+      out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+    } else if (next === "\r" || next === "\n") {
+      // Line continuation
+      if (next === "\r" && raw[i + 1] === "\n") i++;
+    } else {
+      out += { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" }[next] ?? next;
+    }
+  }
+  return decodeTextBytes(out);
+}
+
+// Hex string body → text (UTF-16BE when BOM present or every high byte is 0)
+function decodeHex(raw) {
+  const hex = raw.replace(/\s+/g, "");
+  const padded = hex.length % 2 ? hex + "0" : hex;
+  let binary = "";
+  for (let i = 0; i < padded.length; i += 2) binary += String.fromCharCode(parseInt(padded.slice(i, i + 2), 16));
+  return decodeTextBytes(binary);
+}
+
+function decodeTextBytes(binary) {
+  const isUtf16 = binary.startsWith("\xfe\xff") ||
+    (binary.length >= 2 && binary.length % 2 === 0 && [...binary].every((c, i) => i % 2 === 1 || c === "\0"));
+  if (!isUtf16) return binary;
+  const start = binary.startsWith("\xfe\xff") ? 2 : 0;
+  let out = "";
+  for (let i = start; i + 1 < binary.length; i += 2) out += String.fromCharCode((binary.charCodeAt(i) << 8) | binary.charCodeAt(i + 1));
+  return out;
+}
+
+// Read a (...) literal with nested parentheses starting at index (at "(")
+function readLiteral(content, index) {
+  let depth = 0;
+  for (let i = index; i < content.length; i++) {
+    const ch = content[i];
+    if (ch === "\\") {
+      i++;
+      continue;
+    }
+    if (ch === "(") depth++;
+    else if (ch === ")" && --depth === 0) return { raw: content.slice(index + 1, i), end: i + 1 };
+  }
+  return { raw: content.slice(index + 1), end: content.length };
+}
+
+// Collect text shown inside BT ... ET blocks of one content stream
+function extractFromContent(content) {
+  const lines = [];
+  let line = "";
+  const flush = () => {
+    if (line.trim()) lines.push(line.trim());
+    line = "";
+  };
+
+  const blocks = content.match(/\bBT\b[\s\S]*?\bET\b/g) || [];
+  for (const block of blocks) {
+    let pending = [];
+    for (let i = 0; i < block.length; i++) {
+      const ch = block[i];
+      if (ch === "(") {
+        const { raw, end } = readLiteral(block, i);
+        pending.push(decodeLiteral(raw));
+        i = end - 1;
+      } else if (ch === "<" && block[i + 1] !== "<") {
+        const end = block.indexOf(">", i);
+        if (end === -1) break;
+        pending.push(decodeHex(block.slice(i + 1, end)));
+        i = end;
+      } else if (/[A-Za-z'"*]/.test(ch)) {
+        const op = block.slice(i).match(/^(?:T\*|TJ|Tj|Td|TD|Tm|'|"|[A-Za-z]+)/)?.[0] || ch;
+        i += op.length - 1;
+        if (op === "Tj" || op === "TJ") {
+          line += pending.join("");
+        } else if (op === "'" || op === "\"") {
+          flush();
+          line += pending.join("");
+        } else if (op === "T*" || op === "Td" || op === "TD" || op === "Tm") {
+          flush();
+        }
+        pending = [];
+      } else if (ch === "-" || /\d/.test(ch)) {
+        // Large negative kerning inside TJ arrays is a word gap
+        const number = block.slice(i).match(/^-?\d*\.?\d+/)?.[0];
+        if (number) {
+          if (Number(number) < -200 && pending.length) pending.push(" ");
+          i += number.length - 1;
+        }
+      }
+    }
+    flush();
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Extract text from a PDF
+ * @param {Uint8Array} bytes - PDF file
+ * @returns {Promise<string>} Extracted text, "" when none found
+ */
+export async function extractPdfText(bytes) {
+  const pdf = latin1Decoder.decode(bytes);
+  const texts = [];
+  const streamRegex = /<<([\s\S]*?)>>\s*stream\r?\n/g;
+  let match;
+
+  while ((match = streamRegex.exec(pdf)) !== null) {
+    const dict = match[1];
+    const start = match.index + match[0].length;
+    const end = pdf.indexOf("endstream", start);
+    if (end === -1) break;
+    streamRegex.lastIndex = end;
+
+    // Images, fonts and object streams carry no page text
+    if (/\/Subtype\s*\/Image|\/Length1|\/Length2|\/Type\s*\/(?:ObjStm|XRef|XObject)/.test(dict)) continue;
+
+    let content = pdf.slice(start, end).replace(/\r?\n$/, "");
+    if (/\/FlateDecode/.test(dict)) {
+      try {
+        content = latin1Decoder.decode(await inflate(toBytes(content)));
+      } catch {
+        continue;
+      }
+    } else if (/\/Filter/.test(dict)) {
+      continue;
+    }
+
+    if (!/\bBT\b/.test(content)) continue;
+    const text = extractFromContent(content);
+    if (text) texts.push(text);
+  }
+
+  return texts.join("\n\n").trim();
+}
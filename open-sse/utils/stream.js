@@ -1,8 +1,10 @@
 import { translateResponse, initState } from "../translator/index.js";
+import { getStructuredOutput } from "../translator/helpers/structuredOutputHelper.js";
 import { FORMATS } from "../translator/formats.js";
 import { trackPendingRequest, appendRequestLog } from "@/lib/usageDb.js";
 import { extractUsage, hasValidUsage, estimateUsage, logUsage, addBufferToUsage, filterUsageForFormat, COLORS } from "./usageTracking.js";
 import { parseSSELine, hasValuableContent, fixInvalidId, formatSSE } from "./streamHelpers.js";
+import { createStreamCollector } from "./streamCollector.js";
 
 export { COLORS, formatSSE };
 
@@ -28,8 +30,9 @@ const STREAM_MODE = {
  * @param {string} options.model - Model name
  * @param {string} options.connectionId - Connection ID for usage tracking
  * @param {object} options.body - Request body (for input token estimation)
- * @param {function} options.onStreamComplete - Callback when stream completes (content, usage)
+ * @param {function} options.onStreamComplete - Callback when stream completes (collected response, usage, ttftAt)
  * @param {string} options.apiKey - API key for usage tracking
+ * @param {number} options.rawStreamLimit - Keep up to this many characters of raw upstream SSE for request details (0 = off)
  */
 export function createSSEStream(options = {}) {
   const {
@@ -43,27 +46,35 @@ export function createSSEStream(options = {}) {
     connectionId = null,
     body = null,
     onStreamComplete = null,
-    apiKey = null
+    apiKey = null,
+    rawStreamLimit = 0
   } = options;
 
   let buffer = "";
   let usage = null;
 
-  const state = mode === STREAM_MODE.TRANSLATE ? { ...initState(sourceFormat), provider, toolNameMap, model } : null;
+  const state = mode === STREAM_MODE.TRANSLATE ? { ...initState(sourceFormat), provider, toolNameMap, model, structuredOutput: !!getStructuredOutput(body) } : null;
 
   let totalContentLength = 0;
-  let accumulatedContent = "";
-  let accumulatedThinking = "";
-  let ttftAt = null;
+  let firstChunkAt = null;
+  const collector = createStreamCollector({ rawLimit: rawStreamLimit });
+
+  // TTFT is the first content/thinking/tool call token, or the first chunk if none came
+  const completeStream = (finalUsage) => {
+    if (!onStreamComplete) return;
+    const { firstTokenAt, ...collected } = collector.getResult();
+    onStreamComplete(collected, finalUsage, firstTokenAt || firstChunkAt);
+  };
 
   return new TransformStream({
     transform(chunk, controller) {
-      if (!ttftAt) {
-        ttftAt = Date.now();
+      if (!firstChunkAt) {
+        firstChunkAt = Date.now();
       }
       const text = sharedDecoder.decode(chunk, { stream: true });
       buffer += text;
       reqLogger?.appendProviderChunk?.(text);
+      collector.appendRaw(text);
 
       const lines = buffer.split("\n");
       buffer = lines.pop() || "";
@@ -79,6 +90,7 @@ export function createSSEStream(options = {}) {
           if (trimmed.startsWith("data:") && trimmed.slice(5).trim() !== "[DONE]") {
             try {
               const parsed = JSON.parse(trimmed.slice(5).trim());
+              collector.collect(parsed);
 
               const idFixed = fixInvalidId(parsed);
 
@@ -112,11 +124,9 @@ export function createSSEStream(options = {}) {
               const reasoning = delta?.reasoning_content;
               if (content && typeof content === "string") {
                 totalContentLength += content.length;
-                accumulatedContent += content;
               }
               if (reasoning && typeof reasoning === "string") {
                 totalContentLength += reasoning.length;
-                accumulatedThinking += reasoning;
               }
 
               const extracted = extractUsage(parsed);
@@ -169,40 +179,20 @@ export function createSSEStream(options = {}) {
           continue;
         }
 
-        // Claude format - content
-        if (parsed.delta?.text) {
-          totalContentLength += parsed.delta.text.length;
-          accumulatedContent += parsed.delta.text;
-        }
-        // Claude format - thinking
-        if (parsed.delta?.thinking) {
-          totalContentLength += parsed.delta.thinking.length;
-          accumulatedThinking += parsed.delta.thinking;
-        }
-        
-        // OpenAI format - content
-        if (parsed.choices?.[0]?.delta?.content) {
-          totalContentLength += parsed.choices[0].delta.content.length;
-          accumulatedContent += parsed.choices[0].delta.content;
-        }
-        // OpenAI format - reasoning
-        if (parsed.choices?.[0]?.delta?.reasoning_content) {
-          totalContentLength += parsed.choices[0].delta.reasoning_content.length;
-          accumulatedThinking += parsed.choices[0].delta.reasoning_content;
-        }
-        
+        collector.collect(parsed);
+
+        // Claude format - content / thinking
+        if (parsed.delta?.text) totalContentLength += parsed.delta.text.length;
+        if (parsed.delta?.thinking) totalContentLength += parsed.delta.thinking.length;
+
+        // OpenAI format - content / reasoning
+        if (parsed.choices?.[0]?.delta?.content) totalContentLength += parsed.choices[0].delta.content.length;
+        if (parsed.choices?.[0]?.delta?.reasoning_content) totalContentLength += parsed.choices[0].delta.reasoning_content.length;
+
         // Gemini format
         if (parsed.candidates?.[0]?.content?.parts) {
           for (const part of parsed.candidates[0].content.parts) {
-            if (part.text && typeof part.text === "string") {
-              totalContentLength += part.text.length;
-              // Check if this is thinking content
-              if (part.thought === true) {
-                accumulatedThinking += part.text;
-              } else {
-                accumulatedContent += part.text;
-              }
-            }
+            if (part.text && typeof part.text === "string") totalContentLength += part.text.length;
           }
         }
 
@@ -282,18 +272,14 @@ export function createSSEStream(options = {}) {
           reqLogger?.appendConvertedChunk?.(doneOutput);
           controller.enqueue(sharedEncoder.encode(doneOutput));
 
-          if (onStreamComplete) {
-            onStreamComplete({
-              content: accumulatedContent,
-              thinking: accumulatedThinking
-            }, usage, ttftAt);
-          }
+          completeStream(usage);
           return;
         }
 
         if (buffer.trim()) {
           const parsed = parseSSELine(buffer.trim());
           if (parsed && !parsed.done) {
+            collector.collect(parsed);
             const translated = translateResponse(targetFormat, sourceFormat, parsed, state);
 
             if (translated?._openaiIntermediate) {
@@ -343,13 +329,8 @@ export function createSSEStream(options = {}) {
         } else {
           appendRequestLog({ model, provider, connectionId, tokens: null, status: "200 OK" }).catch(() => { });
         }
-        
-        if (onStreamComplete) {
-          onStreamComplete({
-            content: accumulatedContent,
-            thinking: accumulatedThinking
-          }, state?.usage, ttftAt);
-        }
+
+        completeStream(state?.usage);
       } catch (error) {
         console.log("Error in flush:", error);
       }
@@ -357,7 +338,7 @@ export function createSSEStream(options = {}) {
   });
 }
 
-export function createSSETransformStreamWithLogger(targetFormat, sourceFormat, provider = null, reqLogger = null, toolNameMap = null, model = null, connectionId = null, body = null, onStreamComplete = null, apiKey = null) {
+export function createSSETransformStreamWithLogger(targetFormat, sourceFormat, provider = null, reqLogger = null, toolNameMap = null, model = null, connectionId = null, body = null, onStreamComplete = null, apiKey = null, rawStreamLimit = 0) {
   return createSSEStream({
     mode: STREAM_MODE.TRANSLATE,
     targetFormat,
@@ -369,11 +350,12 @@ export function createSSETransformStreamWithLogger(targetFormat, sourceFormat, p
     connectionId,
     body,
     onStreamComplete,
-    apiKey
+    apiKey,
+    rawStreamLimit
   });
 }
 
-export function createPassthroughStreamWithLogger(provider = null, reqLogger = null, model = null, connectionId = null, body = null, onStreamComplete = null, apiKey = null) {
+export function createPassthroughStreamWithLogger(provider = null, reqLogger = null, model = null, connectionId = null, body = null, onStreamComplete = null, apiKey = null, rawStreamLimit = 0) {
   return createSSEStream({
     mode: STREAM_MODE.PASSTHROUGH,
     provider,
@@ -382,6 +364,7 @@ export function createPassthroughStreamWithLogger(provider = null, reqLogger = n
     connectionId,
     body,
     onStreamComplete,
-    apiKey
+    apiKey,
+    rawStreamLimit
   });
 }
@@ -0,0 +1,170 @@
+/**
+ * Assemble the final response of a stream as it flows through the SSE transform, for
+ * request details: content, thinking, tool calls, finish reason and the time of the first
+ * token. Chunks are recognised by shape, so upstream (translate mode) and already-client
+ * (passthrough mode) chunks of any format can be fed in.
+ *
+ * Optionally keeps the raw upstream SSE text, up to rawLimit bytes.
+ */
+
+const TRUNCATED_MARKER = "\n[... truncated]";
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.rawLimit] - Keep at most this many characters of raw SSE (0 = don't keep it)
+ */
+export function createStreamCollector({ rawLimit = 0 } = {}) {
+  let content = "";
+  let thinking = "";
+  let finishReason = null;
+  let firstTokenAt = null;
+  let raw = "";
+  let rawTruncated = false;
+  const toolCalls = new Map(); // index / item id → { id, name, arguments }
+
+  const markToken = () => {
+    if (!firstTokenAt) firstTokenAt = Date.now();
+  };
+
+  const addContent = (text) => {
+    if (typeof text !== "string" || !text) return;
+    content += text;
+    markToken();
+  };
+
+  const addThinking = (text) => {
+    if (typeof text !== "string" || !text) return;
+    thinking += text;
+    markToken();
+  };
+
+  const toolCall = (key) => {
+    if (!toolCalls.has(key)) toolCalls.set(key, { id: null, name: null, arguments: "" });
+    markToken();
+    return toolCalls.get(key);
+  };
+
+  // OpenAI chat.completion.chunk
+  const collectOpenAI = (chunk) => {
+    const choice = chunk.choices[0];
+    if (!choice) return;
+    const delta = choice.delta || {};
+    addContent(delta.content);
+    addThinking(delta.reasoning_content ?? delta.reasoning);
+    for (const call of delta.tool_calls || []) {
+      const entry = toolCall(`openai:${call.index ?? 0}`);
+      if (call.id) entry.id = call.id;
+      if (call.function?.name) entry.name = call.function.name;
+      if (call.function?.arguments) entry.arguments += call.function.arguments;
+    }
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  };
+
+  // Claude Messages events
+  const collectClaude = (event) => {
+    if (event.type === "content_block_start" && event.content_block?.type === "tool_use") {
+      const entry = toolCall(`claude:${event.index}`);
+      entry.id = event.content_block.id;
+      entry.name = event.content_block.name;
+    } else if (event.type === "content_block_delta") {
+      addContent(event.delta?.text);
+      addThinking(event.delta?.thinking);
+      if (event.delta?.type === "input_json_delta") toolCall(`claude:${event.index}`).arguments += event.delta.partial_json || "";
+    } else if (event.type === "message_delta" && event.delta?.stop_reason) {
+      finishReason = event.delta.stop_reason;
+    }
+  };
+
+  // OpenAI Responses API events
+  const collectResponses = (event) => {
+    switch (event.type) {
+      case "response.output_text.delta":
+        addContent(event.delta);
+        break;
+      case "response.reasoning_summary_text.delta":
+      case "response.reasoning_text.delta":
+        addThinking(event.delta);
+        break;
+      case "response.output_item.added":
+        if (event.item?.type === "function_call") {
+          const entry = toolCall(`responses:${event.item.id || event.output_index}`);
+          entry.id = event.item.call_id || event.item.id;
+          entry.name = event.item.name;
+        }
+        break;
+      case "response.function_call_arguments.delta":
+        toolCall(`responses:${event.item_id || event.output_index}`).arguments += event.delta || "";
+        break;
+      case "response.completed":
+      case "response.incomplete":
+      case "response.failed":
+        finishReason = event.response?.incomplete_details?.reason || event.response?.status || event.type.slice(9);
+        break;
+    }
+  };
+
+  // Gemini (bare or wrapped in { response } by Antigravity / Gemini CLI)
+  const collectGemini = (chunk) => {
+    const candidate = chunk.candidates[0];
+    if (!candidate) return;
+    for (const part of candidate.content?.parts || []) {
+      if (part.functionCall) {
+        const entry = toolCall(`gemini:${toolCalls.size}`);
+        entry.name = part.functionCall.name;
+        entry.arguments = JSON.stringify(part.functionCall.args || {});
+      } else if (part.thought === true) {
+        addThinking(part.text);
+      } else {
+        addContent(part.text);
+      }
+    }
+    if (candidate.finishReason) finishReason = candidate.finishReason;
+  };
+
+  return {
+    /**
+     * Feed one parsed SSE data payload
+     * @param {object} chunk
+     */
+    collect(chunk) {
+      if (!chunk || typeof chunk !== "object" || chunk.done) return;
+      if (Array.isArray(chunk.choices)) return collectOpenAI(chunk);
+      if (typeof chunk.type === "string" && chunk.type.startsWith("response.")) return collectResponses(chunk);
+      if (typeof chunk.type === "string") return collectClaude(chunk);
+      if (Array.isArray(chunk.candidates)) return collectGemini(chunk);
+      if (Array.isArray(chunk.response?.candidates)) return collectGemini(chunk.response);
+    },
+
+    /**
+     * Keep raw upstream text (no-op when rawLimit is 0)
+     * @param {string} text
+     */
+    appendRaw(text) {
+      if (!rawLimit || rawTruncated) return;
+      if (raw.length + text.length > rawLimit) {
+        raw += text.slice(0, Math.max(rawLimit - raw.length, 0)) + TRUNCATED_MARKER;
+        rawTruncated = true;
+        return;
+      }
+      raw += text;
+    },
+
+    /**
+     * @returns {{ content: string, thinking: string, toolCalls: Array<object>, finishReason: string|null, firstTokenAt: number|null, raw: string|null }}
+     */
+    getResult() {
+      return {
+        content,
+        thinking,
+        toolCalls: [...toolCalls.values()].map(call => ({
+          id: call.id,
+          type: "function",
+          function: { name: call.name, arguments: call.arguments }
+        })),
+        finishReason,
+        firstTokenAt,
+        raw: rawLimit ? raw : null
+      };
+    }
+  };
+}
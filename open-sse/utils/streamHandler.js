@@ -1,3 +1,5 @@
+import { TTFT_TIMEOUTS } from "../config/constants.js";
+
 // Stream handler with disconnect detection - shared for all providers
 
 // Get HH:MM:SS timestamp
@@ -12,13 +14,20 @@ function getTimeString() {
  * @param {object} options.log - Logger instance
  * @param {string} options.provider - Provider name
  * @param {string} options.model - Model name
+ * @param {AbortSignal} [options.signal] - External signal (e.g. combo race cancellation) that aborts the upstream request
  */
-export function createStreamController({ onDisconnect, onError, log, provider, model } = {}) {
+export function createStreamController({ onDisconnect, onError, log, provider, model, signal } = {}) {
   const abortController = new AbortController();
   const startTime = Date.now();
   let disconnected = false;
   let abortTimeout = null;
 
+  // Chain external cancellation into the upstream abort signal
+  if (signal) {
+    if (signal.aborted) abortController.abort(signal.reason);
+    else signal.addEventListener("abort", () => abortController.abort(signal.reason), { once: true });
+  }
+
   const logStream = (status) => {
     const duration = Date.now() - startTime;
     const p = provider?.toUpperCase() || "UNKNOWN";
@@ -133,3 +142,99 @@ export function pipeWithDisconnect(providerResponse, transformStream, streamCont
   );
 }
 
+
+/**
+ * Time-to-first-token timeout for a provider
+ * @param {string} provider
+ * @param {object} [overrides] - settings.ttftTimeouts: { default, [providerId]: ms }
+ * @returns {number} ms, 0 = none
+ */
+export function getTtftTimeout(provider, overrides = {}) {
+  const value = overrides?.[provider] ?? TTFT_TIMEOUTS[provider] ?? overrides?.default ?? TTFT_TIMEOUTS.default;
+  const ms = Number(value);
+  return Number.isFinite(ms) && ms > 0 ? ms : 0;
+}
+
+// First-token detection: an SSE data line carrying a non-empty text/content/arguments delta
+const FIRST_TOKEN_REGEX = /"(?:content|text|thinking|reasoning_content|partial_json|arguments|delta)"\s*:\s*"(?!")/;
+// Error event before any content (Claude `event: error`, OpenAI/Responses error objects)
+const STREAM_ERROR_REGEX = /(?:^|\n)event:\s*(?:error|response\.failed)\b|(?<!\\)"type"\s*:\s*"error"|(?<!\\)"error"\s*:\s*\{/;
+
+/**
+ * Read a stream until its first meaningful token, then hand back a stream that replays
+ * the buffered chunks. Errors, error events and TTFT timeouts before that point reject
+ * with `error.status` set (502 / 504) so the caller can fail over before the client sees anything.
+ * A stream that ends cleanly without content is returned as-is (empty completion).
+ * @param {ReadableStream} stream
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Time-to-first-token limit, 0 = none
+ * @returns {Promise<{ stream: ReadableStream, cancel: Function }>}
+ */
+export async function primeStream(stream, { timeoutMs = 0 } = {}) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  const buffered = [];
+  let text = "";
+  let done = false;
+  let timer = null;
+
+  const fail = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  };
+
+  const timeout = timeoutMs > 0
+    ? new Promise((_, reject) => {
+      timer = setTimeout(() => reject(fail(`No first token within ${Math.round(timeoutMs / 1000)}s`, 504)), timeoutMs);
+    })
+    : null;
+
+  try {
+    while (!done) {
+      const chunk = await (timeout ? Promise.race([reader.read(), timeout]) : reader.read());
+      if (chunk.done) {
+        done = true;
+        break;
+      }
+      buffered.push(chunk.value);
+      text += typeof chunk.value === "string" ? chunk.value : decoder.decode(chunk.value, { stream: true });
+      if (FIRST_TOKEN_REGEX.test(text)) break;
+      if (STREAM_ERROR_REGEX.test(text)) {
+        throw fail(`Stream error before first token: ${text.trim().slice(0, 200)}`, 502);
+      }
+    }
+  } catch (error) {
+    reader.cancel(error?.message).catch(() => {});
+    if (error.status || error.name === "AbortError") throw error;
+    throw Object.assign(fail(`Stream failed before first token: ${error?.message || error}`, 502), { cause: error });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const replay = new ReadableStream({
+    start(controller) {
+      for (const value of buffered) controller.enqueue(value);
+      if (done) controller.close();
+    },
+    async pull(controller) {
+      if (done) return;
+      try {
+        const chunk = await reader.read();
+        if (chunk.done) {
+          done = true;
+          controller.close();
+          return;
+        }
+        controller.enqueue(chunk.value);
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+
+  return { stream: replay, cancel: (reason) => reader.cancel(reason).catch(() => {}) };
+}
@@ -1,13 +1,41 @@
 "use client";
 
 import { useState, useEffect, useCallback } from "react";
-import { Card, Button, Modal, Input, CardSkeleton, ModelSelectModal } from "@/shared/components";
+import { Card, Button, Modal, Input, Select, CardSkeleton, ModelSelectModal } from "@/shared/components";
 import { useCopyToClipboard } from "@/shared/hooks/useCopyToClipboard";
 import { isOpenAICompatibleProvider, isAnthropicCompatibleProvider } from "@/shared/constants/providers";
 
 // Validate combo name: only a-z, A-Z, 0-9, -, _
 const VALID_NAME_REGEX = /^[a-zA-Z0-9_-]+$/;
 
+const STRATEGY_OPTIONS = [
+  { value: "priority", label: "Priority (in order)" },
+  { value: "weighted", label: "Weighted random" },
+  { value: "latency", label: "Lowest latency (p50)" },
+  { value: "cost", label: "Cheapest first" },
+];
+
+const TRI_STATE_OPTIONS = [
+  { value: "any", label: "Any" },
+  { value: "yes", label: "Yes" },
+  { value: "no", label: "No" },
+];
+
+const SOURCE_FORMAT_OPTIONS = [
+  { value: "", label: "Any format" },
+  { value: "openai", label: "OpenAI" },
+  { value: "claude", label: "Claude" },
+  { value: "openai-responses", label: "Responses" },
+  { value: "gemini", label: "Gemini" },
+];
+
+const STRATEGY_HINTS = {
+  priority: "Try models top to bottom, fallback on error",
+  weighted: "Spread load by weight, remaining models used as fallback",
+  latency: "Prefer the model with the lowest observed median latency",
+  cost: "Prefer the model with the lowest input + output price",
+};
+
 export default function CombosPage() {
   const [combos, setCombos] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -176,6 +204,21 @@ function ComboCard({ combo, copied, onCopy, onEdit, onDelete }) {
           <div className="min-w-0 flex-1">
             <div className="flex items-center gap-2">
               <code className="text-sm font-medium font-mono truncate">{combo.name}</code>
+              {combo.rules?.length > 0 && (
+                <span className="text-[10px] font-medium px-1.5 py-0.5 rounded bg-black/5 dark:bg-white/5 text-text-muted">
+                  {combo.rules.length} rule{combo.rules.length > 1 ? "s" : ""}
+                </span>
+              )}
+              {combo.raceCount >= 2 && (
+                <span className="text-[10px] font-medium uppercase px-1.5 py-0.5 rounded bg-primary/10 text-primary">
+                  race {combo.raceCount}
+                </span>
+              )}
+              {combo.strategy && combo.strategy !== "priority" && (
+                <span className="text-[10px] font-medium uppercase px-1.5 py-0.5 rounded bg-primary/10 text-primary">
+                  {combo.strategy}
+                </span>
+              )}
               <button
                 onClick={(e) => { e.stopPropagation(); onCopy(combo.name, `combo-${combo.id}`); }}
                 className="p-0.5 hover:bg-black/5 dark:hover:bg-white/5 rounded text-text-muted hover:text-primary transition-colors opacity-0 group-hover:opacity-100"
@@ -226,7 +269,7 @@ function ComboCard({ combo, copied, onCopy, onEdit, onDelete }) {
 }
 
 // Inline editable model item
-function ModelItem({ index, model, isFirst, isLast, onEdit, onMoveUp, onMoveDown, onRemove }) {
+function ModelItem({ index, model, weight, showWeight, isFirst, isLast, onEdit, onWeightChange, onMoveUp, onMoveDown, onRemove }) {
   const [editing, setEditing] = useState(false);
   const [draft, setDraft] = useState(model);
 
@@ -267,6 +310,19 @@ function ModelItem({ index, model, isFirst, isLast, onEdit, onMoveUp, onMoveDown
         </div>
       )}
 
+      {/* Weight (weighted strategy only) */}
+      {showWeight && (
+        <input
+          type="number"
+          min="0"
+          step="1"
+          value={weight}
+          onChange={(e) => onWeightChange(e.target.value)}
+          className="w-12 px-1 py-0.5 text-xs font-mono bg-white dark:bg-black/20 border border-black/10 dark:border-white/10 rounded outline-none text-text-main text-right"
+          title="Weight"
+        />
+      )}
+
       {/* Priority arrows */}
       <div className="flex items-center gap-0.5">
         <button
@@ -299,10 +355,122 @@ function ModelItem({ index, model, isFirst, isLast, onEdit, onMoveUp, onMoveDown
   );
 }
 
+// Convert tri-state select value to rule condition (undefined = any)
+const toBoolCondition = (value) => (value === "yes" ? true : value === "no" ? false : undefined);
+const fromBoolCondition = (value) => (value === true ? "yes" : value === false ? "no" : "any");
+
+// Conditional routing rule editor
+function RuleItem({ index, rule, onChange, onRemove }) {
+  const match = rule.match || {};
+
+  const updateMatch = (key, value) => {
+    const nextMatch = { ...match, [key]: value };
+    if (value === undefined || value === "" || value === null) delete nextMatch[key];
+    onChange({ ...rule, match: nextMatch });
+  };
+
+  const updateTokens = (key, value) => {
+    const num = parseInt(value, 10);
+    updateMatch(key, Number.isFinite(num) && num >= 0 ? num : undefined);
+  };
+
+  return (
+    <div className="flex flex-col gap-1.5 p-2 rounded-md border border-black/5 dark:border-white/5 bg-black/[0.02] dark:bg-white/[0.02]">
+      <div className="flex items-center gap-1.5">
+        <span className="text-[10px] font-medium text-text-muted w-3 text-center shrink-0">{index + 1}</span>
+        <input
+          value={rule.name || ""}
+          onChange={(e) => onChange({ ...rule, name: e.target.value })}
+          placeholder="Rule name"
+          className="flex-1 min-w-0 px-1.5 py-0.5 text-xs bg-white dark:bg-black/20 border border-black/10 dark:border-white/10 rounded outline-none text-text-main"
+        />
+        <button
+          onClick={onRemove}
+          className="p-0.5 hover:bg-red-500/10 rounded text-text-muted hover:text-red-500 transition-all"
+          title="Remove rule"
+        >
+          <span className="material-symbols-outlined text-[12px]">close</span>
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-1.5 text-[11px]">
+        <input
+          type="number"
+          min="0"
+          value={match.minPromptTokens ?? ""}
+          onChange={(e) => updateTokens("minPromptTokens", e.target.value)}
+          placeholder="Min prompt tokens"
+          className="px-1.5 py-0.5 bg-white dark:bg-black/20 border border-black/10 dark:border-white/10 rounded outline-none text-text-main"
+        />
+        <input
+          type="number"
+          min="0"
+          value={match.maxPromptTokens ?? ""}
+          onChange={(e) => updateTokens("maxPromptTokens", e.target.value)}
+          placeholder="Max prompt tokens"
+          className="px-1.5 py-0.5 bg-white dark:bg-black/20 border border-black/10 dark:border-white/10 rounded outline-none text-text-main"
+        />
+        <label className="flex items-center gap-1 text-text-muted">
+          Tools
+          <select
+            value={fromBoolCondition(match.hasTools)}
+            onChange={(e) => updateMatch("hasTools", toBoolCondition(e.target.value))}
+            className="flex-1 px-1 py-0.5 bg-white dark:bg-black/20 border border-black/10 dark:border-white/10 rounded text-text-main"
+          >
+            {TRI_STATE_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-1 text-text-muted">
+          Images
+          <select
+            value={fromBoolCondition(match.hasImages)}
+            onChange={(e) => updateMatch("hasImages", toBoolCondition(e.target.value))}
+            className="flex-1 px-1 py-0.5 bg-white dark:bg-black/20 border border-black/10 dark:border-white/10 rounded text-text-main"
+          >
+            {TRI_STATE_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </label>
+        <select
+          value={Array.isArray(match.sourceFormat) ? match.sourceFormat[0] : (match.sourceFormat || "")}
+          onChange={(e) => updateMatch("sourceFormat", e.target.value || undefined)}
+          className="px-1 py-0.5 bg-white dark:bg-black/20 border border-black/10 dark:border-white/10 rounded text-text-main"
+        >
+          {SOURCE_FORMAT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        <input
+          value={Array.isArray(match.reasoningEffort) ? match.reasoningEffort.join(",") : (match.reasoningEffort || "")}
+          onChange={(e) => {
+            const list = e.target.value.split(",").map(v => v.trim()).filter(Boolean);
+            updateMatch("reasoningEffort", list.length > 0 ? list : undefined);
+          }}
+          placeholder="Effort (e.g. high,medium)"
+          className="px-1.5 py-0.5 bg-white dark:bg-black/20 border border-black/10 dark:border-white/10 rounded outline-none text-text-main"
+        />
+        <input
+          value={match.userAgent || ""}
+          onChange={(e) => updateMatch("userAgent", e.target.value || undefined)}
+          placeholder="User-agent contains (or /regex/)"
+          className="col-span-2 px-1.5 py-0.5 bg-white dark:bg-black/20 border border-black/10 dark:border-white/10 rounded outline-none text-text-main"
+        />
+        <input
+          value={(rule.models || []).join(", ")}
+          onChange={(e) => onChange({ ...rule, models: e.target.value.split(",").map(v => v.trim()).filter(Boolean) })}
+          placeholder="Route to models (comma separated, e.g. gemini/gemini-2.5-pro, cc/claude-sonnet-4-5)"
+          className="col-span-2 px-1.5 py-0.5 font-mono bg-white dark:bg-black/20 border border-black/10 dark:border-white/10 rounded outline-none text-text-main"
+        />
+      </div>
+    </div>
+  );
+}
+
 function ComboFormModal({ isOpen, combo, onClose, onSave, activeProviders }) {
   // Initialize state with combo values - key prop on parent handles reset on remount
   const [name, setName] = useState(combo?.name || "");
   const [models, setModels] = useState(combo?.models || []);
+  const [strategy, setStrategy] = useState(combo?.strategy || "priority");
+  const [weights, setWeights] = useState(combo?.weights || {});
+  const [rules, setRules] = useState(combo?.rules || []);
+  const [raceCount, setRaceCount] = useState(combo?.raceCount || 0);
   const [showModelSelect, setShowModelSelect] = useState(false);
   const [saving, setSaving] = useState(false);
   const [nameError, setNameError] = useState("");
@@ -367,10 +535,21 @@ function ComboFormModal({ isOpen, combo, onClose, onSave, activeProviders }) {
     setModels(newModels);
   };
 
+  const handleWeightChange = (model, value) => {
+    const num = Number(value);
+    setWeights({ ...weights, [model]: Number.isFinite(num) && num >= 0 ? num : 0 });
+  };
+
   const handleSave = async () => {
     if (!validateName(name)) return;
     setSaving(true);
-    await onSave({ name: name.trim(), models });
+    // Only keep weights for models still in the combo
+    const cleanWeights = Object.fromEntries(
+      Object.entries(weights).filter(([model]) => models.includes(model))
+    );
+    // Drop rules without target models
+    const cleanRules = rules.filter(rule => rule.models?.length > 0);
+    await onSave({ name: name.trim(), models, strategy, weights: cleanWeights, rules: cleanRules, raceCount });
     setSaving(false);
   };
 
@@ -398,6 +577,27 @@ function ComboFormModal({ isOpen, combo, onClose, onSave, activeProviders }) {
             </p>
           </div>
 
+          {/* Strategy */}
+          <Select
+            label="Routing Strategy"
+            options={STRATEGY_OPTIONS}
+            value={strategy}
+            onChange={(e) => setStrategy(e.target.value)}
+            hint={STRATEGY_HINTS[strategy]}
+          />
+
+          {/* Race */}
+          <Input
+            label="Race First N Models"
+            type="number"
+            min={0}
+            value={raceCount}
+            onChange={(e) => setRaceCount(Math.max(0, parseInt(e.target.value, 10) || 0))}
+            hint={raceCount >= 2
+              ? `Sends to the first ${raceCount} models at once, keeps the first to stream a token and cancels the rest`
+              : "0 or 1 tries models one at a time"}
+          />
+
           {/* Models */}
           <div>
             <label className="text-sm font-medium mb-1.5 block">Models</label>
@@ -414,6 +614,8 @@ function ComboFormModal({ isOpen, combo, onClose, onSave, activeProviders }) {
                     key={index}
                     index={index}
                     model={model}
+                    weight={weights[model] ?? 1}
+                    showWeight={strategy === "weighted"}
                     isFirst={index === 0}
                     isLast={index === models.length - 1}
                     onEdit={(newVal) => {
@@ -421,6 +623,7 @@ function ComboFormModal({ isOpen, combo, onClose, onSave, activeProviders }) {
                       updated[index] = newVal;
                       setModels(updated);
                     }}
+                    onWeightChange={(value) => handleWeightChange(model, value)}
                     onMoveUp={() => handleMoveUp(index)}
                     onMoveDown={() => handleMoveDown(index)}
                     onRemove={() => handleRemoveModel(index)}
@@ -439,6 +642,34 @@ function ComboFormModal({ isOpen, combo, onClose, onSave, activeProviders }) {
             </button>
           </div>
 
+          {/* Conditional routing rules */}
+          <div>
+            <label className="text-sm font-medium mb-0.5 block">Rules</label>
+            <p className="text-[10px] text-text-muted mb-1.5">
+              First matching rule replaces the model list above. Empty fields match anything.
+            </p>
+            {rules.length > 0 && (
+              <div className="flex flex-col gap-1.5 max-h-[240px] overflow-y-auto">
+                {rules.map((rule, index) => (
+                  <RuleItem
+                    key={index}
+                    index={index}
+                    rule={rule}
+                    onChange={(updatedRule) => setRules(rules.map((r, i) => (i === index ? updatedRule : r)))}
+                    onRemove={() => setRules(rules.filter((_, i) => i !== index))}
+                  />
+                ))}
+              </div>
+            )}
+            <button
+              onClick={() => setRules([...rules, { name: "", match: {}, models: [] }])}
+              className="w-full mt-2 py-2 border border-dashed border-black/10 dark:border-white/10 rounded-lg text-xs text-text-muted hover:text-primary hover:border-primary/30 transition-colors flex items-center justify-center gap-1"
+            >
+              <span className="material-symbols-outlined text-[16px]">rule</span>
+              Add Rule
+            </button>
+          </div>
+
           {/* Actions */}
           <div className="flex gap-2 pt-1">
             <Button onClick={onClose} variant="ghost" fullWidth size="sm">
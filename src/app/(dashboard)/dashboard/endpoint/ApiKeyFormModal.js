@@ -0,0 +1,177 @@
+"use client";
+
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { Button, Input, Modal } from "@/shared/components";
+import { API_KEY_ENDPOINTS } from "open-sse/services/apiKeyPolicy.js";
+
+// "2026-01-31T23:59:59.999Z" → "2026-01-31" for <input type="date">
+function toDateInput(iso) {
+  if (!iso) return "";
+  const date = new Date(iso);
+  return Number.isFinite(date.getTime()) ? date.toISOString().slice(0, 10) : "";
+}
+
+function parseList(text) {
+  return text.split(/[\n,]/).map((s) => s.trim()).filter(Boolean);
+}
+
+const RATE_LIMIT_FIELDS = [
+  { field: "rpm", label: "Requests / min" },
+  { field: "tpm", label: "Tokens / min" },
+  { field: "maxConcurrent", label: "Max concurrent" },
+];
+
+// Blank/0 fields are unlimited; null when the key has no limits at all
+function parseRateLimits(values) {
+  const limits = {};
+  for (const { field } of RATE_LIMIT_FIELDS) {
+    const value = parseInt(values[field], 10);
+    if (value > 0) limits[field] = value;
+  }
+  return Object.keys(limits).length > 0 ? limits : null;
+}
+
+/**
+ * Create/edit API key: name, model/combo allowlist globs, endpoint scopes, expiry.
+ * Empty allowlists mean unrestricted.
+ */
+export default function ApiKeyFormModal({ isOpen, apiKey, onClose, onSave }) {
+  // key prop on parent resets state between keys
+  const [name, setName] = useState(apiKey?.name || "");
+  const [modelsText, setModelsText] = useState((apiKey?.allowedModels || []).join("\n"));
+  const [endpoints, setEndpoints] = useState(apiKey?.allowedEndpoints || []);
+  const [expiresAt, setExpiresAt] = useState(toDateInput(apiKey?.expiresAt));
+  const [rateLimits, setRateLimits] = useState({
+    rpm: apiKey?.rateLimits?.rpm || "",
+    tpm: apiKey?.rateLimits?.tpm || "",
+    maxConcurrent: apiKey?.rateLimits?.maxConcurrent || "",
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const toggleEndpoint = (endpoint) => {
+    setEndpoints((prev) => (prev.includes(endpoint) ? prev.filter((e) => e !== endpoint) : [...prev, endpoint]));
+  };
+
+  const handleSave = async () => {
+    if (!name.trim()) return;
+    setSaving(true);
+    setError("");
+    const result = await onSave({
+      name: name.trim(),
+      allowedModels: parseList(modelsText),
+      allowedEndpoints: endpoints,
+      // Key stays valid through the whole selected day
+      expiresAt: expiresAt ? new Date(`${expiresAt}T23:59:59.999Z`).toISOString() : null,
+      rateLimits: parseRateLimits(rateLimits),
+    });
+    setSaving(false);
+    if (result?.error) setError(result.error);
+  };
+
+  // Keep custom endpoints set through the API visible
+  const endpointOptions = [...API_KEY_ENDPOINTS, ...endpoints.filter((e) => !API_KEY_ENDPOINTS.includes(e))];
+
+  return (
+    <Modal isOpen={isOpen} title={apiKey ? "Edit API Key" : "Create API Key"} onClose={onClose}>
+      <div className="flex flex-col gap-4">
+        <Input
+          label="Key Name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Production Key"
+        />
+
+        <div>
+          <label className="block text-sm font-medium mb-1.5">Allowed Models</label>
+          <textarea
+            value={modelsText}
+            onChange={(e) => setModelsText(e.target.value)}
+            placeholder={"cc/*\ngemini/gemini-2.5-*\nmy-combo"}
+            rows={3}
+            className="w-full px-3 py-2 text-sm font-mono border border-border rounded-lg bg-background focus:outline-none focus:border-primary resize-none"
+          />
+          <p className="text-xs text-text-muted mt-1">
+            One model, alias or combo per line. <code>*</code> and <code>?</code> wildcards supported. Empty = all models.
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium mb-1.5">Allowed Endpoints</label>
+          <div className="grid grid-cols-2 gap-1.5">
+            {endpointOptions.map((endpoint) => (
+              <label key={endpoint} className="flex items-center gap-2 text-xs font-mono cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={endpoints.includes(endpoint)}
+                  onChange={() => toggleEndpoint(endpoint)}
+                />
+                {endpoint}
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-text-muted mt-1">None selected = all endpoints.</p>
+        </div>
+
+        <div className="flex flex-col gap-1.5">
+          <label htmlFor="key-expires-at" className="text-sm font-medium">Expires</label>
+          <input
+            id="key-expires-at"
+            type="date"
+            value={expiresAt}
+            onChange={(e) => setExpiresAt(e.target.value)}
+            className="h-9 px-3 rounded-lg border border-black/10 dark:border-white/10 bg-surface text-sm text-text-main focus:outline-none focus:ring-2 focus:ring-primary/20"
+          />
+          <p className="text-xs text-text-muted">Leave empty for a key that never expires.</p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium mb-1.5">Rate Limits</label>
+          <div className="grid grid-cols-3 gap-2">
+            {RATE_LIMIT_FIELDS.map(({ field, label }) => (
+              <Input
+                key={field}
+                label={label}
+                type="number"
+                min="0"
+                value={rateLimits[field]}
+                onChange={(e) => setRateLimits((prev) => ({ ...prev, [field]: e.target.value }))}
+                placeholder="∞"
+              />
+            ))}
+          </div>
+          <p className="text-xs text-text-muted mt-1">Blank = unlimited. Over-limit requests get 429 with Retry-After.</p>
+        </div>
+
+        {error && <p className="text-xs text-red-500">{error}</p>}
+
+        <div className="flex gap-2">
+          <Button onClick={handleSave} fullWidth disabled={!name.trim() || saving}>
+            {saving ? "Saving..." : apiKey ? "Save" : "Create"}
+          </Button>
+          <Button onClick={onClose} variant="ghost" fullWidth>
+            Cancel
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+ApiKeyFormModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  apiKey: PropTypes.shape({
+    name: PropTypes.string,
+    allowedModels: PropTypes.arrayOf(PropTypes.string),
+    allowedEndpoints: PropTypes.arrayOf(PropTypes.string),
+    expiresAt: PropTypes.string,
+    rateLimits: PropTypes.shape({
+      rpm: PropTypes.number,
+      tpm: PropTypes.number,
+      maxConcurrent: PropTypes.number,
+    }),
+  }),
+  onClose: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+};
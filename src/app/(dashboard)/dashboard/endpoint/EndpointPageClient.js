@@ -4,6 +4,7 @@ import { useState, useEffect } from "react";
 import PropTypes from "prop-types";
 import { Card, Button, Input, Modal, CardSkeleton, Toggle } from "@/shared/components";
 import { useCopyToClipboard } from "@/shared/hooks/useCopyToClipboard";
+import ApiKeyFormModal from "./ApiKeyFormModal";
 
 /* ========== CLOUD CODE — COMMENTED OUT (replaced by Tunnel) ==========
 const DEFAULT_CLOUD_URL = process.env.NEXT_PUBLIC_CLOUD_URL || "";
@@ -23,7 +24,7 @@ export default function APIPageClient({ machineId }) {
   const [keys, setKeys] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddModal, setShowAddModal] = useState(false);
-  const [newKeyName, setNewKeyName] = useState("");
+  const [editingKey, setEditingKey] = useState(null);
   const [createdKey, setCreatedKey] = useState(null);
 
   /* ========== CLOUD STATE — COMMENTED OUT (replaced by Tunnel) ==========
@@ -325,28 +326,59 @@ export default function APIPageClient({ machineId }) {
     }
   };
 
-  const handleCreateKey = async () => {
-    if (!newKeyName.trim()) return;
-
+  const handleCreateKey = async (formData) => {
     try {
       const res = await fetch("/api/keys", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ name: newKeyName }),
+        body: JSON.stringify(formData),
       });
       const data = await res.json();
 
       if (res.ok) {
         setCreatedKey(data.key);
         await fetchData();
-        setNewKeyName("");
         setShowAddModal(false);
+        return null;
       }
+      return { error: data.error || "Failed to create key" };
     } catch (error) {
       console.log("Error creating key:", error);
+      return { error: "Failed to create key" };
+    }
+  };
+
+  const handleUpdateKey = async (formData) => {
+    try {
+      const res = await fetch(`/api/keys/${editingKey.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(formData),
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        setKeys(prev => prev.map(k => k.id === data.key.id ? data.key : k));
+        setEditingKey(null);
+        return null;
+      }
+      return { error: data.error || "Failed to update key" };
+    } catch (error) {
+      console.log("Error updating key:", error);
+      return { error: "Failed to update key" };
     }
   };
 
+  const getKeyScopeLabels = (key) => {
+    const labels = [];
+    if (key.allowedModels?.length > 0) labels.push(`${key.allowedModels.length} model pattern${key.allowedModels.length > 1 ? "s" : ""}`);
+    if (key.allowedEndpoints?.length > 0) labels.push(`${key.allowedEndpoints.length} endpoint${key.allowedEndpoints.length > 1 ? "s" : ""}`);
+    if (key.rateLimits?.rpm) labels.push(`${key.rateLimits.rpm} RPM`);
+    if (key.rateLimits?.tpm) labels.push(`${key.rateLimits.tpm.toLocaleString()} TPM`);
+    if (key.rateLimits?.maxConcurrent) labels.push(`${key.rateLimits.maxConcurrent} concurrent`);
+    return labels;
+  };
+
   const handleDeleteKey = async (id) => {
     if (!confirm("Delete this API key?")) return;
 
@@ -551,7 +583,20 @@ export default function APIPageClient({ machineId }) {
                   </div>
                   <p className="text-xs text-text-muted mt-1">
                     Created {new Date(key.createdAt).toLocaleDateString()}
+                    {key.expiresAt && (
+                      new Date(key.expiresAt).getTime() > Date.now()
+                        ? ` · Expires ${new Date(key.expiresAt).toLocaleDateString()}`
+                        : null
+                    )}
                   </p>
+                  {key.expiresAt && new Date(key.expiresAt).getTime() <= Date.now() && (
+                    <p className="text-xs text-red-500 mt-1">Expired</p>
+                  )}
+                  {getKeyScopeLabels(key).length > 0 && (
+                    <p className="text-xs text-text-muted mt-1" title={[...(key.allowedModels || []), ...(key.allowedEndpoints || [])].join("\n")}>
+                      Restricted: {getKeyScopeLabels(key).join(", ")}
+                    </p>
+                  )}
                   {key.isActive === false && (
                     <p className="text-xs text-orange-500 mt-1">Paused</p>
                   )}
@@ -571,6 +616,13 @@ export default function APIPageClient({ machineId }) {
                     }}
                     title={key.isActive ? "Pause key" : "Resume key"}
                   />
+                  <button
+                    onClick={() => setEditingKey(key)}
+                    className="p-2 hover:bg-black/5 dark:hover:bg-white/5 rounded text-text-muted hover:text-primary opacity-0 group-hover:opacity-100 transition-all"
+                    title="Edit scopes"
+                  >
+                    <span className="material-symbols-outlined text-[18px]">tune</span>
+                  </button>
                   <button
                     onClick={() => handleDeleteKey(key.id)}
                     className="p-2 hover:bg-red-500/10 rounded text-red-500 opacity-0 group-hover:opacity-100 transition-all"
@@ -588,39 +640,19 @@ export default function APIPageClient({ machineId }) {
       {/* Setup Cloud Modal — removed */}
       {/* Cloud Enable Modal — removed */}
 
-      {/* Add Key Modal */}
-      <Modal
-        isOpen={showAddModal}
-        title="Create API Key"
-        onClose={() => {
-          setShowAddModal(false);
-          setNewKeyName("");
-        }}
-      >
-        <div className="flex flex-col gap-4">
-          <Input
-            label="Key Name"
-            value={newKeyName}
-            onChange={(e) => setNewKeyName(e.target.value)}
-            placeholder="Production Key"
-          />
-          <div className="flex gap-2">
-            <Button onClick={handleCreateKey} fullWidth disabled={!newKeyName.trim()}>
-              Create
-            </Button>
-            <Button
-              onClick={() => {
-                setShowAddModal(false);
-                setNewKeyName("");
-              }}
-              variant="ghost"
-              fullWidth
-            >
-              Cancel
-            </Button>
-          </div>
-        </div>
-      </Modal>
+      {/* Add / Edit Key Modal */}
+      {(showAddModal || editingKey) && (
+        <ApiKeyFormModal
+          key={editingKey?.id || "new"}
+          isOpen
+          apiKey={editingKey}
+          onClose={() => {
+            setShowAddModal(false);
+            setEditingKey(null);
+          }}
+          onSave={editingKey ? handleUpdateKey : handleCreateKey}
+        />
+      )}
 
       {/* Created Key Modal */}
       <Modal
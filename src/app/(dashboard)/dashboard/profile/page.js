@@ -24,6 +24,7 @@ export default function ProfilePage() {
   const [proxyStatus, setProxyStatus] = useState({ type: "", message: "" });
   const [proxyLoading, setProxyLoading] = useState(false);
   const [proxyTestLoading, setProxyTestLoading] = useState(false);
+  const [queueModelsText, setQueueModelsText] = useState("");
 
   useEffect(() => {
     fetch("/api/settings")
@@ -35,6 +36,7 @@ export default function ProfilePage() {
           outboundProxyUrl: data?.outboundProxyUrl || "",
           outboundNoProxy: data?.outboundNoProxy || "",
         });
+        setQueueModelsText((data?.rateLimitQueue?.models || []).join("\n"));
         setLoading(false);
       })
       .catch((err) => {
@@ -208,6 +210,41 @@ export default function ProfilePage() {
     }
   };
 
+  const updateDefaultTtftTimeout = async (seconds) => {
+    const ms = Math.max(parseInt(seconds) || 0, 0) * 1000;
+    const ttftTimeouts = { ...settings.ttftTimeouts, default: ms };
+
+    try {
+      const res = await fetch("/api/settings", {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ttftTimeouts }),
+      });
+      if (res.ok) {
+        setSettings(prev => ({ ...prev, ttftTimeouts }));
+      }
+    } catch (err) {
+      console.error("Failed to update first token timeout:", err);
+    }
+  };
+
+  const updateRateLimitQueue = async (changes) => {
+    const rateLimitQueue = { models: [], maxWaitMs: 120000, ...settings.rateLimitQueue, ...changes };
+
+    try {
+      const res = await fetch("/api/settings", {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ rateLimitQueue }),
+      });
+      if (res.ok) {
+        setSettings(prev => ({ ...prev, rateLimitQueue }));
+      }
+    } catch (err) {
+      console.error("Failed to update rate limit queue:", err);
+    }
+  };
+
   const updateRequireLogin = async (requireLogin) => {
     try {
       const res = await fetch("/api/settings", {
@@ -256,6 +293,21 @@ export default function ProfilePage() {
     }
   };
 
+  const updateObservabilityRawStream = async (enabled) => {
+    try {
+      const res = await fetch("/api/settings", {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ observabilityRawStream: enabled }),
+      });
+      if (res.ok) {
+        setSettings(prev => ({ ...prev, observabilityRawStream: enabled }));
+      }
+    } catch (err) {
+      console.error("Failed to update observabilityRawStream:", err);
+    }
+  };
+
   const reloadSettings = async () => {
     try {
       const res = await fetch("/api/settings");
@@ -515,6 +567,20 @@ export default function ProfilePage() {
               />
             </div>
 
+            <div className="flex items-center justify-between pt-2 border-t border-border/50">
+              <div>
+                <p className="font-medium">Most Remaining Quota</p>
+                <p className="text-sm text-text-muted">
+                  Drain quota that resets soonest first, skip exhausted accounts until reset
+                </p>
+              </div>
+              <Toggle
+                checked={settings.fallbackStrategy === "most-remaining-quota"}
+                onChange={() => updateFallbackStrategy(settings.fallbackStrategy === "most-remaining-quota" ? "fill-first" : "most-remaining-quota")}
+                disabled={loading}
+              />
+            </div>
+
             {/* Sticky Round Robin Limit */}
             {settings.fallbackStrategy === "round-robin" && (
               <div className="flex items-center justify-between pt-2 border-t border-border/50">
@@ -536,10 +602,58 @@ export default function ProfilePage() {
               </div>
             )}
 
+            <div className="flex items-center justify-between pt-2 border-t border-border/50">
+              <div>
+                <p className="font-medium">First Token Timeout</p>
+                <p className="text-sm text-text-muted">
+                  Seconds to wait for a stream&apos;s first token before trying the next account (0 = no limit). Override per provider on its page.
+                </p>
+              </div>
+              <Input
+                type="number"
+                min="0"
+                value={Math.round((settings.ttftTimeouts?.default || 0) / 1000)}
+                onChange={(e) => updateDefaultTtftTimeout(e.target.value)}
+                disabled={loading}
+                className="w-20 text-center"
+              />
+            </div>
+
+            <div className="flex flex-col gap-2 pt-2 border-t border-border/50">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="font-medium">Queue When Rate Limited</p>
+                  <p className="text-sm text-text-muted">
+                    Hold requests until an account frees up instead of failing (max wait in seconds)
+                  </p>
+                </div>
+                <Input
+                  type="number"
+                  min="0"
+                  value={Math.round((settings.rateLimitQueue?.maxWaitMs ?? 120000) / 1000)}
+                  onChange={(e) => updateRateLimitQueue({ maxWaitMs: Math.max(parseInt(e.target.value) || 0, 0) * 1000 })}
+                  disabled={loading}
+                  className="w-20 text-center"
+                />
+              </div>
+              <textarea
+                value={queueModelsText}
+                onChange={(e) => setQueueModelsText(e.target.value)}
+                onBlur={() => updateRateLimitQueue({ models: queueModelsText.split(/[\n,]/).map((m) => m.trim()).filter(Boolean) })}
+                placeholder={"cc/*\nmy-combo"}
+                rows={2}
+                disabled={loading}
+                className="w-full px-3 py-2 text-sm font-mono border border-border rounded-lg bg-background focus:outline-none focus:border-primary resize-none"
+              />
+              <p className="text-xs text-text-muted">Models or combos to queue, one per line, <code>*</code> wildcards supported. Empty = never queue.</p>
+            </div>
+
             <p className="text-xs text-text-muted italic pt-2 border-t border-border/50">
               {settings.fallbackStrategy === "round-robin"
                 ? `Currently distributing requests across all available accounts with ${settings.stickyRoundRobinLimit || 3} calls per account.`
-                : "Currently using accounts in priority order (Fill First)."}
+                : settings.fallbackStrategy === "most-remaining-quota"
+                  ? "Currently ranking OAuth accounts by provider quota. Accounts without quota data are used in priority order."
+                  : "Currently using accounts in priority order (Fill First)."}
             </p>
           </div>
         </Card>
@@ -715,6 +829,20 @@ export default function ProfilePage() {
               />
             </div>
 
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="font-medium">Keep Raw Stream</p>
+                <p className="text-sm text-text-muted">
+                  Store the raw upstream SSE of streamed responses (up to the max JSON size)
+                </p>
+              </div>
+              <Toggle
+                checked={settings.observabilityRawStream === true}
+                onChange={updateObservabilityRawStream}
+                disabled={loading || !observabilityEnabled}
+              />
+            </div>
+
             <p className="text-xs text-text-muted italic pt-2 border-t border-border/50">
               Current: Keeps {settings.observabilityMaxRecords || 1000} records, batches every {settings.observabilityBatchSize || 20} requests, max {settings.observabilityMaxJsonSize || 1024}KB per field
             </p>
@@ -15,6 +15,7 @@ export default function ProviderDetailPage() {
   const router = useRouter();
   const providerId = params.id;
   const [connections, setConnections] = useState([]);
+  const [breakers, setBreakers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [providerNode, setProviderNode] = useState(null);
   const [showOAuthModal, setShowOAuthModal] = useState(false);
@@ -105,6 +106,31 @@ export default function ProviderDetailPage() {
     }
   }, [providerId, isCompatible]);
 
+  const fetchBreakers = useCallback(async () => {
+    try {
+      const res = await fetch("/api/providers/circuit-breakers", { cache: "no-store" });
+      const data = await res.json();
+      if (res.ok) setBreakers((data.breakers || []).filter(b => b.state !== "closed"));
+    } catch (error) {
+      console.log("Error fetching circuit breakers:", error);
+    }
+  }, []);
+
+  const handleResetBreaker = async (connectionId, model) => {
+    try {
+      const res = await fetch("/api/providers/circuit-breakers", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ action: "reset", connectionId, model }),
+      });
+      if (res.ok) {
+        await Promise.all([fetchBreakers(), fetchConnections()]);
+      }
+    } catch (error) {
+      console.log("Error resetting circuit breaker:", error);
+    }
+  };
+
   const handleUpdateNode = async (formData) => {
     try {
       const res = await fetch(`/api/provider-nodes/${providerId}`, {
@@ -128,6 +154,13 @@ export default function ProviderDetailPage() {
     fetchAliases();
   }, [fetchConnections, fetchAliases]);
 
+  // Breakers trip, probe and close in the background; keep the list fresh while the page is open
+  useEffect(() => {
+    fetchBreakers();
+    const interval = setInterval(fetchBreakers, 10000);
+    return () => clearInterval(interval);
+  }, [fetchBreakers]);
+
   const handleSetAlias = async (modelId, alias, providerAliasOverride = providerAlias) => {
     const fullModel = `${providerAliasOverride}/${modelId}`;
     try {
@@ -283,6 +316,8 @@ export default function ProviderDetailPage() {
       setModelsTestError("Network error");
     } finally {
       setTestingModelId(null);
+      // A failed test request may have tripped a breaker
+      fetchBreakers();
     }
   };
 
@@ -453,6 +488,7 @@ export default function ProviderDetailPage() {
               {connections.length} connection{connections.length === 1 ? "" : "s"}
             </p>
           </div>
+          <TtftTimeoutSetting providerId={providerId} />
         </div>
       </div>
 
@@ -567,6 +603,8 @@ export default function ProviderDetailPage() {
               <ConnectionRow
                 key={conn.id}
                 connection={conn}
+                breakers={breakers.filter(b => b.connectionId === conn.id)}
+                onResetBreaker={(model) => handleResetBreaker(conn.id, model)}
                 isOAuth={isOAuth}
                 isFirst={index === 0}
                 isLast={index === connections.length - 1}
@@ -1031,6 +1069,57 @@ CompatibleModelsSection.propTypes = {
   isAnthropic: PropTypes.bool,
 };
 
+// Per-provider first token timeout (settings.ttftTimeouts[providerId], ms); blank = global default
+function TtftTimeoutSetting({ providerId }) {
+  const [timeouts, setTimeouts] = useState(null);
+
+  useEffect(() => {
+    fetch("/api/settings")
+      .then((res) => res.json())
+      .then((data) => setTimeouts(data.ttftTimeouts || {}))
+      .catch((error) => console.log("Error fetching settings:", error));
+  }, []);
+
+  const handleChange = async (value) => {
+    const next = { ...timeouts };
+    if (value === "") delete next[providerId];
+    else next[providerId] = Math.max(parseInt(value) || 0, 0) * 1000;
+    setTimeouts(next);
+    try {
+      await fetch("/api/settings", {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ttftTimeouts: next }),
+      });
+    } catch (error) {
+      console.log("Error saving first token timeout:", error);
+    }
+  };
+
+  if (!timeouts) return null;
+  const value = timeouts[providerId];
+  const defaultSec = Math.round((timeouts.default || 0) / 1000);
+
+  return (
+    <div className="ml-auto flex items-center gap-2" title="Streams without a first token in time fail over to the next account">
+      <span className="text-sm text-text-muted">First token timeout</span>
+      <Input
+        type="number"
+        min="0"
+        value={value === undefined ? "" : Math.round(value / 1000)}
+        onChange={(e) => handleChange(e.target.value)}
+        placeholder={defaultSec ? `${defaultSec}` : "∞"}
+        className="w-20 text-center"
+      />
+      <span className="text-sm text-text-muted">s</span>
+    </div>
+  );
+}
+
+TtftTimeoutSetting.propTypes = {
+  providerId: PropTypes.string.isRequired,
+};
+
 function CooldownTimer({ until }) {
   const [remaining, setRemaining] = useState("");
 
@@ -1071,41 +1160,49 @@ CooldownTimer.propTypes = {
   until: PropTypes.string.isRequired,
 };
 
-function ConnectionRow({ connection, isOAuth, isFirst, isLast, onMoveUp, onMoveDown, onToggleActive, onEdit, onDelete }) {
-  const displayName = isOAuth
-    ? connection.name || connection.email || connection.displayName || "OAuth Account"
-    : connection.name;
+function CircuitBadge({ breaker, onReset }) {
+  const label = breaker.model === "__all" ? "all models" : breaker.model;
+  const detail = breaker.lastError ? `${breaker.lastStatus || ""} ${breaker.lastError}`.trim() : "";
+  const title = `Circuit ${breaker.state} for ${label}${breaker.probing ? " (probing)" : ""}${detail ? ` — ${detail}` : ""}`;
 
-  // Use useState + useEffect for impure Date.now() to avoid calling during render
-  const [isCooldown, setIsCooldown] = useState(false);
+  return (
+    <span className="inline-flex items-center gap-1 text-xs px-1.5 py-0.5 rounded bg-orange-500/10 text-orange-500" title={title}>
+      <span className="material-symbols-outlined text-[12px]">
+        {breaker.state === "open" ? "power_off" : "network_check"}
+      </span>
+      <span className="font-mono truncate max-w-[140px]">{label}</span>
+      {breaker.state === "open" && breaker.openUntil
+        ? <CooldownTimer until={breaker.openUntil} />
+        : <span>{breaker.probing ? "probing" : "half-open"}</span>}
+      <button onClick={onReset} className="hover:text-primary" title="Reset circuit breaker">
+        <span className="material-symbols-outlined text-[12px]">close</span>
+      </button>
+    </span>
+  );
+}
 
-  // Get earliest model lock timestamp (useEffect handles the Date.now() comparison)
-  const modelLockUntil = Object.entries(connection)
-    .filter(([k]) => k.startsWith("modelLock_"))
-    .map(([, v]) => v)
-    .filter(v => !!v)
-    .sort()[0] || null;
+CircuitBadge.propTypes = {
+  breaker: PropTypes.shape({
+    model: PropTypes.string,
+    state: PropTypes.string,
+    openUntil: PropTypes.string,
+    probing: PropTypes.bool,
+    lastError: PropTypes.string,
+    lastStatus: PropTypes.number,
+  }).isRequired,
+  onReset: PropTypes.func,
+};
 
-  useEffect(() => {
-    const checkCooldown = () => {
-      const until = Object.entries(connection)
-        .filter(([k]) => k.startsWith("modelLock_"))
-        .map(([, v]) => v)
-        .filter(v => v && new Date(v).getTime() > Date.now())
-        .sort()[0] || null;
-      setIsCooldown(!!until);
-    };
+function ConnectionRow({ connection, breakers = [], onResetBreaker, isOAuth, isFirst, isLast, onMoveUp, onMoveDown, onToggleActive, onEdit, onDelete }) {
+  const displayName = isOAuth
+    ? connection.name || connection.email || connection.displayName || "OAuth Account"
+    : connection.name;
 
-    checkCooldown();
-    const interval = modelLockUntil ? setInterval(checkCooldown, 1000) : null;
-    return () => {
-      if (interval) clearInterval(interval);
-    };
-  }, [modelLockUntil]);
+  const isCircuitOpen = breakers.length > 0;
 
-  // Determine effective status (override unavailable if cooldown expired)
-  const effectiveStatus = (connection.testStatus === "unavailable" && !isCooldown)
-    ? "active"  // Cooldown expired → treat as active
+  // Determine effective status (override unavailable once every breaker closed)
+  const effectiveStatus = (connection.testStatus === "unavailable" && !isCircuitOpen)
+    ? "active"  // Breakers closed → treat as active
     : connection.testStatus;
 
   const getStatusVariant = () => {
@@ -1144,7 +1241,9 @@ function ConnectionRow({ connection, isOAuth, isFirst, isLast, onMoveUp, onMoveD
             <Badge variant={getStatusVariant()} size="sm" dot>
               {connection.isActive === false ? "disabled" : (effectiveStatus || "Unknown")}
             </Badge>
-            {isCooldown && connection.isActive !== false && <CooldownTimer until={modelLockUntil} />}
+            {isCircuitOpen && connection.isActive !== false && breakers.map((b) => (
+              <CircuitBadge key={b.model} breaker={b} onReset={() => onResetBreaker?.(b.model)} />
+            ))}
             {connection.lastError && connection.isActive !== false && (
               <span className="text-xs text-red-500 truncate max-w-[300px]" title={connection.lastError}>
                 {connection.lastError}
@@ -1183,13 +1282,18 @@ ConnectionRow.propTypes = {
     name: PropTypes.string,
     email: PropTypes.string,
     displayName: PropTypes.string,
-    modelLockUntil: PropTypes.string,
     testStatus: PropTypes.string,
     isActive: PropTypes.bool,
     lastError: PropTypes.string,
     priority: PropTypes.number,
     globalPriority: PropTypes.number,
   }).isRequired,
+  breakers: PropTypes.arrayOf(PropTypes.shape({
+    model: PropTypes.string,
+    state: PropTypes.string,
+    openUntil: PropTypes.string,
+  })),
+  onResetBreaker: PropTypes.func,
   isOAuth: PropTypes.bool.isRequired,
   isFirst: PropTypes.bool.isRequired,
   isLast: PropTypes.bool.isRequired,
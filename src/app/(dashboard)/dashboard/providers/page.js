@@ -65,6 +65,7 @@ function getConnectionErrorTag(connection) {
 
 export default function ProvidersPage() {
   const [connections, setConnections] = useState([]);
+  const [breakers, setBreakers] = useState([]);
   const [providerNodes, setProviderNodes] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddCompatibleModal, setShowAddCompatibleModal] = useState(false);
@@ -76,14 +77,17 @@ export default function ProvidersPage() {
   useEffect(() => {
     const fetchData = async () => {
       try {
-        const [connectionsRes, nodesRes] = await Promise.all([
+        const [connectionsRes, nodesRes, breakersRes] = await Promise.all([
           fetch("/api/providers"),
           fetch("/api/provider-nodes"),
+          fetch("/api/providers/circuit-breakers"),
         ]);
         const connectionsData = await connectionsRes.json();
         const nodesData = await nodesRes.json();
+        const breakersData = await breakersRes.json();
         if (connectionsRes.ok) setConnections(connectionsData.connections || []);
         if (nodesRes.ok) setProviderNodes(nodesData.nodes || []);
+        if (breakersRes.ok) setBreakers(breakersData.breakers || []);
       } catch (error) {
         console.log("Error fetching data:", error);
       } finally {
@@ -99,9 +103,8 @@ export default function ProvidersPage() {
     );
 
     const getEffectiveStatus = (conn) => {
-      const isCooldown = Object.entries(conn)
-        .some(([k, v]) => k.startsWith("modelLock_") && v && new Date(v).getTime() > Date.now());
-      return conn.testStatus === "unavailable" && !isCooldown ? "active" : conn.testStatus;
+      const isCircuitOpen = breakers.some((b) => b.connectionId === conn.id && b.state !== "closed");
+      return conn.testStatus === "unavailable" && !isCircuitOpen ? "active" : conn.testStatus;
     };
 
     const connected = providerConnections.filter((c) => {
@@ -0,0 +1,137 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { Card } from "@/shared/components";
+import { cn } from "@/shared/utils/cn";
+
+const STATUS_STYLES = {
+  completed: "bg-green-500/10 text-green-500",
+  in_progress: "bg-blue-500/10 text-blue-500",
+  validating: "bg-blue-500/10 text-blue-500",
+  finalizing: "bg-blue-500/10 text-blue-500",
+  cancelling: "bg-yellow-500/10 text-yellow-500",
+  cancelled: "bg-black/5 dark:bg-white/10 text-text-muted",
+  expired: "bg-yellow-500/10 text-yellow-500",
+  failed: "bg-red-500/10 text-red-500",
+};
+
+const CANCELLABLE = ["validating", "in_progress"];
+
+function formatUsd(value) {
+  return `$${(value || 0).toFixed(4)}`;
+}
+
+/**
+ * Batches tab: local batch jobs with progress, spend, cancel and result downloads
+ */
+export default function BatchesTab() {
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchBatches = useCallback(async () => {
+    try {
+      const res = await fetch("/api/batches");
+      const data = await res.json();
+      if (res.ok) setBatches(data.batches || []);
+    } catch (error) {
+      console.log("Error fetching batches:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBatches();
+    const interval = setInterval(fetchBatches, 5000);
+    return () => clearInterval(interval);
+  }, [fetchBatches]);
+
+  const handleCancel = async (id) => {
+    if (!confirm("Cancel this batch? Requests in flight finish, the rest are skipped.")) return;
+    try {
+      await fetch(`/api/batches/${id}/cancel`, { method: "POST" });
+      await fetchBatches();
+    } catch (error) {
+      console.log("Error cancelling batch:", error);
+    }
+  };
+
+  return (
+    <Card
+      title="Batch Jobs"
+      subtitle="OpenAI /v1/batches and Anthropic /v1/messages/batches jobs, run locally through your providers."
+      icon="stacks"
+    >
+      {loading ? (
+        <p className="text-sm text-text-muted">Loading...</p>
+      ) : batches.length === 0 ? (
+        <p className="text-sm text-text-muted">No batch jobs yet.</p>
+      ) : (
+        <div className="flex flex-col divide-y divide-black/5 dark:divide-white/5">
+          {batches.map((batch) => {
+            const counts = batch.counts || {};
+            const done = (counts.succeeded || 0) + (counts.errored || 0) + (counts.expired || 0);
+            const percent = counts.total > 0 ? Math.min((done / counts.total) * 100, 100) : 0;
+            return (
+              <div key={batch.id} className="flex items-center gap-4 py-3">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm font-medium font-mono truncate">{batch.id}</span>
+                    <span className={cn("text-[10px] px-1.5 py-0.5 rounded font-medium", STATUS_STYLES[batch.status])}>
+                      {batch.status.replace("_", " ")}
+                    </span>
+                    <span className="text-xs text-text-muted">{batch.endpoint}</span>
+                    {batch.keyName && <span className="text-xs text-text-muted">· {batch.keyName}</span>}
+                  </div>
+                  <div className="mt-2 h-1.5 rounded-full bg-black/5 dark:bg-white/10 overflow-hidden">
+                    <div
+                      className={cn("h-full rounded-full", counts.errored > 0 ? "bg-yellow-500" : "bg-green-500")}
+                      style={{ width: `${percent}%` }}
+                    />
+                  </div>
+                  <p className="text-xs text-text-muted mt-1">
+                    {done} of {counts.total || 0} done · {counts.succeeded || 0} succeeded · {counts.errored || 0} failed
+                    {counts.expired > 0 && ` · ${counts.expired} expired`} · {formatUsd(batch.cost)} · created {new Date(batch.createdAt).toLocaleString()}
+                  </p>
+                  {batch.status === "failed" && batch.errors?.[0] && (
+                    <p className="text-xs text-red-500 mt-0.5">
+                      {batch.errors[0].line ? `Line ${batch.errors[0].line}: ` : ""}{batch.errors[0].message}
+                      {batch.errors.length > 1 && ` (+${batch.errors.length - 1} more)`}
+                    </p>
+                  )}
+                </div>
+                {batch.outputFileId && (
+                  <a
+                    href={`/api/batches/${batch.id}/download?type=output`}
+                    className="p-2 hover:bg-black/5 dark:hover:bg-white/5 rounded text-text-muted hover:text-primary transition-all"
+                    title="Download results"
+                  >
+                    <span className="material-symbols-outlined text-[18px]">download</span>
+                  </a>
+                )}
+                {batch.errorFileId && counts.errored + (counts.expired || 0) > 0 && (
+                  <a
+                    href={`/api/batches/${batch.id}/download?type=error`}
+                    className="p-2 hover:bg-red-500/10 rounded text-red-500 transition-all"
+                    title="Download errors"
+                  >
+                    <span className="material-symbols-outlined text-[18px]">error</span>
+                  </a>
+                )}
+                {CANCELLABLE.includes(batch.status) && (
+                  <button
+                    onClick={() => handleCancel(batch.id)}
+                    className="p-2 hover:bg-red-500/10 rounded text-red-500 transition-all"
+                    title="Cancel"
+                  >
+                    <span className="material-symbols-outlined text-[18px]">cancel</span>
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,272 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import { Card, Button, Input, Select, Modal, Toggle } from "@/shared/components";
+import { cn } from "@/shared/utils/cn";
+import { AI_PROVIDERS } from "@/shared/constants/providers";
+
+const SCOPE_OPTIONS = [
+  { value: "global", label: "Whole install" },
+  { value: "apiKey", label: "API key" },
+  { value: "provider", label: "Provider" },
+];
+
+const PERIOD_OPTIONS = [
+  { value: "daily", label: "Daily" },
+  { value: "monthly", label: "Monthly" },
+];
+
+const ACTION_OPTIONS = [
+  { value: "block", label: "Block requests" },
+  { value: "skipPaid", label: "Skip paid models (free only)" },
+];
+
+function formatUsd(value) {
+  return `$${(value || 0).toFixed(2)}`;
+}
+
+/**
+ * Budgets tab: current period spend per budget, create/edit/delete
+ */
+export default function BudgetsTab() {
+  const [budgets, setBudgets] = useState([]);
+  const [keys, setKeys] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // null = closed, {} = new, budget = edit
+
+  const fetchBudgets = useCallback(async () => {
+    try {
+      const res = await fetch("/api/budgets");
+      const data = await res.json();
+      if (res.ok) setBudgets(data.budgets || []);
+    } catch (error) {
+      console.log("Error fetching budgets:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBudgets();
+    Promise.all([fetch("/api/keys"), fetch("/api/providers")])
+      .then(([keysRes, providersRes]) => Promise.all([keysRes.json(), providersRes.json()]))
+      .then(([keysData, providersData]) => {
+        setKeys(keysData.keys || []);
+        const ids = [...new Set((providersData.connections || []).map(c => c.provider))];
+        setProviders(ids.map(id => ({ value: id, label: AI_PROVIDERS[id]?.name || id })));
+      })
+      .catch((error) => console.log("Error fetching budget targets:", error));
+
+    const interval = setInterval(fetchBudgets, 30000);
+    return () => clearInterval(interval);
+  }, [fetchBudgets]);
+
+  const getTargetLabel = (budget) => {
+    if (budget.scope === "global") return "Whole install";
+    if (budget.scope === "apiKey") return `Key: ${keys.find(k => k.id === budget.target)?.name || budget.target}`;
+    return `Provider: ${AI_PROVIDERS[budget.target]?.name || budget.target}`;
+  };
+
+  const handleSave = async (data) => {
+    const isNew = !editing?.id;
+    try {
+      const res = await fetch(isNew ? "/api/budgets" : `/api/budgets/${editing.id}`, {
+        method: isNew ? "POST" : "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(data),
+      });
+      const result = await res.json();
+      if (!res.ok) return { error: result.error || "Failed to save budget" };
+      setEditing(null);
+      await fetchBudgets();
+      return null;
+    } catch (error) {
+      console.log("Error saving budget:", error);
+      return { error: "Failed to save budget" };
+    }
+  };
+
+  const handleToggle = async (budget, isActive) => {
+    setBudgets(prev => prev.map(b => b.id === budget.id ? { ...b, isActive } : b));
+    try {
+      await fetch(`/api/budgets/${budget.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ isActive }),
+      });
+      await fetchBudgets();
+    } catch (error) {
+      console.log("Error toggling budget:", error);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm("Delete this budget?")) return;
+    try {
+      const res = await fetch(`/api/budgets/${id}`, { method: "DELETE" });
+      if (res.ok) setBudgets(prev => prev.filter(b => b.id !== id));
+    } catch (error) {
+      console.log("Error deleting budget:", error);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-4">
+      <Card
+        title="Spending Budgets"
+        subtitle="Daily or monthly USD limits, priced from usage. Exceeded budgets block requests or restrict combos to free models."
+        icon="savings"
+        action={<Button size="sm" icon="add" onClick={() => setEditing({})}>Add Budget</Button>}
+      >
+        {loading ? (
+          <p className="text-sm text-text-muted">Loading...</p>
+        ) : budgets.length === 0 ? (
+          <p className="text-sm text-text-muted">No budgets configured.</p>
+        ) : (
+          <div className="flex flex-col divide-y divide-black/5 dark:divide-white/5">
+            {budgets.map((budget) => {
+              const percent = budget.limit > 0 ? Math.min((budget.spent / budget.limit) * 100, 100) : 100;
+              return (
+                <div key={budget.id} className="group flex items-center gap-4 py-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-medium">{budget.name || getTargetLabel(budget)}</span>
+                      <span className="text-xs text-text-muted">{budget.period}</span>
+                      {budget.action === "skipPaid" && (
+                        <span className="text-[10px] px-1.5 py-0.5 rounded bg-black/5 dark:bg-white/10 text-text-muted">free only when exceeded</span>
+                      )}
+                      {budget.exceeded && (
+                        <span className="text-[10px] px-1.5 py-0.5 rounded bg-red-500/10 text-red-500 font-medium">Exceeded</span>
+                      )}
+                    </div>
+                    {budget.name && <p className="text-xs text-text-muted mt-0.5">{getTargetLabel(budget)}</p>}
+                    <div className="mt-2 h-1.5 rounded-full bg-black/5 dark:bg-white/10 overflow-hidden">
+                      <div
+                        className={cn("h-full rounded-full", budget.exceeded ? "bg-red-500" : percent >= 80 ? "bg-yellow-500" : "bg-green-500")}
+                        style={{ width: `${percent}%` }}
+                      />
+                    </div>
+                    <p className="text-xs text-text-muted mt-1">
+                      {formatUsd(budget.spent)} of {formatUsd(budget.limit)} · resets {new Date(budget.resetsAt).toLocaleString()}
+                    </p>
+                  </div>
+                  <Toggle size="sm" checked={budget.isActive !== false} onChange={(checked) => handleToggle(budget, checked)} />
+                  <button
+                    onClick={() => setEditing(budget)}
+                    className="p-2 hover:bg-black/5 dark:hover:bg-white/5 rounded text-text-muted hover:text-primary opacity-0 group-hover:opacity-100 transition-all"
+                    title="Edit"
+                  >
+                    <span className="material-symbols-outlined text-[18px]">edit</span>
+                  </button>
+                  <button
+                    onClick={() => handleDelete(budget.id)}
+                    className="p-2 hover:bg-red-500/10 rounded text-red-500 opacity-0 group-hover:opacity-100 transition-all"
+                    title="Delete"
+                  >
+                    <span className="material-symbols-outlined text-[18px]">delete</span>
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </Card>
+
+      {editing && (
+        <BudgetFormModal
+          key={editing.id || "new"}
+          budget={editing}
+          keyOptions={keys.map(k => ({ value: k.id, label: k.name }))}
+          providerOptions={providers}
+          onClose={() => setEditing(null)}
+          onSave={handleSave}
+        />
+      )}
+    </div>
+  );
+}
+
+function BudgetFormModal({ budget, keyOptions, providerOptions, onClose, onSave }) {
+  const [name, setName] = useState(budget.name || "");
+  const [scope, setScope] = useState(budget.scope || "global");
+  const [target, setTarget] = useState(budget.target || "");
+  const [period, setPeriod] = useState(budget.period || "monthly");
+  const [limit, setLimit] = useState(budget.limit ?? "");
+  const [action, setAction] = useState(budget.action || "block");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError("");
+    const result = await onSave({
+      name: name.trim(),
+      scope,
+      target: scope === "global" ? null : target,
+      period,
+      limit: Number(limit),
+      action,
+    });
+    setSaving(false);
+    if (result?.error) setError(result.error);
+  };
+
+  const targetOptions = scope === "apiKey" ? keyOptions : providerOptions;
+
+  return (
+    <Modal isOpen title={budget.id ? "Edit Budget" : "Add Budget"} onClose={onClose}>
+      <div className="flex flex-col gap-4">
+        <Input label="Name" value={name} onChange={(e) => setName(e.target.value)} placeholder="Monthly cap" />
+        <Select
+          label="Scope"
+          options={SCOPE_OPTIONS}
+          value={scope}
+          onChange={(e) => {
+            setScope(e.target.value);
+            setTarget("");
+          }}
+        />
+        {scope !== "global" && (
+          <Select
+            label={scope === "apiKey" ? "API Key" : "Provider"}
+            options={targetOptions}
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+          />
+        )}
+        <div className="grid grid-cols-2 gap-2">
+          <Select label="Period" options={PERIOD_OPTIONS} value={period} onChange={(e) => setPeriod(e.target.value)} />
+          <Input label="Limit (USD)" type="number" min="0" step="0.01" value={limit} onChange={(e) => setLimit(e.target.value)} placeholder="10.00" />
+        </div>
+        <Select
+          label="When exceeded"
+          options={ACTION_OPTIONS}
+          value={action}
+          onChange={(e) => setAction(e.target.value)}
+          hint="Free = models without pricing. Combos fall through to the next allowed model."
+        />
+
+        {error && <p className="text-xs text-red-500">{error}</p>}
+
+        <div className="flex gap-2">
+          <Button onClick={handleSave} fullWidth disabled={limit === "" || saving || (scope !== "global" && !target)}>
+            {saving ? "Saving..." : "Save"}
+          </Button>
+          <Button onClick={onClose} variant="ghost" fullWidth>
+            Cancel
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+BudgetFormModal.propTypes = {
+  budget: PropTypes.object.isRequired,
+  keyOptions: PropTypes.arrayOf(PropTypes.shape({ value: PropTypes.string, label: PropTypes.string })).isRequired,
+  providerOptions: PropTypes.arrayOf(PropTypes.shape({ value: PropTypes.string, label: PropTypes.string })).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+};
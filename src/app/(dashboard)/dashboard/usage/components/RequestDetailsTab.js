@@ -415,6 +415,24 @@ export default function RequestDetailsTab() {
                 <pre className="bg-black/5 dark:bg-white/5 p-4 rounded-lg overflow-auto max-h-[300px] text-xs font-mono text-text-main border border-black/5 dark:border-white/5">
                   {selectedDetail.response?.content || "[No content]"}
                 </pre>
+
+                {selectedDetail.response?.tool_calls?.length > 0 && (
+                  <div className="mt-4">
+                    <h4 className="font-semibold text-text-main mb-2 flex items-center gap-2 text-xs uppercase tracking-wide opacity-70">
+                      <span className="material-symbols-outlined text-[16px]">build</span>
+                      Tool Calls
+                    </h4>
+                    <pre className="bg-black/5 dark:bg-white/5 p-4 rounded-lg overflow-auto max-h-[300px] text-xs font-mono text-text-main border border-black/5 dark:border-white/5">
+                      {JSON.stringify(selectedDetail.response.tool_calls, null, 2)}
+                    </pre>
+                  </div>
+                )}
+
+                {selectedDetail.response?.finish_reason && (
+                  <p className="mt-3 text-xs text-text-muted">
+                    Finish reason: <span className="font-mono text-text-main">{selectedDetail.response.finish_reason}</span>
+                  </p>
+                )}
               </CollapsibleSection>
             </div>
           </div>
@@ -4,6 +4,8 @@ import { Suspense, useState } from "react";
 import { useSearchParams, useRouter } from "next/navigation";
 import { UsageStats, RequestLogger, CardSkeleton, SegmentedControl } from "@/shared/components";
 import RequestDetailsTab from "./components/RequestDetailsTab";
+import BudgetsTab from "./components/BudgetsTab";
+import BatchesTab from "./components/BatchesTab";
 
 export default function UsagePage() {
   return (
@@ -20,7 +22,7 @@ function UsageContent() {
   const [tabLoading, setTabLoading] = useState(false);
 
   const tabFromUrl = searchParams.get("tab");
-  const activeTab = tabFromUrl && ["overview", "logs", "details"].includes(tabFromUrl)
+  const activeTab = tabFromUrl && ["overview", "logs", "details", "budgets", "batches"].includes(tabFromUrl)
     ? tabFromUrl
     : "overview";
 
@@ -40,6 +42,8 @@ function UsageContent() {
         options={[
           { value: "overview", label: "Overview" },
           { value: "details", label: "Details" },
+          { value: "budgets", label: "Budgets" },
+          { value: "batches", label: "Batches" },
         ]}
         value={activeTab}
         onChange={handleTabChange}
@@ -56,6 +60,8 @@ function UsageContent() {
           )}
           {activeTab === "logs" && <RequestLogger />}
           {activeTab === "details" && <RequestDetailsTab />}
+          {activeTab === "budgets" && <BudgetsTab />}
+          {activeTab === "batches" && <BatchesTab />}
         </>
       )}
     </div>
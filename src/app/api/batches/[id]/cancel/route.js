@@ -0,0 +1,18 @@
+import { NextResponse } from "next/server";
+import { getBatch } from "@/lib/batchDb";
+import { cancelBatch } from "@/sse/services/batchRunner.js";
+
+// POST /api/batches/[id]/cancel - Cancel a batch job from the dashboard
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    if (!(await getBatch(id))) {
+      return NextResponse.json({ error: "Batch not found" }, { status: 404 });
+    }
+    const batch = await cancelBatch(id);
+    return NextResponse.json({ id, status: batch.status });
+  } catch (error) {
+    console.log("Error cancelling batch:", error);
+    return NextResponse.json({ error: "Failed to cancel batch" }, { status: 500 });
+  }
+}
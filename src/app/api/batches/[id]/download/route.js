@@ -0,0 +1,27 @@
+import { NextResponse } from "next/server";
+import { getBatch, readFileContent } from "@/lib/batchDb";
+
+// GET /api/batches/[id]/download?type=output|error - Result JSONL as an attachment
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const type = new URL(request.url).searchParams.get("type") === "error" ? "error" : "output";
+
+    const batch = await getBatch(id);
+    const fileId = type === "error" ? batch?.errorFileId : batch?.outputFileId;
+    const content = fileId ? await readFileContent(fileId) : null;
+    if (content === null) {
+      return NextResponse.json({ error: "Results not found" }, { status: 404 });
+    }
+
+    return new Response(content, {
+      headers: {
+        "Content-Type": "application/jsonl",
+        "Content-Disposition": `attachment; filename="${id}_${type}.jsonl"`
+      }
+    });
+  } catch (error) {
+    console.log("Error downloading batch results:", error);
+    return NextResponse.json({ error: "Failed to download batch results" }, { status: 500 });
+  }
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from "next/server";
+import { listBatches } from "@/lib/batchDb";
+import { getBatchCosts } from "@/lib/usageDb";
+import { getApiKeys } from "@/lib/localDb";
+import { resumeBatches, isBatchRunning } from "@/sse/services/batchRunner.js";
+
+// GET /api/batches - All batch jobs with progress and spend so far
+export async function GET() {
+  try {
+    await resumeBatches();
+    const [batches, costs, keys] = await Promise.all([listBatches(), getBatchCosts(), getApiKeys()]);
+
+    return NextResponse.json({
+      batches: batches.map(batch => ({
+        id: batch.id,
+        format: batch.format,
+        endpoint: batch.endpoint,
+        status: batch.status,
+        running: isBatchRunning(batch.id),
+        keyName: keys.find(k => k.key === batch.apiKey)?.name || null,
+        counts: batch.counts,
+        errors: batch.errors,
+        outputFileId: batch.outputFileId || null,
+        errorFileId: batch.errorFileId || null,
+        createdAt: batch.createdAt,
+        endedAt: batch.completedAt || batch.cancelledAt || batch.expiredAt || batch.failedAt || null,
+        expiresAt: batch.expiresAt,
+        cost: costs[batch.id]?.cost || 0
+      }))
+    });
+  } catch (error) {
+    console.log("Error fetching batches:", error);
+    return NextResponse.json({ error: "Failed to fetch batches" }, { status: 500 });
+  }
+}
@@ -0,0 +1,55 @@
+import { NextResponse } from "next/server";
+import { getBudgetById, updateBudget, deleteBudget } from "@/lib/localDb";
+import { validateBudget } from "open-sse/services/budget.js";
+
+// PUT /api/budgets/[id] - Update budget
+export async function PUT(request, { params }) {
+  try {
+    const { id } = await params;
+    const body = await request.json();
+    const { name, scope, target, period, limit, action, isActive } = body;
+
+    const existing = await getBudgetById(id);
+    if (!existing) {
+      return NextResponse.json({ error: "Budget not found" }, { status: 404 });
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (scope !== undefined) updateData.scope = scope;
+    if (target !== undefined) updateData.target = target;
+    if (period !== undefined) updateData.period = period;
+    if (limit !== undefined) updateData.limit = limit;
+    if (action !== undefined) updateData.action = action;
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    // Validate the merged budget so scope/target stay consistent
+    const merged = { ...existing, ...updateData };
+    const validationError = validateBudget(merged);
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+    if (merged.scope === "global") updateData.target = null;
+
+    const budget = await updateBudget(id, updateData);
+    return NextResponse.json(budget);
+  } catch (error) {
+    console.log("Error updating budget:", error);
+    return NextResponse.json({ error: "Failed to update budget" }, { status: 500 });
+  }
+}
+
+// DELETE /api/budgets/[id] - Delete budget
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+    const deleted = await deleteBudget(id);
+    if (!deleted) {
+      return NextResponse.json({ error: "Budget not found" }, { status: 404 });
+    }
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.log("Error deleting budget:", error);
+    return NextResponse.json({ error: "Failed to delete budget" }, { status: 500 });
+  }
+}
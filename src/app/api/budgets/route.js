@@ -0,0 +1,34 @@
+import { NextResponse } from "next/server";
+import { createBudget } from "@/lib/localDb";
+import { getBudgetStatuses } from "@/lib/usageDb";
+import { validateBudget } from "open-sse/services/budget.js";
+
+// GET /api/budgets - List budgets with current period spend
+export async function GET() {
+  try {
+    const budgets = await getBudgetStatuses();
+    return NextResponse.json({ budgets });
+  } catch (error) {
+    console.log("Error fetching budgets:", error);
+    return NextResponse.json({ error: "Failed to fetch budgets" }, { status: 500 });
+  }
+}
+
+// POST /api/budgets - Create budget { name, scope, target, period, limit, action }
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { name, scope, target, period, limit, action } = body;
+
+    const validationError = validateBudget({ scope, target, period, limit, action });
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+
+    const budget = await createBudget({ name, scope, target, period, limit, action });
+    return NextResponse.json(budget, { status: 201 });
+  } catch (error) {
+    console.log("Error creating budget:", error);
+    return NextResponse.json({ error: "Failed to create budget" }, { status: 500 });
+  }
+}
@@ -0,0 +1,51 @@
+import { NextResponse } from "next/server";
+import { getComboById, getComboByName } from "@/lib/localDb";
+import { resolveComboRoute } from "open-sse/services/comboRules.js";
+import { orderComboModels, COMBO_STRATEGIES } from "open-sse/services/combo.js";
+import { detectFormatByEndpoint } from "open-sse/translator/formats.js";
+import { getComboModelCost } from "@/sse/services/model.js";
+
+// POST /api/combos/[id]/dry-run - Show which rule matches a request body (no upstream call)
+// Body: { body: <chat request body>, endpoint?: "/v1/messages", userAgent?: "claude-cli/..." }
+// [id] accepts combo ID or combo name
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    const combo = await getComboById(id) || await getComboByName(id);
+
+    if (!combo) {
+      return NextResponse.json({ error: "Combo not found" }, { status: 404 });
+    }
+
+    const payload = await request.json();
+    const body = payload?.body;
+    if (!body || typeof body !== "object") {
+      return NextResponse.json({ error: "body is required" }, { status: 400 });
+    }
+
+    const route = resolveComboRoute(combo, {
+      body,
+      sourceFormat: payload.endpoint ? detectFormatByEndpoint(payload.endpoint, body) : null,
+      userAgent: payload.userAgent || request.headers.get("user-agent") || ""
+    });
+
+    const strategy = combo.strategy || COMBO_STRATEGIES.PRIORITY;
+    const orderedModels = await orderComboModels({
+      models: route.models,
+      strategy,
+      weights: combo.weights,
+      getModelCost: getComboModelCost
+    });
+
+    return NextResponse.json({
+      combo: combo.name,
+      matchedRule: route.rule ? { index: route.ruleIndex, name: route.rule.name || null, match: route.rule.match || {} } : null,
+      features: route.features,
+      strategy,
+      models: orderedModels
+    });
+  } catch (error) {
+    console.log("Error running combo dry run:", error);
+    return NextResponse.json({ error: "Failed to run dry run" }, { status: 500 });
+  }
+}
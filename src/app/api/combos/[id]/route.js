@@ -1,5 +1,7 @@
 import { NextResponse } from "next/server";
 import { getComboById, updateCombo, deleteCombo, getComboByName } from "@/lib/localDb";
+import { COMBO_STRATEGIES, isValidComboWeights, isValidRaceCount } from "open-sse/services/combo.js";
+import { validateComboRules } from "open-sse/services/comboRules.js";
 
 // Validate combo name: only a-z, A-Z, 0-9, -, _
 const VALID_NAME_REGEX = /^[a-zA-Z0-9_-]+$/;
@@ -39,6 +41,23 @@ export async function PUT(request, { params }) {
         return NextResponse.json({ error: "Combo name already exists" }, { status: 400 });
       }
     }
+
+    if (body.strategy !== undefined && !Object.values(COMBO_STRATEGIES).includes(body.strategy)) {
+      return NextResponse.json({ error: "Invalid strategy" }, { status: 400 });
+    }
+
+    if (body.weights !== undefined && !isValidComboWeights(body.weights)) {
+      return NextResponse.json({ error: "Weights must be non-negative numbers" }, { status: 400 });
+    }
+
+    if (body.raceCount !== undefined && !isValidRaceCount(body.raceCount)) {
+      return NextResponse.json({ error: "Race count must be a non-negative integer" }, { status: 400 });
+    }
+
+    if (body.rules !== undefined) {
+      const rulesError = validateComboRules(body.rules);
+      if (rulesError) return NextResponse.json({ error: rulesError }, { status: 400 });
+    }
     
     const combo = await updateCombo(id, body);
     
@@ -1,5 +1,7 @@
 import { NextResponse } from "next/server";
 import { getCombos, createCombo, getComboByName } from "@/lib/localDb";
+import { COMBO_STRATEGIES, isValidComboWeights, isValidRaceCount } from "open-sse/services/combo.js";
+import { validateComboRules } from "open-sse/services/comboRules.js";
 
 // Validate combo name: only a-z, A-Z, 0-9, -, _
 const VALID_NAME_REGEX = /^[a-zA-Z0-9_-]+$/;
@@ -19,7 +21,7 @@ export async function GET() {
 export async function POST(request) {
   try {
     const body = await request.json();
-    const { name, models } = body;
+    const { name, models, strategy, weights, rules, raceCount } = body;
 
     if (!name) {
       return NextResponse.json({ error: "Name is required" }, { status: 400 });
@@ -30,13 +32,30 @@ export async function POST(request) {
       return NextResponse.json({ error: "Name can only contain letters, numbers, - and _" }, { status: 400 });
     }
 
+    if (strategy !== undefined && !Object.values(COMBO_STRATEGIES).includes(strategy)) {
+      return NextResponse.json({ error: "Invalid strategy" }, { status: 400 });
+    }
+
+    if (weights !== undefined && !isValidComboWeights(weights)) {
+      return NextResponse.json({ error: "Weights must be non-negative numbers" }, { status: 400 });
+    }
+
+    if (raceCount !== undefined && !isValidRaceCount(raceCount)) {
+      return NextResponse.json({ error: "Race count must be a non-negative integer" }, { status: 400 });
+    }
+
+    if (rules !== undefined) {
+      const rulesError = validateComboRules(rules);
+      if (rulesError) return NextResponse.json({ error: rulesError }, { status: 400 });
+    }
+
     // Check if name already exists
     const existing = await getComboByName(name);
     if (existing) {
       return NextResponse.json({ error: "Combo name already exists" }, { status: 400 });
     }
 
-    const combo = await createCombo({ name, models: models || [] });
+    const combo = await createCombo({ name, models: models || [], strategy, weights, rules, raceCount });
 
     return NextResponse.json(combo, { status: 201 });
   } catch (error) {
@@ -1,5 +1,7 @@
 import { NextResponse } from "next/server";
 import { deleteApiKey, getApiKeyById, updateApiKey } from "@/lib/localDb";
+import { validateApiKeyScopes } from "open-sse/services/apiKeyPolicy.js";
+import { validateApiKeyRateLimits } from "open-sse/services/apiKeyRateLimit.js";
 
 // GET /api/keys/[id] - Get single key
 export async function GET(request, { params }) {
@@ -21,15 +23,26 @@ export async function PUT(request, { params }) {
   try {
     const { id } = await params;
     const body = await request.json();
-    const { isActive } = body;
+    const { isActive, name, allowedModels, allowedEndpoints, expiresAt, rateLimits } = body;
 
     const existing = await getApiKeyById(id);
     if (!existing) {
       return NextResponse.json({ error: "Key not found" }, { status: 404 });
     }
 
+    const scopesError = validateApiKeyScopes({ allowedModels, allowedEndpoints, expiresAt })
+      || validateApiKeyRateLimits(rateLimits);
+    if (scopesError) {
+      return NextResponse.json({ error: scopesError }, { status: 400 });
+    }
+
     const updateData = {};
     if (isActive !== undefined) updateData.isActive = isActive;
+    if (name) updateData.name = name;
+    if (allowedModels !== undefined) updateData.allowedModels = allowedModels;
+    if (allowedEndpoints !== undefined) updateData.allowedEndpoints = allowedEndpoints;
+    if (expiresAt !== undefined) updateData.expiresAt = expiresAt || null;
+    if (rateLimits !== undefined) updateData.rateLimits = rateLimits || null;
 
     const updated = await updateApiKey(id, updateData);
 
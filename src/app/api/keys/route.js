@@ -1,6 +1,8 @@
 import { NextResponse } from "next/server";
 import { getApiKeys, createApiKey } from "@/lib/localDb";
 import { getConsistentMachineId } from "@/shared/utils/machineId";
+import { validateApiKeyScopes } from "open-sse/services/apiKeyPolicy.js";
+import { validateApiKeyRateLimits } from "open-sse/services/apiKeyRateLimit.js";
 
 // GET /api/keys - List API keys
 export async function GET() {
@@ -17,21 +19,31 @@ export async function GET() {
 export async function POST(request) {
   try {
     const body = await request.json();
-    const { name } = body;
+    const { name, allowedModels, allowedEndpoints, expiresAt, rateLimits } = body;
 
     if (!name) {
       return NextResponse.json({ error: "Name is required" }, { status: 400 });
     }
 
+    const scopesError = validateApiKeyScopes({ allowedModels, allowedEndpoints, expiresAt })
+      || validateApiKeyRateLimits(rateLimits);
+    if (scopesError) {
+      return NextResponse.json({ error: scopesError }, { status: 400 });
+    }
+
     // Always get machineId from server
     const machineId = await getConsistentMachineId();
-    const apiKey = await createApiKey(name, machineId);
+    const apiKey = await createApiKey(name, machineId, { allowedModels, allowedEndpoints, expiresAt, rateLimits });
 
     return NextResponse.json({
       key: apiKey.key,
       name: apiKey.name,
       id: apiKey.id,
       machineId: apiKey.machineId,
+      allowedModels: apiKey.allowedModels,
+      allowedEndpoints: apiKey.allowedEndpoints,
+      expiresAt: apiKey.expiresAt,
+      rateLimits: apiKey.rateLimits,
     }, { status: 201 });
   } catch (error) {
     console.log("Error creating key:", error);
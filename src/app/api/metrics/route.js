@@ -0,0 +1,21 @@
+import { handleMetrics } from "@/sse/handlers/metrics.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * GET /metrics - Prometheus scrape endpoint
+ */
+export async function GET(request) {
+  return await handleMetrics(request);
+}
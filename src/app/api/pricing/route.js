@@ -54,7 +54,7 @@ export async function PATCH(request) {
         }
 
         // Validate pricing fields
-        const validFields = ["input", "output", "cached", "reasoning", "cache_creation"];
+        const validFields = ["input", "output", "cached", "reasoning", "cache_creation", "audio", "image"];
         for (const [key, value] of Object.entries(pricing)) {
           if (!validFields.includes(key)) {
             return NextResponse.json(
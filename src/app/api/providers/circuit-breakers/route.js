@@ -0,0 +1,52 @@
+import { NextResponse } from "next/server";
+import { getProviderConnectionById, updateProviderConnection } from "@/models";
+import { CIRCUIT_STATES, getCircuitBreakers, resetCircuitBreaker } from "open-sse/services/circuitBreaker.js";
+import { restoreCircuitBreakers } from "@/sse/services/auth.js";
+
+// GET /api/providers/circuit-breakers - List breaker state per connection+model
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const connectionId = searchParams.get("connectionId") || undefined;
+    // Breakers saved before a restart are otherwise only restored by the next request
+    await restoreCircuitBreakers();
+    return NextResponse.json({ breakers: getCircuitBreakers({ connectionId }) });
+  } catch (error) {
+    console.log("Error fetching circuit breakers:", error);
+    return NextResponse.json({ error: "Failed to fetch circuit breakers" }, { status: 500 });
+  }
+}
+
+// POST /api/providers/circuit-breakers - { action: "reset", connectionId, model? }
+export async function POST(request) {
+  try {
+    const { action, connectionId, model } = await request.json();
+
+    if (action !== "reset") {
+      return NextResponse.json({ error: "Unknown action" }, { status: 400 });
+    }
+    if (!connectionId) {
+      return NextResponse.json({ error: "connectionId is required" }, { status: 400 });
+    }
+
+    const connection = await getProviderConnectionById(connectionId);
+    if (!connection) {
+      return NextResponse.json({ error: "Connection not found" }, { status: 404 });
+    }
+
+    // Restored first so a saved breaker is reset (and its modelLock_* field cleared) too
+    await restoreCircuitBreakers();
+    const reset = resetCircuitBreaker(connectionId, model || undefined);
+
+    // Connection no longer blocked anywhere → drop the "unavailable" badge
+    const stillOpen = getCircuitBreakers({ connectionId }).some(b => b.state !== CIRCUIT_STATES.CLOSED);
+    if (!stillOpen && connection.testStatus === "unavailable") {
+      await updateProviderConnection(connectionId, { testStatus: "active", lastError: null, lastErrorAt: null });
+    }
+
+    return NextResponse.json({ reset, breakers: getCircuitBreakers({ connectionId }) });
+  } catch (error) {
+    console.log("Error resetting circuit breaker:", error);
+    return NextResponse.json({ error: "Failed to reset circuit breaker" }, { status: 500 });
+  }
+}
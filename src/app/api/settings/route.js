@@ -1,6 +1,7 @@
 import { NextResponse } from "next/server";
 import { getSettings, updateSettings } from "@/lib/localDb";
 import { applyOutboundProxyEnv } from "@/lib/network/outboundProxy";
+import { validateQueueConfig } from "open-sse/services/requestQueue.js";
 import bcrypt from "bcryptjs";
 
 export async function GET() {
@@ -25,6 +26,11 @@ export async function PATCH(request) {
   try {
     const body = await request.json();
 
+    const queueError = validateQueueConfig(body.rateLimitQueue);
+    if (queueError) {
+      return NextResponse.json({ error: queueError }, { status: 400 });
+    }
+
     // If updating password, hash it
     if (body.newPassword) {
       const settings = await getSettings();
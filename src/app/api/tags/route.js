@@ -1,4 +1,4 @@
-import { ollamaModels } from "open-sse/config/ollamaModels.js";
+import { handleOllamaTags } from "@/sse/handlers/ollama.js";
 
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
@@ -11,8 +11,5 @@ export async function OPTIONS() {
 }
 
 export async function GET() {
-  return new Response(JSON.stringify(ollamaModels), {
-    headers: { "Content-Type": "application/json", ...CORS_HEADERS }
-  });
+  return handleOllamaTags();
 }
-
@@ -38,7 +38,7 @@ export async function POST(request) {
         const sourceFormat = detectFormat(actualBody);
         const targetFormat = FORMATS.OPENAI;
         const model = actualBody.model || "test-model";
-        const translated = translateRequest(sourceFormat, targetFormat, model, actualBody, true, null, provider);
+        const translated = await translateRequest(sourceFormat, targetFormat, model, actualBody, true, null, provider);
         
         result = {
           timestamp: new Date().toISOString(),
@@ -55,7 +55,7 @@ export async function POST(request) {
         const sourceFormat = FORMATS.OPENAI;
         const targetFormat = getTargetFormat(provider);
         const model = actualBody.model || "test-model";
-        const translated = translateRequest(sourceFormat, targetFormat, model, actualBody, true, null, provider);
+        const translated = await translateRequest(sourceFormat, targetFormat, model, actualBody, true, null, provider);
         
         result = {
           timestamp: new Date().toISOString(),
@@ -0,0 +1,94 @@
+import { NextResponse } from "next/server";
+import { getUsageHistory, getDailyUsage } from "@/lib/usageDb";
+import { getApiKeys, getProviderConnections } from "@/lib/localDb";
+import {
+  EXPORT_FORMATS,
+  GROUP_BY_FIELDS,
+  RECORD_COLUMNS,
+  parseExportRange,
+  isDailyExport,
+  toExportRecord,
+  pivotUsage,
+  toCsv,
+  toJsonl
+} from "@/lib/usageExport";
+
+// The finance view: spend per day, provider, model and API key
+const DEFAULT_PIVOT_GROUP_BY = ["day", "provider", "model", "apiKey"];
+
+export const dynamic = "force-dynamic";
+
+/**
+ * GET /api/usage/export
+ * Query parameters: format (csv | jsonl | pivot), groupBy (comma-separated: day, provider, model,
+ * apiKey, connection, endpoint, status), startDate, endDate, provider, model, connectionId,
+ * apiKeyId, status
+ * Grouped exports over whole days without status are summed from the daily rollups, which are
+ * kept past USAGE_RETENTION_DAYS; other exports reaching back past it are rejected.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const format = searchParams.get("format") || "csv";
+    const groupBy = (searchParams.get("groupBy") || "").split(",").map(s => s.trim()).filter(Boolean);
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return NextResponse.json({ error: `Invalid format, expected one of: ${EXPORT_FORMATS.join(", ")}` }, { status: 400 });
+    }
+    const invalidGroup = groupBy.find(option => !GROUP_BY_FIELDS[option]);
+    if (invalidGroup) {
+      return NextResponse.json({ error: `Invalid groupBy: ${invalidGroup}` }, { status: 400 });
+    }
+
+    const range = parseExportRange(searchParams.get("startDate"), searchParams.get("endDate"));
+    if (!range) {
+      return NextResponse.json({ error: "Invalid startDate or endDate" }, { status: 400 });
+    }
+
+    const [apiKeys, connections] = await Promise.all([getApiKeys(), getProviderConnections()]);
+
+    const filter = { ...range };
+    for (const param of ["provider", "model", "connectionId", "status"]) {
+      const value = searchParams.get(param);
+      if (value) filter[param] = value;
+    }
+    // Keys are filtered by id so the key itself never appears in URLs
+    const apiKeyId = searchParams.get("apiKeyId");
+    if (apiKeyId) {
+      const key = apiKeys.find(k => k.id === apiKeyId);
+      if (!key) {
+        return NextResponse.json({ error: "API key not found" }, { status: 404 });
+      }
+      filter.apiKey = key.key;
+    }
+
+    const names = {
+      apiKeys: new Map(apiKeys.map(k => [k.key, { id: k.id, name: k.name }])),
+      connections: new Map(connections.map(c => [c.id, c.name || c.email || c.id]))
+    };
+    const pivotGroupBy = format === "pivot" && groupBy.length === 0 ? DEFAULT_PIVOT_GROUP_BY : groupBy;
+    const entries = isDailyExport(pivotGroupBy, filter) ? await getDailyUsage(filter) : await getUsageHistory(filter);
+    const records = entries.map(entry => toExportRecord(entry, names));
+
+    if (format === "pivot") {
+      return NextResponse.json({ groupBy: pivotGroupBy, ...pivotUsage(records, pivotGroupBy) });
+    }
+
+    const { columns, rows } = pivotGroupBy.length > 0 ? pivotUsage(records, pivotGroupBy) : { columns: RECORD_COLUMNS, rows: records };
+    const stamp = new Date().toISOString().slice(0, 10);
+    const body = format === "csv" ? toCsv(rows, columns) : toJsonl(rows);
+
+    return new Response(body, {
+      headers: {
+        "Content-Type": format === "csv" ? "text/csv; charset=utf-8" : "application/jsonl",
+        "Content-Disposition": `attachment; filename="usage-${stamp}.${format}"`
+      }
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    console.error("[API] Failed to export usage:", error);
+    return NextResponse.json({ error: "Failed to export usage" }, { status: 500 });
+  }
+}
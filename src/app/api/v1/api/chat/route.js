@@ -1,6 +1,6 @@
-import { handleChat } from "@/sse/handlers/chat.js";
+import { handleOllamaChat } from "@/sse/handlers/ollama.js";
 import { initTranslators } from "open-sse/translator/index.js";
-import { transformToOllama } from "open-sse/utils/ollamaTransform.js";
+import { OLLAMA_MODES } from "open-sse/utils/ollamaTransform.js";
 
 let initialized = false;
 
@@ -22,17 +22,10 @@ export async function OPTIONS() {
   });
 }
 
+/**
+ * POST /v1/api/chat - Ollama chat (JSON lines, or one object with stream:false)
+ */
 export async function POST(request) {
   await ensureInitialized();
-  
-  const clonedReq = request.clone();
-  let modelName = "llama3.2";
-  try {
-    const body = await clonedReq.json();
-    modelName = body.model || "llama3.2";
-  } catch {}
-
-  const response = await handleChat(request);
-  return transformToOllama(response, modelName);
+  return handleOllamaChat(request, OLLAMA_MODES.CHAT);
 }
-
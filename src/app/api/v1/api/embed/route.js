@@ -0,0 +1,18 @@
+import { handleOllamaEmbed } from "@/sse/handlers/ollama.js";
+
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "POST, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * POST /v1/api/embed - Ollama embeddings ({ model, input } → { embeddings })
+ */
+export async function POST(request) {
+  return handleOllamaEmbed(request);
+}
@@ -0,0 +1,31 @@
+import { handleOllamaChat } from "@/sse/handlers/ollama.js";
+import { initTranslators } from "open-sse/translator/index.js";
+import { OLLAMA_MODES } from "open-sse/utils/ollamaTransform.js";
+
+let initialized = false;
+
+async function ensureInitialized() {
+  if (!initialized) {
+    await initTranslators();
+    initialized = true;
+    console.log("[SSE] Translators initialized");
+  }
+}
+
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * POST /v1/api/generate - Ollama completion (JSON lines, or one object with stream:false)
+ */
+export async function POST(request) {
+  await ensureInitialized();
+  return handleOllamaChat(request, OLLAMA_MODES.GENERATE);
+}
@@ -0,0 +1,18 @@
+import { handleOllamaPs } from "@/sse/handlers/ollama.js";
+
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * GET /v1/api/ps - Models in use (Ollama "running" models)
+ */
+export async function GET() {
+  return handleOllamaPs();
+}
@@ -0,0 +1,18 @@
+import { handleOllamaTags } from "@/sse/handlers/ollama.js";
+
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * GET /v1/api/tags - Ollama model list (combos, aliases, active provider models)
+ */
+export async function GET() {
+  return handleOllamaTags();
+}
@@ -0,0 +1,20 @@
+import { OLLAMA_VERSION } from "open-sse/utils/ollamaTransform.js";
+
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * GET /v1/api/version - Ollama server version
+ */
+export async function GET() {
+  return Response.json({ version: OLLAMA_VERSION }, {
+    headers: { "Access-Control-Allow-Origin": "*" }
+  });
+}
@@ -0,0 +1,22 @@
+import { handleAudio } from "@/sse/handlers/audio.js";
+import { AUDIO_ACTIONS } from "open-sse/handlers/audioCore.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "POST, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * POST /v1/audio/transcriptions - OpenAI-compatible transcription (multipart upload)
+ */
+export async function POST(request) {
+  return await handleAudio(request, AUDIO_ACTIONS.TRANSCRIPTION);
+}
@@ -0,0 +1,22 @@
+import { handleCancelBatch } from "@/sse/handlers/batches.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "POST, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * POST /v1/batches/[id]/cancel - Stop starting new requests
+ */
+export async function POST(request, { params }) {
+  const { id } = await params;
+  return await handleCancelBatch(request, id);
+}
@@ -0,0 +1,28 @@
+import { handleCreateBatch, handleListBatches } from "@/sse/handlers/batches.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * POST /v1/batches - Create a batch from an uploaded JSONL file, run locally
+ */
+export async function POST(request) {
+  return await handleCreateBatch(request);
+}
+
+/**
+ * GET /v1/batches - List batches
+ */
+export async function GET(request) {
+  return await handleListBatches(request);
+}
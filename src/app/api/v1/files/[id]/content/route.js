@@ -0,0 +1,22 @@
+import { handleFileContent } from "@/sse/handlers/batches.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * GET /v1/files/[id]/content - Raw file content (batch input, output or errors)
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  return await handleFileContent(request, id);
+}
@@ -0,0 +1,30 @@
+import { handleGetFile, handleDeleteFile } from "@/sse/handlers/batches.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, DELETE, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * GET /v1/files/[id] - File metadata
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  return await handleGetFile(request, id);
+}
+
+/**
+ * DELETE /v1/files/[id] - Remove a file
+ */
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+  return await handleDeleteFile(request, id);
+}
@@ -0,0 +1,28 @@
+import { handleUploadFile, handleListFiles } from "@/sse/handlers/batches.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * POST /v1/files - Upload a file (multipart: file, purpose)
+ */
+export async function POST(request) {
+  return await handleUploadFile(request);
+}
+
+/**
+ * GET /v1/files - List uploaded and batch result files
+ */
+export async function GET(request) {
+  return await handleListFiles(request);
+}
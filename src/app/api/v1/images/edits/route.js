@@ -0,0 +1,22 @@
+import { handleImages } from "@/sse/handlers/images.js";
+import { IMAGE_ACTIONS } from "open-sse/handlers/imagesCore.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "POST, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * POST /v1/images/edits - OpenAI-compatible image editing (multipart upload)
+ */
+export async function POST(request) {
+  return await handleImages(request, IMAGE_ACTIONS.EDIT);
+}
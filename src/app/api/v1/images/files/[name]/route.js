@@ -0,0 +1,23 @@
+import { readImage } from "@/lib/imageStore";
+import { errorResponse } from "open-sse/utils/error.js";
+import { HTTP_STATUS } from "open-sse/config/constants.js";
+
+/**
+ * GET /v1/images/files/[name] - Images generated with response_format "url".
+ * Names are random and expire after an hour, like OpenAI's image URLs.
+ */
+export async function GET(request, { params }) {
+  const { name } = await params;
+  const image = await readImage(name);
+  if (!image) {
+    return errorResponse(HTTP_STATUS.NOT_FOUND, "Image not found or expired");
+  }
+
+  return new Response(image.bytes, {
+    headers: {
+      "Content-Type": image.mimeType,
+      "Cache-Control": "private, max-age=3600",
+      "Access-Control-Allow-Origin": "*"
+    }
+  });
+}
@@ -0,0 +1,22 @@
+import { handleMessageBatchResults } from "@/sse/handlers/batches.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * GET /v1/messages/batches/[id]/results - JSONL results of an ended message batch
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  return await handleMessageBatchResults(request, id);
+}
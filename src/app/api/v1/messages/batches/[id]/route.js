@@ -0,0 +1,30 @@
+import { handleGetMessageBatch, handleDeleteMessageBatch } from "@/sse/handlers/batches.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, DELETE, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * GET /v1/messages/batches/[id] - Message batch status
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  return await handleGetMessageBatch(request, id);
+}
+
+/**
+ * DELETE /v1/messages/batches/[id] - Remove an ended message batch and its results
+ */
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+  return await handleDeleteMessageBatch(request, id);
+}
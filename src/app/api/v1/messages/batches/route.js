@@ -0,0 +1,28 @@
+import { handleCreateMessageBatch, handleListMessageBatches } from "@/sse/handlers/batches.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * POST /v1/messages/batches - Anthropic Message Batches, run locally
+ */
+export async function POST(request) {
+  return await handleCreateMessageBatch(request);
+}
+
+/**
+ * GET /v1/messages/batches - List message batches
+ */
+export async function GET(request) {
+  return await handleListMessageBatches(request);
+}
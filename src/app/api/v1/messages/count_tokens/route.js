@@ -1,9 +1,26 @@
+import { handleCountTokens } from "@/sse/handlers/countTokens.js";
+import { initTranslators } from "open-sse/translator/index.js";
+import { FORMATS } from "open-sse/translator/formats.js";
+
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
   "Access-Control-Allow-Methods": "POST, OPTIONS",
   "Access-Control-Allow-Headers": "*"
 };
 
+let initialized = false;
+
+/**
+ * Initialize translators once
+ */
+async function ensureInitialized() {
+  if (!initialized) {
+    await initTranslators();
+    initialized = true;
+    console.log("[SSE] Translators initialized for /v1/messages/count_tokens");
+  }
+}
+
 /**
  * Handle CORS preflight
  */
@@ -12,41 +29,11 @@ export async function OPTIONS() {
 }
 
 /**
- * POST /v1/messages/count_tokens - Mock token count response
+ * POST /v1/messages/count_tokens - Input token count for a Claude format request.
+ * Uses the provider's count endpoint when the model's provider has one,
+ * otherwise a bundled tokenizer or a calibrated estimate.
  */
 export async function POST(request) {
-  let body;
-  try {
-    body = await request.json();
-  } catch {
-    return new Response(JSON.stringify({ error: "Invalid JSON body" }), {
-      status: 400,
-      headers: { "Content-Type": "application/json", ...CORS_HEADERS }
-    });
-  }
-
-  // Estimate token count based on content length
-  const messages = body.messages || [];
-  let totalChars = 0;
-  for (const msg of messages) {
-    if (typeof msg.content === "string") {
-      totalChars += msg.content.length;
-    } else if (Array.isArray(msg.content)) {
-      for (const part of msg.content) {
-        if (part.type === "text" && part.text) {
-          totalChars += part.text.length;
-        }
-      }
-    }
-  }
-
-  // Rough estimate: ~4 chars per token
-  const inputTokens = Math.ceil(totalChars / 4);
-
-  return new Response(JSON.stringify({
-    input_tokens: inputTokens
-  }), {
-    headers: { "Content-Type": "application/json", ...CORS_HEADERS }
-  });
+  await ensureInitialized();
+  return await handleCountTokens(request, { sourceFormat: FORMATS.CLAUDE });
 }
-
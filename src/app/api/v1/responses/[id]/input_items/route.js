@@ -0,0 +1,22 @@
+import { handleListInputItems } from "@/sse/handlers/responses.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * GET /v1/responses/[id]/input_items - Input items of a stored response
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  return await handleListInputItems(request, id);
+}
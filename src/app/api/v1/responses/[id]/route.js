@@ -0,0 +1,30 @@
+import { handleGetResponse, handleDeleteResponse } from "@/sse/handlers/responses.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, DELETE, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * GET /v1/responses/[id] - Stored response
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  return await handleGetResponse(request, id);
+}
+
+/**
+ * DELETE /v1/responses/[id] - Remove a stored response
+ */
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+  return await handleDeleteResponse(request, id);
+}
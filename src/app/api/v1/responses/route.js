@@ -1,4 +1,4 @@
-import { handleChat } from "@/sse/handlers/chat.js";
+import { handleResponses } from "@/sse/handlers/responses.js";
 import { initTranslators } from "open-sse/translator/index.js";
 
 let initialized = false;
@@ -23,9 +23,10 @@ export async function OPTIONS() {
 
 /**
  * POST /v1/responses - OpenAI Responses API format
- * Now handled by translator pattern (openai-responses format auto-detected)
+ * Now handled by translator pattern (openai-responses format auto-detected);
+ * previous_response_id / store go through the local response store
  */
 export async function POST(request) {
   await ensureInitialized();
-  return await handleChat(request);
+  return await handleResponses(request);
 }
@@ -1,5 +1,10 @@
 import { handleChat } from "@/sse/handlers/chat.js";
+import { handleCountTokens } from "@/sse/handlers/countTokens.js";
 import { initTranslators } from "open-sse/translator/index.js";
+import { FORMATS } from "open-sse/translator/formats.js";
+
+// Supported URL action suffixes (":generateContent" when none is given)
+const GEMINI_ACTIONS = [":streamGenerateContent", ":generateContent", ":countTokens"];
 
 let initialized = false;
 
@@ -30,6 +35,7 @@ export async function OPTIONS() {
 /**
  * POST /v1beta/models/{model}:generateContent        — non-streaming
  * POST /v1beta/models/{model}:streamGenerateContent  — streaming (SSE)
+ * POST /v1beta/models/{model}:countTokens            — { totalTokens }
  *
  * Streaming intent is determined by the URL action suffix (canonical Gemini API
  * convention), NOT by a body field. generationConfig.stream is not a real
@@ -46,29 +52,14 @@ export async function POST(request, { params }) {
     const { path } = await params;
     // path = ["provider", "model:action"] or ["model:action"]
 
-    let model;
-    let action; // ":generateContent" | ":streamGenerateContent"
-
-    if (path.length >= 2) {
-      // Format: /v1beta/models/provider/model:generateContent
-      const provider = path[0];
-      const modelAction = path[1];
-      action = modelAction.includes(":streamGenerateContent")
-        ? ":streamGenerateContent"
-        : ":generateContent";
-      const modelName = modelAction
-        .replace(":streamGenerateContent", "")
-        .replace(":generateContent", "");
-      model = provider + "/" + modelName;
-    } else {
-      // Format: /v1beta/models/model:generateContent
-      const modelAction = path[0];
-      action = modelAction.includes(":streamGenerateContent")
-        ? ":streamGenerateContent"
-        : ":generateContent";
-      model = modelAction
-        .replace(":streamGenerateContent", "")
-        .replace(":generateContent", "");
+    // Format: /v1beta/models/provider/model:action or /v1beta/models/model:action
+    const modelAction = path.length >= 2 ? path[1] : path[0];
+    const action = GEMINI_ACTIONS.find(a => modelAction.endsWith(a)) || ":generateContent";
+    const modelName = modelAction.endsWith(action) ? modelAction.slice(0, -action.length) : modelAction;
+    const model = path.length >= 2 ? `${path[0]}/${modelName}` : modelName;
+
+    if (action === ":countTokens") {
+      return await handleCountTokens(request, { sourceFormat: FORMATS.GEMINI, model });
     }
 
     const body = await request.json();
@@ -0,0 +1,22 @@
+import { handleRerank } from "@/sse/handlers/rerank.js";
+import { RERANK_FORMATS } from "open-sse/handlers/rerankCore.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "POST, OPTIONS",
+      "Access-Control-Allow-Headers": "*"
+    }
+  });
+}
+
+/**
+ * POST /v2/rerank - Cohere v2 rerank
+ */
+export async function POST(request) {
+  return await handleRerank(request, RERANK_FORMATS.COHERE);
+}
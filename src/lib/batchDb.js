@@ -0,0 +1,322 @@
+import Database from "better-sqlite3";
+import path from "path";
+import os from "os";
+import fs from "fs";
+
+const isCloud = typeof caches !== 'undefined' || typeof caches === 'object';
+
+let dbInstance = null;
+
+// Get app name
+function getAppName() {
+  return "9router";
+}
+
+// Get user data directory based on platform
+function getUserDataDir() {
+  if (isCloud) return "/tmp";
+
+  if (process.env.DATA_DIR) return process.env.DATA_DIR;
+
+  try {
+    const platform = process.platform;
+    const homeDir = os.homedir();
+    const appName = getAppName();
+
+    if (platform === "win32") {
+      return path.join(process.env.APPDATA || path.join(homeDir, "AppData", "Roaming"), appName);
+    } else {
+      return path.join(homeDir, `.${appName}`);
+    }
+  } catch (error) {
+    console.error("[batchDb] Failed to get user data directory:", error.message);
+    return path.join(process.cwd(), ".9router");
+  }
+}
+
+// Job metadata in SQLite, file contents (JSONL) as plain files next to it
+const DATA_DIR = getUserDataDir();
+const DB_FILE = isCloud ? null : path.join(DATA_DIR, "batches.sqlite");
+const FILES_DIR = path.join(DATA_DIR, "batch-files");
+
+// Ensure data directories exist
+if (!isCloud && fs && typeof fs.existsSync === "function") {
+  try {
+    if (!fs.existsSync(FILES_DIR)) {
+      fs.mkdirSync(FILES_DIR, { recursive: true });
+    }
+  } catch (error) {
+    console.error("[batchDb] Failed to create data directory:", error.message);
+  }
+}
+
+/**
+ * Get SQLite database instance (singleton)
+ */
+export async function getBatchDb() {
+  if (isCloud) {
+    // In-memory mock for Workers
+    if (!dbInstance) {
+      dbInstance = {
+        prepare: () => ({
+          run: () => ({ changes: 0 }),
+          get: () => null,
+          all: () => []
+        }),
+        exec: () => {},
+        pragma: () => {}
+      };
+    }
+    return dbInstance;
+  }
+
+  if (!dbInstance) {
+    const db = new Database(DB_FILE);
+
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+
+    // Batch fields other than id / owner / status / created_at live in the data JSON
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS files (
+        id TEXT PRIMARY KEY,
+        api_key TEXT,
+        filename TEXT,
+        purpose TEXT,
+        bytes INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS batches (
+        id TEXT PRIMARY KEY,
+        api_key TEXT,
+        format TEXT,
+        status TEXT,
+        created_at INTEGER NOT NULL,
+        data TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_files_created_at
+        ON files(created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_batches_created_at
+        ON batches(created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_batches_status
+        ON batches(status);
+    `);
+
+    dbInstance = db;
+  }
+
+  return dbInstance;
+}
+
+// File IDs are generated by us; anything else never reaches the file system
+function contentPath(id) {
+  if (!/^[A-Za-z0-9_-]+$/.test(id)) throw new Error(`Invalid file id: ${id}`);
+  return path.join(FILES_DIR, `${id}.jsonl`);
+}
+
+// `apiKey` undefined = any owner (dashboard); null = requests made without a key
+function ownerClause(apiKey) {
+  return apiKey === undefined ? { sql: "", params: [] } : { sql: " AND api_key IS ?", params: [apiKey] };
+}
+
+function rowToFile(row) {
+  return {
+    id: row.id,
+    apiKey: row.api_key,
+    filename: row.filename,
+    purpose: row.purpose,
+    bytes: row.bytes,
+    createdAt: row.created_at
+  };
+}
+
+// Batch fields with their own column; the rest is stored in the data JSON
+const BATCH_COLUMNS = ["id", "apiKey", "format", "status", "createdAt"];
+
+function batchData(batch) {
+  const data = { ...batch };
+  for (const key of BATCH_COLUMNS) delete data[key];
+  return JSON.stringify(data);
+}
+
+function rowToBatch(row) {
+  let data = {};
+  try { data = JSON.parse(row.data || "{}"); } catch { /* keep the indexed columns */ }
+  return { ...data, id: row.id, apiKey: row.api_key, format: row.format, status: row.status, createdAt: row.created_at };
+}
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+/**
+ * Store a file
+ * @param {object} file - { id, content (string|Buffer), filename, purpose, apiKey }
+ * @returns {Promise<object>} File record
+ */
+export async function createFile({ id, content, filename, purpose, apiKey }) {
+  const db = await getBatchDb();
+  const bytes = Buffer.byteLength(content || "");
+  const createdAt = Date.now();
+
+  if (!isCloud) fs.writeFileSync(contentPath(id), content || "");
+  db.prepare(`
+    INSERT INTO files (id, api_key, filename, purpose, bytes, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, apiKey || null, filename, purpose, bytes, createdAt);
+
+  return { id, apiKey: apiKey || null, filename, purpose, bytes, createdAt };
+}
+
+/**
+ * @param {string} id
+ * @param {string|null} [apiKey] - Owner filter, see ownerClause
+ * @returns {Promise<object|null>}
+ */
+export async function getFile(id, apiKey) {
+  const db = await getBatchDb();
+  const owner = ownerClause(apiKey);
+  const row = db.prepare(`SELECT * FROM files WHERE id = ?${owner.sql}`).get(id, ...owner.params);
+  return row ? rowToFile(row) : null;
+}
+
+/**
+ * Files, newest first
+ * @param {object} [filter] - { apiKey, purpose }
+ * @returns {Promise<object[]>}
+ */
+export async function listFiles({ apiKey, purpose } = {}) {
+  const db = await getBatchDb();
+  const owner = ownerClause(apiKey);
+  let query = `SELECT * FROM files WHERE 1=1${owner.sql}`;
+  const params = [...owner.params];
+  if (purpose) {
+    query += ' AND purpose = ?';
+    params.push(purpose);
+  }
+  return db.prepare(`${query} ORDER BY created_at DESC, id DESC`).all(...params).map(rowToFile);
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<string|null>} File content, null when missing
+ */
+export async function readFileContent(id) {
+  if (isCloud) return null;
+  try {
+    return fs.readFileSync(contentPath(id), "utf8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Append to a file (result lines as they come in)
+ * @param {string} id
+ * @param {string} text
+ */
+export async function appendFileContent(id, text) {
+  if (isCloud) return;
+  const db = await getBatchDb();
+  fs.appendFileSync(contentPath(id), text);
+  db.prepare('UPDATE files SET bytes = bytes + ? WHERE id = ?').run(Buffer.byteLength(text), id);
+}
+
+/**
+ * @param {string} id
+ * @param {string|null} [apiKey] - Owner filter, see ownerClause
+ * @returns {Promise<boolean>} Whether a file was deleted
+ */
+export async function deleteFile(id, apiKey) {
+  const db = await getBatchDb();
+  const owner = ownerClause(apiKey);
+  const result = db.prepare(`DELETE FROM files WHERE id = ?${owner.sql}`).run(id, ...owner.params);
+  if (result.changes > 0 && !isCloud) {
+    fs.rmSync(contentPath(id), { force: true });
+  }
+  return result.changes > 0;
+}
+
+// ============================================================================
+// BATCHES
+// ============================================================================
+
+/**
+ * Store a new batch record (see open-sse/services/batch.js for its fields)
+ * @param {object} batch
+ * @returns {Promise<object>}
+ */
+export async function createBatch(batch) {
+  const db = await getBatchDb();
+  db.prepare(`
+    INSERT INTO batches (id, api_key, format, status, created_at, data)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(batch.id, batch.apiKey || null, batch.format, batch.status, batch.createdAt, batchData(batch));
+  return { ...batch, apiKey: batch.apiKey || null };
+}
+
+/**
+ * @param {string} id
+ * @param {string|null} [apiKey] - Owner filter, see ownerClause
+ * @returns {Promise<object|null>}
+ */
+export async function getBatch(id, apiKey) {
+  const db = await getBatchDb();
+  const owner = ownerClause(apiKey);
+  const row = db.prepare(`SELECT * FROM batches WHERE id = ?${owner.sql}`).get(id, ...owner.params);
+  return row ? rowToBatch(row) : null;
+}
+
+/**
+ * Batches, newest first
+ * @param {object} [filter] - { apiKey, format, statuses }
+ * @returns {Promise<object[]>}
+ */
+export async function listBatches({ apiKey, format, statuses } = {}) {
+  const db = await getBatchDb();
+  const owner = ownerClause(apiKey);
+  let query = `SELECT * FROM batches WHERE 1=1${owner.sql}`;
+  const params = [...owner.params];
+  if (format) {
+    query += ' AND format = ?';
+    params.push(format);
+  }
+  if (statuses?.length) {
+    query += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+    params.push(...statuses);
+  }
+  return db.prepare(`${query} ORDER BY created_at DESC, id DESC`).all(...params).map(rowToBatch);
+}
+
+/**
+ * Merge fields into a batch record. Read and write run without yielding, so
+ * concurrent updates (runner progress, cancellation) never overwrite each other.
+ * @param {string} id
+ * @param {object} patch
+ * @returns {Promise<object|null>} Updated record
+ */
+export async function updateBatch(id, patch) {
+  const db = await getBatchDb();
+  const row = db.prepare('SELECT * FROM batches WHERE id = ?').get(id);
+  if (!row) return null;
+
+  const current = rowToBatch(row);
+  const updated = { ...current, ...patch, id };
+  db.prepare('UPDATE batches SET status = ?, data = ? WHERE id = ?').run(updated.status, batchData(updated), id);
+  return updated;
+}
+
+/**
+ * Delete a batch record (its files are kept, like OpenAI)
+ * @param {string} id
+ * @param {string|null} [apiKey] - Owner filter, see ownerClause
+ * @returns {Promise<boolean>}
+ */
+export async function deleteBatch(id, apiKey) {
+  const db = await getBatchDb();
+  const owner = ownerClause(apiKey);
+  const result = db.prepare(`DELETE FROM batches WHERE id = ?${owner.sql}`).run(id, ...owner.params);
+  return result.changes > 0;
+}
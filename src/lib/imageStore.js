@@ -0,0 +1,70 @@
+import path from "node:path";
+import os from "node:os";
+import fs from "node:fs/promises";
+import { randomUUID } from "node:crypto";
+
+// Generated images returned as URLs (response_format: "url") are kept here for a while,
+// like the expiring URLs OpenAI hands out
+const STORE_DIR = path.join(os.tmpdir(), "9router-images");
+const TTL_MS = 60 * 60 * 1000;
+
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+  "image/gif": "gif"
+};
+const MIME_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([mime, ext]) => [ext, mime]));
+
+// File names are <uuid>.<ext>: anything else is not ours
+const FILE_NAME = /^[0-9a-f-]{36}\.(png|jpg|webp|gif)$/;
+
+async function removeExpired() {
+  let names;
+  try {
+    names = await fs.readdir(STORE_DIR);
+  } catch {
+    return;
+  }
+  const now = Date.now();
+  await Promise.all(names.filter(name => FILE_NAME.test(name)).map(async (name) => {
+    const file = path.join(STORE_DIR, name);
+    try {
+      const { mtimeMs } = await fs.stat(file);
+      if (now - mtimeMs > TTL_MS) await fs.unlink(file);
+    } catch {
+      // Already gone
+    }
+  }));
+}
+
+/**
+ * Store an image and return its file name
+ * @param {Buffer|Uint8Array} bytes
+ * @param {string} mimeType
+ * @returns {Promise<string>} e.g. "0b7c…e1.png"
+ */
+export async function saveImage(bytes, mimeType) {
+  await fs.mkdir(STORE_DIR, { recursive: true });
+  removeExpired().catch(() => {});
+  const name = `${randomUUID()}.${EXTENSIONS[mimeType] || "png"}`;
+  await fs.writeFile(path.join(STORE_DIR, name), bytes);
+  return name;
+}
+
+/**
+ * Read a stored image that has not expired
+ * @param {string} name - File name returned by saveImage
+ * @returns {Promise<{ bytes: Buffer, mimeType: string }|null>}
+ */
+export async function readImage(name) {
+  if (!FILE_NAME.test(name)) return null;
+  const file = path.join(STORE_DIR, name);
+  try {
+    const { mtimeMs } = await fs.stat(file);
+    if (Date.now() - mtimeMs > TTL_MS) return null;
+    return { bytes: await fs.readFile(file), mimeType: MIME_TYPES[path.extname(name).slice(1)] };
+  } catch {
+    return null;
+  }
+}
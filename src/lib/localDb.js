@@ -47,6 +47,7 @@ const defaultData = {
   mitmAlias: {},
   combos: [],
   apiKeys: [],
+  budgets: [],
   settings: {
     cloudEnabled: false,
     tunnelEnabled: false,
@@ -58,6 +59,7 @@ const defaultData = {
     observabilityBatchSize: 20,
     observabilityFlushIntervalMs: 5000,
     observabilityMaxJsonSize: 1024,
+    observabilityRawStream: false,
     outboundProxyEnabled: false,
     outboundProxyUrl: "",
     outboundNoProxy: ""
@@ -73,6 +75,7 @@ function cloneDefaultData() {
     mitmAlias: {},
     combos: [],
     apiKeys: [],
+    budgets: [],
     settings: {
       cloudEnabled: false,
       tunnelEnabled: false,
@@ -84,6 +87,7 @@ function cloneDefaultData() {
       observabilityBatchSize: 20,
       observabilityFlushIntervalMs: 5000,
       observabilityMaxJsonSize: 1024,
+      observabilityRawStream: false,
       outboundProxyEnabled: false,
       outboundProxyUrl: "",
       outboundNoProxy: "",
@@ -591,6 +595,10 @@ export async function createCombo(data) {
     id: uuidv4(),
     name: data.name,
     models: data.models || [],
+    strategy: data.strategy || "priority",
+    weights: data.weights || {},
+    rules: data.rules || [],
+    raceCount: data.raceCount || 0,
     createdAt: now,
     updatedAt: now,
   };
@@ -635,6 +643,86 @@ export async function deleteCombo(id) {
   return true;
 }
 
+// ============ Budgets ============
+
+/**
+ * Get all spending budgets
+ */
+export async function getBudgets() {
+  const db = await getDb();
+  return db.data.budgets || [];
+}
+
+/**
+ * Get budget by ID
+ */
+export async function getBudgetById(id) {
+  const db = await getDb();
+  return (db.data.budgets || []).find(b => b.id === id) || null;
+}
+
+/**
+ * Create budget
+ * @param {object} data - { name, scope, target, period, limit, action }
+ */
+export async function createBudget(data) {
+  const db = await getDb();
+  if (!db.data.budgets) db.data.budgets = [];
+
+  const now = new Date().toISOString();
+  const budget = {
+    id: uuidv4(),
+    name: data.name || "",
+    scope: data.scope,
+    target: data.scope === "global" ? null : data.target,
+    period: data.period,
+    limit: data.limit,
+    action: data.action || "block",
+    isActive: data.isActive !== false,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  db.data.budgets.push(budget);
+  await db.write();
+  return budget;
+}
+
+/**
+ * Update budget
+ */
+export async function updateBudget(id, data) {
+  const db = await getDb();
+  if (!db.data.budgets) db.data.budgets = [];
+
+  const index = db.data.budgets.findIndex(b => b.id === id);
+  if (index === -1) return null;
+
+  db.data.budgets[index] = {
+    ...db.data.budgets[index],
+    ...data,
+    updatedAt: new Date().toISOString(),
+  };
+
+  await db.write();
+  return db.data.budgets[index];
+}
+
+/**
+ * Delete budget
+ */
+export async function deleteBudget(id) {
+  const db = await getDb();
+  if (!db.data.budgets) return false;
+
+  const index = db.data.budgets.findIndex(b => b.id === id);
+  if (index === -1) return false;
+
+  db.data.budgets.splice(index, 1);
+  await db.write();
+  return true;
+}
+
 // ============ API Keys ============
 
 /**
@@ -661,8 +749,9 @@ function generateShortKey() {
  * Create API key
  * @param {string} name - Key name
  * @param {string} machineId - MachineId (required)
+ * @param {object} [scopes] - { allowedModels, allowedEndpoints, expiresAt, rateLimits } (empty = unrestricted)
  */
-export async function createApiKey(name, machineId) {
+export async function createApiKey(name, machineId, scopes = {}) {
   if (!machineId) {
     throw new Error("machineId is required");
   }
@@ -680,6 +769,10 @@ export async function createApiKey(name, machineId) {
     key: result.key,
     machineId: machineId,
     isActive: true,
+    allowedModels: scopes.allowedModels || [],
+    allowedEndpoints: scopes.allowedEndpoints || [],
+    expiresAt: scopes.expiresAt || null,
+    rateLimits: scopes.rateLimits || null,
     createdAt: now,
   };
   
@@ -712,6 +805,14 @@ export async function getApiKeyById(id) {
   return db.data.apiKeys.find(k => k.id === id) || null;
 }
 
+/**
+ * Get API key record by key value
+ */
+export async function getApiKeyByKey(key) {
+  const db = await getDb();
+  return db.data.apiKeys.find(k => k.key === key) || null;
+}
+
 /**
  * Update API key
  */
@@ -733,7 +834,9 @@ export async function updateApiKey(id, data) {
 export async function validateApiKey(key) {
   const db = await getDb();
   const found = db.data.apiKeys.find(k => k.key === key);
-  return found && found.isActive !== false;
+  if (!found || found.isActive === false) return false;
+  // Expired keys are rejected everywhere (including cloud sync auth)
+  return !found.expiresAt || new Date(found.expiresAt).getTime() > Date.now();
 }
 
 // ============ Data Cleanup ============
@@ -299,6 +299,16 @@ async function flushToDatabase() {
 function safeJsonStringify(obj, maxSize) {
   try {
     const str = JSON.stringify(obj);
+    if (str.length > maxSize && typeof obj === "string") {
+      // Raw text (streamed response): keep as much of the head as fits
+      let keep = Math.floor(obj.length * (maxSize / str.length)) - 32;
+      let cut;
+      do {
+        cut = JSON.stringify(obj.substring(0, Math.max(keep, 0)) + "\n[... truncated]");
+        keep -= Math.max(cut.length - maxSize, 32);
+      } while (cut.length > maxSize && keep > 0);
+      return cut;
+    }
     if (str.length > maxSize) {
       // Return valid JSON instead of truncated invalid string
       return JSON.stringify({ _truncated: true, _originalSize: str.length, _preview: str.substring(0, 200) });
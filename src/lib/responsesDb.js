@@ -0,0 +1,210 @@
+import Database from "better-sqlite3";
+import path from "path";
+import os from "os";
+import fs from "fs";
+import { randomUUID } from "crypto";
+
+const isCloud = typeof caches !== 'undefined' || typeof caches === 'object';
+
+// Stored responses are kept as long as OpenAI keeps them (30 days by default)
+const RETENTION_DAYS = parseInt(process.env.RESPONSES_RETENTION_DAYS || '30', 10);
+
+// Guards against cycles and runaway chains when rebuilding history
+const MAX_CHAIN_LENGTH = 1000;
+
+let dbInstance = null;
+
+// Get app name
+function getAppName() {
+  return "9router";
+}
+
+// Get user data directory based on platform
+function getUserDataDir() {
+  if (isCloud) return "/tmp";
+
+  if (process.env.DATA_DIR) return process.env.DATA_DIR;
+
+  try {
+    const platform = process.platform;
+    const homeDir = os.homedir();
+    const appName = getAppName();
+
+    if (platform === "win32") {
+      return path.join(process.env.APPDATA || path.join(homeDir, "AppData", "Roaming"), appName);
+    } else {
+      return path.join(homeDir, `.${appName}`);
+    }
+  } catch (error) {
+    console.error("[responsesDb] Failed to get user data directory:", error.message);
+    return path.join(process.cwd(), ".9router");
+  }
+}
+
+// Database file path (next to request-details.sqlite)
+const DATA_DIR = getUserDataDir();
+const DB_FILE = isCloud ? null : path.join(DATA_DIR, "responses.sqlite");
+
+// Ensure data directory exists
+if (!isCloud && fs && typeof fs.existsSync === "function") {
+  try {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+  } catch (error) {
+    console.error("[responsesDb] Failed to create data directory:", error.message);
+  }
+}
+
+/**
+ * Get SQLite database instance (singleton)
+ */
+export async function getResponsesDb() {
+  if (isCloud) {
+    // In-memory mock for Workers
+    if (!dbInstance) {
+      dbInstance = {
+        prepare: () => ({
+          run: () => ({ changes: 0 }),
+          get: () => null,
+          all: () => []
+        }),
+        exec: () => {},
+        pragma: () => {}
+      };
+    }
+    return dbInstance;
+  }
+
+  if (!dbInstance) {
+    const db = new Database(DB_FILE);
+
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+
+    // api_key scopes lookups: a response is only visible to the key that created it
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS responses (
+        id TEXT PRIMARY KEY,
+        api_key TEXT,
+        model TEXT,
+        previous_response_id TEXT,
+        created_at INTEGER NOT NULL,
+        input TEXT,
+        response TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_responses_created_at
+        ON responses(created_at);
+    `);
+
+    dbInstance = db;
+  }
+
+  return dbInstance;
+}
+
+function safeJsonParse(str, fallback) {
+  try { return JSON.parse(str); }
+  catch { return fallback; }
+}
+
+function rowToResponse(row) {
+  return {
+    id: row.id,
+    model: row.model,
+    previousResponseId: row.previous_response_id,
+    createdAt: row.created_at,
+    input: safeJsonParse(row.input, []),
+    response: safeJsonParse(row.response, {})
+  };
+}
+
+/**
+ * Store a completed response with the input items it was generated from.
+ * Input items get ids so they can be listed through /input_items.
+ *
+ * @param {object} entry
+ * @param {object} entry.response - Responses API response object (with id)
+ * @param {Array} entry.input - This request's own input items (history excluded)
+ * @param {string} [entry.model] - Requested model string
+ * @param {string} [entry.previousResponseId]
+ * @param {string} [entry.apiKey]
+ */
+export async function saveResponse({ response, input, model, previousResponseId, apiKey }) {
+  if (isCloud || !response?.id) return;
+
+  const db = await getResponsesDb();
+  const items = (input || []).map((item) => item.id ? item : {
+    id: `${(item.type || "message") === "message" ? "msg" : "item"}_${randomUUID().replace(/-/g, "")}`,
+    ...item
+  });
+  const now = Date.now();
+
+  db.prepare(`
+    INSERT OR REPLACE INTO responses
+    (id, api_key, model, previous_response_id, created_at, input, response)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    response.id,
+    apiKey || null,
+    model || response.model || null,
+    previousResponseId || null,
+    now,
+    JSON.stringify(items),
+    JSON.stringify(response)
+  );
+
+  db.prepare('DELETE FROM responses WHERE created_at < ?').run(now - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Get a stored response
+ * @param {string} id - Response ID
+ * @param {string} [apiKey] - Key of the caller
+ * @returns {Promise<object|null>} { id, model, previousResponseId, createdAt, input, response }
+ */
+export async function getResponse(id, apiKey) {
+  const db = await getResponsesDb();
+  if (isCloud) return null;
+
+  const row = db.prepare('SELECT * FROM responses WHERE id = ? AND api_key IS ?').get(id, apiKey || null);
+  return row ? rowToResponse(row) : null;
+}
+
+/**
+ * Get a stored response and the responses it continues
+ * @param {string} id - Response ID passed as previous_response_id
+ * @param {string} [apiKey] - Key of the caller
+ * @returns {Promise<object[]|null>} Stored responses, oldest first; null when id is unknown
+ */
+export async function getResponseChain(id, apiKey) {
+  const chain = [];
+  const seen = new Set();
+  let nextId = id;
+
+  while (nextId && !seen.has(nextId) && chain.length < MAX_CHAIN_LENGTH) {
+    seen.add(nextId);
+    const entry = await getResponse(nextId, apiKey);
+    // Older turns may have expired or been deleted: keep what is left
+    if (!entry) break;
+    chain.unshift(entry);
+    nextId = entry.previousResponseId;
+  }
+
+  return chain.length > 0 ? chain : null;
+}
+
+/**
+ * Delete a stored response
+ * @param {string} id - Response ID
+ * @param {string} [apiKey] - Key of the caller
+ * @returns {Promise<boolean>} Whether a response was deleted
+ */
+export async function deleteResponse(id, apiKey) {
+  const db = await getResponsesDb();
+  if (isCloud) return false;
+
+  const result = db.prepare('DELETE FROM responses WHERE id = ? AND api_key IS ?').run(id, apiKey || null);
+  return result.changes > 0;
+}
@@ -1,10 +1,22 @@
-import { Low } from "lowdb";
-import { JSONFile } from "lowdb/node";
 import { EventEmitter } from "events";
 import path from "path";
 import os from "os";
 import fs from "fs";
 import { fileURLToPath } from "url";
+import { recordApiKeyTokens } from "open-sse/services/apiKeyRateLimit.js";
+import { computeBudgetStatuses, getBudgetWindow } from "open-sse/services/budget.js";
+import { setQueueListener, getQueuedRequests } from "open-sse/services/requestQueue.js";
+import { recordUsage } from "open-sse/services/metrics.js";
+import {
+  insertUsageEntry,
+  getUsageEntries,
+  getUsageGroups,
+  getUsageSeries,
+  getRecentUsageEntries,
+  getCostEntries,
+  getDailyUsageEntries,
+  getBatchUsage
+} from "./usageHistoryDb.js";
 
 const isCloud = typeof caches !== 'undefined' || typeof caches === 'object';
 
@@ -47,9 +59,8 @@ function getUserDataDir() {
   }
 }
 
-// Data file path - stored in user home directory
+// Log file path - stored in user home directory (usage history lives in usage.sqlite, see usageHistoryDb.js)
 const DATA_DIR = getUserDataDir();
-const DB_FILE = isCloud ? null : path.join(DATA_DIR, "usage.json");
 const LOG_FILE = isCloud ? null : path.join(DATA_DIR, "log.txt");
 
 // Ensure data directory exists
@@ -64,14 +75,6 @@ if (!isCloud && fs && typeof fs.existsSync === "function") {
   }
 }
 
-// Default data structure
-const defaultData = {
-  history: []
-};
-
-// Singleton instance
-let dbInstance = null;
-
 // Use global to share pending state across Next.js route modules
 if (!global._pendingRequests) {
   global._pendingRequests = { byModel: {}, byAccount: {} };
@@ -91,6 +94,9 @@ if (!global._statsEmitter) {
 }
 export const statsEmitter = global._statsEmitter;
 
+// Parked (hold-and-retry) requests show up in the active requests feed
+setQueueListener(() => statsEmitter.emit("pending"));
+
 /**
  * Track a pending request
  * @param {string} model
@@ -125,6 +131,13 @@ export function trackPendingRequest(model, provider, connectionId, started, erro
   statsEmitter.emit("pending");
 }
 
+/**
+ * In-flight request counts per account: { connectionId: { "model (provider)": count } }
+ */
+export function getPendingRequests() {
+  return pendingRequests.byAccount;
+}
+
 /**
  * Lightweight: get only activeRequests + recentRequests without full stats recalc
  */
@@ -153,13 +166,33 @@ export async function getActiveRequests() {
     }
   }
 
-  // Get recent requests from history (re-read to get latest)
-  const db = await getUsageDb();
-  await db.read();
-  const history = db.data.history || [];
+  for (const queued of getQueuedRequests()) {
+    activeRequests.push({
+      model: queued.model,
+      provider: queued.provider || "",
+      account: "Queued",
+      count: 1,
+      queued: true,
+      queuedAt: queued.queuedAt,
+      retryAt: queued.retryAt
+    });
+  }
+
+  const recentRequests = await getRecentRequests();
+
+  // Error provider (auto-clear after 10s)
+  const errorProvider = (Date.now() - lastErrorProvider.ts < 10000) ? lastErrorProvider.provider : "";
+
+  return { activeRequests, recentRequests, errorProvider };
+}
+
+/**
+ * 20 most recent requests with tokens (deduplicated: same model+provider+tokens within the same minute)
+ * @param {number|null} [since] - Epoch ms
+ */
+async function getRecentRequests(since = null) {
   const seen = new Set();
-  const recentRequests = [...history]
-    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+  return (await getRecentUsageEntries(since, 100))
     .map((e) => {
       const t = e.tokens || {};
       const promptTokens = t.prompt_tokens || t.input_tokens || 0;
@@ -175,50 +208,6 @@ export async function getActiveRequests() {
       return true;
     })
     .slice(0, 20);
-
-  // Error provider (auto-clear after 10s)
-  const errorProvider = (Date.now() - lastErrorProvider.ts < 10000) ? lastErrorProvider.provider : "";
-
-  return { activeRequests, recentRequests, errorProvider };
-}
-
-/**
- * Get usage database instance (singleton)
- */
-export async function getUsageDb() {
-  if (isCloud) {
-    // Return in-memory DB for Workers
-    if (!dbInstance) {
-      dbInstance = new Low({ read: async () => {}, write: async () => {} }, defaultData);
-      dbInstance.data = defaultData;
-    }
-    return dbInstance;
-  }
-
-  if (!dbInstance) {
-    const adapter = new JSONFile(DB_FILE);
-    dbInstance = new Low(adapter, defaultData);
-
-    // Try to read DB with error recovery for corrupt JSON
-    try {
-      await dbInstance.read();
-    } catch (error) {
-      if (error instanceof SyntaxError) {
-        console.warn('[DB] Corrupt Usage JSON detected, resetting to defaults...');
-        dbInstance.data = defaultData;
-        await dbInstance.write();
-      } else {
-        throw error;
-      }
-    }
-
-    // Initialize with default data if empty
-    if (!dbInstance.data) {
-      dbInstance.data = defaultData;
-      await dbInstance.write();
-    }
-  }
-  return dbInstance;
 }
 
 /**
@@ -228,61 +217,74 @@ export async function getUsageDb() {
 export async function saveRequestUsage(entry) {
   if (isCloud) return; // Skip saving in Workers
 
-  try {
-    const db = await getUsageDb();
+  // Feed per-key TPM limits with real usage
+  recordApiKeyTokens(entry.apiKey, entry.tokens);
 
+  try {
     // Add timestamp if not present
     if (!entry.timestamp) {
       entry.timestamp = new Date().toISOString();
     }
 
-    // Ensure history array exists
-    if (!Array.isArray(db.data.history)) {
-      db.data.history = [];
-    }
-
     const entryCost = await calculateCost(entry.provider, entry.model, entry.tokens);
     entry.cost = entryCost;
-    db.data.history.push(entry);
-
-    // Optional: Limit history size if needed in future
-    // if (db.data.history.length > 10000) db.data.history.shift();
+    recordUsage(entry);
+    await insertUsageEntry(entry);
 
-    await db.write();
+    budgetCache = null;
     statsEmitter.emit("update");
   } catch (error) {
     console.error("Failed to save usage stats:", error);
   }
 }
 
+// Budget spend is re-summed at most every few seconds (and after each saved request)
+const BUDGET_CACHE_TTL_MS = 5000;
+let budgetCache = null;
+
 /**
- * Get usage history
- * @param {object} filter - Filter criteria
+ * Current spend against every configured budget
+ * @returns {Promise<Array<object>>} See computeBudgetStatuses
  */
-export async function getUsageHistory(filter = {}) {
-  const db = await getUsageDb();
-  let history = db.data.history || [];
-
-  // Apply filters
-  if (filter.provider) {
-    history = history.filter(h => h.provider === filter.provider);
+export async function getBudgetStatuses() {
+  const { getBudgets, getApiKeys } = await import("@/lib/localDb.js");
+  const budgets = await getBudgets();
+  if (budgets.length === 0) return [];
+
+  const signature = JSON.stringify(budgets);
+  if (budgetCache && budgetCache.signature === signature && Date.now() - budgetCache.computedAt < BUDGET_CACHE_TTL_MS) {
+    return budgetCache.statuses;
   }
 
-  if (filter.model) {
-    history = history.filter(h => h.model === filter.model);
-  }
+  // Only spend inside the longest current budget window is needed
+  const since = Math.min(...budgets.map(budget => getBudgetWindow(budget.period).start));
+  const statuses = computeBudgetStatuses(budgets, await getCostEntries(since), await getApiKeys());
+  budgetCache = { signature, statuses, computedAt: Date.now() };
+  return statuses;
+}
 
-  if (filter.startDate) {
-    const start = new Date(filter.startDate).getTime();
-    history = history.filter(h => new Date(h.timestamp).getTime() >= start);
-  }
+/**
+ * Get usage history. Throws (error.status 400) for ranges reaching back past USAGE_RETENTION_DAYS.
+ * @param {object} filter - Filter criteria { provider, model, connectionId, apiKey, status, startDate, endDate }
+ */
+export async function getUsageHistory(filter = {}) {
+  return getUsageEntries(filter);
+}
 
-  if (filter.endDate) {
-    const end = new Date(filter.endDate).getTime();
-    history = history.filter(h => new Date(h.timestamp).getTime() <= end);
-  }
+/**
+ * Get usage per local day, kept past USAGE_RETENTION_DAYS
+ * @param {object} filter - Filter criteria { provider, model, connectionId, apiKey, startDate, endDate }
+ */
+export async function getDailyUsage(filter = {}) {
+  return getDailyUsageEntries(filter);
+}
 
-  return history;
+/**
+ * Spend and request count per batch job (usage entries saved by batch requests carry a batchId)
+ * @returns {Promise<Object<string, { cost: number, requests: number }>>}
+ */
+export async function getBatchCosts() {
+  return getBatchUsage();
 }
 
 /**
@@ -396,7 +398,7 @@ async function calculateCost(provider, model, tokens) {
     const cachedTokens = tokens.cached_tokens || tokens.cache_read_input_tokens || 0;
     const nonCachedInput = Math.max(0, inputTokens - cachedTokens);
 
-    cost += (nonCachedInput * (pricing.input / 1000000));
+    cost += (nonCachedInput * ((pricing.input || 0) / 1000000));
 
     // Cached tokens
     if (cachedTokens > 0) {
@@ -406,7 +408,7 @@ async function calculateCost(provider, model, tokens) {
 
     // Output tokens
     const outputTokens = tokens.completion_tokens || tokens.output_tokens || 0;
-    cost += (outputTokens * (pricing.output / 1000000));
+    cost += (outputTokens * ((pricing.output || 0) / 1000000));
 
     // Reasoning tokens
     const reasoningTokens = tokens.reasoning_tokens || 0;
@@ -422,6 +424,18 @@ async function calculateCost(provider, model, tokens) {
       cost += (cacheCreationTokens * (cacheCreationRate / 1000000));
     }
 
+    // Audio seconds (transcription / speech), rate is per minute
+    const audioSeconds = tokens.audio_seconds || 0;
+    if (audioSeconds > 0) {
+      cost += (audioSeconds * ((pricing.audio || 0) / 60));
+    }
+
+    // Generated images, rate is per image
+    const images = tokens.images || 0;
+    if (images > 0) {
+      cost += (images * (pricing.image || 0));
+    }
+
     return cost;
   } catch (error) {
     console.error("Error calculating cost:", error);
@@ -436,14 +450,9 @@ const PERIOD_MS = { "24h": 86400000, "7d": 604800000, "30d": 2592000000, "60d":
  * @param {"24h"|"7d"|"30d"|"60d"|"all"} period - Time period to filter
  */
 export async function getUsageStats(period = "all") {
-  const db = await getUsageDb();
-  let history = db.data.history || [];
-
-  // Filter history by period
-  if (period && PERIOD_MS[period]) {
-    const cutoff = Date.now() - PERIOD_MS[period];
-    history = history.filter((e) => new Date(e.timestamp).getTime() >= cutoff);
-  }
+  // Totals per provider/model/account/key/endpoint combination, summed in SQLite
+  const cutoff = period && PERIOD_MS[period] ? Date.now() - PERIOD_MS[period] : null;
+  const groups = await getUsageGroups(cutoff);
 
   // Import localDb to get provider connection names and API keys
   const { getProviderConnections, getApiKeys, getProviderNodes } = await import("@/lib/localDb.js");
@@ -491,35 +500,10 @@ export async function getUsageStats(period = "all") {
   }
 
   // 20 most recent requests from history (always in sync with SSE emit)
-  const seen = new Set();
-  const recentRequests = [...history]
-    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-    .map((e) => {
-      const t = e.tokens || {};
-      const promptTokens = t.prompt_tokens || t.input_tokens || 0;
-      const completionTokens = t.completion_tokens || t.output_tokens || 0;
-      return {
-        timestamp: e.timestamp,
-        model: e.model,
-        provider: e.provider || "",
-        promptTokens,
-        completionTokens,
-        status: e.status || "ok",
-      };
-    })
-    .filter((e) => {
-      if (e.promptTokens === 0 && e.completionTokens === 0) return false;
-      // Deduplicate: same model+provider+tokens within same minute
-      const minute = e.timestamp ? e.timestamp.slice(0, 16) : "";
-      const key = `${e.model}|${e.provider}|${e.promptTokens}|${e.completionTokens}|${minute}`;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    })
-    .slice(0, 20);
+  const recentRequests = await getRecentRequests(cutoff);
 
   const stats = {
-    totalRequests: history.length,
+    totalRequests: 0,
     totalPromptTokens: 0,
     totalCompletionTokens: 0,
     totalCost: 0,
@@ -555,199 +539,114 @@ export async function getUsageStats(period = "all") {
     }
   }
 
-  // Initialize 10-minute buckets using stable minute boundaries
-  const now = new Date();
-  // Floor to the start of the current minute
-  const currentMinuteStart = new Date(Math.floor(now.getTime() / 60000) * 60000);
-  const tenMinutesAgo = new Date(currentMinuteStart.getTime() - 9 * 60 * 1000);
-
-  // Create buckets keyed by minute timestamp for stable lookups
-  const bucketMap = {};
-  for (let i = 0; i < 10; i++) {
-    const bucketTime = new Date(currentMinuteStart.getTime() - (9 - i) * 60 * 1000);
-    const bucketKey = bucketTime.getTime();
-    bucketMap[bucketKey] = {
-      requests: 0,
-      promptTokens: 0,
-      completionTokens: 0,
-      cost: 0
-    };
-    stats.last10Minutes.push(bucketMap[bucketKey]);
-  }
-
-  for (const entry of history) {
-    const promptTokens = entry.tokens?.prompt_tokens || 0;
-    const completionTokens = entry.tokens?.completion_tokens || 0;
-    const entryTime = new Date(entry.timestamp);
-
-    // Use pre-stored cost (saved at request time), avoid recalculating
-    const entryCost = entry.cost || 0;
-
-    stats.totalPromptTokens += promptTokens;
-    stats.totalCompletionTokens += completionTokens;
-    stats.totalCost += entryCost;
-
-    // Last 10 minutes aggregation - floor entry time to its minute
-    if (entryTime >= tenMinutesAgo && entryTime <= now) {
-      const entryMinuteStart = Math.floor(entryTime.getTime() / 60000) * 60000;
-      if (bucketMap[entryMinuteStart]) {
-        bucketMap[entryMinuteStart].requests++;
-        bucketMap[entryMinuteStart].promptTokens += promptTokens;
-        bucketMap[entryMinuteStart].completionTokens += completionTokens;
-        bucketMap[entryMinuteStart].cost += entryCost;
-      }
+  // Last 10 minutes, in stable minute buckets (the current minute last)
+  const currentMinuteStart = Math.floor(Date.now() / 60000) * 60000;
+  stats.last10Minutes = await getUsageSeries(currentMinuteStart - 9 * 60000, 60000, 10);
+
+  // Add a group's totals to a stats row, keeping the latest lastUsed
+  const addGroup = (row, group) => {
+    row.requests += group.requests;
+    row.promptTokens += group.promptTokens;
+    row.completionTokens += group.completionTokens;
+    row.cost += group.cost;
+    if (row.lastUsed && new Date(group.lastUsed) > new Date(row.lastUsed)) {
+      row.lastUsed = group.lastUsed;
     }
+  };
+  const emptyRow = (fields) => ({ requests: 0, promptTokens: 0, completionTokens: 0, cost: 0, ...fields });
+
+  for (const group of groups) {
+    // Cost was stored at request time, avoid recalculating
+    stats.totalRequests += group.requests;
+    stats.totalPromptTokens += group.promptTokens;
+    stats.totalCompletionTokens += group.completionTokens;
+    stats.totalCost += group.cost;
 
     // By Provider
-    if (!stats.byProvider[entry.provider]) {
-      stats.byProvider[entry.provider] = {
-        requests: 0,
-        promptTokens: 0,
-        completionTokens: 0,
-        cost: 0
-      };
+    if (!stats.byProvider[group.provider]) {
+      stats.byProvider[group.provider] = emptyRow();
     }
-    stats.byProvider[entry.provider].requests++;
-    stats.byProvider[entry.provider].promptTokens += promptTokens;
-    stats.byProvider[entry.provider].completionTokens += completionTokens;
-    stats.byProvider[entry.provider].cost += entryCost;
+    addGroup(stats.byProvider[group.provider], group);
 
     // By Model
     // Format: "modelName (provider)" if provider is known
-    const modelKey = entry.provider ? `${entry.model} (${entry.provider})` : entry.model;
+    const modelKey = group.provider ? `${group.model} (${group.provider})` : group.model;
     // Resolve friendly name for compatible providers
-    const providerDisplayName = providerNodeNameMap[entry.provider] || entry.provider;
+    const providerDisplayName = providerNodeNameMap[group.provider] || group.provider;
 
     if (!stats.byModel[modelKey]) {
-      stats.byModel[modelKey] = {
-        requests: 0,
-        promptTokens: 0,
-        completionTokens: 0,
-        cost: 0,
-        rawModel: entry.model,
+      stats.byModel[modelKey] = emptyRow({
+        rawModel: group.model,
         provider: providerDisplayName,
-        lastUsed: entry.timestamp
-      };
-    }
-    stats.byModel[modelKey].requests++;
-    stats.byModel[modelKey].promptTokens += promptTokens;
-    stats.byModel[modelKey].completionTokens += completionTokens;
-    stats.byModel[modelKey].cost += entryCost;
-    if (new Date(entry.timestamp) > new Date(stats.byModel[modelKey].lastUsed)) {
-      stats.byModel[modelKey].lastUsed = entry.timestamp;
+        lastUsed: group.lastUsed
+      });
     }
+    addGroup(stats.byModel[modelKey], group);
 
     // By Account (model + oauth account)
-    // Use connectionId if available, otherwise fallback to provider name
-    if (entry.connectionId) {
-      const accountName = connectionMap[entry.connectionId] || `Account ${entry.connectionId.slice(0, 8)}...`;
-      const accountKey = `${entry.model} (${entry.provider} - ${accountName})`;
+    if (group.connectionId) {
+      const accountName = connectionMap[group.connectionId] || `Account ${group.connectionId.slice(0, 8)}...`;
+      const accountKey = `${group.model} (${group.provider} - ${accountName})`;
 
       if (!stats.byAccount[accountKey]) {
-        stats.byAccount[accountKey] = {
-          requests: 0,
-          promptTokens: 0,
-          completionTokens: 0,
-          cost: 0,
-          rawModel: entry.model,
+        stats.byAccount[accountKey] = emptyRow({
+          rawModel: group.model,
           provider: providerDisplayName,
-          connectionId: entry.connectionId,
+          connectionId: group.connectionId,
           accountName: accountName,
-          lastUsed: entry.timestamp
-        };
-      }
-      stats.byAccount[accountKey].requests++;
-      stats.byAccount[accountKey].promptTokens += promptTokens;
-      stats.byAccount[accountKey].completionTokens += completionTokens;
-      stats.byAccount[accountKey].cost += entryCost;
-      if (new Date(entry.timestamp) > new Date(stats.byAccount[accountKey].lastUsed)) {
-        stats.byAccount[accountKey].lastUsed = entry.timestamp;
+          lastUsed: group.lastUsed
+        });
       }
+      addGroup(stats.byAccount[accountKey], group);
     }
 
-    // Handle requests with API key
-    if (entry.apiKey && typeof entry.apiKey === "string") {
-      const keyInfo = apiKeyMap[entry.apiKey];
-      const keyName = keyInfo?.name || entry.apiKey.slice(0, 8) + "...";
+    // By API Key + Model + Provider (requests without a key are grouped as local)
+    if (group.apiKey) {
+      const keyInfo = apiKeyMap[group.apiKey];
+      const keyName = keyInfo?.name || group.apiKey.slice(0, 8) + "...";
       // Use full API key to avoid collisions (keys with same prefix)
-      const apiKeyKey = entry.apiKey;
-      // Group by API Key + Model + Provider combination to track different models used with the same key
-      const apiKeyModelKey = `${apiKeyKey}|${entry.model}|${entry.provider || 'unknown'}`;
+      const apiKeyModelKey = `${group.apiKey}|${group.model}|${group.provider || 'unknown'}`;
 
       if (!stats.byApiKey[apiKeyModelKey]) {
-        stats.byApiKey[apiKeyModelKey] = {
-          requests: 0,
-          promptTokens: 0,
-          completionTokens: 0,
-          cost: 0,
-          rawModel: entry.model,
+        stats.byApiKey[apiKeyModelKey] = emptyRow({
+          rawModel: group.model,
           provider: providerDisplayName,
-          apiKey: entry.apiKey,
+          apiKey: group.apiKey,
           keyName: keyName,
-          apiKeyKey: apiKeyKey,
-          lastUsed: entry.timestamp
-        };
-      }
-      const apiKeyEntry = stats.byApiKey[apiKeyModelKey];
-      apiKeyEntry.requests++;
-      apiKeyEntry.promptTokens += promptTokens;
-      apiKeyEntry.completionTokens += completionTokens;
-      apiKeyEntry.cost += entryCost;
-      if (new Date(entry.timestamp) > new Date(apiKeyEntry.lastUsed)) {
-        apiKeyEntry.lastUsed = entry.timestamp;
+          apiKeyKey: group.apiKey,
+          lastUsed: group.lastUsed
+        });
       }
+      addGroup(stats.byApiKey[apiKeyModelKey], group);
     } else {
       const apiKeyKey = "local-no-key";
-      const keyName = "Local (No API Key)";
 
       if (!stats.byApiKey[apiKeyKey]) {
-        stats.byApiKey[apiKeyKey] = {
-          requests: 0,
-          promptTokens: 0,
-          completionTokens: 0,
-          cost: 0,
-          rawModel: entry.model,
+        stats.byApiKey[apiKeyKey] = emptyRow({
+          rawModel: group.model,
           provider: providerDisplayName,
           apiKey: null,
-          keyName: keyName,
+          keyName: "Local (No API Key)",
           apiKeyKey: apiKeyKey,
-          lastUsed: entry.timestamp
-        };
-      }
-      const apiKeyEntry = stats.byApiKey[apiKeyKey];
-      apiKeyEntry.requests++;
-      apiKeyEntry.promptTokens += promptTokens;
-      apiKeyEntry.completionTokens += completionTokens;
-      apiKeyEntry.cost += entryCost;
-      if (new Date(entry.timestamp) > new Date(apiKeyEntry.lastUsed)) {
-        apiKeyEntry.lastUsed = entry.timestamp;
+          lastUsed: group.lastUsed
+        });
       }
+      addGroup(stats.byApiKey[apiKeyKey], group);
     }
 
     // By Endpoint (endpoint + model + provider combination)
-    const endpoint = entry.endpoint || "Unknown";
-    const endpointModelKey = `${endpoint}|${entry.model}|${entry.provider || 'unknown'}`;
+    const endpoint = group.endpoint || "Unknown";
+    const endpointModelKey = `${endpoint}|${group.model}|${group.provider || 'unknown'}`;
 
     if (!stats.byEndpoint[endpointModelKey]) {
-      stats.byEndpoint[endpointModelKey] = {
-        requests: 0,
-        promptTokens: 0,
-        completionTokens: 0,
-        cost: 0,
+      stats.byEndpoint[endpointModelKey] = emptyRow({
         endpoint: endpoint,
-        rawModel: entry.model,
+        rawModel: group.model,
         provider: providerDisplayName,
-        lastUsed: entry.timestamp
-      };
-    }
-    const endpointEntry = stats.byEndpoint[endpointModelKey];
-    endpointEntry.requests++;
-    endpointEntry.promptTokens += promptTokens;
-    endpointEntry.completionTokens += completionTokens;
-    endpointEntry.cost += entryCost;
-    if (new Date(entry.timestamp) > new Date(endpointEntry.lastUsed)) {
-      endpointEntry.lastUsed = entry.timestamp;
+        lastUsed: group.lastUsed
+      });
     }
+    addGroup(stats.byEndpoint[endpointModelKey], group);
   }
 
   return stats;
@@ -759,10 +658,6 @@ export async function getUsageStats(period = "all") {
  * @returns {Promise<Array<{label: string, tokens: number, cost: number}>>}
  */
 export async function getChartData(period = "7d") {
-  const db = await getUsageDb();
-  const history = db.data.history || [];
-  const now = Date.now();
-
   let bucketCount, bucketMs, labelFn;
   if (period === "24h") {
     bucketCount = 24;
@@ -782,24 +677,15 @@ export async function getChartData(period = "7d") {
     labelFn = (ts) => new Date(ts).toLocaleDateString("en-US", { month: "short", day: "numeric" });
   }
 
-  const startTime = now - bucketCount * bucketMs;
-  const buckets = Array.from({ length: bucketCount }, (_, i) => {
-    const ts = startTime + i * bucketMs;
-    return { label: labelFn(ts), tokens: 0, cost: 0, _ts: ts };
-  });
-
-  for (const entry of history) {
-    const entryTime = new Date(entry.timestamp).getTime();
-    if (entryTime < startTime || entryTime > now) continue;
-    const idx = Math.min(Math.floor((entryTime - startTime) / bucketMs), bucketCount - 1);
-    const promptTokens = entry.tokens?.prompt_tokens || 0;
-    const completionTokens = entry.tokens?.completion_tokens || 0;
-    buckets[idx].tokens += promptTokens + completionTokens;
-    // Use pre-stored cost if available, else 0
-    buckets[idx].cost += entry.cost || 0;
-  }
+  // Buckets end now, the last one covering the past hour / 24 hours
+  const startTime = Date.now() - bucketCount * bucketMs;
+  const series = await getUsageSeries(startTime, bucketMs, bucketCount);
 
-  return buckets.map(({ label, tokens, cost }) => ({ label, tokens, cost }));
+  return series.map((bucket, i) => ({
+    label: labelFn(startTime + i * bucketMs),
+    tokens: bucket.promptTokens + bucket.completionTokens,
+    cost: bucket.cost
+  }));
 }
 
 // Re-export request details functions from new SQLite-based module
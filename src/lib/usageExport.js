@@ -0,0 +1,179 @@
+/**
+ * Usage export formatting for /api/usage/export: raw usage entries → flat records, optional
+ * grouping (pivot) and CSV / JSONL serialization. Days are the server's local days, like the
+ * daily rollups and budgets.
+ */
+
+export const EXPORT_FORMATS = ["csv", "jsonl", "pivot"];
+
+// groupBy option → record field
+export const GROUP_BY_FIELDS = {
+  day: "day",
+  provider: "provider",
+  model: "model",
+  apiKey: "apiKeyName",
+  connection: "account",
+  endpoint: "endpoint",
+  status: "status"
+};
+
+// groupBy options the daily rollups can answer (they have no status)
+const DAILY_GROUP_BY = ["day", "provider", "model", "apiKey", "connection", "endpoint"];
+
+export const RECORD_COLUMNS = [
+  "timestamp", "day", "provider", "model", "connectionId", "account", "apiKeyId", "apiKeyName",
+  "endpoint", "status", "promptTokens", "completionTokens", "cachedTokens", "reasoningTokens", "cost"
+];
+
+const TOTAL_FIELDS = ["requests", "promptTokens", "completionTokens", "cachedTokens", "reasoningTokens", "cost"];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function startOfDay(time) {
+  const date = new Date(time);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+// YYYY-MM-DD of the local day
+function localDay(time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Date-only strings are local days (Date parses them as UTC)
+function parseExportDate(value) {
+  return new Date(DATE_ONLY.test(value) ? `${value}T00:00:00` : value).getTime();
+}
+
+/**
+ * Parse export date bounds. A date without a time covers that whole local day.
+ * @param {string|null} startDate
+ * @param {string|null} endDate
+ * @returns {{ startDate?: number, endDate?: number }|null} Epoch ms, null when a date is invalid
+ */
+export function parseExportRange(startDate, endDate) {
+  const range = {};
+  if (startDate) {
+    range.startDate = parseExportDate(startDate);
+    if (Number.isNaN(range.startDate)) return null;
+  }
+  if (endDate) {
+    range.endDate = parseExportDate(endDate);
+    if (Number.isNaN(range.endDate)) return null;
+    if (DATE_ONLY.test(endDate)) {
+      const day = new Date(range.endDate);
+      range.endDate = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime() - 1;
+    }
+  }
+  return range;
+}
+
+/**
+ * Whether a grouped export can be summed from the daily rollups, which outlive the raw rows
+ * (USAGE_RETENTION_DAYS): whole local days, no status grouping or filter
+ * @param {Array<string>} groupBy - Keys of GROUP_BY_FIELDS
+ * @param {object} filter - parseExportRange() bounds plus the query filters
+ */
+export function isDailyExport(groupBy, filter) {
+  if (groupBy.length === 0 || filter.status) return false;
+  if (!groupBy.every(option => DAILY_GROUP_BY.includes(option))) return false;
+  const startsOnDay = filter.startDate === undefined || startOfDay(filter.startDate) === filter.startDate;
+  const endsOnDay = filter.endDate === undefined || startOfDay(filter.endDate + 1) === filter.endDate + 1;
+  return startsOnDay && endsOnDay;
+}
+
+/**
+ * Flatten a usage entry. API keys are exported by id and name, never the key itself.
+ * @param {object} entry - From getUsageHistory, or getDailyUsage (carries a request count)
+ * @param {object} [names]
+ * @param {Map<string, { id, name }>} [names.apiKeys] - Key → key record
+ * @param {Map<string, string>} [names.connections] - Connection id → account name
+ */
+export function toExportRecord(entry, { apiKeys = new Map(), connections = new Map() } = {}) {
+  const tokens = entry.tokens || {};
+  const key = entry.apiKey ? apiKeys.get(entry.apiKey) : null;
+  return {
+    timestamp: entry.timestamp,
+    day: localDay(entry.timestamp),
+    provider: entry.provider || "",
+    model: entry.model || "",
+    connectionId: entry.connectionId || "",
+    account: entry.connectionId ? (connections.get(entry.connectionId) || entry.connectionId.slice(0, 8)) : "",
+    apiKeyId: key?.id || "",
+    apiKeyName: entry.apiKey ? (key?.name || `${entry.apiKey.slice(0, 8)}...`) : "Local (No API Key)",
+    endpoint: entry.endpoint || "",
+    status: entry.status || "ok",
+    promptTokens: tokens.prompt_tokens ?? tokens.input_tokens ?? 0,
+    completionTokens: tokens.completion_tokens ?? tokens.output_tokens ?? 0,
+    cachedTokens: tokens.cached_tokens ?? tokens.cache_read_input_tokens ?? 0,
+    reasoningTokens: tokens.reasoning_tokens ?? 0,
+    cost: entry.cost || 0,
+    ...(entry.requests !== undefined && { requests: entry.requests })
+  };
+}
+
+/**
+ * Sum records per combination of groupBy options
+ * @param {Array<object>} records - From toExportRecord
+ * @param {Array<string>} groupBy - Keys of GROUP_BY_FIELDS
+ * @returns {{ columns: Array<string>, rows: Array<object>, totals: object }} Rows sorted by the grouped columns
+ */
+export function pivotUsage(records, groupBy) {
+  const groups = new Map();
+  const totals = Object.fromEntries(TOTAL_FIELDS.map(field => [field, 0]));
+
+  for (const record of records) {
+    const dims = groupBy.map(option => record[GROUP_BY_FIELDS[option]]);
+    const key = JSON.stringify(dims);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        ...Object.fromEntries(groupBy.map((option, i) => [option, dims[i]])),
+        ...Object.fromEntries(TOTAL_FIELDS.map(field => [field, 0]))
+      });
+    }
+    const row = groups.get(key);
+    for (const field of TOTAL_FIELDS) {
+      const value = field === "requests" ? (record.requests ?? 1) : record[field];
+      row[field] += value;
+      totals[field] += value;
+    }
+  }
+
+  const rows = [...groups.values()].sort((a, b) => {
+    for (const option of groupBy) {
+      const order = String(a[option]).localeCompare(String(b[option]));
+      if (order !== 0) return order;
+    }
+    return 0;
+  });
+
+  return { columns: [...groupBy, ...TOTAL_FIELDS], rows, totals };
+}
+
+// Quote fields with separators; prefix text that spreadsheets would run as a formula
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<object>} rows
+ * @param {Array<string>} columns
+ * @returns {string} CSV with a header line
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map(column => csvField(row[column])).join(","));
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * @param {Array<object>} rows
+ * @returns {string} One JSON object per line
+ */
+export function toJsonl(rows) {
+  return rows.map(row => JSON.stringify(row)).join("\n") + (rows.length ? "\n" : "");
+}
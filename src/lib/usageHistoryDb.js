@@ -0,0 +1,575 @@
+import Database from "better-sqlite3";
+import path from "path";
+import os from "os";
+import fs from "fs";
+
+const isCloud = typeof caches !== 'undefined' || typeof caches === 'object';
+
+// Raw usage rows are kept this long (0 = forever); hourly/daily/batch rollups are kept forever
+const RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS || '90', 10);
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Retention cleanup runs at most this often while saving
+const PRUNE_INTERVAL_MS = HOUR_MS;
+
+// Rollup rows are grouped by these columns ('' instead of NULL so ON CONFLICT matches)
+const DIMENSIONS = ["provider", "model", "connection_id", "api_key", "endpoint"];
+
+// usage_meta keys: set in the same transaction as the usage.json rows / raw rows before this time were pruned
+const LEGACY_IMPORTED_KEY = "usage_json_imported";
+const PRUNED_BEFORE_KEY = "pruned_before";
+
+let dbInstance = null;
+let usageWriter = null;
+let lastPruneAt = 0;
+let prunedBefore = 0;
+
+// Daily rollups follow the server's local days, like budgets and the usage chart
+function startOfLocalDay(time) {
+  const date = new Date(time);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+// Get app name
+function getAppName() {
+  return "9router";
+}
+
+// Get user data directory based on platform
+function getUserDataDir() {
+  if (isCloud) return "/tmp";
+
+  if (process.env.DATA_DIR) return process.env.DATA_DIR;
+
+  try {
+    const platform = process.platform;
+    const homeDir = os.homedir();
+    const appName = getAppName();
+
+    if (platform === "win32") {
+      return path.join(process.env.APPDATA || path.join(homeDir, "AppData", "Roaming"), appName);
+    } else {
+      return path.join(homeDir, `.${appName}`);
+    }
+  } catch (error) {
+    console.error("[usageHistoryDb] Failed to get user data directory:", error.message);
+    return path.join(process.cwd(), ".9router");
+  }
+}
+
+// Database file path (next to request-details.sqlite); usage.json is the pre-SQLite store
+const DATA_DIR = getUserDataDir();
+const DB_FILE = isCloud ? null : path.join(DATA_DIR, "usage.sqlite");
+const LEGACY_JSON_FILE = isCloud ? null : path.join(DATA_DIR, "usage.json");
+
+// Ensure data directory exists
+if (!isCloud && fs && typeof fs.existsSync === "function") {
+  try {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+  } catch (error) {
+    console.error("[usageHistoryDb] Failed to create data directory:", error.message);
+  }
+}
+
+function rollupTableSql(table) {
+  return `
+    CREATE TABLE IF NOT EXISTS ${table} (
+      bucket INTEGER NOT NULL,
+      provider TEXT NOT NULL DEFAULT '',
+      model TEXT NOT NULL DEFAULT '',
+      connection_id TEXT NOT NULL DEFAULT '',
+      api_key TEXT NOT NULL DEFAULT '',
+      endpoint TEXT NOT NULL DEFAULT '',
+      requests INTEGER NOT NULL DEFAULT 0,
+      prompt_tokens INTEGER NOT NULL DEFAULT 0,
+      completion_tokens INTEGER NOT NULL DEFAULT 0,
+      cached_tokens INTEGER NOT NULL DEFAULT 0,
+      reasoning_tokens INTEGER NOT NULL DEFAULT 0,
+      cost REAL NOT NULL DEFAULT 0,
+      last_used INTEGER NOT NULL,
+      PRIMARY KEY (bucket, ${DIMENSIONS.join(", ")})
+    );
+  `;
+}
+
+/**
+ * Get SQLite database instance (singleton). The first open imports usage.json.
+ */
+export async function getUsageHistoryDb() {
+  if (isCloud) {
+    // In-memory mock for Workers
+    if (!dbInstance) {
+      dbInstance = {
+        prepare: () => ({
+          run: () => ({ changes: 0 }),
+          get: () => null,
+          all: () => []
+        }),
+        transaction: (fn) => fn,
+        exec: () => {},
+        pragma: () => {}
+      };
+    }
+    return dbInstance;
+  }
+
+  if (!dbInstance) {
+    const db = new Database(DB_FILE);
+
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+
+    // One row per request, plus hourly, daily and per-batch rollups updated in the same transaction
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS usage_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp INTEGER NOT NULL,
+        provider TEXT,
+        model TEXT,
+        connection_id TEXT,
+        api_key TEXT,
+        endpoint TEXT,
+        batch_id TEXT,
+        status TEXT,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        cost REAL NOT NULL DEFAULT 0,
+        tokens TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_usage_history_timestamp
+        ON usage_history(timestamp);
+
+      ${rollupTableSql("usage_hourly")}
+      ${rollupTableSql("usage_daily")}
+
+      CREATE TABLE IF NOT EXISTS usage_batches (
+        batch_id TEXT PRIMARY KEY,
+        requests INTEGER NOT NULL DEFAULT 0,
+        cost REAL NOT NULL DEFAULT 0
+      );
+
+      CREATE TABLE IF NOT EXISTS usage_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `);
+
+    dbInstance = db;
+    prunedBefore = Number(getMeta(PRUNED_BEFORE_KEY)) || 0;
+
+    importUsageJson(LEGACY_JSON_FILE);
+    pruneUsageHistory();
+  }
+
+  return dbInstance;
+}
+
+function prepareRollupUpsert(db, table) {
+  return db.prepare(`
+    INSERT INTO ${table}
+    (bucket, ${DIMENSIONS.join(", ")}, requests, prompt_tokens, completion_tokens, cached_tokens, reasoning_tokens, cost, last_used)
+    VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(bucket, ${DIMENSIONS.join(", ")}) DO UPDATE SET
+      requests = requests + 1,
+      prompt_tokens = prompt_tokens + excluded.prompt_tokens,
+      completion_tokens = completion_tokens + excluded.completion_tokens,
+      cached_tokens = cached_tokens + excluded.cached_tokens,
+      reasoning_tokens = reasoning_tokens + excluded.reasoning_tokens,
+      cost = cost + excluded.cost,
+      last_used = MAX(last_used, excluded.last_used)
+  `);
+}
+
+function getMeta(key) {
+  return dbInstance.prepare('SELECT value FROM usage_meta WHERE key = ?').get(key)?.value ?? null;
+}
+
+function setMeta(key, value) {
+  dbInstance.prepare('INSERT INTO usage_meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+    .run(key, String(value));
+}
+
+/**
+ * Writer for usage entries: raw row + hourly, daily and batch rollups, in one transaction
+ * @returns {function(Array<object>): void}
+ */
+function getUsageWriter(db) {
+  if (usageWriter) return usageWriter;
+
+  const insertRaw = db.prepare(`
+    INSERT INTO usage_history
+    (timestamp, provider, model, connection_id, api_key, endpoint, batch_id, status,
+     prompt_tokens, completion_tokens, cost, tokens)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const upsertHourly = prepareRollupUpsert(db, "usage_hourly");
+  const upsertDaily = prepareRollupUpsert(db, "usage_daily");
+  const upsertBatch = db.prepare(`
+    INSERT INTO usage_batches (batch_id, requests, cost) VALUES (?, 1, ?)
+    ON CONFLICT(batch_id) DO UPDATE SET requests = requests + 1, cost = cost + excluded.cost
+  `);
+
+  usageWriter = db.transaction((entries) => {
+    for (const entry of entries) {
+      const time = new Date(entry.timestamp || Date.now()).getTime() || Date.now();
+      const tokens = entry.tokens || {};
+      const promptTokens = tokens.prompt_tokens ?? tokens.input_tokens ?? 0;
+      const completionTokens = tokens.completion_tokens ?? tokens.output_tokens ?? 0;
+      const cachedTokens = tokens.cached_tokens ?? tokens.cache_read_input_tokens ?? 0;
+      const cost = entry.cost || 0;
+      const dims = [entry.provider, entry.model, entry.connectionId, entry.apiKey, entry.endpoint];
+
+      insertRaw.run(
+        time,
+        ...dims.map(value => value || null),
+        entry.batchId || null,
+        entry.status || null,
+        promptTokens,
+        completionTokens,
+        cost,
+        JSON.stringify(tokens)
+      );
+
+      const rollupValues = [
+        ...dims.map(value => value || ""),
+        promptTokens,
+        completionTokens,
+        cachedTokens,
+        tokens.reasoning_tokens ?? 0,
+        cost,
+        time
+      ];
+      upsertHourly.run(Math.floor(time / HOUR_MS) * HOUR_MS, ...rollupValues);
+      upsertDaily.run(startOfLocalDay(time), ...rollupValues);
+      if (entry.batchId) upsertBatch.run(entry.batchId, cost);
+    }
+  });
+  return usageWriter;
+}
+
+/**
+ * Save a usage entry
+ * @param {object} entry - { timestamp, provider, model, tokens, cost, connectionId?, apiKey?, endpoint?, batchId?, status? }
+ */
+export async function insertUsageEntry(entry) {
+  if (isCloud) return;
+
+  const db = await getUsageHistoryDb();
+  getUsageWriter(db)([entry]);
+
+  if (Date.now() - lastPruneAt > PRUNE_INTERVAL_MS) pruneUsageHistory();
+}
+
+/**
+ * One-time import of the pre-SQLite usage.json. The rows and a usage_meta marker are written in
+ * one transaction, so the file is never imported twice even when renaming it to
+ * usage.json.migrated fails.
+ * @param {string} file
+ * @returns {number} Entries imported
+ */
+export function importUsageJson(file) {
+  if (isCloud || !dbInstance || !file || !fs.existsSync(file)) return 0;
+
+  let imported = 0;
+  try {
+    if (!getMeta(LEGACY_IMPORTED_KEY)) {
+      const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+      const history = (Array.isArray(data?.history) ? data.history : []).filter(entry => entry && typeof entry === "object");
+      dbInstance.transaction(() => {
+        getUsageWriter(dbInstance)(history);
+        setMeta(LEGACY_IMPORTED_KEY, Date.now());
+      })();
+      imported = history.length;
+      console.log(`[usageHistoryDb] Imported ${imported} usage entries from ${file}`);
+    }
+    fs.renameSync(file, `${file}.migrated`);
+  } catch (error) {
+    console.error("[usageHistoryDb] Failed to import usage.json:", error.message);
+  }
+  return imported;
+}
+
+/**
+ * Delete raw rows past USAGE_RETENTION_DAYS (rollups keep their totals). The cutoff is a whole
+ * hour, so each hour is either fully in the raw rows or only in the rollups.
+ */
+export function pruneUsageHistory() {
+  if (isCloud || !dbInstance) return;
+  lastPruneAt = Date.now();
+  if (!(RETENTION_DAYS > 0)) return;
+
+  const cutoff = Math.floor((Date.now() - RETENTION_DAYS * DAY_MS) / HOUR_MS) * HOUR_MS;
+  const { changes } = dbInstance.prepare('DELETE FROM usage_history WHERE timestamp < ?').run(cutoff);
+  if (changes > 0 && cutoff > prunedBefore) {
+    prunedBefore = cutoff;
+    setMeta(PRUNED_BEFORE_KEY, cutoff);
+  }
+}
+
+function rowToEntry(row) {
+  let tokens = {};
+  try { tokens = JSON.parse(row.tokens) || {}; } catch {}
+  return {
+    timestamp: new Date(row.timestamp).toISOString(),
+    provider: row.provider,
+    model: row.model,
+    connectionId: row.connection_id || undefined,
+    apiKey: row.api_key || undefined,
+    endpoint: row.endpoint,
+    ...(row.batch_id && { batchId: row.batch_id }),
+    ...(row.status && { status: row.status }),
+    tokens,
+    cost: row.cost
+  };
+}
+
+/**
+ * Raw usage entries, oldest first. Throws (status 400) when the range starts before rows
+ * that were already pruned, rather than returning part of it.
+ * @param {object} [filter]
+ * @param {string} [filter.provider]
+ * @param {string} [filter.model]
+ * @param {string} [filter.connectionId]
+ * @param {string} [filter.apiKey] - The key itself, as saved with the entry
+ * @param {string} [filter.status] - Entries saved without a status count as "ok"
+ * @param {string|number} [filter.startDate]
+ * @param {string|number} [filter.endDate]
+ * @returns {Promise<Array<object>>} Entries in the shape they were saved with
+ */
+export async function getUsageEntries(filter = {}) {
+  if (isCloud) return [];
+
+  const db = await getUsageHistoryDb();
+  const startTime = filter.startDate ? new Date(filter.startDate).getTime() : 0;
+  if (startTime < prunedBefore) {
+    const error = new Error(`Per-request usage is kept for ${RETENTION_DAYS} days (USAGE_RETENTION_DAYS); startDate must be ${new Date(prunedBefore).toISOString()} or later`);
+    error.status = 400;
+    throw error;
+  }
+
+  const where = [];
+  const params = [];
+  if (filter.provider) { where.push("provider = ?"); params.push(filter.provider); }
+  if (filter.model) { where.push("model = ?"); params.push(filter.model); }
+  if (filter.connectionId) { where.push("connection_id = ?"); params.push(filter.connectionId); }
+  if (filter.apiKey) { where.push("api_key = ?"); params.push(filter.apiKey); }
+  if (filter.status) { where.push("COALESCE(status, 'ok') = ?"); params.push(filter.status); }
+  if (filter.startDate) { where.push("timestamp >= ?"); params.push(new Date(filter.startDate).getTime()); }
+  if (filter.endDate) { where.push("timestamp <= ?"); params.push(new Date(filter.endDate).getTime()); }
+
+  const sql = `SELECT * FROM usage_history ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY timestamp, id`;
+  return db.prepare(sql).all(...params).map(rowToEntry);
+}
+
+/**
+ * Usage totals per provider / model / account / API key / endpoint combination.
+ * "all" reads the daily rollups. A period reads the hourly rollups from the first whole
+ * hour and raw rows for the partial hour before it (or the whole hour once pruned).
+ * @param {number|null} since - Epoch ms, null for all time
+ * @returns {Promise<Array<{ provider, model, connectionId, apiKey, endpoint, requests, promptTokens, completionTokens, cost, lastUsed }>>}
+ */
+export async function getUsageGroups(since = null) {
+  if (isCloud) return [];
+
+  const db = await getUsageHistoryDb();
+  const dims = DIMENSIONS.join(", ");
+  let rows;
+
+  if (since === null) {
+    rows = db.prepare(`
+      SELECT ${dims}, SUM(requests) AS requests, SUM(prompt_tokens) AS prompt_tokens,
+        SUM(completion_tokens) AS completion_tokens, SUM(cost) AS cost, MAX(last_used) AS last_used
+      FROM usage_daily GROUP BY ${dims}
+    `).all();
+  } else {
+    const firstHour = since < prunedBefore
+      ? Math.floor(since / HOUR_MS) * HOUR_MS
+      : Math.ceil(since / HOUR_MS) * HOUR_MS;
+    rows = db.prepare(`
+      SELECT ${dims}, SUM(requests) AS requests, SUM(prompt_tokens) AS prompt_tokens,
+        SUM(completion_tokens) AS completion_tokens, SUM(cost) AS cost, MAX(last_used) AS last_used
+      FROM (
+        SELECT ${DIMENSIONS.map(d => `COALESCE(${d}, '') AS ${d}`).join(", ")},
+          1 AS requests, prompt_tokens, completion_tokens, cost, timestamp AS last_used
+        FROM usage_history WHERE timestamp >= ? AND timestamp < ?
+        UNION ALL
+        SELECT ${dims}, requests, prompt_tokens, completion_tokens, cost, last_used
+        FROM usage_hourly WHERE bucket >= ?
+      )
+      GROUP BY ${dims}
+    `).all(since, firstHour, firstHour);
+  }
+
+  return rows.map(row => ({
+    provider: row.provider || null,
+    model: row.model || null,
+    connectionId: row.connection_id || null,
+    apiKey: row.api_key || null,
+    endpoint: row.endpoint || null,
+    requests: row.requests,
+    promptTokens: row.prompt_tokens,
+    completionTokens: row.completion_tokens,
+    cost: row.cost,
+    lastUsed: new Date(row.last_used).toISOString()
+  }));
+}
+
+/**
+ * Usage time series over buckets starting at any time. Buckets shorter than an hour are summed
+ * from raw rows. For longer buckets, hours inside one bucket come from the hourly rollups and
+ * hours cut by a bucket edge from raw rows; a pruned cut hour counts in the bucket holding
+ * its middle.
+ * @param {number} start - Epoch ms of the first bucket
+ * @param {number} bucketMs
+ * @param {number} bucketCount
+ * @returns {Promise<Array<{ requests, promptTokens, completionTokens, cost }>>}
+ */
+export async function getUsageSeries(start, bucketMs, bucketCount) {
+  const buckets = Array.from({ length: bucketCount }, () => ({ requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 }));
+  if (isCloud) return buckets;
+
+  const db = await getUsageHistoryDb();
+  const end = start + bucketCount * bucketMs;
+  const bucketOf = (time) => Math.floor((time - start) / bucketMs);
+  const add = (idx, row) => {
+    const bucket = buckets[idx];
+    if (!bucket) return;
+    bucket.requests += row.requests;
+    bucket.promptTokens += row.prompt_tokens;
+    bucket.completionTokens += row.completion_tokens;
+    bucket.cost += row.cost;
+  };
+
+  const rawSeries = db.prepare(`
+    SELECT CAST((timestamp - ?) / ? AS INTEGER) AS idx, COUNT(*) AS requests, SUM(prompt_tokens) AS prompt_tokens,
+      SUM(completion_tokens) AS completion_tokens, SUM(cost) AS cost
+    FROM usage_history WHERE timestamp >= ? AND timestamp < ? GROUP BY idx
+  `);
+
+  if (bucketMs < HOUR_MS) {
+    for (const row of rawSeries.all(start, bucketMs, start, end)) add(row.idx, row);
+    return buckets;
+  }
+
+  const hours = db.prepare(`
+    SELECT bucket, SUM(requests) AS requests, SUM(prompt_tokens) AS prompt_tokens,
+      SUM(completion_tokens) AS completion_tokens, SUM(cost) AS cost
+    FROM usage_hourly WHERE bucket > ? AND bucket < ? GROUP BY bucket
+  `).all(start - HOUR_MS, end);
+
+  for (const hour of hours) {
+    const hourEnd = hour.bucket + HOUR_MS;
+    const idx = bucketOf(hour.bucket);
+    if (hour.bucket >= start && hourEnd <= end && bucketOf(hourEnd - 1) === idx) {
+      add(idx, hour);
+    } else if (hour.bucket >= prunedBefore) {
+      for (const row of rawSeries.all(start, bucketMs, Math.max(hour.bucket, start), Math.min(hourEnd, end))) add(row.idx, row);
+    } else {
+      const middle = hour.bucket + HOUR_MS / 2;
+      if (middle >= start && middle < end) add(bucketOf(middle), hour);
+    }
+  }
+  return buckets;
+}
+
+/**
+ * Most recent usage entries with tokens, newest first
+ * @param {number|null} since - Epoch ms, null for no lower bound
+ * @param {number} limit
+ */
+export async function getRecentUsageEntries(since = null, limit = 100) {
+  if (isCloud) return [];
+
+  const db = await getUsageHistoryDb();
+  return db.prepare(`
+    SELECT * FROM usage_history
+    WHERE timestamp >= ? AND (prompt_tokens > 0 OR completion_tokens > 0)
+    ORDER BY timestamp DESC, id DESC LIMIT ?
+  `).all(since || 0, limit).map(rowToEntry);
+}
+
+/**
+ * Spend per minute, provider and API key since a time (input for computeBudgetStatuses).
+ * Pruned hours come from the hourly rollups, one entry per hour.
+ * @param {number} since - Epoch ms
+ * @returns {Promise<Array<{ timestamp: number, provider, apiKey, cost }>>}
+ */
+export async function getCostEntries(since) {
+  if (isCloud) return [];
+
+  const db = await getUsageHistoryDb();
+  const rows = db.prepare(`
+    SELECT (timestamp / ${MINUTE_MS}) * ${MINUTE_MS} AS time, provider, api_key, SUM(cost) AS cost
+    FROM usage_history WHERE timestamp >= ? AND cost > 0
+    GROUP BY time, provider, api_key
+  `).all(Math.max(since, prunedBefore));
+
+  if (since < prunedBefore) {
+    rows.push(...db.prepare(`
+      SELECT bucket AS time, provider, api_key, SUM(cost) AS cost
+      FROM usage_hourly WHERE bucket >= ? AND bucket < ? AND cost > 0
+      GROUP BY bucket, provider, api_key
+    `).all(Math.floor(since / HOUR_MS) * HOUR_MS, prunedBefore));
+  }
+
+  return rows.map(row => ({ timestamp: row.time, provider: row.provider || null, apiKey: row.api_key || null, cost: row.cost }));
+}
+
+/**
+ * Usage per local day and provider / model / account / API key / endpoint, from the daily
+ * rollups, so it covers days whose raw rows were pruned
+ * @param {object} [filter] - provider, model, connectionId, apiKey, startDate, endDate (whole days)
+ * @returns {Promise<Array<object>>} Entries like getUsageEntries, with a request count and no status
+ */
+export async function getDailyUsageEntries(filter = {}) {
+  if (isCloud) return [];
+
+  const db = await getUsageHistoryDb();
+  const where = [];
+  const params = [];
+  if (filter.provider) { where.push("provider = ?"); params.push(filter.provider); }
+  if (filter.model) { where.push("model = ?"); params.push(filter.model); }
+  if (filter.connectionId) { where.push("connection_id = ?"); params.push(filter.connectionId); }
+  if (filter.apiKey) { where.push("api_key = ?"); params.push(filter.apiKey); }
+  if (filter.startDate) { where.push("bucket >= ?"); params.push(startOfLocalDay(new Date(filter.startDate).getTime())); }
+  if (filter.endDate) { where.push("bucket <= ?"); params.push(new Date(filter.endDate).getTime()); }
+
+  const sql = `SELECT * FROM usage_daily ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY bucket`;
+  return db.prepare(sql).all(...params).map(row => ({
+    timestamp: new Date(row.bucket).toISOString(),
+    provider: row.provider || null,
+    model: row.model || null,
+    connectionId: row.connection_id || undefined,
+    apiKey: row.api_key || undefined,
+    endpoint: row.endpoint || null,
+    requests: row.requests,
+    tokens: {
+      prompt_tokens: row.prompt_tokens,
+      completion_tokens: row.completion_tokens,
+      cached_tokens: row.cached_tokens,
+      reasoning_tokens: row.reasoning_tokens
+    },
+    cost: row.cost
+  }));
+}
+
+/**
+ * Spend and request count per batch job, from the batch rollups
+ * @returns {Promise<Object<string, { cost: number, requests: number }>>}
+ */
+export async function getBatchUsage() {
+  if (isCloud) return {};
+
+  const db = await getUsageHistoryDb();
+  const costs = {};
+  for (const row of db.prepare('SELECT batch_id, cost, requests FROM usage_batches').all()) {
+    costs[row.batch_id] = { cost: row.cost, requests: row.requests };
+  }
+  return costs;
+}
@@ -19,6 +19,7 @@ export {
   getApiKeys,
   createApiKey,
   deleteApiKey,
+  getApiKeyByKey,
   validateApiKey,
   isCloudEnabled,
 } from "@/lib/localDb";
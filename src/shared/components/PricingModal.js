@@ -91,7 +91,7 @@ export default function PricingModal({ isOpen, onClose, onSave }) {
 
   // Get all unique providers and models for display
   const allProviders = Object.keys(pricingData).sort();
-  const pricingFields = ["input", "output", "cached", "reasoning", "cache_creation"];
+  const pricingFields = ["input", "output", "cached", "reasoning", "cache_creation", "audio", "image"];
 
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
@@ -119,6 +119,7 @@ export default function PricingModal({ isOpen, onClose, onSave }) {
                 <p className="text-text-muted">
                   All rates are in <strong>dollars per million tokens</strong> ($/1M tokens).
                   Example: Input rate of 2.50 means $2.50 per 1,000,000 input tokens.
+                  Audio is in dollars per minute of audio for transcription and speech models, Image in dollars per generated image.
                 </p>
               </div>
 
@@ -140,6 +141,8 @@ export default function PricingModal({ isOpen, onClose, onSave }) {
                             <th className="px-3 py-2 text-right">Cached</th>
                             <th className="px-3 py-2 text-right">Reasoning</th>
                             <th className="px-3 py-2 text-right">Cache Creation</th>
+                            <th className="px-3 py-2 text-right">Audio /min</th>
+                            <th className="px-3 py-2 text-right">Image</th>
                           </tr>
                         </thead>
                         <tbody className="divide-y divide-border">
@@ -150,7 +153,7 @@ export default function PricingModal({ isOpen, onClose, onSave }) {
                                 <td key={field} className="px-3 py-2">
                                   <input
                                     type="number"
-                                    step="0.01"
+                                    step={field === "audio" || field === "image" ? "0.0001" : "0.01"}
                                     min="0"
                                     value={pricingData[provider][model][field] || 0}
                                     onChange={(e) => handlePricingChange(provider, model, field, e.target.value)}
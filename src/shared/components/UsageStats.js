@@ -17,7 +17,7 @@ function timeAgo(timestamp) {
   return `${Math.floor(diff / 86400)}d ago`;
 }
 
-function RecentRequests({ requests = [] }) {
+function RecentRequests({ requests = [], queued = [] }) {
   return (
     <Card className="flex flex-col overflow-hidden" padding="sm" style={{ height: 480 }}>
       {/* Header */}
@@ -25,6 +25,18 @@ function RecentRequests({ requests = [] }) {
         <span className="text-xs font-semibold text-text-muted uppercase tracking-wide">Recent Requests</span>
       </div>
 
+      {queued.length > 0 && (
+        <div className="px-1 py-1.5 border-b border-border shrink-0 flex flex-col gap-1">
+          {queued.map((q) => (
+            <div key={`${q.model}-${q.queuedAt}`} className="flex items-center gap-2 text-xs">
+              <span className="block w-1.5 h-1.5 rounded-full bg-yellow-500 shrink-0" />
+              <span className="font-mono truncate flex-1" title={q.model}>{q.model}</span>
+              <span className="text-text-muted whitespace-nowrap">queued · retry {new Date(q.retryAt).toLocaleTimeString()}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
       {!requests.length ? (
         <div className="flex-1 flex items-center justify-center text-text-muted text-sm">No requests yet.</div>
       ) : (
@@ -168,6 +180,50 @@ const PERIODS = [
   { value: "60d", label: "60D" },
 ];
 
+const PERIOD_MS = { "24h": 86400000, "7d": 604800000, "30d": 2592000000, "60d": 5184000000 };
+
+// Downloads from /api/usage/export for the selected period. The daily summary starts on a whole
+// local day so it is summed from the daily rollups, which outlive USAGE_RETENTION_DAYS.
+const EXPORTS = [
+  { label: "Daily summary (CSV)", query: "format=csv&groupBy=day,provider,model,apiKey", wholeDays: true },
+  { label: "All requests (CSV)", query: "format=csv" },
+  { label: "All requests (JSONL)", query: "format=jsonl" },
+];
+
+function ExportMenu({ period }) {
+  const [open, setOpen] = useState(false);
+  const start = new Date(Date.now() - PERIOD_MS[period]);
+  const startDate = start.toISOString();
+  const startDay = [start.getFullYear(), start.getMonth() + 1, start.getDate()].map((n) => String(n).padStart(2, "0")).join("-");
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((v) => !v)}
+        className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium border border-border bg-bg-subtle text-text-muted hover:text-text hover:bg-bg-hover transition-colors"
+      >
+        <span className="material-symbols-outlined text-[16px]">download</span>
+        Export
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 z-10 min-w-[200px] rounded-lg border border-border bg-bg shadow-lg py-1">
+          {EXPORTS.map((e) => (
+            <a
+              key={e.label}
+              href={`/api/usage/export?${e.query}&startDate=${encodeURIComponent(e.wholeDays ? startDay : startDate)}`}
+              download
+              onClick={() => setOpen(false)}
+              className="block px-3 py-1.5 text-sm text-text-muted hover:text-text hover:bg-bg-hover"
+            >
+              {e.label}
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function UsageStats() {
   const router = useRouter();
   const searchParams = useSearchParams();
@@ -398,6 +454,7 @@ export default function UsageStats() {
         {fetching && (
           <span className="material-symbols-outlined text-[16px] text-text-muted animate-spin">progress_activity</span>
         )}
+        <ExportMenu period={period} />
       </div>
 
       {/* Overview cards */}
@@ -408,11 +465,11 @@ export default function UsageStats() {
         <div className="grid grid-cols-1 lg:grid-cols-[2fr_1fr] gap-2 items-stretch">
           <ProviderTopology
             providers={providers}
-            activeRequests={stats.activeRequests || []}
+            activeRequests={(stats.activeRequests || []).filter((r) => !r.queued)}
             lastProvider={stats.recentRequests?.[0]?.provider || ""}
             errorProvider={stats.errorProvider || ""}
           />
-          <RecentRequests requests={stats.recentRequests || []} />
+          <RecentRequests requests={stats.recentRequests || []} queued={(stats.activeRequests || []).filter((r) => r.queued)} />
         </div>
       )}
 
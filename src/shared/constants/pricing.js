@@ -1,5 +1,7 @@
 // Default pricing rates for AI models
-// All rates are in dollars per million tokens ($/1M tokens)
+// All rates are in dollars per million tokens ($/1M tokens), except `audio`
+// which is dollars per minute of audio (transcription / speech models) and
+// `image` which is dollars per generated image (image generation models)
 // Based on user-provided pricing for Antigravity models and industry standards for others
 
 export const DEFAULT_PRICING = {
@@ -182,6 +184,14 @@ export const DEFAULT_PRICING = {
       cached: 0.015,
       reasoning: 1.875,
       cache_creation: 0.15
+    },
+    "gemini-2.5-flash-image": {
+      input: 0.30,
+      image: 0.039
+    },
+    "gemini-3-pro-image-preview": {
+      input: 2.00,
+      image: 0.134
     }
   },
 
@@ -614,6 +624,25 @@ export const DEFAULT_PRICING = {
       cached: 1.50,
       reasoning: 18.00,
       cache_creation: 3.00
+    },
+    "whisper-1": {
+      audio: 0.006
+    },
+    "gpt-4o-transcribe": {
+      audio: 0.006
+    },
+    "gpt-4o-mini-transcribe": {
+      audio: 0.003
+    },
+    "gpt-image-1": {
+      input: 5.00,
+      image: 0.042
+    },
+    "dall-e-3": {
+      image: 0.04
+    },
+    "dall-e-2": {
+      image: 0.02
     }
   },
 
@@ -744,6 +773,26 @@ export const DEFAULT_PRICING = {
       reasoning: 3.00,
       cache_creation: 0.50
     }
+  },
+
+  // Deepgram (per audio minute)
+  deepgram: {
+    "nova-3": {
+      audio: 0.0043
+    },
+    "nova-2": {
+      audio: 0.0043
+    }
+  },
+
+  // AssemblyAI (per audio minute)
+  assemblyai: {
+    "universal": {
+      audio: 0.0025
+    },
+    "slam-1": {
+      audio: 0.0045
+    }
   }
 };
 
@@ -796,7 +845,7 @@ export function calculateCostFromTokens(tokens, pricing) {
   const cachedTokens = tokens.cached_tokens || tokens.cache_read_input_tokens || 0;
   const nonCachedInput = Math.max(0, inputTokens - cachedTokens);
 
-  cost += (nonCachedInput * (pricing.input / 1000000));
+  cost += (nonCachedInput * ((pricing.input || 0) / 1000000));
 
   // Cached tokens
   if (cachedTokens > 0) {
@@ -806,7 +855,7 @@ export function calculateCostFromTokens(tokens, pricing) {
 
   // Output tokens
   const outputTokens = tokens.completion_tokens || tokens.output_tokens || 0;
-  cost += (outputTokens * (pricing.output / 1000000));
+  cost += (outputTokens * ((pricing.output || 0) / 1000000));
 
   // Reasoning tokens
   const reasoningTokens = tokens.reasoning_tokens || 0;
@@ -822,5 +871,17 @@ export function calculateCostFromTokens(tokens, pricing) {
     cost += (cacheCreationTokens * (cacheCreationRate / 1000000));
   }
 
+  // Audio seconds (transcription / speech), rate is per minute
+  const audioSeconds = tokens.audio_seconds || 0;
+  if (audioSeconds > 0) {
+    cost += (audioSeconds * ((pricing.audio || 0) / 60));
+  }
+
+  // Generated images, rate is per image
+  const images = tokens.images || 0;
+  if (images > 0) {
+    cost += (images * (pricing.image || 0));
+  }
+
   return cost;
 }
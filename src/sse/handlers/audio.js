@@ -0,0 +1,174 @@
+import {
+  getProviderCredentials,
+  markAccountUnavailable,
+  clearAccountError,
+  extractApiKey,
+  isValidApiKey,
+  checkApiKeyScopes,
+} from "../services/auth.js";
+import { getSettings } from "@/lib/localDb";
+import { saveRequestUsage } from "@/lib/usageDb";
+import { getModelInfo } from "../services/model.js";
+import { getRequestBudgets, guardBudgets } from "../services/budget.js";
+import { handleAudioCore, AUDIO_ACTIONS } from "open-sse/handlers/audioCore.js";
+import { errorResponse, unavailableResponse, formattedErrorResponse, getErrorFormatForEndpoint } from "open-sse/utils/error.js";
+import { HTTP_STATUS } from "open-sse/config/constants.js";
+import * as log from "../utils/logger.js";
+import { checkAndRefreshToken } from "../services/tokenRefresh.js";
+
+// Multipart fields forwarded to transcription / translation
+const TRANSCRIPTION_FIELDS = ["model", "language", "prompt", "response_format", "temperature"];
+
+// Speech takes JSON, transcription and translation take multipart/form-data with a `file`
+async function readAudioBody(request, action) {
+  if (action === AUDIO_ACTIONS.SPEECH) return await request.json();
+
+  const form = await request.formData();
+  const body = { file: form.get("file"), timestamp_granularities: form.getAll("timestamp_granularities[]") };
+  for (const field of TRANSCRIPTION_FIELDS) {
+    const value = form.get(field);
+    if (value !== null) body[field] = value;
+  }
+  return body;
+}
+
+/**
+ * Handle /v1/audio/{transcriptions,translations,speech} for the SSE/Next.js server.
+ * Follows the same auth + fallback pattern as handleEmbeddings and records
+ * usage as audio seconds.
+ *
+ * @param {Request} request
+ * @param {string} action - One of AUDIO_ACTIONS
+ */
+export async function handleAudio(request, action) {
+  let body;
+  try {
+    body = await readAudioBody(request, action);
+  } catch {
+    const expected = action === AUDIO_ACTIONS.SPEECH ? "JSON" : "multipart/form-data";
+    log.warn("AUDIO", `Invalid ${expected} body`);
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, `Invalid ${expected} body`);
+  }
+
+  const url = new URL(request.url);
+  const modelStr = body.model;
+
+  log.request("POST", `${url.pathname} | ${modelStr}`);
+
+  // Log API key (masked)
+  const apiKey = extractApiKey(request);
+  if (apiKey) {
+    log.debug("AUTH", `API Key: ${log.maskKey(apiKey)}`);
+  } else {
+    log.debug("AUTH", "No API key provided (local mode)");
+  }
+
+  // Enforce per-key scopes (expiry, endpoints, model allowlist)
+  const scopeError = await checkApiKeyScopes(apiKey, { model: modelStr, endpoint: url.pathname });
+  if (scopeError) {
+    log.warn("AUTH", `API key denied: ${scopeError}`);
+    return formattedErrorResponse(HTTP_STATUS.FORBIDDEN, scopeError, getErrorFormatForEndpoint(url.pathname));
+  }
+
+  // Enforce API key if enabled in settings
+  const settings = await getSettings();
+  if (settings.requireApiKey) {
+    if (!apiKey) {
+      log.warn("AUTH", "Missing API key (requireApiKey=true)");
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Missing API key");
+    }
+    const valid = await isValidApiKey(apiKey);
+    if (!valid) {
+      log.warn("AUTH", "Invalid API key (requireApiKey=true)");
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Invalid API key");
+    }
+  }
+
+  if (!modelStr) {
+    log.warn("AUDIO", "Missing model");
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Missing model");
+  }
+
+  const modelInfo = await getModelInfo(modelStr);
+  if (!modelInfo.provider) {
+    log.warn("AUDIO", "Invalid model format", { model: modelStr });
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid model format");
+  }
+
+  const { provider, model } = modelInfo;
+
+  if (modelStr !== `${provider}/${model}`) {
+    log.info("ROUTING", `${modelStr} → ${provider}/${model}`);
+  } else {
+    log.info("ROUTING", `Provider: ${provider}, Model: ${model}`);
+  }
+
+  // Spending budgets, as for chat
+  const budgetResponse = await guardBudgets(await getRequestBudgets(apiKey), { provider, model, endpoint: url.pathname });
+  if (budgetResponse) return budgetResponse;
+
+  // Credential + fallback loop (mirrors handleEmbeddings)
+  let excludeConnectionId = null;
+  let lastError = null;
+  let lastStatus = null;
+
+  while (true) {
+    const credentials = await getProviderCredentials(provider, excludeConnectionId, model);
+
+    // All accounts unavailable
+    if (!credentials || credentials.allRateLimited) {
+      if (credentials?.allRateLimited) {
+        const errorMsg = lastError || credentials.lastError || "Unavailable";
+        const status = lastStatus || Number(credentials.lastErrorCode) || HTTP_STATUS.SERVICE_UNAVAILABLE;
+        log.warn("AUDIO", `[${provider}/${model}] ${errorMsg} (${credentials.retryAfterHuman})`);
+        return unavailableResponse(status, `[${provider}/${model}] ${errorMsg}`, credentials.retryAfter, credentials.retryAfterHuman);
+      }
+      if (!excludeConnectionId) {
+        log.error("AUTH", `No credentials for provider: ${provider}`);
+        return errorResponse(HTTP_STATUS.BAD_REQUEST, `No credentials for provider: ${provider}`);
+      }
+      log.warn("AUDIO", "No more accounts available", { provider });
+      return errorResponse(lastStatus || HTTP_STATUS.SERVICE_UNAVAILABLE, lastError || "All accounts unavailable");
+    }
+
+    const accountId = credentials.connectionId.slice(0, 8);
+    log.info("AUTH", `Using ${provider} account: ${accountId}...`);
+
+    const refreshedCredentials = await checkAndRefreshToken(provider, credentials);
+
+    const result = await handleAudioCore({
+      action,
+      body,
+      modelInfo: { provider, model },
+      credentials: refreshedCredentials,
+      log,
+      onRequestSuccess: async () => {
+        await clearAccountError(credentials.connectionId, credentials, model);
+      }
+    });
+
+    if (result.success) {
+      saveRequestUsage({
+        provider,
+        model,
+        tokens: { audio_seconds: result.usage.audioSeconds },
+        connectionId: credentials.connectionId,
+        apiKey: apiKey || undefined,
+        endpoint: url.pathname
+      }).catch(() => {});
+      return result.response;
+    }
+
+    const { shouldFallback } = await markAccountUnavailable(credentials.connectionId, result.status, result.error, provider, model);
+
+    if (shouldFallback) {
+      log.warn("AUTH", `Account ${accountId}... unavailable (${result.status}), trying fallback`);
+      excludeConnectionId = credentials.connectionId;
+      lastError = result.error;
+      lastStatus = result.status;
+      continue;
+    }
+
+    return result.response;
+  }
+}
@@ -0,0 +1,487 @@
+import {
+  extractApiKey,
+  isValidApiKey,
+  checkApiKeyScopes,
+} from "../services/auth.js";
+import { getSettings } from "@/lib/localDb";
+import {
+  createFile,
+  getFile,
+  listFiles,
+  readFileContent,
+  deleteFile,
+  createBatch,
+  getBatch,
+  listBatches,
+  deleteBatch,
+} from "@/lib/batchDb";
+import { startBatch, cancelBatch, resumeBatches } from "../services/batchRunner.js";
+import {
+  BATCH_FORMATS,
+  BATCH_STATUS,
+  FINAL_BATCH_STATUSES,
+  OPENAI_BATCH_ENDPOINTS,
+  ANTHROPIC_BATCH_ENDPOINT,
+  createBatchId,
+  parseBatchInput,
+  anthropicRequestsToLines,
+  toOpenAIBatch,
+  toAnthropicBatch,
+  toAnthropicResult,
+  toOpenAIFile,
+} from "open-sse/services/batch.js";
+import { formattedErrorResponse, getErrorFormatForEndpoint } from "open-sse/utils/error.js";
+import { HTTP_STATUS, BATCH_CONFIG } from "open-sse/config/constants.js";
+import * as log from "../utils/logger.js";
+
+const JSON_HEADERS = { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" };
+
+// List page sizes (OpenAI batches / Anthropic message batches)
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_ANTHROPIC_PAGE_SIZE = 1000;
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), { status, headers: JSON_HEADERS });
+}
+
+// Errors in the caller's format: Claude for /v1/messages/batches, OpenAI otherwise
+function fail(request, status, message) {
+  return formattedErrorResponse(status, message, getErrorFormatForEndpoint(new URL(request.url).pathname));
+}
+
+// Base URL clients reach this server at (reverse proxies set the forwarded headers)
+function publicOrigin(request) {
+  const url = new URL(request.url);
+  const host = request.headers.get("x-forwarded-host") || url.host;
+  const proto = request.headers.get("x-forwarded-proto") || url.protocol.replace(":", "");
+  return `${proto}://${host}`;
+}
+
+/**
+ * API key scopes + requireApiKey. Files and batches belong to the key that created them.
+ * @returns {Promise<{ apiKey: string|null }|{ response: Response }>}
+ */
+async function authenticate(request) {
+  // Jobs interrupted by a restart start again with the first batch request
+  await resumeBatches();
+
+  const url = new URL(request.url);
+  const apiKey = extractApiKey(request);
+
+  const scopeError = await checkApiKeyScopes(apiKey, { endpoint: url.pathname });
+  if (scopeError) {
+    log.warn("AUTH", `API key denied: ${scopeError}`);
+    return { response: fail(request, HTTP_STATUS.FORBIDDEN, scopeError) };
+  }
+
+  const settings = await getSettings();
+  if (settings.requireApiKey) {
+    if (!apiKey) {
+      log.warn("AUTH", "Missing API key (requireApiKey=true)");
+      return { response: fail(request, HTTP_STATUS.UNAUTHORIZED, "Missing API key") };
+    }
+    const valid = await isValidApiKey(apiKey);
+    if (!valid) {
+      log.warn("AUTH", "Invalid API key (requireApiKey=true)");
+      return { response: fail(request, HTTP_STATUS.UNAUTHORIZED, "Invalid API key") };
+    }
+  }
+  return { apiKey };
+}
+
+function pageSize(params, max) {
+  return Math.min(Math.max(Number(params.get("limit")) || DEFAULT_PAGE_SIZE, 1), max);
+}
+
+// OpenAI cursor pagination over a newest-first list
+function openAIPage(items, params, max = MAX_PAGE_SIZE) {
+  const after = params.get("after");
+  const start = after ? items.findIndex(item => item.id === after) + 1 : 0;
+  const limit = pageSize(params, max);
+  const data = items.slice(start, start + limit);
+  return {
+    object: "list",
+    data,
+    first_id: data[0]?.id || null,
+    last_id: data[data.length - 1]?.id || null,
+    has_more: start + limit < items.length
+  };
+}
+
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================================
+// FILES (/v1/files)
+// ============================================================================
+
+/**
+ * POST /v1/files - multipart upload with `file` and `purpose`
+ * @param {Request} request
+ */
+export async function handleUploadFile(request) {
+  const auth = await authenticate(request);
+  if (auth.response) return auth.response;
+
+  let form;
+  try {
+    form = await request.formData();
+  } catch {
+    return fail(request, HTTP_STATUS.BAD_REQUEST, "Invalid multipart/form-data body");
+  }
+
+  const file = form.get("file");
+  const purpose = form.get("purpose");
+  if (!file || typeof file === "string") return fail(request, HTTP_STATUS.BAD_REQUEST, "Missing required field: file");
+  if (!purpose) return fail(request, HTTP_STATUS.BAD_REQUEST, "Missing required field: purpose");
+  if (file.size > BATCH_CONFIG.maxFileBytes) {
+    return fail(request, HTTP_STATUS.BAD_REQUEST, `File is larger than ${BATCH_CONFIG.maxFileBytes} bytes`);
+  }
+
+  const record = await createFile({
+    id: createBatchId("file-"),
+    content: Buffer.from(await file.arrayBuffer()),
+    filename: file.name || "upload.jsonl",
+    purpose,
+    apiKey: auth.apiKey
+  });
+  log.info("BATCH", `Stored file ${record.id} (${record.bytes} bytes, ${purpose})`);
+  return json(toOpenAIFile(record));
+}
+
+/**
+ * GET /v1/files - ?purpose, limit, after
+ * @param {Request} request
+ */
+export async function handleListFiles(request) {
+  const auth = await authenticate(request);
+  if (auth.response) return auth.response;
+
+  const params = new URL(request.url).searchParams;
+  const files = await listFiles({ apiKey: auth.apiKey, purpose: params.get("purpose") || null });
+  return json(openAIPage(files.map(toOpenAIFile), params, BATCH_CONFIG.maxRequests));
+}
+
+/**
+ * GET /v1/files/{id}
+ * @param {Request} request
+ * @param {string} id
+ */
+export async function handleGetFile(request, id) {
+  const auth = await authenticate(request);
+  if (auth.response) return auth.response;
+
+  const file = await getFile(id, auth.apiKey);
+  if (!file) return fail(request, HTTP_STATUS.NOT_FOUND, `No such File object: ${id}`);
+  return json(toOpenAIFile(file));
+}
+
+/**
+ * DELETE /v1/files/{id}
+ * @param {Request} request
+ * @param {string} id
+ */
+export async function handleDeleteFile(request, id) {
+  const auth = await authenticate(request);
+  if (auth.response) return auth.response;
+
+  if (!(await deleteFile(id, auth.apiKey))) return fail(request, HTTP_STATUS.NOT_FOUND, `No such File object: ${id}`);
+  return json({ id, object: "file", deleted: true });
+}
+
+/**
+ * GET /v1/files/{id}/content
+ * @param {Request} request
+ * @param {string} id
+ */
+export async function handleFileContent(request, id) {
+  const auth = await authenticate(request);
+  if (auth.response) return auth.response;
+
+  const file = await getFile(id, auth.apiKey);
+  const content = file ? await readFileContent(id) : null;
+  if (content === null) return fail(request, HTTP_STATUS.NOT_FOUND, `No such File object: ${id}`);
+  return new Response(content, {
+    headers: {
+      "Content-Type": "application/octet-stream",
+      "Content-Disposition": `attachment; filename="${file.filename.replace(/"/g, "")}"`,
+      "Access-Control-Allow-Origin": "*"
+    }
+  });
+}
+
+// ============================================================================
+// OPENAI BATCHES (/v1/batches)
+// ============================================================================
+
+/**
+ * POST /v1/batches - { input_file_id, endpoint, completion_window, metadata }
+ * @param {Request} request
+ */
+export async function handleCreateBatch(request) {
+  const auth = await authenticate(request);
+  if (auth.response) return auth.response;
+
+  const body = await readJson(request);
+  if (!body) return fail(request, HTTP_STATUS.BAD_REQUEST, "Invalid JSON body");
+  if (!OPENAI_BATCH_ENDPOINTS.includes(body.endpoint)) {
+    return fail(request, HTTP_STATUS.BAD_REQUEST, `endpoint must be one of ${OPENAI_BATCH_ENDPOINTS.join(", ")}`);
+  }
+  if (body.completion_window !== "24h") {
+    return fail(request, HTTP_STATUS.BAD_REQUEST, "completion_window must be '24h'");
+  }
+
+  const file = body.input_file_id ? await getFile(body.input_file_id, auth.apiKey) : null;
+  if (!file) return fail(request, HTTP_STATUS.NOT_FOUND, `No such File object: ${body.input_file_id}`);
+  if (file.purpose !== "batch") {
+    return fail(request, HTTP_STATUS.BAD_REQUEST, `File ${file.id} was not uploaded with purpose 'batch'`);
+  }
+
+  const now = Date.now();
+  const { requests, errors } = parseBatchInput(await readFileContent(file.id), body.endpoint, BATCH_CONFIG.maxRequests);
+  const batch = await createBatch({
+    id: createBatchId("batch_"),
+    apiKey: auth.apiKey,
+    format: BATCH_FORMATS.OPENAI,
+    endpoint: body.endpoint,
+    status: errors.length ? BATCH_STATUS.FAILED : BATCH_STATUS.VALIDATING,
+    inputFileId: file.id,
+    metadata: body.metadata || null,
+    errors,
+    counts: { total: errors.length ? 0 : requests.length, succeeded: 0, errored: 0, expired: 0 },
+    createdAt: now,
+    failedAt: errors.length ? now : null,
+    expiresAt: now + BATCH_CONFIG.completionWindowMs
+  });
+
+  if (errors.length) {
+    log.warn("BATCH", `${batch.id} failed validation: ${errors[0].message}`);
+  } else {
+    log.info("BATCH", `${batch.id} created: ${requests.length} requests to ${body.endpoint}`);
+    startBatch(batch.id);
+  }
+  return json(toOpenAIBatch(batch));
+}
+
+/**
+ * GET /v1/batches - ?limit, after
+ * @param {Request} request
+ */
+export async function handleListBatches(request) {
+  const auth = await authenticate(request);
+  if (auth.response) return auth.response;
+
+  const batches = await listBatches({ apiKey: auth.apiKey, format: BATCH_FORMATS.OPENAI });
+  return json(openAIPage(batches.map(toOpenAIBatch), new URL(request.url).searchParams));
+}
+
+/**
+ * GET /v1/batches/{id}
+ * @param {Request} request
+ * @param {string} id
+ */
+export async function handleGetBatch(request, id) {
+  const auth = await authenticate(request);
+  if (auth.response) return auth.response;
+
+  const batch = await getBatch(id, auth.apiKey);
+  if (batch?.format !== BATCH_FORMATS.OPENAI) return fail(request, HTTP_STATUS.NOT_FOUND, `No such Batch object: ${id}`);
+  return json(toOpenAIBatch(batch));
+}
+
+/**
+ * POST /v1/batches/{id}/cancel
+ * @param {Request} request
+ * @param {string} id
+ */
+export async function handleCancelBatch(request, id) {
+  const auth = await authenticate(request);
+  if (auth.response) return auth.response;
+
+  const batch = await getBatch(id, auth.apiKey);
+  if (batch?.format !== BATCH_FORMATS.OPENAI) return fail(request, HTTP_STATUS.NOT_FOUND, `No such Batch object: ${id}`);
+  if (FINAL_BATCH_STATUSES.includes(batch.status)) {
+    return fail(request, HTTP_STATUS.BAD_REQUEST, `Cannot cancel a batch with status '${batch.status}'`);
+  }
+  log.info("BATCH", `Cancelling ${id}`);
+  return json(toOpenAIBatch(await cancelBatch(id)));
+}
+
+// ============================================================================
+// ANTHROPIC MESSAGE BATCHES (/v1/messages/batches)
+// ============================================================================
+
+function resultsUrl(request, id) {
+  return `${publicOrigin(request)}/v1/messages/batches/${id}/results`;
+}
+
+async function getMessageBatch(id, apiKey) {
+  const batch = await getBatch(id, apiKey);
+  return batch?.format === BATCH_FORMATS.ANTHROPIC ? batch : null;
+}
+
+/**
+ * POST /v1/messages/batches - { requests: [{ custom_id, params }] }
+ * @param {Request} request
+ */
+export async function handleCreateMessageBatch(request) {
+  const auth = await authenticate(request);
+  if (auth.response) return auth.response;
+
+  const body = await readJson(request);
+  if (!body) return fail(request, HTTP_STATUS.BAD_REQUEST, "Invalid JSON body");
+
+  const { lines, error } = anthropicRequestsToLines(body.requests, BATCH_CONFIG.maxRequests);
+  if (error) return fail(request, HTTP_STATUS.BAD_REQUEST, error);
+
+  const id = createBatchId("msgbatch_");
+  const input = await createFile({
+    id: createBatchId("file-"),
+    content: lines.map(line => JSON.stringify(line)).join("\n"),
+    filename: `${id}_input.jsonl`,
+    purpose: "batch",
+    apiKey: auth.apiKey
+  });
+
+  const now = Date.now();
+  const batch = await createBatch({
+    id,
+    apiKey: auth.apiKey,
+    format: BATCH_FORMATS.ANTHROPIC,
+    endpoint: ANTHROPIC_BATCH_ENDPOINT,
+    status: BATCH_STATUS.VALIDATING,
+    inputFileId: input.id,
+    metadata: null,
+    errors: [],
+    counts: { total: lines.length, succeeded: 0, errored: 0, expired: 0 },
+    createdAt: now,
+    expiresAt: now + BATCH_CONFIG.completionWindowMs
+  });
+
+  log.info("BATCH", `${id} created: ${lines.length} message requests`);
+  startBatch(id);
+  return json(toAnthropicBatch(batch, resultsUrl(request, id)));
+}
+
+/**
+ * GET /v1/messages/batches - ?limit, before_id, after_id
+ * @param {Request} request
+ */
+export async function handleListMessageBatches(request) {
+  const auth = await authenticate(request);
+  if (auth.response) return auth.response;
+
+  const params = new URL(request.url).searchParams;
+  const batches = await listBatches({ apiKey: auth.apiKey, format: BATCH_FORMATS.ANTHROPIC });
+  const limit = pageSize(params, MAX_ANTHROPIC_PAGE_SIZE);
+
+  let start = 0;
+  let end = batches.length;
+  if (params.get("after_id")) start = batches.findIndex(batch => batch.id === params.get("after_id")) + 1;
+  if (params.get("before_id")) {
+    end = Math.max(batches.findIndex(batch => batch.id === params.get("before_id")), 0);
+    start = Math.max(end - limit, 0);
+  }
+  const page = batches.slice(start, Math.min(start + limit, end));
+  const data = page.map(batch => toAnthropicBatch(batch, resultsUrl(request, batch.id)));
+
+  return json({
+    data,
+    has_more: params.get("before_id") ? start > 0 : start + limit < end,
+    first_id: data[0]?.id || null,
+    last_id: data[data.length - 1]?.id || null
+  });
+}
+
+/**
+ * GET /v1/messages/batches/{id}
+ * @param {Request} request
+ * @param {string} id
+ */
+export async function handleGetMessageBatch(request, id) {
+  const auth = await authenticate(request);
+  if (auth.response) return auth.response;
+
+  const batch = await getMessageBatch(id, auth.apiKey);
+  if (!batch) return fail(request, HTTP_STATUS.NOT_FOUND, `Message batch ${id} not found`);
+  return json(toAnthropicBatch(batch, resultsUrl(request, id)));
+}
+
+/**
+ * POST /v1/messages/batches/{id}/cancel
+ * @param {Request} request
+ * @param {string} id
+ */
+export async function handleCancelMessageBatch(request, id) {
+  const auth = await authenticate(request);
+  if (auth.response) return auth.response;
+
+  const batch = await getMessageBatch(id, auth.apiKey);
+  if (!batch) return fail(request, HTTP_STATUS.NOT_FOUND, `Message batch ${id} not found`);
+  log.info("BATCH", `Cancelling ${id}`);
+  return json(toAnthropicBatch(await cancelBatch(id), resultsUrl(request, id)));
+}
+
+/**
+ * DELETE /v1/messages/batches/{id} - Only once processing has ended
+ * @param {Request} request
+ * @param {string} id
+ */
+export async function handleDeleteMessageBatch(request, id) {
+  const auth = await authenticate(request);
+  if (auth.response) return auth.response;
+
+  const batch = await getMessageBatch(id, auth.apiKey);
+  if (!batch) return fail(request, HTTP_STATUS.NOT_FOUND, `Message batch ${id} not found`);
+  if (!FINAL_BATCH_STATUSES.includes(batch.status)) {
+    return fail(request, HTTP_STATUS.BAD_REQUEST, `Message batch ${id} is still processing; cancel it before deleting`);
+  }
+
+  await deleteBatch(id, auth.apiKey);
+  for (const fileId of [batch.inputFileId, batch.outputFileId, batch.errorFileId]) {
+    if (fileId) await deleteFile(fileId);
+  }
+  return json({ id, type: "message_batch_deleted" });
+}
+
+/**
+ * GET /v1/messages/batches/{id}/results - JSONL, one result per request in input order
+ * @param {Request} request
+ * @param {string} id
+ */
+export async function handleMessageBatchResults(request, id) {
+  const auth = await authenticate(request);
+  if (auth.response) return auth.response;
+
+  const batch = await getMessageBatch(id, auth.apiKey);
+  if (!batch) return fail(request, HTTP_STATUS.NOT_FOUND, `Message batch ${id} not found`);
+  if (!FINAL_BATCH_STATUSES.includes(batch.status)) {
+    return fail(request, HTTP_STATUS.BAD_REQUEST, `Message batch ${id} has not finished processing`);
+  }
+
+  const results = new Map();
+  for (const fileId of [batch.outputFileId, batch.errorFileId]) {
+    const content = fileId ? await readFileContent(fileId) : null;
+    for (const raw of (content || "").split("\n")) {
+      if (!raw.trim()) continue;
+      try {
+        const result = toAnthropicResult(JSON.parse(raw));
+        results.set(result.custom_id, result);
+      } catch { /* skip a partial line */ }
+    }
+  }
+
+  // Requests never run were canceled
+  const { requests } = parseBatchInput(await readFileContent(batch.inputFileId), batch.endpoint);
+  const lines = requests.map(({ custom_id }) => results.get(custom_id) || { custom_id, result: { type: "canceled" } });
+
+  return new Response(lines.map(line => JSON.stringify(line)).join("\n") + "\n", {
+    headers: { "Content-Type": "application/x-jsonl", "Access-Control-Allow-Origin": "*" }
+  });
+}
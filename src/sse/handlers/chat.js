@@ -6,24 +6,43 @@ import {
   clearAccountError,
   extractApiKey,
   isValidApiKey,
+  checkApiKeyScopes,
+  acquireApiKeyRateLimit,
 } from "../services/auth.js";
 import { getSettings, getMitmAlias } from "@/lib/localDb";
-import { getModelInfo, getComboModels } from "../services/model.js";
+import { getModelInfo, getCombo, getComboModelCost } from "../services/model.js";
+import { getRequestBudgets, guardBudgets } from "../services/budget.js";
 import { handleChatCore } from "open-sse/handlers/chatCore.js";
-import { errorResponse, unavailableResponse } from "open-sse/utils/error.js";
-import { handleComboChat } from "open-sse/services/combo.js";
+import { errorResponse, unavailableResponse, formattedErrorResponse, getErrorFormatForEndpoint, ERROR_FORMATS } from "open-sse/utils/error.js";
+import { handleComboChat, COMBO_STRATEGIES } from "open-sse/services/combo.js";
+import { resolveComboRoute } from "open-sse/services/comboRules.js";
+import { rateLimitResponse, trackResponseCompletion } from "open-sse/services/apiKeyRateLimit.js";
+import { getTtftTimeout } from "open-sse/utils/streamHandler.js";
+import { getQueueMaxWait, getRetryDelayMs, routeWithQueue, streamWithQueue } from "open-sse/services/requestQueue.js";
 import { HTTP_STATUS } from "open-sse/config/constants.js";
 import { detectFormatByEndpoint } from "open-sse/translator/formats.js";
 import * as log from "../utils/logger.js";
 import { updateProviderCredentials, checkAndRefreshToken } from "../services/tokenRefresh.js";
 import { getProjectIdForConnection } from "open-sse/services/projectId.js";
+import { withSpan, getActiveSpan, parseTraceparent, SPAN_KINDS } from "open-sse/services/tracing.js";
 
 /**
  * Handle chat completion request
  * Supports: OpenAI, Claude, Gemini, OpenAI Responses API formats
  * Format detection and translation handled by translator
+ * Traced as the root "chat" span, child of the caller's W3C traceparent when sent
  */
-export async function handleChat(request, clientRawRequest = null) {
+export function handleChat(request, clientRawRequest = null) {
+  const parent = parseTraceparent(request.headers?.get?.("traceparent"));
+  const endpoint = clientRawRequest?.endpoint || new URL(request.url).pathname;
+  return withSpan("chat", { kind: SPAN_KINDS.SERVER, parent, attributes: { "http.route": endpoint } }, async (span) => {
+    const response = await processChat(request, clientRawRequest);
+    span.setAttribute("http.response.status_code", response.status);
+    return response;
+  });
+}
+
+async function processChat(request, clientRawRequest) {
   let body;
   try {
     body = await request.json();
@@ -59,6 +78,8 @@ export async function handleChat(request, clientRawRequest = null) {
     }
   }
 
+  getActiveSpan().setAttribute("gen_ai.request.model", modelStr);
+
   // Count messages (support both messages[] and input[] formats)
   const msgCount = body.messages?.length || body.input?.length || 0;
   const toolCount = body.tools?.length || 0;
@@ -78,6 +99,13 @@ export async function handleChat(request, clientRawRequest = null) {
     log.debug("AUTH", "No API key provided (local mode)");
   }
 
+  // Enforce per-key scopes (expiry, endpoints, model allowlist) - 403 in the caller's native format
+  const scopeError = await checkApiKeyScopes(apiKey, { model: modelStr, endpoint: url.pathname });
+  if (scopeError) {
+    log.warn("AUTH", `API key denied: ${scopeError}`);
+    return formattedErrorResponse(HTTP_STATUS.FORBIDDEN, scopeError, getErrorFormatForEndpoint(url.pathname));
+  }
+
   // Enforce API key if enabled in settings
   const settings = await getSettings();
   if (settings.requireApiKey) {
@@ -97,39 +125,100 @@ export async function handleChat(request, clientRawRequest = null) {
     return errorResponse(HTTP_STATUS.BAD_REQUEST, "Missing model");
   }
 
-  // Check if model is a combo (has multiple models with fallback)
-  const comboModels = await getComboModels(modelStr);
-  if (comboModels) {
-    log.info("CHAT", `Combo "${modelStr}" with ${comboModels.length} models`);
-    return handleComboChat({
-      body,
-      models: comboModels,
-      handleSingleModel: (b, m) => handleSingleModelChat(b, m, clientRawRequest, request, apiKey),
-      log
+  // Global / per-key spending budgets with hard block; per-model budgets are checked once routed
+  const budgets = await getRequestBudgets(apiKey);
+  const budgetResponse = await guardBudgets(budgets, { endpoint: url.pathname });
+  if (budgetResponse) return budgetResponse;
+
+  // Enforce per-key RPM/TPM/concurrency before any provider is selected
+  const rateLimit = await acquireApiKeyRateLimit(apiKey);
+  if (rateLimit && !rateLimit.allowed) {
+    log.warn("AUTH", `API key rate limited: ${rateLimit.message}`);
+    return rateLimitResponse(rateLimit, getErrorFormatForEndpoint(url.pathname));
+  }
+
+  let response;
+  try {
+    // Check if model is a combo (has multiple models with fallback)
+    const combo = await withSpan("combo.lookup", { attributes: { "gen_ai.request.model": modelStr } }, async (span) => {
+      const found = await getCombo(modelStr);
+      span.setAttribute("router.combo", found?.name);
+      return found;
     });
+    const route = () => combo
+      ? handleCombo(body, combo, clientRawRequest, request, apiKey, budgets)
+      : handleSingleModelChat(body, modelStr, clientRawRequest, request, apiKey, budgets);
+    response = await route();
+
+    // Opt-in: park the request until accounts free up instead of failing fast
+    const maxWaitMs = getQueueMaxWait(settings.rateLimitQueue, modelStr);
+    const retryDelayMs = getRetryDelayMs(response);
+    if (maxWaitMs && retryDelayMs !== null && retryDelayMs <= maxWaitMs) {
+      log.info("QUEUE", `${modelStr} rate limited, queued for up to ${Math.round(maxWaitMs / 1000)}s`);
+      const format = getErrorFormatForEndpoint(url.pathname);
+      const provider = combo ? null : (await getModelInfo(modelStr)).provider;
+      const queueOptions = { maxWaitMs, model: modelStr, provider, firstResponse: response };
+      response = body.stream === true && format !== ERROR_FORMATS.OLLAMA
+        ? streamWithQueue(route, { ...queueOptions, format })
+        : await routeWithQueue(route, { ...queueOptions, signal: request.signal });
+    }
+  } catch (error) {
+    rateLimit?.release();
+    throw error;
   }
 
-  // Single model request
-  return handleSingleModelChat(body, modelStr, clientRawRequest, request, apiKey);
+  // Concurrency slot is held until the (streamed) body is done
+  return rateLimit ? trackResponseCompletion(response, rateLimit.headers, rateLimit.release) : response;
+}
+
+/**
+ * Handle combo request - pick branch by combo rules, order models by combo strategy, fallback through them
+ */
+function handleCombo(body, combo, clientRawRequest, request, apiKey, budgets = null) {
+  const strategy = combo.strategy || COMBO_STRATEGIES.PRIORITY;
+  const route = withSpan("combo.resolve", { attributes: { "router.combo": combo.name, "router.combo.strategy": strategy } }, (span) => {
+    const resolved = resolveComboRoute(combo, {
+      body,
+      sourceFormat: request?.url ? detectFormatByEndpoint(new URL(request.url).pathname, body) : null,
+      userAgent: request?.headers?.get("user-agent") || ""
+    });
+    span.setAttributes({ "router.combo.rule": resolved.rule?.name, "router.combo.models": resolved.models.join(",") });
+    return resolved;
+  });
+  if (route.rule) {
+    log.info("ROUTING", `Combo "${combo.name}" rule "${route.rule.name || `#${route.ruleIndex + 1}`}" matched`);
+  }
+  log.info("CHAT", `Combo "${combo.name}" with ${route.models.length} models (${strategy})`);
+  return handleComboChat({
+    body,
+    models: route.models,
+    strategy,
+    weights: combo.weights,
+    raceCount: combo.raceCount,
+    getModelCost: getComboModelCost,
+    handleSingleModel: (b, m, opts) => handleSingleModelChat(b, m, clientRawRequest, request, apiKey, budgets, opts?.signal, opts?.won),
+    log
+  });
 }
 
 /**
  * Handle single model chat request
+ * @param {object|null} budgets - From getRequestBudgets
+ * @param {AbortSignal|null} signal - Cancels the attempt (combo race loser)
+ * @param {Promise<boolean>|null} raceWon - Resolves true once the attempt won the combo race
  */
-async function handleSingleModelChat(body, modelStr, clientRawRequest = null, request = null, apiKey = null) {
-  const modelInfo = await getModelInfo(modelStr);
+async function handleSingleModelChat(body, modelStr, clientRawRequest = null, request = null, apiKey = null, budgets = null, signal = null, raceWon = null) {
+  const modelInfo = await withSpan("model.resolve", { attributes: { "gen_ai.request.model": modelStr } }, async (span) => {
+    const info = await getModelInfo(modelStr);
+    span.setAttributes({ "gen_ai.system": info.provider, "gen_ai.response.model": info.model });
+    return info;
+  });
 
   // If provider is null, this might be a combo name - check and handle
   if (!modelInfo.provider) {
-    const comboModels = await getComboModels(modelStr);
-    if (comboModels) {
-      log.info("CHAT", `Combo "${modelStr}" with ${comboModels.length} models`);
-      return handleComboChat({
-        body,
-        models: comboModels,
-        handleSingleModel: (b, m) => handleSingleModelChat(b, m, clientRawRequest, request, apiKey, forceSourceFormat),
-        log
-      });
+    const combo = await getCombo(modelStr);
+    if (combo) {
+      return handleCombo(body, combo, clientRawRequest, request, apiKey, budgets);
     }
     log.warn("CHAT", "Invalid model format", { model: modelStr });
     return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid model format");
@@ -144,16 +233,34 @@ async function handleSingleModelChat(body, modelStr, clientRawRequest = null, re
     log.info("ROUTING", `Provider: ${provider}, Model: ${model}`);
   }
 
+  // Provider budgets and "skipPaid" budgets - combos fall through to the next (free) model
+  const budgetResponse = await guardBudgets(budgets, { provider, model, endpoint: request?.url ? new URL(request.url).pathname : "" });
+  if (budgetResponse) return budgetResponse;
+
   // Extract userAgent from request
   const userAgent = request?.headers?.get("user-agent") || "";
 
+  // Streams that fail or stall before their first token move on to the next account
+  const { ttftTimeouts, observabilityRawStream, observabilityMaxJsonSize } = await getSettings();
+  const ttftTimeoutMs = getTtftTimeout(provider, ttftTimeouts);
+  // Raw upstream SSE is kept for request details only when enabled, within the detail size cap
+  const rawStreamLimit = observabilityRawStream ? (observabilityMaxJsonSize || 1024) * 1024 : 0;
+
   // Try with available accounts (fallback on errors)
   let excludeConnectionId = null;
   let lastError = null;
   let lastStatus = null;
 
   while (true) {
-    const credentials = await getProviderCredentials(provider, excludeConnectionId, model);
+    if (signal?.aborted) {
+      return errorResponse(499, "Request cancelled");
+    }
+
+    const credentials = await withSpan("credentials.select", { attributes: { "gen_ai.system": provider, "router.excluded_connection": excludeConnectionId } }, async (span) => {
+      const selected = await getProviderCredentials(provider, excludeConnectionId, model);
+      span.setAttributes({ "router.connection": selected?.connectionId, "router.all_rate_limited": !!selected?.allRateLimited });
+      return selected;
+    });
 
     // All accounts unavailable
     if (!credentials || credentials.allRateLimited) {
@@ -197,6 +304,10 @@ async function handleSingleModelChat(body, modelStr, clientRawRequest = null, re
       connectionId: credentials.connectionId,
       userAgent,
       apiKey,
+      abortSignal: signal,
+      raceWon,
+      ttftTimeoutMs,
+      rawStreamLimit,
       // Detect source format by endpoint + body
       sourceFormatOverride: request?.url ? detectFormatByEndpoint(new URL(request.url).pathname, body) : null,
       onCredentialsRefreshed: async (newCreds) => {
@@ -214,6 +325,9 @@ async function handleSingleModelChat(body, modelStr, clientRawRequest = null, re
 
     if (result.success) return result.response;
 
+    // Cancelled by combo race - not an account failure
+    if (signal?.aborted) return result.response;
+
     // Mark account unavailable (auto-calculates cooldown with exponential backoff)
     const { shouldFallback } = await markAccountUnavailable(credentials.connectionId, result.status, result.error, provider, model);
 
@@ -0,0 +1,99 @@
+import {
+  getProviderCredentials,
+  extractApiKey,
+  isValidApiKey,
+  checkApiKeyScopes,
+} from "../services/auth.js";
+import { getSettings } from "@/lib/localDb";
+import { getModelInfo, getCombo } from "../services/model.js";
+import { handleCountTokensCore, getNativeCountFormat } from "open-sse/handlers/countTokensCore.js";
+import { errorResponse, formattedErrorResponse, getErrorFormatForEndpoint } from "open-sse/utils/error.js";
+import { HTTP_STATUS } from "open-sse/config/constants.js";
+import { FORMATS } from "open-sse/translator/formats.js";
+import * as log from "../utils/logger.js";
+import { checkAndRefreshToken } from "../services/tokenRefresh.js";
+
+/**
+ * Resolve the model a count should be made for. Combos count against their first model,
+ * the one a request would try first.
+ * @returns {Promise<{ provider: string|null, model: string|null }>}
+ */
+async function resolveCountModel(modelStr) {
+  if (!modelStr) return { provider: null, model: null };
+  const combo = await getCombo(modelStr);
+  const target = combo ? combo.models[0] : modelStr;
+  const modelInfo = await getModelInfo(target);
+  return { provider: modelInfo.provider, model: modelInfo.model || target };
+}
+
+/**
+ * Count input tokens for a request without running it.
+ * Auth mirrors handleChat; the provider's count endpoint is used when it has one,
+ * otherwise the request is counted offline. Account state is never touched: a failed
+ * count just falls through to the offline tiers.
+ *
+ * @param {Request} request
+ * @param {object} options
+ * @param {string} options.sourceFormat - FORMATS.CLAUDE or FORMATS.GEMINI
+ * @param {string} [options.model] - Model when it is not in the body (Gemini URL path)
+ * @returns {Promise<Response>} { input_tokens } for Claude, { totalTokens } for Gemini
+ */
+export async function handleCountTokens(request, { sourceFormat, model = null }) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    log.warn("TOKENS", "Invalid JSON body");
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid JSON body");
+  }
+
+  const url = new URL(request.url);
+  const modelStr = model || body.model;
+
+  const apiKey = extractApiKey(request);
+  const scopeError = await checkApiKeyScopes(apiKey, { model: modelStr, endpoint: url.pathname });
+  if (scopeError) {
+    log.warn("AUTH", `API key denied: ${scopeError}`);
+    return formattedErrorResponse(HTTP_STATUS.FORBIDDEN, scopeError, getErrorFormatForEndpoint(url.pathname));
+  }
+
+  const settings = await getSettings();
+  if (settings.requireApiKey) {
+    if (!apiKey) {
+      log.warn("AUTH", "Missing API key (requireApiKey=true)");
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Missing API key");
+    }
+    if (!await isValidApiKey(apiKey)) {
+      log.warn("AUTH", "Invalid API key (requireApiKey=true)");
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Invalid API key");
+    }
+  }
+
+  const { provider, model: resolvedModel } = await resolveCountModel(modelStr);
+
+  let credentials = null;
+  if (provider && getNativeCountFormat(provider)) {
+    const found = await getProviderCredentials(provider, null, resolvedModel);
+    if (found && !found.allRateLimited) {
+      credentials = await checkAndRefreshToken(provider, found);
+    }
+  }
+
+  const { tokens, source } = await handleCountTokensCore({
+    body,
+    sourceFormat,
+    modelInfo: { provider, model: resolvedModel },
+    credentials,
+    log
+  });
+
+  const payload = sourceFormat === FORMATS.GEMINI ? { totalTokens: tokens } : { input_tokens: tokens };
+  return new Response(JSON.stringify(payload), {
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      // provider | tokenizer | estimate
+      "X-Token-Count-Source": source
+    }
+  });
+}
@@ -4,11 +4,13 @@ import {
   clearAccountError,
   extractApiKey,
   isValidApiKey,
+  checkApiKeyScopes,
 } from "../services/auth.js";
 import { getSettings } from "@/lib/localDb";
 import { getModelInfo } from "../services/model.js";
+import { getRequestBudgets, guardBudgets } from "../services/budget.js";
 import { handleEmbeddingsCore } from "open-sse/handlers/embeddingsCore.js";
-import { errorResponse, unavailableResponse } from "open-sse/utils/error.js";
+import { errorResponse, unavailableResponse, formattedErrorResponse, getErrorFormatForEndpoint } from "open-sse/utils/error.js";
 import { HTTP_STATUS } from "open-sse/config/constants.js";
 import * as log from "../utils/logger.js";
 import { updateProviderCredentials, checkAndRefreshToken } from "../services/tokenRefresh.js";
@@ -41,6 +43,13 @@ export async function handleEmbeddings(request) {
     log.debug("AUTH", "No API key provided (local mode)");
   }
 
+  // Enforce per-key scopes (expiry, endpoints, model allowlist)
+  const scopeError = await checkApiKeyScopes(apiKey, { model: modelStr, endpoint: url.pathname });
+  if (scopeError) {
+    log.warn("AUTH", `API key denied: ${scopeError}`);
+    return formattedErrorResponse(HTTP_STATUS.FORBIDDEN, scopeError, getErrorFormatForEndpoint(url.pathname));
+  }
+
   // Enforce API key if enabled in settings
   const settings = await getSettings();
   if (settings.requireApiKey) {
@@ -79,6 +88,10 @@ export async function handleEmbeddings(request) {
     log.info("ROUTING", `Provider: ${provider}, Model: ${model}`);
   }
 
+  // Spending budgets, as for chat
+  const budgetResponse = await guardBudgets(await getRequestBudgets(apiKey), { provider, model, endpoint: url.pathname });
+  if (budgetResponse) return budgetResponse;
+
   // Credential + fallback loop (mirrors handleChat)
   let excludeConnectionId = null;
   let lastError = null;
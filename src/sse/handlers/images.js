@@ -0,0 +1,293 @@
+import {
+  getProviderCredentials,
+  markAccountUnavailable,
+  clearAccountError,
+  extractApiKey,
+  isValidApiKey,
+  checkApiKeyScopes,
+} from "../services/auth.js";
+import { handleChat } from "./chat.js";
+import { getSettings } from "@/lib/localDb";
+import { saveRequestUsage } from "@/lib/usageDb";
+import { saveImage } from "@/lib/imageStore";
+import { getModelInfo, getCombo, getComboModelCost } from "../services/model.js";
+import { getRequestBudgets, guardBudgets } from "../services/budget.js";
+import {
+  handleImagesCore,
+  hasImagesApi,
+  imageRequestToChat,
+  extractChatImages,
+  toImagesResponse,
+  IMAGE_ACTIONS,
+} from "open-sse/handlers/imagesCore.js";
+import { handleComboChat, COMBO_STRATEGIES } from "open-sse/services/combo.js";
+import { resolveComboRoute } from "open-sse/services/comboRules.js";
+import { sniffImageMime } from "open-sse/services/imageFetcher.js";
+import { errorResponse, unavailableResponse, formattedErrorResponse, getErrorFormatForEndpoint } from "open-sse/utils/error.js";
+import { HTTP_STATUS } from "open-sse/config/constants.js";
+import * as log from "../utils/logger.js";
+import { checkAndRefreshToken } from "../services/tokenRefresh.js";
+
+// OpenAI caps n at 10
+const MAX_IMAGES = 10;
+
+// Multipart fields of /images/edits besides the image files
+const EDIT_FIELDS = ["model", "prompt", "n", "size", "quality", "background", "output_format", "response_format", "user"];
+
+// Generations take JSON, edits take multipart/form-data with one or more `image` files
+async function readImagesBody(request, action) {
+  if (action === IMAGE_ACTIONS.GENERATION) return await request.json();
+
+  const form = await request.formData();
+  const body = { image: [...form.getAll("image"), ...form.getAll("image[]")].filter(file => typeof file === "object") };
+  const mask = form.get("mask");
+  if (mask && typeof mask === "object") body.mask = mask;
+  for (const field of EDIT_FIELDS) {
+    const value = form.get(field);
+    if (value !== null) body[field] = field === "n" ? Number(value) : value;
+  }
+  return body;
+}
+
+// Base URL clients reach this server at (reverse proxies set the forwarded headers)
+function publicOrigin(request) {
+  const url = new URL(request.url);
+  const host = request.headers.get("x-forwarded-host") || url.host;
+  const proto = request.headers.get("x-forwarded-proto") || url.protocol.replace(":", "");
+  return `${proto}://${host}`;
+}
+
+// Chat request with the converted body, sent through handleChat
+function forwardRequest(request, body) {
+  const headers = new Headers(request.headers);
+  headers.set("Content-Type", "application/json");
+  headers.delete("content-length");
+  return new Request(request.url, { method: "POST", headers, body: JSON.stringify(body) });
+}
+
+/**
+ * Providers with a native images API: credential + fallback loop (mirrors handleEmbeddings)
+ * @returns {Promise<{ images: object[], connectionId: string }|{ response: Response }>}
+ */
+async function generateWithImagesApi(action, body, provider, model) {
+  let excludeConnectionId = null;
+  let lastError = null;
+  let lastStatus = null;
+
+  while (true) {
+    const credentials = await getProviderCredentials(provider, excludeConnectionId, model);
+
+    // All accounts unavailable
+    if (!credentials || credentials.allRateLimited) {
+      if (credentials?.allRateLimited) {
+        const errorMsg = lastError || credentials.lastError || "Unavailable";
+        const status = lastStatus || Number(credentials.lastErrorCode) || HTTP_STATUS.SERVICE_UNAVAILABLE;
+        log.warn("IMAGES", `[${provider}/${model}] ${errorMsg} (${credentials.retryAfterHuman})`);
+        return { response: unavailableResponse(status, `[${provider}/${model}] ${errorMsg}`, credentials.retryAfter, credentials.retryAfterHuman) };
+      }
+      if (!excludeConnectionId) {
+        log.error("AUTH", `No credentials for provider: ${provider}`);
+        return { response: errorResponse(HTTP_STATUS.BAD_REQUEST, `No credentials for provider: ${provider}`) };
+      }
+      log.warn("IMAGES", "No more accounts available", { provider });
+      return { response: errorResponse(lastStatus || HTTP_STATUS.SERVICE_UNAVAILABLE, lastError || "All accounts unavailable") };
+    }
+
+    const accountId = credentials.connectionId.slice(0, 8);
+    log.info("AUTH", `Using ${provider} account: ${accountId}...`);
+
+    const refreshedCredentials = await checkAndRefreshToken(provider, credentials);
+
+    const result = await handleImagesCore({
+      action,
+      body,
+      modelInfo: { provider, model },
+      credentials: refreshedCredentials,
+      log,
+      onRequestSuccess: async () => {
+        await clearAccountError(credentials.connectionId, credentials, model);
+      }
+    });
+
+    if (result.success) return { images: result.images, connectionId: credentials.connectionId };
+
+    const { shouldFallback } = await markAccountUnavailable(credentials.connectionId, result.status, result.error, provider, model);
+
+    if (shouldFallback) {
+      log.warn("AUTH", `Account ${accountId}... unavailable (${result.status}), trying fallback`);
+      excludeConnectionId = credentials.connectionId;
+      lastError = result.error;
+      lastStatus = result.status;
+      continue;
+    }
+
+    return { response: result.response };
+  }
+}
+
+/**
+ * Other providers: one image-output chat completion per requested image, through handleChat
+ * (which records the token usage of each call)
+ * @returns {Promise<{ images: object[] }|{ response: Response }>}
+ */
+async function generateWithChat(request, body, modelStr, count) {
+  const inputImages = await Promise.all((body.image || []).map(async (file) => {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    return { mimeType: sniffImageMime(bytes) || file.type || "image/png", data: Buffer.from(bytes).toString("base64") };
+  }));
+  const chatBody = imageRequestToChat({ ...body, model: modelStr }, inputImages);
+
+  const images = [];
+  for (let i = 0; i < count; i++) {
+    const response = await handleChat(forwardRequest(request, chatBody));
+    if (!response.ok) {
+      // Keep what was already generated
+      if (images.length > 0) break;
+      return { response };
+    }
+    images.push(...extractChatImages(await response.json()));
+  }
+
+  if (images.length === 0) {
+    log.warn("IMAGES", `${modelStr} returned no image`);
+    return { response: errorResponse(HTTP_STATUS.BAD_GATEWAY, `Model ${modelStr} returned no image`) };
+  }
+  return { images: images.slice(0, count) };
+}
+
+/**
+ * Generate with one provider/model string and answer in the OpenAI images format
+ * @returns {Promise<Response>}
+ */
+async function generateWithModel(request, body, modelStr, action, apiKey, budgets = null) {
+  const modelInfo = await getModelInfo(modelStr);
+  if (!modelInfo.provider) {
+    log.warn("IMAGES", "Invalid model format", { model: modelStr });
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid model format");
+  }
+
+  const { provider, model } = modelInfo;
+  if (modelStr !== `${provider}/${model}`) {
+    log.info("ROUTING", `${modelStr} → ${provider}/${model}`);
+  } else {
+    log.info("ROUTING", `Provider: ${provider}, Model: ${model}`);
+  }
+
+  // Chat-backed generation is budget-checked by handleChat itself
+  if (hasImagesApi(provider)) {
+    const budgetResponse = await guardBudgets(budgets, { provider, model, endpoint: new URL(request.url).pathname });
+    if (budgetResponse) return budgetResponse;
+  }
+
+  const count = Math.min(Math.max(Number(body.n) || 1, 1), MAX_IMAGES);
+  const result = hasImagesApi(provider)
+    ? await generateWithImagesApi(action, { ...body, n: count }, provider, model)
+    : await generateWithChat(request, body, modelStr, count);
+  if (result.response) return result.response;
+
+  saveRequestUsage({
+    provider,
+    model,
+    tokens: { images: result.images.length },
+    connectionId: result.connectionId,
+    apiKey: apiKey || undefined,
+    endpoint: new URL(request.url).pathname
+  }).catch(() => {});
+
+  const origin = publicOrigin(request);
+  const payload = await toImagesResponse(result.images, {
+    responseFormat: body.response_format,
+    storeImage: async (bytes, mimeType) => `${origin}/v1/images/files/${await saveImage(bytes, mimeType)}`
+  });
+  return new Response(JSON.stringify(payload), {
+    headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+  });
+}
+
+/**
+ * Handle /v1/images/generations and /v1/images/edits for the SSE/Next.js server.
+ * Model strings go through the usual alias / combo resolution.
+ *
+ * @param {Request} request
+ * @param {string} action - One of IMAGE_ACTIONS
+ */
+export async function handleImages(request, action) {
+  let body;
+  try {
+    body = await readImagesBody(request, action);
+  } catch {
+    const expected = action === IMAGE_ACTIONS.GENERATION ? "JSON" : "multipart/form-data";
+    log.warn("IMAGES", `Invalid ${expected} body`);
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, `Invalid ${expected} body`);
+  }
+
+  const url = new URL(request.url);
+  const modelStr = body.model;
+
+  log.request("POST", `${url.pathname} | ${modelStr}`);
+
+  // Log API key (masked)
+  const apiKey = extractApiKey(request);
+  if (apiKey) {
+    log.debug("AUTH", `API Key: ${log.maskKey(apiKey)}`);
+  } else {
+    log.debug("AUTH", "No API key provided (local mode)");
+  }
+
+  // Enforce per-key scopes (expiry, endpoints, model allowlist)
+  const scopeError = await checkApiKeyScopes(apiKey, { model: modelStr, endpoint: url.pathname });
+  if (scopeError) {
+    log.warn("AUTH", `API key denied: ${scopeError}`);
+    return formattedErrorResponse(HTTP_STATUS.FORBIDDEN, scopeError, getErrorFormatForEndpoint(url.pathname));
+  }
+
+  // Enforce API key if enabled in settings
+  const settings = await getSettings();
+  if (settings.requireApiKey) {
+    if (!apiKey) {
+      log.warn("AUTH", "Missing API key (requireApiKey=true)");
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Missing API key");
+    }
+    const valid = await isValidApiKey(apiKey);
+    if (!valid) {
+      log.warn("AUTH", "Invalid API key (requireApiKey=true)");
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Invalid API key");
+    }
+  }
+
+  if (!modelStr) {
+    log.warn("IMAGES", "Missing model");
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Missing model");
+  }
+
+  if (!body.prompt) {
+    log.warn("IMAGES", "Missing prompt");
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Missing required field: prompt");
+  }
+
+  if (action === IMAGE_ACTIONS.EDIT && !body.image?.length) {
+    log.warn("IMAGES", "Missing image");
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Missing required field: image");
+  }
+
+  // Spending budgets, as for chat; per-model budgets are checked once the model is resolved
+  const budgets = await getRequestBudgets(apiKey);
+  const budgetResponse = await guardBudgets(budgets, { endpoint: url.pathname });
+  if (budgetResponse) return budgetResponse;
+
+  const combo = await getCombo(modelStr);
+  if (!combo) return generateWithModel(request, body, modelStr, action, apiKey, budgets);
+
+  const strategy = combo.strategy || COMBO_STRATEGIES.PRIORITY;
+  const route = resolveComboRoute(combo, { body, sourceFormat: null, userAgent: request.headers.get("user-agent") || "" });
+  log.info("IMAGES", `Combo "${combo.name}" with ${route.models.length} models (${strategy})`);
+  return handleComboChat({
+    body,
+    models: route.models,
+    strategy,
+    weights: combo.weights,
+    getModelCost: getComboModelCost,
+    handleSingleModel: (b, m) => generateWithModel(request, b, m, action, apiKey, budgets),
+    log
+  });
+}
@@ -0,0 +1,96 @@
+import { extractApiKey } from "../services/auth.js";
+import { getProviderConnections } from "@/lib/localDb";
+import { getPendingRequests } from "@/lib/usageDb.js";
+import { renderMetrics } from "open-sse/services/metrics.js";
+import { getCircuitBreakers, getCircuitKey, CIRCUIT_STATES, CIRCUIT_ALL_MODELS } from "open-sse/services/circuitBreaker.js";
+import { getQueuedRequests } from "open-sse/services/requestQueue.js";
+import { errorResponse } from "open-sse/utils/error.js";
+import { HTTP_STATUS } from "open-sse/config/constants.js";
+
+const MODEL_KEY_REGEX = /^(.*) \(([^()]+)\)$/;
+const LOCK_PREFIX = "modelLock_";
+
+/**
+ * In-flight requests from trackPendingRequest ("model (provider)" keys per account)
+ */
+function collectInFlight() {
+  const inFlight = [];
+  for (const [connection, models] of Object.entries(getPendingRequests())) {
+    for (const [modelKey, count] of Object.entries(models)) {
+      if (!count) continue;
+      const match = modelKey.match(MODEL_KEY_REGEX);
+      inFlight.push({
+        provider: match ? match[2] : "",
+        model: match ? match[1] : modelKey,
+        connection,
+        count
+      });
+    }
+  }
+  return inFlight;
+}
+
+/**
+ * Cooling-down accounts: open circuit breakers plus unexpired modelLock_* fields saved before a
+ * restart that no request has restored yet
+ */
+async function collectCooldowns() {
+  const now = Date.now();
+  const connections = await getProviderConnections();
+  const providerById = new Map(connections.map(c => [c.id, c.provider]));
+  const cooldowns = [];
+  const breakers = getCircuitBreakers();
+  const tracked = new Set(breakers.map(b => getCircuitKey(b.connectionId, b.model)));
+
+  for (const breaker of breakers) {
+    if (breaker.state !== CIRCUIT_STATES.OPEN || !breaker.openUntil) continue;
+    const seconds = (new Date(breaker.openUntil).getTime() - now) / 1000;
+    if (seconds <= 0) continue;
+    cooldowns.push({
+      provider: providerById.get(breaker.connectionId) || "unknown",
+      connection: breaker.connectionId,
+      model: breaker.model === CIRCUIT_ALL_MODELS ? "" : breaker.model,
+      seconds
+    });
+  }
+
+  for (const conn of connections) {
+    for (const [key, until] of Object.entries(conn)) {
+      if (!key.startsWith(LOCK_PREFIX) || !until) continue;
+      const model = key.slice(LOCK_PREFIX.length);
+      if (tracked.has(getCircuitKey(conn.id, model))) continue;
+      const seconds = (new Date(until).getTime() - now) / 1000;
+      if (!(seconds > 0)) continue;
+      cooldowns.push({ provider: conn.provider, connection: conn.id, model: model === CIRCUIT_ALL_MODELS ? "" : model, seconds });
+    }
+  }
+
+  return cooldowns;
+}
+
+/**
+ * Handle GET /metrics (Prometheus text format). Open by default like the rest of the
+ * local API; when METRICS_API_KEY is set the scraper must send it as a Bearer token
+ * or x-api-key.
+ *
+ * @param {Request} request
+ */
+export async function handleMetrics(request) {
+  const requiredKey = process.env.METRICS_API_KEY;
+  if (requiredKey && extractApiKey(request) !== requiredKey) {
+    return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Invalid metrics API key");
+  }
+
+  const body = renderMetrics({
+    inFlight: collectInFlight(),
+    queued: getQueuedRequests().length,
+    cooldowns: await collectCooldowns()
+  });
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+      "Cache-Control": "no-store"
+    }
+  });
+}
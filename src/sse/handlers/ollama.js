@@ -0,0 +1,174 @@
+import { handleChat } from "./chat.js";
+import { handleEmbeddings } from "./embeddings.js";
+import { getModelInfo, listAvailableModels } from "../services/model.js";
+import { getActiveRequests } from "@/lib/usageDb";
+import { getProviderAlias } from "@/shared/constants/providers";
+import {
+  ollamaChatToOpenAI,
+  ollamaGenerateToOpenAI,
+  transformToOllama,
+  openAIEmbeddingsToOllama,
+  toOllamaModel,
+  OLLAMA_MODES,
+} from "open-sse/utils/ollamaTransform.js";
+import { getModelFamily } from "open-sse/services/tokenCounter.js";
+import { formattedErrorResponse, ERROR_FORMATS } from "open-sse/utils/error.js";
+import { HTTP_STATUS } from "open-sse/config/constants.js";
+import * as log from "../utils/logger.js";
+
+// Ollama keeps a model loaded this long after its last request; /api/ps mirrors it
+const KEEP_ALIVE_MS = 5 * 60 * 1000;
+
+const JSON_HEADERS = { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" };
+
+function ollamaError(status, message) {
+  return formattedErrorResponse(status, message, ERROR_FORMATS.OLLAMA);
+}
+
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+// Re-shape an OpenAI-style error from handleChat / handleEmbeddings as { error: "..." }
+async function toOllamaError(response) {
+  let message = response.statusText || "Request failed";
+  try {
+    const body = await response.json();
+    message = body?.error?.message || (typeof body?.error === "string" ? body.error : message);
+  } catch {
+    // Keep status text
+  }
+  return ollamaError(response.status, message);
+}
+
+// Request forwarded to an OpenAI handler with a converted body
+function forwardRequest(request, body) {
+  return new Request(request.url, {
+    method: "POST",
+    headers: request.headers,
+    body: JSON.stringify(body)
+  });
+}
+
+// Family shown in model details: tokenizer family when known, provider otherwise
+function modelFamily(model, fallback) {
+  const family = getModelFamily(model).name;
+  return family === "default" ? fallback : family;
+}
+
+/**
+ * POST /api/chat and /api/generate — Ollama chat and completion on top of handleChat.
+ * Streams JSON lines unless the body has stream:false.
+ * @param {Request} request
+ * @param {string} mode - One of OLLAMA_MODES
+ */
+export async function handleOllamaChat(request, mode = OLLAMA_MODES.CHAT) {
+  const body = await readJson(request);
+  if (!body) return ollamaError(HTTP_STATUS.BAD_REQUEST, "Invalid JSON body");
+  if (!body.model) return ollamaError(HTTP_STATUS.BAD_REQUEST, "model is required");
+
+  // An empty request only loads the model in Ollama: nothing to load for remote models
+  const isLoadOnly = mode === OLLAMA_MODES.GENERATE
+    ? !body.prompt && !body.images?.length
+    : !body.messages?.length;
+  if (isLoadOnly) {
+    const done = { model: body.model, created_at: new Date().toISOString(), done: true, done_reason: "load" };
+    return new Response(JSON.stringify(mode === OLLAMA_MODES.GENERATE ? { ...done, response: "" } : { ...done, message: { role: "assistant", content: "" } }), { headers: JSON_HEADERS });
+  }
+
+  const openaiBody = mode === OLLAMA_MODES.GENERATE ? ollamaGenerateToOpenAI(body) : ollamaChatToOpenAI(body);
+  const response = await handleChat(forwardRequest(request, openaiBody));
+  if (!response.ok) return toOllamaError(response);
+  return transformToOllama(response, body.model, mode);
+}
+
+/**
+ * POST /api/embed — Ollama embeddings on top of handleEmbeddings
+ * @param {Request} request
+ */
+export async function handleOllamaEmbed(request) {
+  const startedAt = Date.now();
+  const body = await readJson(request);
+  if (!body) return ollamaError(HTTP_STATUS.BAD_REQUEST, "Invalid JSON body");
+  if (!body.model) return ollamaError(HTTP_STATUS.BAD_REQUEST, "model is required");
+  if (body.input === undefined || body.input === "") return ollamaError(HTTP_STATUS.BAD_REQUEST, "input is required");
+
+  const response = await handleEmbeddings(forwardRequest(request, { model: body.model, input: body.input }));
+  if (!response.ok) return toOllamaError(response);
+  return new Response(JSON.stringify(openAIEmbeddingsToOllama(await response.json(), body.model, startedAt)), { headers: JSON_HEADERS });
+}
+
+/**
+ * GET /api/tags — the models this install can serve, in Ollama format
+ */
+export async function handleOllamaTags() {
+  const models = (await listAvailableModels({ includeAliases: true })).map(model =>
+    toOllamaModel(model.id, { family: modelFamily(model.root, model.owner) })
+  );
+  return new Response(JSON.stringify({ models }), { headers: JSON_HEADERS });
+}
+
+/**
+ * POST /api/show — details and capabilities of one model
+ * @param {Request} request
+ */
+export async function handleOllamaShow(request) {
+  const body = await readJson(request);
+  const name = body?.model || body?.name;
+  if (!name) return ollamaError(HTTP_STATUS.BAD_REQUEST, "model is required");
+
+  const listed = (await listAvailableModels({ includeAliases: true })).find(model => model.id === name);
+  const modelInfo = await getModelInfo(name);
+  if (!listed && !(name.includes("/") && modelInfo.provider)) {
+    log.warn("OLLAMA", `show: unknown model ${name}`);
+    return ollamaError(HTTP_STATUS.NOT_FOUND, `model '${name}' not found`);
+  }
+
+  const model = modelInfo.model || listed?.root || name;
+  const family = modelFamily(model, listed?.owner || modelInfo.provider || "");
+  const capabilities = /embed/i.test(model)
+    ? ["embedding"]
+    : ["completion", "tools", ...(["claude", "gemini", "openai"].includes(family) ? ["vision"] : [])];
+  const { details, modified_at } = toOllamaModel(name, { family });
+
+  return new Response(JSON.stringify({
+    license: "",
+    modelfile: `# Served by 9Router\nFROM ${name}\n`,
+    parameters: "",
+    template: "{{ .Prompt }}",
+    details,
+    model_info: { "general.architecture": family, "general.basename": model },
+    capabilities,
+    modified_at
+  }), { headers: JSON_HEADERS });
+}
+
+/**
+ * GET /api/ps — models with requests in flight or used within the keep-alive window
+ */
+export async function handleOllamaPs() {
+  const { activeRequests, recentRequests } = await getActiveRequests();
+  const now = Date.now();
+  const lastUsed = new Map();
+
+  const nameOf = (model, provider) => (provider ? `${getProviderAlias(provider) || provider}/${model}` : model);
+  for (const request of activeRequests) {
+    if (!request.queued) lastUsed.set(nameOf(request.model, request.provider), now);
+  }
+  for (const request of recentRequests) {
+    const time = new Date(request.timestamp).getTime();
+    const name = nameOf(request.model, request.provider);
+    if (now - time < KEEP_ALIVE_MS && !lastUsed.has(name)) lastUsed.set(name, time);
+  }
+
+  const models = [...lastUsed.entries()].map(([name, time]) => ({
+    ...toOllamaModel(name, { family: modelFamily(name, "") }),
+    expires_at: new Date(time + KEEP_ALIVE_MS).toISOString(),
+    size_vram: 0
+  }));
+  return new Response(JSON.stringify({ models }), { headers: JSON_HEADERS });
+}
@@ -0,0 +1,200 @@
+import {
+  getProviderCredentials,
+  markAccountUnavailable,
+  clearAccountError,
+  extractApiKey,
+  isValidApiKey,
+  checkApiKeyScopes,
+} from "../services/auth.js";
+import { getSettings } from "@/lib/localDb";
+import { getModelInfo, getCombo, getComboModelCost } from "../services/model.js";
+import { getRequestBudgets, guardBudgets } from "../services/budget.js";
+import { handleRerankCore, toRerankResponse } from "open-sse/handlers/rerankCore.js";
+import { handleComboChat, COMBO_STRATEGIES } from "open-sse/services/combo.js";
+import { resolveComboRoute } from "open-sse/services/comboRules.js";
+import { errorResponse, unavailableResponse, formattedErrorResponse, getErrorFormatForEndpoint } from "open-sse/utils/error.js";
+import { HTTP_STATUS } from "open-sse/config/constants.js";
+import * as log from "../utils/logger.js";
+import { updateProviderCredentials, checkAndRefreshToken } from "../services/tokenRefresh.js";
+
+/**
+ * Rerank with one provider/model string: credential + fallback loop (mirrors handleEmbeddings)
+ * @returns {Promise<Response>}
+ */
+async function rerankWithModel(body, modelStr, format, budgets = null, endpoint = "") {
+  const modelInfo = await getModelInfo(modelStr);
+  if (!modelInfo.provider) {
+    log.warn("RERANK", "Invalid model format", { model: modelStr });
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid model format");
+  }
+
+  const { provider, model } = modelInfo;
+  if (modelStr !== `${provider}/${model}`) {
+    log.info("ROUTING", `${modelStr} → ${provider}/${model}`);
+  } else {
+    log.info("ROUTING", `Provider: ${provider}, Model: ${model}`);
+  }
+
+  const budgetResponse = await guardBudgets(budgets, { provider, model, endpoint });
+  if (budgetResponse) return budgetResponse;
+
+  let excludeConnectionId = null;
+  let lastError = null;
+  let lastStatus = null;
+
+  while (true) {
+    const credentials = await getProviderCredentials(provider, excludeConnectionId, model);
+
+    // All accounts unavailable
+    if (!credentials || credentials.allRateLimited) {
+      if (credentials?.allRateLimited) {
+        const errorMsg = lastError || credentials.lastError || "Unavailable";
+        const status = lastStatus || Number(credentials.lastErrorCode) || HTTP_STATUS.SERVICE_UNAVAILABLE;
+        log.warn("RERANK", `[${provider}/${model}] ${errorMsg} (${credentials.retryAfterHuman})`);
+        return unavailableResponse(status, `[${provider}/${model}] ${errorMsg}`, credentials.retryAfter, credentials.retryAfterHuman);
+      }
+      if (!excludeConnectionId) {
+        log.error("AUTH", `No credentials for provider: ${provider}`);
+        return errorResponse(HTTP_STATUS.BAD_REQUEST, `No credentials for provider: ${provider}`);
+      }
+      log.warn("RERANK", "No more accounts available", { provider });
+      return errorResponse(lastStatus || HTTP_STATUS.SERVICE_UNAVAILABLE, lastError || "All accounts unavailable");
+    }
+
+    const accountId = credentials.connectionId.slice(0, 8);
+    log.info("AUTH", `Using ${provider} account: ${accountId}...`);
+
+    const refreshedCredentials = await checkAndRefreshToken(provider, credentials);
+
+    const result = await handleRerankCore({
+      body,
+      modelInfo: { provider, model },
+      credentials: refreshedCredentials,
+      log,
+      onCredentialsRefreshed: async (newCreds) => {
+        await updateProviderCredentials(credentials.connectionId, {
+          accessToken: newCreds.accessToken,
+          refreshToken: newCreds.refreshToken,
+          providerSpecificData: newCreds.providerSpecificData,
+          testStatus: "active"
+        });
+      },
+      onRequestSuccess: async () => {
+        await clearAccountError(credentials.connectionId, credentials, model);
+      }
+    });
+
+    if (result.success) {
+      const payload = toRerankResponse(result.results, {
+        format,
+        model: modelStr,
+        documents: body.documents,
+        topN: Number(body.top_n) || 0,
+        returnDocuments: body.return_documents,
+        usage: result.usage
+      });
+      return new Response(JSON.stringify(payload), {
+        headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+      });
+    }
+
+    const { shouldFallback } = await markAccountUnavailable(credentials.connectionId, result.status, result.error, provider, model);
+
+    if (shouldFallback) {
+      log.warn("AUTH", `Account ${accountId}... unavailable (${result.status}), trying fallback`);
+      excludeConnectionId = credentials.connectionId;
+      lastError = result.error;
+      lastStatus = result.status;
+      continue;
+    }
+
+    return result.response;
+  }
+}
+
+/**
+ * Handle /v1/rerank (Jina / Cohere v1) and /v2/rerank (Cohere v2) for the SSE/Next.js server.
+ * Model strings go through the usual alias / combo resolution.
+ *
+ * @param {Request} request
+ * @param {string} format - One of RERANK_FORMATS
+ */
+export async function handleRerank(request, format) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    log.warn("RERANK", "Invalid JSON body");
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid JSON body");
+  }
+
+  const url = new URL(request.url);
+  const modelStr = body.model;
+
+  log.request("POST", `${url.pathname} | ${modelStr}`);
+
+  // Log API key (masked)
+  const apiKey = extractApiKey(request);
+  if (apiKey) {
+    log.debug("AUTH", `API Key: ${log.maskKey(apiKey)}`);
+  } else {
+    log.debug("AUTH", "No API key provided (local mode)");
+  }
+
+  // Enforce per-key scopes (expiry, endpoints, model allowlist)
+  const scopeError = await checkApiKeyScopes(apiKey, { model: modelStr, endpoint: url.pathname });
+  if (scopeError) {
+    log.warn("AUTH", `API key denied: ${scopeError}`);
+    return formattedErrorResponse(HTTP_STATUS.FORBIDDEN, scopeError, getErrorFormatForEndpoint(url.pathname));
+  }
+
+  // Enforce API key if enabled in settings
+  const settings = await getSettings();
+  if (settings.requireApiKey) {
+    if (!apiKey) {
+      log.warn("AUTH", "Missing API key (requireApiKey=true)");
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Missing API key");
+    }
+    const valid = await isValidApiKey(apiKey);
+    if (!valid) {
+      log.warn("AUTH", "Invalid API key (requireApiKey=true)");
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Invalid API key");
+    }
+  }
+
+  if (!modelStr) {
+    log.warn("RERANK", "Missing model");
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Missing model");
+  }
+
+  if (!body.query) {
+    log.warn("RERANK", "Missing query");
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Missing required field: query");
+  }
+
+  if (!Array.isArray(body.documents) || body.documents.length === 0) {
+    log.warn("RERANK", "Missing documents");
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Missing required field: documents");
+  }
+
+  // Spending budgets, as for chat; per-model budgets are checked once the model is resolved
+  const budgets = await getRequestBudgets(apiKey);
+  const budgetResponse = await guardBudgets(budgets, { endpoint: url.pathname });
+  if (budgetResponse) return budgetResponse;
+
+  const combo = await getCombo(modelStr);
+  if (!combo) return rerankWithModel(body, modelStr, format, budgets, url.pathname);
+
+  const strategy = combo.strategy || COMBO_STRATEGIES.PRIORITY;
+  const route = resolveComboRoute(combo, { body, sourceFormat: null, userAgent: request.headers.get("user-agent") || "" });
+  log.info("RERANK", `Combo "${combo.name}" with ${route.models.length} models (${strategy})`);
+  return handleComboChat({
+    body,
+    models: route.models,
+    strategy,
+    weights: combo.weights,
+    getModelCost: getComboModelCost,
+    handleSingleModel: (b, m) => rerankWithModel(b, m, format, budgets, url.pathname),
+    log
+  });
+}
@@ -0,0 +1,195 @@
+import {
+  extractApiKey,
+  isValidApiKey,
+  checkApiKeyScopes,
+} from "../services/auth.js";
+import { handleChat } from "./chat.js";
+import { getSettings } from "@/lib/localDb";
+import { saveResponse, getResponse, getResponseChain, deleteResponse } from "@/lib/responsesDb";
+import { buildResponsesHistory, normalizeResponsesInput } from "open-sse/translator/helpers/responsesApiHelper.js";
+import { createResponsesStreamCollector } from "open-sse/transformer/streamToJsonConverter.js";
+import { errorResponse, formattedErrorResponse, getErrorFormatForEndpoint } from "open-sse/utils/error.js";
+import { HTTP_STATUS } from "open-sse/config/constants.js";
+import * as log from "../utils/logger.js";
+
+const JSON_HEADERS = { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" };
+
+// /input_items page size bounds (same as OpenAI)
+const DEFAULT_ITEMS_LIMIT = 20;
+const MAX_ITEMS_LIMIT = 100;
+
+/**
+ * API key scopes + requireApiKey, for requests that read the response store
+ * @returns {Promise<Response|null>} Error response, or null when allowed
+ */
+async function authorize(request, apiKey, model) {
+  const url = new URL(request.url);
+  const scopeError = await checkApiKeyScopes(apiKey, { model, endpoint: url.pathname });
+  if (scopeError) {
+    log.warn("AUTH", `API key denied: ${scopeError}`);
+    return formattedErrorResponse(HTTP_STATUS.FORBIDDEN, scopeError, getErrorFormatForEndpoint(url.pathname));
+  }
+
+  const settings = await getSettings();
+  if (settings.requireApiKey) {
+    if (!apiKey) {
+      log.warn("AUTH", "Missing API key (requireApiKey=true)");
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Missing API key");
+    }
+    const valid = await isValidApiKey(apiKey);
+    if (!valid) {
+      log.warn("AUTH", "Invalid API key (requireApiKey=true)");
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Invalid API key");
+    }
+  }
+  return null;
+}
+
+function notFound(id) {
+  return errorResponse(HTTP_STATUS.NOT_FOUND, `Response with id '${id}' not found.`);
+}
+
+// Chat request with the expanded body, sent through handleChat
+function forwardRequest(request, body) {
+  const headers = new Headers(request.headers);
+  headers.set("Content-Type", "application/json");
+  headers.delete("content-length");
+  return new Request(request.url, { method: "POST", headers, body: JSON.stringify(body), signal: request.signal });
+}
+
+// Store the finished response: streams are recorded once fully read by the client
+function recordResponse(response, save) {
+  const headers = new Headers(response.headers);
+  headers.delete("content-length");
+
+  if ((headers.get("content-type") || "").includes("text/event-stream")) {
+    const collector = createResponsesStreamCollector();
+    const decoder = new TextDecoder();
+    const capture = new TransformStream({
+      transform(chunk, controller) {
+        collector.push(decoder.decode(chunk, { stream: true }));
+        controller.enqueue(chunk);
+      },
+      flush() {
+        const result = collector.finish();
+        if (result.status === "completed") save(result);
+      }
+    });
+    return new Response(response.body.pipeThrough(capture), { status: response.status, headers });
+  }
+
+  return response.text().then((text) => {
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* not a Responses API object */ }
+    if (json?.object === "response" && json.status !== "failed") save(json);
+    return new Response(text, { status: response.status, headers });
+  });
+}
+
+/**
+ * POST /v1/responses: expands previous_response_id from the local response store,
+ * runs the request through handleChat and stores the result unless `store: false`.
+ * @param {Request} request
+ */
+export async function handleResponses(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    log.warn("RESPONSES", "Invalid JSON body");
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid JSON body");
+  }
+
+  const apiKey = extractApiKey(request);
+  const previousResponseId = body.previous_response_id || null;
+  const ownInput = normalizeResponsesInput(body.input) || [];
+  const forwardBody = { ...body };
+  delete forwardBody.previous_response_id;
+
+  if (previousResponseId) {
+    const authError = await authorize(request, apiKey, body.model);
+    if (authError) return authError;
+
+    const chain = await getResponseChain(previousResponseId, apiKey);
+    if (!chain) {
+      log.warn("RESPONSES", `Unknown previous_response_id: ${previousResponseId}`);
+      return errorResponse(HTTP_STATUS.NOT_FOUND, `Previous response with id '${previousResponseId}' not found.`);
+    }
+    forwardBody.input = buildResponsesHistory(chain, body.input);
+    log.debug("RESPONSES", `Continuing ${previousResponseId} (${chain.length} turns, ${forwardBody.input.length} items)`);
+  }
+
+  const response = await handleChat(forwardRequest(request, forwardBody));
+  if (body.store === false || !response.ok || !response.body) return response;
+
+  return recordResponse(response, (result) => {
+    saveResponse({
+      response: { ...result, model: result.model || body.model, previous_response_id: previousResponseId },
+      input: ownInput,
+      model: body.model,
+      previousResponseId,
+      apiKey
+    }).catch((error) => {
+      log.warn("RESPONSES", `Failed to store response ${result.id}: ${error.message}`);
+    });
+  });
+}
+
+/**
+ * GET /v1/responses/{id}
+ * @param {Request} request
+ * @param {string} id
+ */
+export async function handleGetResponse(request, id) {
+  const apiKey = extractApiKey(request);
+  const authError = await authorize(request, apiKey);
+  if (authError) return authError;
+
+  const entry = await getResponse(id, apiKey);
+  if (!entry) return notFound(id);
+  return new Response(JSON.stringify(entry.response), { headers: JSON_HEADERS });
+}
+
+/**
+ * DELETE /v1/responses/{id}
+ * @param {Request} request
+ * @param {string} id
+ */
+export async function handleDeleteResponse(request, id) {
+  const apiKey = extractApiKey(request);
+  const authError = await authorize(request, apiKey);
+  if (authError) return authError;
+
+  if (!(await deleteResponse(id, apiKey))) return notFound(id);
+  log.info("RESPONSES", `Deleted response ${id}`);
+  return new Response(JSON.stringify({ id, object: "response", deleted: true }), { headers: JSON_HEADERS });
+}
+
+/**
+ * GET /v1/responses/{id}/input_items - Paginated with limit, order (asc|desc) and after
+ * @param {Request} request
+ * @param {string} id
+ */
+export async function handleListInputItems(request, id) {
+  const apiKey = extractApiKey(request);
+  const authError = await authorize(request, apiKey);
+  if (authError) return authError;
+
+  const entry = await getResponse(id, apiKey);
+  if (!entry) return notFound(id);
+
+  const params = new URL(request.url).searchParams;
+  const limit = Math.min(Math.max(Number(params.get("limit")) || DEFAULT_ITEMS_LIMIT, 1), MAX_ITEMS_LIMIT);
+  const items = params.get("order") === "asc" ? entry.input : [...entry.input].reverse();
+  const after = params.get("after");
+  const start = after ? items.findIndex(item => item.id === after) + 1 : 0;
+  const data = items.slice(start, start + limit);
+
+  return new Response(JSON.stringify({
+    object: "list",
+    data,
+    first_id: data[0]?.id || null,
+    last_id: data[data.length - 1]?.id || null,
+    has_more: start + limit < items.length
+  }), { headers: JSON_HEADERS });
+}
@@ -1,8 +1,118 @@
-import { getProviderConnections, validateApiKey, updateProviderConnection, getSettings } from "@/lib/localDb";
-import { formatRetryAfter, checkFallbackError, isModelLockActive, buildModelLockUpdate, buildClearModelLocksUpdate, getEarliestModelLockUntil } from "open-sse/services/accountFallback.js";
+import { getProviderConnections, getProviderConnectionById, validateApiKey, getApiKeyByKey, updateProviderConnection, getSettings } from "@/lib/localDb";
+import { formatRetryAfter, checkFallbackError } from "open-sse/services/accountFallback.js";
+import {
+  CIRCUIT_STATES,
+  CIRCUIT_ALL_MODELS,
+  isCircuitAvailable,
+  acquireCircuitTrial,
+  getCircuitRetryAt,
+  getCircuitBreakers,
+  recordCircuitSuccess,
+  recordCircuitFailure,
+  restoreCircuitBreaker,
+  setCircuitProber,
+  setCircuitPersister
+} from "open-sse/services/circuitBreaker.js";
+import { handleChatCore } from "open-sse/handlers/chatCore.js";
+import { checkApiKeyAccess } from "open-sse/services/apiKeyPolicy.js";
+import { getApiKeyLimits, acquireApiKeySlot } from "open-sse/services/apiKeyRateLimit.js";
+import { setQuotaFetcher, refreshQuotaSnapshots, rankByQuota, invalidateQuotaSnapshot } from "open-sse/services/quotaCache.js";
+import { getUsageForProvider } from "open-sse/services/usage.js";
+import { checkAndRefreshToken } from "./tokenRefresh.js";
+import { testSingleConnection } from "@/app/api/providers/[id]/test/testUtils.js";
 import { resolveProviderId } from "@/shared/constants/providers.js";
 import * as log from "../utils/logger.js";
 
+// Open breakers are kept on the connection as modelLock_<model> = openUntil so restarts keep them
+const LOCK_PREFIX = "modelLock_";
+const PROBE_TIMEOUT_MS = 15000;
+
+setCircuitPersister((connectionId, model, openUntil) =>
+  updateProviderConnection(connectionId, { [`${LOCK_PREFIX}${model}`]: openUntil })
+);
+
+/**
+ * Re-open breakers saved on a connection before a restart (no-op once they are in memory)
+ */
+function restoreCircuitLocks(connection) {
+  for (const [key, until] of Object.entries(connection)) {
+    if (key.startsWith(LOCK_PREFIX) && until) restoreCircuitBreaker(connection.id, key.slice(LOCK_PREFIX.length), until);
+  }
+}
+
+/**
+ * Re-open every breaker saved before a restart, so the circuit breaker API shows them before
+ * any request has selected those connections
+ */
+export async function restoreCircuitBreakers() {
+  const connections = await getProviderConnections();
+  connections.forEach(restoreCircuitLocks);
+}
+
+/**
+ * Send a one-token request for the model through this connection only.
+ * 400 means the request reached the model past auth, as in the dashboard model test.
+ */
+async function probeModel(connectionId, model) {
+  const connection = await getProviderConnectionById(connectionId);
+  if (!connection) return { ok: false, error: "Connection not found" };
+
+  const credentials = await checkAndRefreshToken(connection.provider, {
+    apiKey: connection.apiKey,
+    accessToken: connection.accessToken,
+    refreshToken: connection.refreshToken,
+    expiresAt: connection.expiresAt || connection.tokenExpiresAt,
+    projectId: connection.projectId,
+    copilotToken: connection.providerSpecificData?.copilotToken,
+    providerSpecificData: connection.providerSpecificData,
+    connectionId
+  });
+  const result = await handleChatCore({
+    body: { model: `${connection.provider}/${model}`, messages: [{ role: "user", content: "hi" }], max_tokens: 1, stream: false },
+    modelInfo: { provider: connection.provider, model },
+    credentials,
+    log,
+    connectionId,
+    abortSignal: AbortSignal.timeout(PROBE_TIMEOUT_MS)
+  });
+  // Providers that always stream return before the body is read
+  result.response?.body?.cancel().catch(() => {});
+
+  const ok = result.success || result.status === 400;
+  return { ok, error: ok ? null : result.error };
+}
+
+// Half-open model breakers are probed with a request for that model; account-level breakers
+// with the same check as the dashboard "Test" button
+setCircuitProber(async (connectionId, model) => {
+  if (model) {
+    const result = await probeModel(connectionId, model);
+    log.info("CIRCUIT", `${connectionId.slice(0, 8)} probe for ${model}: ${result.ok ? "ok" : result.error}`);
+    return result;
+  }
+  const result = await testSingleConnection(connectionId);
+  const unsupported = result.error === "Provider test not supported";
+  log.info("CIRCUIT", `${connectionId.slice(0, 8)} probe for all: ${result.valid ? "ok" : (unsupported ? "unsupported, allowing trial request" : result.error)}`);
+  return { ok: result.valid, unsupported, error: result.error };
+});
+
+// Quota snapshots for most-remaining-quota come from the same usage APIs as the dashboard
+setQuotaFetcher(async (connection) => {
+  if (connection.authType !== "oauth") return null;
+  const credentials = await checkAndRefreshToken(connection.provider, {
+    accessToken: connection.accessToken,
+    refreshToken: connection.refreshToken,
+    expiresAt: connection.expiresAt || connection.tokenExpiresAt,
+    providerSpecificData: connection.providerSpecificData,
+    connectionId: connection.id
+  });
+  return await getUsageForProvider({
+    ...connection,
+    accessToken: credentials.accessToken,
+    providerSpecificData: credentials.providerSpecificData
+  });
+});
+
 // Mutex to prevent race conditions during account selection
 let selectionMutex = Promise.resolve();
 
@@ -33,31 +143,32 @@ export async function getProviderCredentials(provider, excludeConnectionId = nul
       return null;
     }
 
-    // Filter out model-locked and excluded connections
+    connections.forEach(restoreCircuitLocks);
+
+    // Filter out circuit-broken and excluded connections
     const availableConnections = connections.filter(c => {
       if (excludeConnectionId && c.id === excludeConnectionId) return false;
-      if (isModelLockActive(c, model)) return false;
+      if (!isCircuitAvailable(c.id, model)) return false;
       return true;
     });
 
     log.debug("AUTH", `${provider} | available: ${availableConnections.length}/${connections.length}`);
     connections.forEach(c => {
       const excluded = excludeConnectionId && c.id === excludeConnectionId;
-      const locked = isModelLockActive(c, model);
-      if (excluded || locked) {
-        const lockUntil = getEarliestModelLockUntil(c);
-        log.debug("AUTH", `  → ${c.id?.slice(0, 8)} | ${excluded ? "excluded" : ""} ${locked ? `modelLocked(${model}) until ${lockUntil}` : ""}`);
+      const retryAt = getCircuitRetryAt(c.id, model);
+      if (excluded || retryAt) {
+        log.debug("AUTH", `  → ${c.id?.slice(0, 8)} | ${excluded ? "excluded" : ""} ${retryAt ? `circuitOpen(${model}) until ${retryAt}` : ""}`);
       }
     });
 
     if (availableConnections.length === 0) {
-      // Find earliest lock expiry across all connections for retry timing
-      const lockedConns = connections.filter(c => isModelLockActive(c, model));
-      const expiries = lockedConns.map(c => getEarliestModelLockUntil(c)).filter(Boolean);
-      const earliest = expiries.sort()[0] || null;
+      // Find earliest breaker retry time across all connections for retry timing
+      const lockedConns = connections.filter(c => getCircuitRetryAt(c.id, model));
+      const expiries = lockedConns.map(c => getCircuitRetryAt(c.id, model)).sort();
+      const earliest = expiries[0] || null;
       if (earliest) {
-        const earliestConn = lockedConns[0];
-        log.warn("AUTH", `${provider} | all ${connections.length} accounts locked for ${model || "all"} (${formatRetryAfter(earliest)}) | lastError=${earliestConn?.lastError?.slice(0, 50)}`);
+        const earliestConn = lockedConns.find(c => getCircuitRetryAt(c.id, model) === earliest);
+        log.warn("AUTH", `${provider} | all ${connections.length} accounts circuit-open for ${model || "all"} (${formatRetryAfter(earliest)}) | lastError=${earliestConn?.lastError?.slice(0, 50)}`);
         return {
           allRateLimited: true,
           retryAfter: earliest,
@@ -113,11 +224,35 @@ export async function getProviderCredentials(provider, excludeConnectionId = nul
           consecutiveUseCount: 1
         });
       }
+    } else if (strategy === "most-remaining-quota") {
+      // Snapshots refresh in the background; this request uses what is cached
+      refreshQuotaSnapshots(availableConnections);
+      const { ranked, exhausted } = rankByQuota(availableConnections, model);
+
+      if (ranked.length === 0) {
+        const { connection: first, until } = exhausted[0];
+        const retryAfter = new Date(until).toISOString();
+        log.warn("AUTH", `${provider} | all ${availableConnections.length} accounts out of quota for ${model || "all"} (${formatRetryAfter(retryAfter)})`);
+        return {
+          allRateLimited: true,
+          retryAfter,
+          retryAfterHuman: formatRetryAfter(retryAfter),
+          lastError: first.lastError || "Quota exhausted",
+          lastErrorCode: first.errorCode || 429
+        };
+      }
+      exhausted.forEach(({ connection: c, until }) => {
+        log.debug("AUTH", `  → ${c.id?.slice(0, 8)} | quota exhausted until ${new Date(until).toISOString()}`);
+      });
+      connection = ranked[0];
     } else {
       // Default: fill-first (already sorted by priority in getProviderConnections)
       connection = availableConnections[0];
     }
 
+    // Half-open connection: this request is the trial, keep others off it until it resolves
+    acquireCircuitTrial(connection.id, model);
+
     return {
       apiKey: connection.apiKey,
       accessToken: connection.accessToken,
@@ -129,7 +264,7 @@ export async function getProviderCredentials(provider, excludeConnectionId = nul
       // Include current status for optimization check
       testStatus: connection.testStatus,
       lastError: connection.lastError,
-      // Pass full connection for clearAccountError to read modelLock_* keys
+      // Pass full connection for clearAccountError to read error state
       _connection: connection
     };
   } finally {
@@ -138,8 +273,9 @@ export async function getProviderCredentials(provider, excludeConnectionId = nul
 }
 
 /**
- * Mark account+model as unavailable — locks modelLock_${model} in DB.
- * All errors (429, 401, 5xx, etc.) lock per model, not per account.
+ * Record a failed request for account+model in its circuit breaker.
+ * Auth/quota/rate-limit errors open the breaker immediately; transient errors
+ * open it once the sliding-window error rate crosses the threshold.
  * @param {string} connectionId
  * @param {number} status - HTTP status code from upstream
  * @param {string} errorText
@@ -148,77 +284,60 @@ export async function getProviderCredentials(provider, excludeConnectionId = nul
  * @returns {{ shouldFallback: boolean, cooldownMs: number }}
  */
 export async function markAccountUnavailable(connectionId, status, errorText, provider = null, model = null) {
-  const connections = await getProviderConnections({ provider });
-  const conn = connections.find(c => c.id === connectionId);
-  const backoffLevel = conn?.backoffLevel || 0;
-
-  const { shouldFallback, cooldownMs, newBackoffLevel } = checkFallbackError(status, errorText, backoffLevel);
+  const { shouldFallback } = checkFallbackError(status, errorText);
   if (!shouldFallback) return { shouldFallback: false, cooldownMs: 0 };
 
   const reason = typeof errorText === "string" ? errorText.slice(0, 100) : "Provider error";
-  const lockUpdate = buildModelLockUpdate(model, cooldownMs);
+  const breaker = recordCircuitFailure(connectionId, model, { status, errorText: reason });
+  // Provider says the account is limited - the next quota ranking should not trust the old snapshot
+  if (status === 429) invalidateQuotaSnapshot(connectionId);
 
   await updateProviderConnection(connectionId, {
-    ...lockUpdate,
-    testStatus: "unavailable",
+    ...(breaker.state !== CIRCUIT_STATES.CLOSED && { testStatus: "unavailable" }),
     lastError: reason,
     errorCode: status,
-    lastErrorAt: new Date().toISOString(),
-    backoffLevel: newBackoffLevel ?? backoffLevel
+    lastErrorAt: new Date().toISOString()
   });
 
-  const lockKey = Object.keys(lockUpdate)[0];
-  log.warn("AUTH", `${connectionId.slice(0, 8)} locked ${lockKey} for ${Math.round(cooldownMs / 1000)}s [${status}]`);
+  if (breaker.tripped) {
+    log.warn("CIRCUIT", `${connectionId.slice(0, 8)} opened for ${model || "all"} ${Math.round(breaker.cooldownMs / 1000)}s [${status}]`);
+  }
 
   if (provider && status && reason) {
     console.error(`❌ ${provider} [${status}]: ${reason}`);
   }
 
-  return { shouldFallback: true, cooldownMs };
+  return { shouldFallback: true, cooldownMs: breaker.cooldownMs };
 }
 
 /**
  * Clear account error status on successful request.
- * - Clears modelLock_${model} (the model that just succeeded)
- * - Lazy-cleans any other expired modelLock_* keys
- * - Resets error state only if no active locks remain
+ * - Closes the circuit breaker for the model (and the account-level breaker), which clears
+ *   their modelLock_* fields
+ * - Resets error state only if no other breaker of the connection is still open
+ * - Drops modelLock_* fields whose cooldown has passed
  * @param {string} connectionId
  * @param {object} currentConnection - credentials object (has _connection) or raw connection
  * @param {string|null} model - model that succeeded
  */
 export async function clearAccountError(connectionId, currentConnection, model = null) {
+  recordCircuitSuccess(connectionId, model);
+
   const conn = currentConnection._connection || currentConnection;
   const now = Date.now();
-  const allLockKeys = Object.keys(conn).filter(k => k.startsWith("modelLock_"));
-
-  if (!conn.testStatus && !conn.lastError && allLockKeys.length === 0) return;
-
-  // Keys to clear: current model's lock + all expired locks
-  const keysToClear = allLockKeys.filter(k => {
-    if (model && k === `modelLock_${model}`) return true; // succeeded model
-    if (model && k === "modelLock___all") return true;    // account-level lock
-    const expiry = conn[k];
-    return expiry && new Date(expiry).getTime() <= now;   // expired
-  });
-
-  if (keysToClear.length === 0 && conn.testStatus !== "unavailable" && !conn.lastError) return;
+  const expiredLockKeys = Object.keys(conn).filter(k => k.startsWith(LOCK_PREFIX) && conn[k] && !(new Date(conn[k]).getTime() > now));
+  const hasErrorState = conn.testStatus === "unavailable" || !!conn.lastError;
+  if (!hasErrorState && expiredLockKeys.length === 0) return;
 
-  // Check if any active locks remain after clearing
-  const remainingActiveLocks = allLockKeys.filter(k => {
-    if (keysToClear.includes(k)) return false;
-    const expiry = conn[k];
-    return expiry && new Date(expiry).getTime() > now;
-  });
-
-  const clearObj = Object.fromEntries(keysToClear.map(k => [k, null]));
-
-  // Only reset error state if no active locks remain
-  if (remainingActiveLocks.length === 0) {
+  const stillOpen = getCircuitBreakers({ connectionId }).some(b => b.state !== CIRCUIT_STATES.CLOSED);
+  const clearObj = Object.fromEntries(expiredLockKeys.map(k => [k, null]));
+  if (!stillOpen) {
     Object.assign(clearObj, { testStatus: "active", lastError: null, lastErrorAt: null, backoffLevel: 0 });
   }
+  if (Object.keys(clearObj).length === 0) return;
 
   await updateProviderConnection(connectionId, clearObj);
-  log.info("AUTH", `Account ${connectionId.slice(0, 8)} cleared lock for model=${model || "__all"}`);
+  log.info("CIRCUIT", `Account ${connectionId.slice(0, 8)} closed for model=${model || CIRCUIT_ALL_MODELS}`);
 }
 
 /**
@@ -247,3 +366,28 @@ export async function isValidApiKey(apiKey) {
   if (!apiKey) return false;
   return await validateApiKey(apiKey);
 }
+
+/**
+ * Check a known API key's scopes (model allowlist, endpoints, expiry).
+ * Unknown or missing keys are left to the requireApiKey check.
+ * @param {string|null} apiKey
+ * @param {{ model?: string, endpoint?: string }} request
+ * @returns {Promise<string|null>} Denial reason, or null when allowed
+ */
+export async function checkApiKeyScopes(apiKey, { model, endpoint } = {}) {
+  if (!apiKey) return null;
+  const keyRecord = await getApiKeyByKey(apiKey);
+  return checkApiKeyAccess(keyRecord, { model, endpoint });
+}
+
+/**
+ * Check a known API key's RPM/TPM/concurrency limits and claim a request slot.
+ * @param {string|null} apiKey
+ * @returns {Promise<object|null>} null when the key is unlimited, else { allowed, headers, release?, message? }
+ */
+export async function acquireApiKeyRateLimit(apiKey) {
+  if (!apiKey) return null;
+  const limits = getApiKeyLimits(await getApiKeyByKey(apiKey));
+  if (!limits) return null;
+  return acquireApiKeySlot(apiKey, limits);
+}
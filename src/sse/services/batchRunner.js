@@ -0,0 +1,214 @@
+import { handleChat } from "../handlers/chat.js";
+import { handleEmbeddings } from "../handlers/embeddings.js";
+import {
+  getBatch,
+  updateBatch,
+  listBatches,
+  createFile,
+  readFileContent,
+  appendFileContent,
+} from "@/lib/batchDb";
+import {
+  BATCH_STATUS,
+  BATCH_LINE_ERRORS,
+  createBatchId,
+  parseBatchInput,
+  buildResultLine,
+  buildErrorLine,
+  runWithConcurrency,
+} from "open-sse/services/batch.js";
+import { routeWithQueue } from "open-sse/services/requestQueue.js";
+import { BATCH_CONFIG } from "open-sse/config/constants.js";
+import * as log from "../utils/logger.js";
+
+// Batch lines are routed like requests to this server; handlers only read the path
+const INTERNAL_ORIGIN = "http://localhost";
+
+// Running jobs by batch id, shared across route modules (Next.js bundles each route separately)
+if (!globalThis._batchRunner) {
+  globalThis._batchRunner = { running: new Map(), resumed: false };
+}
+const registry = globalThis._batchRunner;
+
+/**
+ * Run one batch line through the regular handlers with the batch owner's API key, so
+ * scopes, budgets, rate limits and usage apply as for a direct request. While every
+ * account is cooling down (Retry-After), the line waits instead of failing, up to the
+ * batch expiry.
+ * @returns {Promise<{ status: number, body: * }|null>} null when cancelled while waiting
+ */
+async function executeLine(batch, line, signal) {
+  const body = { ...line.body, stream: false };
+  const headers = { "Content-Type": "application/json" };
+  if (batch.apiKey) headers.Authorization = `Bearer ${batch.apiKey}`;
+  if (line.url === "/v1/messages") headers["anthropic-version"] = "2023-06-01";
+
+  const url = `${INTERNAL_ORIGIN}${line.url}`;
+  const clientRawRequest = { endpoint: line.url, body, headers: {}, batchId: batch.id };
+  const route = () => {
+    const request = new Request(url, { method: "POST", headers, body: JSON.stringify(body) });
+    return line.url === "/v1/embeddings" ? handleEmbeddings(request) : handleChat(request, clientRawRequest);
+  };
+
+  const response = await routeWithQueue(route, {
+    maxWaitMs: Math.max(batch.expiresAt - Date.now(), 0),
+    model: body.model,
+    signal
+  });
+  if (signal.aborted && !response.ok) {
+    response.body?.cancel().catch(() => {});
+    return null;
+  }
+
+  const text = await response.text();
+  let parsed = text;
+  try { parsed = JSON.parse(text); } catch { /* keep the raw body */ }
+  return { status: response.status, body: parsed };
+}
+
+// custom_ids already written to the output/error files (resumed batches skip them)
+async function finishedCustomIds(batch) {
+  const ids = new Set();
+  for (const fileId of [batch.outputFileId, batch.errorFileId]) {
+    const content = fileId ? await readFileContent(fileId) : null;
+    for (const raw of (content || "").split("\n")) {
+      if (!raw.trim()) continue;
+      try { ids.add(JSON.parse(raw).custom_id); } catch { /* partial line from a crash */ }
+    }
+  }
+  return ids;
+}
+
+async function ensureResultFiles(batch) {
+  const patch = {};
+  if (!batch.outputFileId) {
+    const file = await createFile({ id: createBatchId("file-"), content: "", filename: `${batch.id}_output.jsonl`, purpose: "batch_output", apiKey: batch.apiKey });
+    patch.outputFileId = file.id;
+  }
+  if (!batch.errorFileId) {
+    const file = await createFile({ id: createBatchId("file-"), content: "", filename: `${batch.id}_error.jsonl`, purpose: "batch_output", apiKey: batch.apiKey });
+    patch.errorFileId = file.id;
+  }
+  return Object.keys(patch).length ? await updateBatch(batch.id, patch) : batch;
+}
+
+async function runBatch(id, signal) {
+  let batch = await getBatch(id);
+  if (!batch) return;
+
+  const { requests } = parseBatchInput(await readFileContent(batch.inputFileId), batch.endpoint);
+  batch = await ensureResultFiles(batch);
+  const finished = await finishedCustomIds(batch);
+  const pending = requests.filter(request => !finished.has(request.custom_id));
+  const counts = { total: requests.length, succeeded: 0, errored: 0, expired: 0, ...batch.counts };
+
+  batch = await updateBatch(id, {
+    status: BATCH_STATUS.IN_PROGRESS,
+    inProgressAt: batch.inProgressAt || Date.now(),
+    counts
+  });
+  log.info("BATCH", `${id} started: ${pending.length}/${requests.length} requests to run`);
+
+  const isExpired = () => Date.now() >= batch.expiresAt;
+
+  await runWithConcurrency(pending, BATCH_CONFIG.concurrency, async (request) => {
+    const result = await executeLine(batch, request, signal);
+    if (!result) return;
+
+    const ok = result.status >= 200 && result.status < 300;
+    const line = buildResultLine(request.custom_id, result.status, result.body);
+    await appendFileContent(ok ? batch.outputFileId : batch.errorFileId, `${JSON.stringify(line)}\n`);
+    finished.add(request.custom_id);
+    if (ok) counts.succeeded++;
+    else counts.errored++;
+    await updateBatch(id, { counts });
+  }, () => signal.aborted || isExpired());
+
+  if (signal.aborted) {
+    await updateBatch(id, { status: BATCH_STATUS.CANCELLED, cancelledAt: Date.now(), counts });
+    log.info("BATCH", `${id} cancelled (${counts.succeeded} succeeded, ${counts.errored} failed)`);
+    return;
+  }
+
+  if (isExpired()) {
+    const unfinished = requests.filter(request => !finished.has(request.custom_id));
+    const lines = unfinished.map(request => JSON.stringify(buildErrorLine(request.custom_id, BATCH_LINE_ERRORS.EXPIRED, "This request could not be executed before the completion window expired.")));
+    if (lines.length) await appendFileContent(batch.errorFileId, `${lines.join("\n")}\n`);
+    counts.expired += unfinished.length;
+    await updateBatch(id, { status: BATCH_STATUS.EXPIRED, expiredAt: Date.now(), counts });
+    log.warn("BATCH", `${id} expired with ${unfinished.length} requests left`);
+    return;
+  }
+
+  await updateBatch(id, { status: BATCH_STATUS.FINALIZING, finalizingAt: Date.now() });
+  await updateBatch(id, { status: BATCH_STATUS.COMPLETED, completedAt: Date.now() });
+  log.info("BATCH", `${id} completed (${counts.succeeded} succeeded, ${counts.errored} failed)`);
+}
+
+/**
+ * Start running a batch in the background (no-op when already running)
+ * @param {string} id
+ */
+export function startBatch(id) {
+  if (registry.running.has(id)) return;
+  const controller = new AbortController();
+  registry.running.set(id, controller);
+
+  runBatch(id, controller.signal)
+    .catch(async (error) => {
+      log.error("BATCH", `${id} failed: ${error.message}`);
+      await updateBatch(id, {
+        status: BATCH_STATUS.FAILED,
+        failedAt: Date.now(),
+        errors: [{ code: "server_error", message: error.message, line: null }]
+      }).catch(() => {});
+    })
+    .finally(() => registry.running.delete(id));
+}
+
+/**
+ * Cancel a batch: requests in flight finish, no new ones start
+ * @param {string} id
+ * @returns {Promise<object|null>} Updated batch record
+ */
+export async function cancelBatch(id) {
+  const batch = await getBatch(id);
+  if (!batch) return null;
+  if (![BATCH_STATUS.VALIDATING, BATCH_STATUS.IN_PROGRESS].includes(batch.status)) return batch;
+
+  const controller = registry.running.get(id);
+  if (!controller) {
+    return await updateBatch(id, { status: BATCH_STATUS.CANCELLED, cancellingAt: Date.now(), cancelledAt: Date.now() });
+  }
+  const updated = await updateBatch(id, { status: BATCH_STATUS.CANCELLING, cancellingAt: Date.now() });
+  controller.abort();
+  return updated;
+}
+
+/**
+ * Whether a batch is being run by this process
+ * @param {string} id
+ */
+export function isBatchRunning(id) {
+  return registry.running.has(id);
+}
+
+/**
+ * Pick up batches left unfinished by a previous process (once per process)
+ */
+export async function resumeBatches() {
+  if (registry.resumed) return;
+  registry.resumed = true;
+
+  const unfinished = await listBatches({
+    statuses: [BATCH_STATUS.VALIDATING, BATCH_STATUS.IN_PROGRESS, BATCH_STATUS.FINALIZING, BATCH_STATUS.CANCELLING]
+  });
+  for (const batch of unfinished) {
+    if (batch.status === BATCH_STATUS.CANCELLING) {
+      await updateBatch(batch.id, { status: BATCH_STATUS.CANCELLED, cancelledAt: Date.now() });
+      continue;
+    }
+    log.info("BATCH", `Resuming ${batch.id}`);
+    startBatch(batch.id);
+  }
+}
@@ -0,0 +1,54 @@
+import { getApiKeyByKey, getPricingForModel } from "@/lib/localDb";
+import { getBudgetStatuses } from "@/lib/usageDb.js";
+import { findExceededBudget, budgetExceededResponse } from "open-sse/services/budget.js";
+import { getErrorFormatForEndpoint } from "open-sse/utils/error.js";
+import * as log from "../utils/logger.js";
+
+/**
+ * Load the budget state of a request once; every check of that request (before routing and
+ * per resolved model) reuses it.
+ * @param {string|null} apiKey
+ * @returns {Promise<{ statuses: Array<object>, apiKeyId: string|null }|null>} null when no budget is exceeded
+ */
+export async function getRequestBudgets(apiKey = null) {
+  const statuses = await getBudgetStatuses();
+  if (!statuses.some(s => s.exceeded)) return null;
+
+  const keyRecord = apiKey ? await getApiKeyByKey(apiKey) : null;
+  return { statuses, apiKeyId: keyRecord?.id || null };
+}
+
+/**
+ * Find an exceeded budget that blocks this request.
+ * Without provider/model only global and key "block" budgets apply; once the model
+ * is resolved, provider budgets and "skipPaid" budgets (priced models) apply too.
+ * @param {object|null} budgets - From getRequestBudgets
+ * @param {{ provider?: string|null, model?: string|null }} [target]
+ * @returns {Promise<object|null>} Exceeded budget status, or null when allowed
+ */
+export async function checkBudgets(budgets, { provider = null, model = null } = {}) {
+  if (!budgets) return null;
+
+  let paid = false;
+  if (provider && model) {
+    const pricing = await getPricingForModel(provider, model);
+    paid = !!pricing && ((pricing.input || 0) + (pricing.output || 0) + (pricing.audio || 0) + (pricing.image || 0)) > 0;
+  }
+
+  return findExceededBudget(budgets.statuses, { apiKeyId: budgets.apiKeyId, provider, paid });
+}
+
+/**
+ * Budget check for an endpoint handler
+ * @param {object|null} budgets - From getRequestBudgets
+ * @param {{ provider?: string|null, model?: string|null, endpoint?: string }} target
+ * @returns {Promise<Response|null>} 429 in the endpoint's error format, or null when allowed
+ */
+export async function guardBudgets(budgets, { provider = null, model = null, endpoint = "" } = {}) {
+  const budget = await checkBudgets(budgets, { provider, model });
+  if (!budget) return null;
+
+  const target = provider ? `[${provider}/${model}] ` : "";
+  log.warn("BUDGET", `${target}blocked by budget "${budget.name || budget.id}" ($${budget.spent.toFixed(2)}/$${budget.limit})`);
+  return budgetExceededResponse(budget, getErrorFormatForEndpoint(endpoint));
+}
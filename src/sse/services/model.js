@@ -1,6 +1,8 @@
 // Re-export from open-sse with localDb integration
-import { getModelAliases, getComboByName, getProviderNodes } from "@/lib/localDb";
+import { getModelAliases, getComboByName, getProviderNodes, getPricingForModel, getProviderConnections, getCombos } from "@/lib/localDb";
 import { parseModel, resolveModelAliasFromMap, getModelInfoCore } from "open-sse/services/model.js";
+import { PROVIDER_MODELS, PROVIDER_ID_TO_ALIAS } from "@/shared/constants/models";
+import { getProviderAlias } from "@/shared/constants/providers";
 
 export { parseModel };
 
@@ -58,12 +60,122 @@ export async function getModelInfo(modelStr) {
  * @returns {Promise<string[]|null>} Array of models or null if not a combo
  */
 export async function getComboModels(modelStr) {
+  const combo = await getCombo(modelStr);
+  return combo ? combo.models : null;
+}
+
+/**
+ * Get full combo (models, strategy, weights) if model is a combo
+ * @returns {Promise<object|null>} Combo or null if not a combo
+ */
+export async function getCombo(modelStr) {
   // Only check if it's not in provider/model format
   if (modelStr.includes("/")) return null;
 
   const combo = await getComboByName(modelStr);
   if (combo && combo.models && combo.models.length > 0) {
-    return combo.models;
+    return combo;
   }
   return null;
 }
+
+/**
+ * Get combined input + output price ($/1M tokens) for a combo model, used by cost strategy
+ * @returns {Promise<number|null>} null when model has no pricing
+ */
+export async function getComboModelCost(modelStr) {
+  const { provider, model } = await getModelInfo(modelStr);
+  if (!provider) return null;
+  const pricing = await getPricingForModel(provider, model);
+  if (!pricing) return null;
+  return (pricing.input || 0) + (pricing.output || 0);
+}
+
+/**
+ * List the models this install can serve: combos first, then the models of each active
+ * provider (its enabled models when a selection was made), as /v1/models lists them.
+ * Falls back to every static model when no provider is connected.
+ * @param {{ includeAliases?: boolean }} [options] - Also list model aliases after the combos
+ *   and drop repeated ids (Ollama tags)
+ * @returns {Promise<Array<{ id: string, owner: string, root: string }>>} owner is "combo", "alias" or the provider alias
+ */
+export async function listAvailableModels({ includeAliases = false } = {}) {
+  // Get active provider connections
+  let connections = [];
+  try {
+    connections = await getProviderConnections();
+    // Filter to only active connections
+    connections = connections.filter(c => c.isActive !== false);
+  } catch (e) {
+    // If database not available, return all models
+    console.log("Could not fetch providers, returning all models");
+  }
+
+  let combos = [];
+  try {
+    combos = await getCombos();
+  } catch (e) {
+    console.log("Could not fetch combos");
+  }
+
+  let aliases = {};
+  if (includeAliases) {
+    try {
+      aliases = await getModelAliases();
+    } catch (e) {
+      console.log("Could not fetch model aliases");
+    }
+  }
+
+  const models = [];
+  const seen = new Set();
+  const add = (id, owner, root) => {
+    if (includeAliases && seen.has(id)) return;
+    seen.add(id);
+    models.push({ id, owner, root });
+  };
+
+  // Combos (and aliases) first (they appear at the top)
+  for (const combo of combos) add(combo.name, "combo", combo.name);
+  for (const [alias, target] of Object.entries(aliases)) {
+    if (typeof target === "string" && target) add(alias, "alias", target);
+  }
+
+  if (connections.length === 0) {
+    // DB unavailable or no active providers -> all static models
+    for (const [alias, providerModels] of Object.entries(PROVIDER_MODELS)) {
+      for (const model of providerModels) add(`${alias}/${model.id}`, alias, model.id);
+    }
+    return models;
+  }
+
+  // First active connection per provider (connections already sorted by priority)
+  const activeConnectionByProvider = new Map();
+  for (const conn of connections) {
+    if (!activeConnectionByProvider.has(conn.provider)) {
+      activeConnectionByProvider.set(conn.provider, conn);
+    }
+  }
+
+  for (const [providerId, conn] of activeConnectionByProvider.entries()) {
+    const staticAlias = PROVIDER_ID_TO_ALIAS[providerId] || providerId;
+    const outputAlias = getProviderAlias(providerId) || staticAlias;
+    const providerModels = PROVIDER_MODELS[staticAlias] || [];
+    const enabledModels = conn?.providerSpecificData?.enabledModels;
+    const hasExplicitEnabledModels = Array.isArray(enabledModels) && enabledModels.length > 0;
+
+    // Default: if no explicit selection, all static models are active.
+    // If explicit selection exists, expose exactly those model IDs (including non-static IDs).
+    const rawModelIds = hasExplicitEnabledModels
+      ? Array.from(new Set(enabledModels.filter((modelId) => typeof modelId === "string" && modelId.trim() !== "")))
+      : providerModels.map((model) => model.id);
+
+    for (const rawId of rawModelIds) {
+      const prefix = [outputAlias, staticAlias, providerId].find((p) => rawId.startsWith(`${p}/`));
+      const modelId = prefix ? rawId.slice(prefix.length + 1) : rawId;
+      if (modelId.trim() !== "") add(`${outputAlias}/${modelId}`, outputAlias, modelId);
+    }
+  }
+
+  return models;
+}
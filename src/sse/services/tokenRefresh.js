@@ -21,6 +21,7 @@ import {
   formatProviderCredentials as _formatProviderCredentials,
   getAllAccessTokens as _getAllAccessTokens
 } from "open-sse/services/tokenRefresh.js";
+import { withSpan } from "open-sse/services/tracing.js";
 
 export const TOKEN_EXPIRY_BUFFER_MS = BUFFER_MS;
 
@@ -198,7 +199,11 @@ export async function checkAndRefreshToken(provider, credentials) {
         expiresIn: Math.round(remaining / 1000),
       });
 
-      const newCreds = await getAccessToken(provider, creds);
+      const newCreds = await withSpan("token.refresh", { attributes: { "gen_ai.system": provider, "router.connection": creds.connectionId, "router.refresh.proactive": true } }, async (span) => {
+        const result = await getAccessToken(provider, creds);
+        span.setAttribute("router.refresh.success", !!result?.accessToken);
+        return result;
+      });
       if (newCreds?.accessToken) {
         const mergedCreds = {
           ...newCreds,
@@ -238,7 +243,11 @@ export async function checkAndRefreshToken(provider, credentials) {
         expiresIn: Math.round(remaining / 1000),
       });
 
-      const copilotToken = await refreshCopilotToken(creds.accessToken);
+      const copilotToken = await withSpan("token.refresh", { attributes: { "gen_ai.system": provider, "router.connection": creds.connectionId, "router.refresh.proactive": true, "router.refresh.token": "copilot" } }, async (span) => {
+        const result = await refreshCopilotToken(creds.accessToken);
+        span.setAttribute("router.refresh.success", !!result);
+        return result;
+      });
       if (copilotToken) {
         const updatedSpecific = {
           ...creds.providerSpecificData,
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for open-sse/services/apiKeyPolicy.js
+ *
+ * Tests cover:
+ *  - matchesGlob()            — wildcards, case-insensitivity, literal regex chars
+ *  - normalizeEndpoint()      — /api prefix, machineId prefix, trailing slash
+ *  - checkApiKeyAccess()      — expiry, endpoint scopes, model allowlist
+ *  - validateApiKeyScopes()   — keys API input validation
+ *  - buildFormattedErrorBody()— 403 in OpenAI / Claude / Gemini / Ollama shapes
+ */
+
+import { describe, it, expect } from "vitest";
+
+import {
+  matchesGlob,
+  normalizeEndpoint,
+  isApiKeyExpired,
+  checkApiKeyAccess,
+  validateApiKeyScopes,
+} from "../../open-sse/services/apiKeyPolicy.js";
+import {
+  ERROR_FORMATS,
+  buildFormattedErrorBody,
+  getErrorFormatForEndpoint,
+} from "../../open-sse/utils/error.js";
+
+// ─── Globs / paths ───────────────────────────────────────────────────────────
+
+describe("matchesGlob", () => {
+  it("supports * and ? wildcards case-insensitively", () => {
+    expect(matchesGlob("cc/*", "cc/claude-sonnet-4")).toBe(true);
+    expect(matchesGlob("gemini/gemini-2.5-*", "GEMINI/gemini-2.5-pro")).toBe(true);
+    expect(matchesGlob("gpt-4?", "gpt-4o")).toBe(true);
+    expect(matchesGlob("gpt-4?", "gpt-4.1")).toBe(false);
+    expect(matchesGlob("cc/*", "openai/gpt-4o")).toBe(false);
+  });
+
+  it("treats regex characters literally", () => {
+    expect(matchesGlob("gpt-4.1", "gpt-4.1")).toBe(true);
+    expect(matchesGlob("gpt-4.1", "gpt-421")).toBe(false);
+  });
+});
+
+describe("normalizeEndpoint", () => {
+  it("maps internal and machine-prefixed paths to public endpoints", () => {
+    expect(normalizeEndpoint("/api/v1/messages")).toBe("/v1/messages");
+    expect(normalizeEndpoint("/abc123/v1/embeddings")).toBe("/v1/embeddings");
+    expect(normalizeEndpoint("/v1/chat/completions/")).toBe("/v1/chat/completions");
+    expect(normalizeEndpoint("/api/v1beta/models/gemini-pro:generateContent")).toBe("/v1beta/models/gemini-pro:generateContent");
+    expect(normalizeEndpoint("/api/v2/rerank")).toBe("/v2/rerank");
+  });
+});
+
+// ─── Access checks ───────────────────────────────────────────────────────────
+
+describe("checkApiKeyAccess", () => {
+  it("allows everything when the key has no scopes", () => {
+    expect(checkApiKeyAccess({ key: "k" }, { model: "cc/x", endpoint: "/api/v1/messages" })).toBeNull();
+  });
+
+  it("rejects expired keys", () => {
+    const key = { expiresAt: new Date(Date.now() - 1000).toISOString() };
+    expect(isApiKeyExpired(key)).toBe(true);
+    expect(checkApiKeyAccess(key, { model: "any" })).toBe("API key has expired");
+    expect(checkApiKeyAccess({ expiresAt: new Date(Date.now() + 60000).toISOString() }, { model: "any" })).toBeNull();
+  });
+
+  it("restricts endpoints by prefix and glob", () => {
+    const key = { allowedEndpoints: ["/v1/chat/completions", "/v1beta/models"] };
+    expect(checkApiKeyAccess(key, { endpoint: "/api/v1/chat/completions" })).toBeNull();
+    expect(checkApiKeyAccess(key, { endpoint: "/v1beta/models/gemini-pro:streamGenerateContent" })).toBeNull();
+    expect(checkApiKeyAccess(key, { endpoint: "/api/v1/embeddings" })).toBe("API key is not allowed to access /v1/embeddings");
+  });
+
+  it("restricts models and combos to the allowlist", () => {
+    const key = { allowedModels: ["cc/*", "my-combo"] };
+    expect(checkApiKeyAccess(key, { model: "cc/claude-opus-4" })).toBeNull();
+    expect(checkApiKeyAccess(key, { model: "my-combo" })).toBeNull();
+    expect(checkApiKeyAccess(key, { model: "openai/gpt-4o" })).toBe("API key is not allowed to use model openai/gpt-4o");
+  });
+});
+
+describe("validateApiKeyScopes", () => {
+  it("accepts valid scopes and null expiry", () => {
+    expect(validateApiKeyScopes({ allowedModels: ["cc/*"], allowedEndpoints: ["/v1/messages"], expiresAt: null })).toBeNull();
+    expect(validateApiKeyScopes({})).toBeNull();
+  });
+
+  it("rejects malformed input", () => {
+    expect(validateApiKeyScopes({ allowedModels: "cc/*" })).toMatch(/allowedModels/);
+    expect(validateApiKeyScopes({ allowedModels: [""] })).toMatch(/allowedModels/);
+    expect(validateApiKeyScopes({ allowedEndpoints: ["v1/messages"] })).toMatch(/must start with \//);
+    expect(validateApiKeyScopes({ expiresAt: "not-a-date" })).toBe("expiresAt must be a valid date");
+  });
+});
+
+// ─── Native error formats ────────────────────────────────────────────────────
+
+describe("buildFormattedErrorBody", () => {
+  it("picks the format from the request path", () => {
+    expect(getErrorFormatForEndpoint("/api/v1/messages")).toBe(ERROR_FORMATS.CLAUDE);
+    expect(getErrorFormatForEndpoint("/v1beta/models/x:generateContent")).toBe(ERROR_FORMATS.GEMINI);
+    expect(getErrorFormatForEndpoint("/api/v1/api/chat")).toBe(ERROR_FORMATS.OLLAMA);
+    expect(getErrorFormatForEndpoint("/api/v1/chat/completions")).toBe(ERROR_FORMATS.OPENAI);
+  });
+
+  it("builds a 403 in each client's native shape", () => {
+    expect(buildFormattedErrorBody(403, "nope", ERROR_FORMATS.CLAUDE)).toEqual({
+      type: "error",
+      error: { type: "permission_error", message: "nope" },
+    });
+    expect(buildFormattedErrorBody(403, "nope", ERROR_FORMATS.GEMINI)).toEqual({
+      error: { code: 403, message: "nope", status: "PERMISSION_DENIED" },
+    });
+    expect(buildFormattedErrorBody(403, "nope", ERROR_FORMATS.OLLAMA)).toEqual({ error: "nope" });
+    expect(buildFormattedErrorBody(403, "nope").error.message).toBe("nope");
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for open-sse/services/apiKeyRateLimit.js
+ *
+ * Tests cover:
+ *  - evaluateRateLimit()        — RPM / TPM / concurrency decisions, Retry-After, x-ratelimit-* headers
+ *  - acquireApiKeySlot()        — in-memory window, release, real token usage via recordApiKeyTokens
+ *  - rateLimitResponse()        — 429 in the caller's native format with headers
+ *  - trackResponseCompletion()  — release after the streamed body is consumed or cancelled
+ *  - validateApiKeyRateLimits()
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+import {
+  RATE_LIMIT_TYPES,
+  RATE_LIMIT_WINDOW_MS,
+  getApiKeyLimits,
+  validateApiKeyRateLimits,
+  evaluateRateLimit,
+  acquireApiKeySlot,
+  recordApiKeyTokens,
+  rateLimitResponse,
+  trackResponseCompletion,
+} from "../../open-sse/services/apiKeyRateLimit.js";
+import { ERROR_FORMATS } from "../../open-sse/utils/error.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const NOW = 1_700_000_000_000;
+
+function sseResponse(chunks) {
+  const encoder = new TextEncoder();
+  return new Response(new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) controller.enqueue(encoder.encode(chunk));
+      controller.close();
+    },
+  }), { headers: { "Content-Type": "text/event-stream" } });
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(NOW);
+  globalThis._apiKeyRateLimits.clear();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+// ─── Evaluation ──────────────────────────────────────────────────────────────
+
+describe("evaluateRateLimit", () => {
+  it("allows requests under the limits and reports remaining capacity", () => {
+    const decision = evaluateRateLimit({ rpm: 10, tpm: 1000 }, { requests: [NOW - 1000], tokens: [{ t: NOW - 1000, n: 300 }], active: 0 }, NOW);
+
+    expect(decision.allowed).toBe(true);
+    expect(decision.headers["x-ratelimit-limit-requests"]).toBe("10");
+    expect(decision.headers["x-ratelimit-remaining-requests"]).toBe("9");
+    expect(decision.headers["x-ratelimit-remaining-tokens"]).toBe("700");
+    expect(decision.headers["x-ratelimit-reset-requests"]).toBe("59s");
+    expect(decision.headers["anthropic-ratelimit-tokens-remaining"]).toBe("700");
+    expect(decision.headers["Retry-After"]).toBeUndefined();
+  });
+
+  it("blocks on RPM with Retry-After until the oldest request leaves the window", () => {
+    const decision = evaluateRateLimit({ rpm: 2 }, { requests: [NOW - 50_000, NOW - 10_000], tokens: [], active: 0 }, NOW);
+
+    expect(decision.allowed).toBe(false);
+    expect(decision.limitType).toBe(RATE_LIMIT_TYPES.REQUESTS);
+    expect(decision.retryAfterMs).toBe(10_000);
+    expect(decision.headers["Retry-After"]).toBe("10");
+  });
+
+  it("blocks on TPM until enough tokens age out", () => {
+    const usage = { requests: [], tokens: [{ t: NOW - 40_000, n: 600 }, { t: NOW - 5_000, n: 600 }], active: 0 };
+    const decision = evaluateRateLimit({ tpm: 1000 }, usage, NOW);
+
+    expect(decision.limitType).toBe(RATE_LIMIT_TYPES.TOKENS);
+    // Dropping the first sample brings usage to 600 < 1000
+    expect(decision.retryAfterMs).toBe(20_000);
+  });
+
+  it("ignores samples outside the window and blocks on concurrency", () => {
+    expect(evaluateRateLimit({ rpm: 1 }, { requests: [NOW - RATE_LIMIT_WINDOW_MS - 1] }, NOW).allowed).toBe(true);
+    const decision = evaluateRateLimit({ maxConcurrent: 2 }, { requests: [], tokens: [], active: 2 }, NOW);
+    expect(decision.limitType).toBe(RATE_LIMIT_TYPES.CONCURRENCY);
+    expect(decision.headers["Retry-After"]).toBe("1");
+  });
+});
+
+// ─── In-memory slots ─────────────────────────────────────────────────────────
+
+describe("acquireApiKeySlot", () => {
+  it("counts requests and concurrency, and frees the slot on release", () => {
+    const limits = { rpm: 0, tpm: 0, maxConcurrent: 1 };
+    const first = acquireApiKeySlot("sk-a", limits);
+    expect(first.allowed).toBe(true);
+    expect(acquireApiKeySlot("sk-a", limits).allowed).toBe(false);
+    // Other keys are independent
+    expect(acquireApiKeySlot("sk-b", limits).allowed).toBe(true);
+
+    first.release();
+    first.release();
+    expect(acquireApiKeySlot("sk-a", limits).allowed).toBe(true);
+  });
+
+  it("enforces TPM from recorded usage and recovers after the window", () => {
+    const limits = { rpm: 0, tpm: 100, maxConcurrent: 0 };
+    acquireApiKeySlot("sk-a", limits).release();
+    recordApiKeyTokens("sk-a", { prompt_tokens: 80, completion_tokens: 40 });
+
+    const blocked = acquireApiKeySlot("sk-a", limits);
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.message).toContain("120 tokens per minute");
+
+    vi.advanceTimersByTime(RATE_LIMIT_WINDOW_MS);
+    expect(acquireApiKeySlot("sk-a", limits).allowed).toBe(true);
+  });
+
+  it("does not track usage for keys without limits", () => {
+    recordApiKeyTokens("sk-free", { input_tokens: 10, output_tokens: 10 });
+    expect(globalThis._apiKeyRateLimits.has("sk-free")).toBe(false);
+  });
+});
+
+// ─── Responses ───────────────────────────────────────────────────────────────
+
+describe("rateLimitResponse", () => {
+  it("returns 429 in the caller's format with rate limit headers", async () => {
+    const decision = evaluateRateLimit({ rpm: 1 }, { requests: [NOW - 30_000] }, NOW);
+    const response = rateLimitResponse(decision, ERROR_FORMATS.CLAUDE);
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get("Retry-After")).toBe("30");
+    expect(response.headers.get("x-ratelimit-remaining-requests")).toBe("0");
+    const body = await response.json();
+    expect(body).toMatchObject({ type: "error", error: { type: "rate_limit_error" } });
+  });
+});
+
+describe("trackResponseCompletion", () => {
+  it("calls onDone once the streamed body is fully read", async () => {
+    const onDone = vi.fn();
+    const response = trackResponseCompletion(sseResponse(["data: a\n\n", "data: b\n\n"]), { "x-ratelimit-limit-requests": "5" }, onDone);
+
+    expect(response.headers.get("x-ratelimit-limit-requests")).toBe("5");
+    expect(onDone).not.toHaveBeenCalled();
+    expect(await response.text()).toBe("data: a\n\ndata: b\n\n");
+    expect(onDone).toHaveBeenCalledTimes(1);
+  });
+
+  it("calls onDone when the client cancels, and immediately without a body", async () => {
+    const onCancel = vi.fn();
+    const response = trackResponseCompletion(sseResponse(["data: a\n\n"]), {}, onCancel);
+    await response.body.cancel();
+    expect(onCancel).toHaveBeenCalledTimes(1);
+
+    const onEmpty = vi.fn();
+    trackResponseCompletion(new Response(null, { status: 204 }), {}, onEmpty);
+    expect(onEmpty).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+describe("validateApiKeyRateLimits / getApiKeyLimits", () => {
+  it("validates fields and treats zero limits as unlimited", () => {
+    expect(validateApiKeyRateLimits(null)).toBeNull();
+    expect(validateApiKeyRateLimits({ rpm: 60, tpm: 0 })).toBeNull();
+    expect(validateApiKeyRateLimits({ rpm: -1 })).toBe("rateLimits.rpm must be a non-negative integer");
+    expect(validateApiKeyRateLimits({ tpm: 1.5 })).toMatch(/tpm/);
+    expect(validateApiKeyRateLimits([])).toBe("rateLimits must be an object");
+
+    expect(getApiKeyLimits({ rateLimits: { rpm: 0, tpm: 0 } })).toBeNull();
+    expect(getApiKeyLimits({ rateLimits: { rpm: 5 } })).toEqual({ rpm: 5, tpm: 0, maxConcurrent: 0 });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Unit tests for open-sse/handlers/audioCore.js
+ *
+ * Tests cover:
+ *  - getAudioBackend()    — OpenAI-style, Deepgram, AssemblyAI, unsupported providers
+ *  - getAudioDuration()   — WAV / FLAC exact, MP3 from bitrate
+ *  - formatTranscript()   — text / srt / vtt / verbose_json from word timings
+ *  - handleAudioCore()    — multipart passthrough, Deepgram listen / speak, AssemblyAI polling, unsupported actions
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+
+import {
+  handleAudioCore,
+  getAudioBackend,
+  getAudioDuration,
+  formatTranscript,
+  AUDIO_ACTIONS,
+  AUDIO_BACKENDS,
+} from "../../open-sse/handlers/audioCore.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+// 16-bit mono WAV of the given length
+function wav(seconds, sampleRate = 8000) {
+  const dataSize = seconds * sampleRate * 2;
+  const bytes = new Uint8Array(44 + dataSize);
+  const view = new DataView(bytes.buffer);
+  bytes.set(Buffer.from("RIFF"), 0);
+  view.setUint32(4, 36 + dataSize, true);
+  bytes.set(Buffer.from("WAVEfmt "), 8);
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  bytes.set(Buffer.from("data"), 36);
+  view.setUint32(40, dataSize, true);
+  return bytes;
+}
+
+const wavFile = (seconds) => new File([wav(seconds)], "clip.wav", { type: "audio/wav" });
+
+const words = [
+  { word: "Hello", start: 0, end: 0.5 },
+  { word: "world.", start: 0.5, end: 1.2 },
+  { word: "Bye", start: 1.5, end: 2 },
+];
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+// ─── getAudioBackend ─────────────────────────────────────────────────────────
+
+describe("getAudioBackend", () => {
+  it("routes providers to the API that serves their audio", () => {
+    expect(getAudioBackend("openai")).toBe(AUDIO_BACKENDS.OPENAI);
+    expect(getAudioBackend("groq")).toBe(AUDIO_BACKENDS.OPENAI);
+    expect(getAudioBackend("openai-compatible-x", { providerSpecificData: { baseUrl: "http://localhost:8000/v1" } })).toBe(AUDIO_BACKENDS.OPENAI);
+    expect(getAudioBackend("deepgram")).toBe(AUDIO_BACKENDS.DEEPGRAM);
+    expect(getAudioBackend("assemblyai")).toBe(AUDIO_BACKENDS.ASSEMBLYAI);
+    expect(getAudioBackend("claude")).toBeNull();
+  });
+});
+
+// ─── getAudioDuration ────────────────────────────────────────────────────────
+
+describe("getAudioDuration", () => {
+  it("measures WAV and FLAC exactly", () => {
+    expect(getAudioDuration(wav(3))).toBe(3);
+
+    const flac = new Uint8Array(42);
+    flac.set(Buffer.from("fLaC"), 0);
+    // 16 kHz, 48000 samples
+    flac.set([0x03, 0xe8, 0x00, 0xf0], 18);
+    new DataView(flac.buffer).setUint32(22, 48000);
+    expect(getAudioDuration(flac)).toBe(3);
+  });
+
+  it("estimates MP3 from the frame bitrate", () => {
+    // MPEG1 Layer III, 128 kbps, after a 10-byte ID3 tag
+    const mp3 = new Uint8Array(10 + 32000);
+    mp3.set([...Buffer.from("ID3"), 4, 0, 0, 0, 0, 0, 0], 0);
+    mp3.set([0xff, 0xfb, 0x90, 0x64], 10);
+    expect(getAudioDuration(mp3)).toBe(2);
+
+    expect(getAudioDuration(new Uint8Array(64))).toBeNull();
+  });
+});
+
+// ─── formatTranscript ────────────────────────────────────────────────────────
+
+describe("formatTranscript", () => {
+  const transcript = { text: "Hello world. Bye", language: "en", duration: 2.1, words };
+
+  it("renders text and json", () => {
+    expect(formatTranscript(transcript, "text").body).toBe("Hello world. Bye");
+    expect(JSON.parse(formatTranscript(transcript).body)).toEqual({ text: "Hello world. Bye" });
+  });
+
+  it("cuts subtitle cues at sentence ends", () => {
+    expect(formatTranscript(transcript, "srt").body).toBe(
+      "1\n00:00:00,000 --> 00:00:01,200\nHello world.\n\n2\n00:00:01,500 --> 00:00:02,000\nBye\n"
+    );
+    const vtt = formatTranscript(transcript, "vtt");
+    expect(vtt.contentType).toContain("text/vtt");
+    expect(vtt.body).toMatch(/^WEBVTT\n\n00:00:00\.000 --> 00:00:01\.200\nHello world\.\n/);
+  });
+
+  it("returns segments and optional words in verbose_json", () => {
+    const body = JSON.parse(formatTranscript(transcript, "verbose_json", { wordTimestamps: true }).body);
+    expect(body).toMatchObject({ task: "transcribe", language: "en", duration: 2.1, text: "Hello world. Bye" });
+    expect(body.segments).toHaveLength(2);
+    expect(body.words).toEqual(words);
+  });
+});
+
+// ─── handleAudioCore ─────────────────────────────────────────────────────────
+
+describe("handleAudioCore", () => {
+  it("forwards multipart uploads to OpenAI and prefers the reported duration", async () => {
+    const fetchMock = vi.fn(async () => Response.json({ text: "hi", usage: { type: "duration", seconds: 4 } }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await handleAudioCore({
+      action: AUDIO_ACTIONS.TRANSCRIPTION,
+      body: { file: wavFile(3), model: "openai/whisper-1", language: "en", timestamp_granularities: [] },
+      modelInfo: { provider: "openai", model: "whisper-1" },
+      credentials: { apiKey: "sk-test" },
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.usage).toEqual({ audioSeconds: 4 });
+    expect(await result.response.json()).toMatchObject({ text: "hi" });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("https://api.openai.com/v1/audio/transcriptions");
+    expect(init.headers.Authorization).toBe("Bearer sk-test");
+    expect(init.body.get("model")).toBe("whisper-1");
+    expect(init.body.get("language")).toBe("en");
+    expect(init.body.get("file").size).toBe(wav(3).length);
+  });
+
+  it("measures the upload when the provider reports no duration", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => new Response("hi", { headers: { "Content-Type": "text/plain" } })));
+
+    const result = await handleAudioCore({
+      action: AUDIO_ACTIONS.TRANSLATION,
+      body: { file: wavFile(2), response_format: "text" },
+      modelInfo: { provider: "openai", model: "whisper-1" },
+      credentials: { apiKey: "sk-test" },
+    });
+    expect(result.usage.audioSeconds).toBe(2);
+    expect(await result.response.text()).toBe("hi");
+  });
+
+  it("sends raw audio to Deepgram and maps the transcript", async () => {
+    const fetchMock = vi.fn(async () => Response.json({
+      metadata: { duration: 2.1 },
+      results: { channels: [{ alternatives: [{
+        transcript: "hello world bye",
+        words: words.map(w => ({ word: w.word.toLowerCase(), punctuated_word: w.word, start: w.start, end: w.end })),
+      }] }] },
+    }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await handleAudioCore({
+      action: AUDIO_ACTIONS.TRANSCRIPTION,
+      body: { file: wavFile(2), response_format: "srt" },
+      modelInfo: { provider: "deepgram", model: "nova-3" },
+      credentials: { apiKey: "dg-key" },
+    });
+
+    expect(result.usage.audioSeconds).toBe(2.1);
+    expect(await result.response.text()).toContain("Hello world.");
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("https://api.deepgram.com/v1/listen?model=nova-3&smart_format=true&punctuate=true&detect_language=true");
+    expect(init.headers).toMatchObject({ Authorization: "Token dg-key", "Content-Type": "audio/wav" });
+  });
+
+  it("uploads to AssemblyAI and polls the transcript", async () => {
+    const fetchMock = vi.fn(async (url) => {
+      if (url.endsWith("/upload")) return Response.json({ upload_url: "https://cdn.assemblyai.com/u/1" });
+      if (url.endsWith("/transcript")) return Response.json({ id: "t1", status: "queued" });
+      return Response.json({ status: "completed", text: "Hello world.", language_code: "en", audio_duration: 3, words: [{ text: "Hello", start: 0, end: 400 }] });
+    });
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await handleAudioCore({
+      action: AUDIO_ACTIONS.TRANSCRIPTION,
+      body: { file: wavFile(3), language: "en", response_format: "verbose_json", timestamp_granularities: ["word"] },
+      modelInfo: { provider: "assemblyai", model: "universal" },
+      credentials: { apiKey: "aai-key" },
+    });
+
+    expect(result.usage.audioSeconds).toBe(3);
+    const body = await result.response.json();
+    expect(body.words).toEqual([{ word: "Hello", start: 0, end: 0.4 }]);
+    const [, create] = fetchMock.mock.calls[1];
+    expect(JSON.parse(create.body)).toEqual({ audio_url: "https://cdn.assemblyai.com/u/1", speech_model: "universal", language_code: "en" });
+    expect(fetchMock.mock.calls[2][0]).toBe("https://api.assemblyai.com/v2/transcript/t1");
+    expect(create.headers.Authorization).toBe("aai-key");
+  });
+
+  it("speaks through Deepgram with an aura voice and mapped encoding", async () => {
+    const fetchMock = vi.fn(async () => new Response(wav(1)));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await handleAudioCore({
+      action: AUDIO_ACTIONS.SPEECH,
+      body: { input: "Hello", voice: "aura-2-thalia-en", response_format: "wav" },
+      modelInfo: { provider: "deepgram", model: "aura-2" },
+      credentials: { apiKey: "dg-key" },
+    });
+
+    expect(result.usage.audioSeconds).toBe(1);
+    expect(result.response.headers.get("Content-Type")).toBe("audio/wav");
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("https://api.deepgram.com/v1/speak?model=aura-2-thalia-en&encoding=linear16&container=wav");
+    expect(JSON.parse(init.body)).toEqual({ text: "Hello" });
+  });
+
+  it("rejects actions the provider has no API for", async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+
+    const translation = await handleAudioCore({
+      action: AUDIO_ACTIONS.TRANSLATION,
+      body: { file: wavFile(1) },
+      modelInfo: { provider: "deepgram", model: "nova-3" },
+      credentials: { apiKey: "k" },
+    });
+    expect(translation.status).toBe(400);
+
+    const speech = await handleAudioCore({
+      action: AUDIO_ACTIONS.SPEECH,
+      body: { input: "hi" },
+      modelInfo: { provider: "assemblyai", model: "universal" },
+      credentials: { apiKey: "k" },
+    });
+    expect(speech.status).toBe(400);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("returns upstream errors with their status", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => Response.json({ error: { message: "quota" } }, { status: 429 })));
+
+    const result = await handleAudioCore({
+      action: AUDIO_ACTIONS.SPEECH,
+      body: { input: "hi", voice: "alloy" },
+      modelInfo: { provider: "openai", model: "tts-1" },
+      credentials: { apiKey: "k" },
+    });
+    expect(result.success).toBe(false);
+    expect(result.status).toBe(429);
+  });
+});
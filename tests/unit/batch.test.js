@@ -0,0 +1,189 @@
+/**
+ * Unit tests for local batch jobs (open-sse/services/batch.js)
+ *
+ * Tests cover:
+ *  - parseBatchInput()          — OpenAI JSONL validation
+ *  - anthropicRequestsToLines() — Message Batches requests → input lines
+ *  - runWithConcurrency()       — bounded parallelism, early stop
+ *  - toOpenAIBatch() / toAnthropicBatch() / toAnthropicResult() — response shapes
+ */
+
+import { describe, it, expect } from "vitest";
+
+import {
+  BATCH_FORMATS,
+  BATCH_STATUS,
+  BATCH_LINE_ERRORS,
+  parseBatchInput,
+  anthropicRequestsToLines,
+  buildResultLine,
+  buildErrorLine,
+  runWithConcurrency,
+  toOpenAIBatch,
+  toAnthropicBatch,
+  toAnthropicResult,
+} from "../../open-sse/services/batch.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const line = (customId, overrides = {}) => JSON.stringify({
+  custom_id: customId,
+  method: "POST",
+  url: "/v1/chat/completions",
+  body: { model: "gpt-4o", messages: [{ role: "user", content: "hi" }] },
+  ...overrides,
+});
+
+const batchRecord = (overrides = {}) => ({
+  id: "batch_1",
+  format: BATCH_FORMATS.OPENAI,
+  endpoint: "/v1/chat/completions",
+  status: BATCH_STATUS.IN_PROGRESS,
+  inputFileId: "file-in",
+  outputFileId: "file-out",
+  errorFileId: "file-err",
+  errors: [],
+  counts: { total: 5, succeeded: 2, errored: 1, expired: 0 },
+  createdAt: 1_700_000_000_000,
+  inProgressAt: 1_700_000_001_000,
+  expiresAt: 1_700_086_400_000,
+  ...overrides,
+});
+
+// ─── Input validation ────────────────────────────────────────────────────────
+
+describe("parseBatchInput", () => {
+  it("parses valid lines and skips blank ones", () => {
+    const { requests, errors } = parseBatchInput(`${line("a")}\n\n${line("b")}\n`, "/v1/chat/completions");
+    expect(errors).toEqual([]);
+    expect(requests.map(r => r.custom_id)).toEqual(["a", "b"]);
+    expect(requests[0].body.model).toBe("gpt-4o");
+  });
+
+  it("reports invalid lines with their line number", () => {
+    const text = [
+      line("a"),
+      "{not json",
+      line("a"),
+      line("c", { url: "/v1/embeddings" }),
+      line("d", { method: "GET" }),
+    ].join("\n");
+    const { requests, errors } = parseBatchInput(text, "/v1/chat/completions");
+    expect(requests).toHaveLength(1);
+    expect(errors.map(e => [e.code, e.line])).toEqual([
+      ["invalid_json_line", 2],
+      ["duplicate_custom_id", 3],
+      ["mismatched_endpoint", 4],
+      ["invalid_method", 5],
+    ]);
+  });
+
+  it("rejects empty files and files over the request limit", () => {
+    expect(parseBatchInput("\n", "/v1/chat/completions").errors[0].code).toBe("empty_file");
+    const text = [line("a"), line("b"), line("c")].join("\n");
+    expect(parseBatchInput(text, "/v1/chat/completions", 2).errors[0].code).toBe("too_many_requests");
+  });
+});
+
+describe("anthropicRequestsToLines", () => {
+  it("turns requests into /v1/messages lines", () => {
+    const params = { model: "claude-sonnet-4", max_tokens: 10, messages: [{ role: "user", content: "hi" }] };
+    const { lines, error } = anthropicRequestsToLines([{ custom_id: "req-1", params }]);
+    expect(error).toBeNull();
+    expect(lines).toEqual([{ custom_id: "req-1", method: "POST", url: "/v1/messages", body: params }]);
+  });
+
+  it("rejects empty, duplicate and malformed requests", () => {
+    const params = { model: "claude-sonnet-4", messages: [] };
+    expect(anthropicRequestsToLines([]).error).toMatch(/non-empty/);
+    expect(anthropicRequestsToLines([{ custom_id: "a", params }, { custom_id: "a", params }]).error).toMatch(/requests\.1\.custom_id/);
+    expect(anthropicRequestsToLines([{ custom_id: "has space", params }]).error).toMatch(/requests\.0\.custom_id/);
+    expect(anthropicRequestsToLines([{ custom_id: "a", params: {} }]).error).toMatch(/requests\.0\.params/);
+  });
+});
+
+// ─── Runner ──────────────────────────────────────────────────────────────────
+
+describe("runWithConcurrency", () => {
+  it("never runs more than the limit at once", async () => {
+    let active = 0;
+    let peak = 0;
+    const done = [];
+    await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      done.push(item);
+      active--;
+    });
+    expect(peak).toBe(3);
+    expect(done.sort()).toEqual([1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  it("stops taking new items once asked to", async () => {
+    const done = [];
+    const started = await runWithConcurrency([1, 2, 3, 4], 1, async (item) => { done.push(item); }, () => done.length >= 2);
+    expect(started).toBe(2);
+    expect(done).toEqual([1, 2]);
+  });
+});
+
+// ─── Response shapes ─────────────────────────────────────────────────────────
+
+describe("toOpenAIBatch", () => {
+  it("counts expired lines as failed and uses seconds", () => {
+    const batch = toOpenAIBatch(batchRecord({ counts: { total: 5, succeeded: 2, errored: 1, expired: 2 } }));
+    expect(batch).toMatchObject({
+      object: "batch",
+      status: "in_progress",
+      created_at: 1_700_000_000,
+      completed_at: null,
+      errors: null,
+      request_counts: { total: 5, completed: 2, failed: 3 },
+    });
+  });
+
+  it("lists validation errors", () => {
+    const errors = [{ code: "invalid_json_line", message: "bad", line: 2 }];
+    expect(toOpenAIBatch(batchRecord({ status: BATCH_STATUS.FAILED, errors })).errors).toEqual({ object: "list", data: errors });
+  });
+});
+
+describe("toAnthropicBatch", () => {
+  it("reports remaining requests as processing while running", () => {
+    const batch = toAnthropicBatch(batchRecord({ format: BATCH_FORMATS.ANTHROPIC }), "http://localhost/results");
+    expect(batch.processing_status).toBe("in_progress");
+    expect(batch.request_counts).toEqual({ processing: 2, succeeded: 2, errored: 1, canceled: 0, expired: 0 });
+    expect(batch.results_url).toBeNull();
+  });
+
+  it("reports remaining requests as canceled once a cancelled batch ends", () => {
+    const batch = toAnthropicBatch(batchRecord({
+      status: BATCH_STATUS.CANCELLED,
+      cancellingAt: 1_700_000_002_000,
+      cancelledAt: 1_700_000_003_000,
+    }), "http://localhost/results");
+    expect(batch.processing_status).toBe("ended");
+    expect(batch.request_counts.canceled).toBe(2);
+    expect(batch.ended_at).toBe(new Date(1_700_000_003_000).toISOString());
+    expect(batch.results_url).toBe("http://localhost/results");
+  });
+});
+
+describe("toAnthropicResult", () => {
+  it("maps successful, failed and expired lines", () => {
+    const message = { id: "msg_1", type: "message", content: [] };
+    expect(toAnthropicResult(buildResultLine("a", 200, message))).toEqual({ custom_id: "a", result: { type: "succeeded", message } });
+
+    const claudeError = { type: "error", error: { type: "overloaded_error", message: "Overloaded" } };
+    expect(toAnthropicResult(buildResultLine("b", 529, claudeError)).result).toEqual({ type: "errored", error: claudeError });
+
+    const openaiError = { error: { message: "Bad model", type: "invalid_request_error" } };
+    expect(toAnthropicResult(buildResultLine("c", 400, openaiError)).result.error).toEqual({
+      type: "error",
+      error: { type: "invalid_request_error", message: "Bad model" },
+    });
+
+    expect(toAnthropicResult(buildErrorLine("d", BATCH_LINE_ERRORS.EXPIRED, "late"))).toEqual({ custom_id: "d", result: { type: "expired" } });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for open-sse/services/budget.js
+ *
+ * Tests cover:
+ *  - getBudgetWindow()          — daily / monthly calendar windows
+ *  - computeBudgetStatuses()    — spend per global / apiKey / provider budget, period filtering
+ *  - findExceededBudget()       — block vs skipPaid, scope matching
+ *  - validateBudget()
+ *  - budgetExceededResponse()   — 429 with Retry-After until reset, tagged as a budget rejection
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+import {
+  BUDGET_ACTIONS,
+  getBudgetWindow,
+  computeBudgetStatuses,
+  findExceededBudget,
+  validateBudget,
+  budgetExceededResponse,
+  isBudgetRejection,
+} from "../../open-sse/services/budget.js";
+import { ERROR_FORMATS } from "../../open-sse/utils/error.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+// Local time, mid-month
+const NOW = new Date(2026, 4, 15, 12, 0, 0).getTime();
+const hoursAgo = (h) => new Date(NOW - h * 3600000).toISOString();
+const daysAgo = (d) => new Date(NOW - d * 86400000).toISOString();
+
+const API_KEYS = [{ id: "key-1", key: "sk-one" }, { id: "key-2", key: "sk-two" }];
+
+const HISTORY = [
+  { timestamp: hoursAgo(1), provider: "openai", apiKey: "sk-one", cost: 2 },
+  { timestamp: hoursAgo(2), provider: "glm", apiKey: "sk-two", cost: 1.5 },
+  { timestamp: daysAgo(3), provider: "openai", apiKey: "sk-one", cost: 4 },
+  { timestamp: daysAgo(40), provider: "openai", apiKey: "sk-one", cost: 100 },
+  { timestamp: hoursAgo(1), provider: "gemini-cli", apiKey: "sk-one", cost: 0 },
+];
+
+function budget(overrides) {
+  return { id: "b", name: "", scope: "global", target: null, period: "daily", limit: 10, action: "block", isActive: true, ...overrides };
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+// ─── Windows ─────────────────────────────────────────────────────────────────
+
+describe("getBudgetWindow", () => {
+  it("uses the current calendar day and month", () => {
+    const daily = getBudgetWindow("daily", NOW);
+    expect(daily.start).toBe(new Date(2026, 4, 15).getTime());
+    expect(daily.end).toBe(new Date(2026, 4, 16).getTime());
+
+    const monthly = getBudgetWindow("monthly", NOW);
+    expect(monthly.start).toBe(new Date(2026, 4, 1).getTime());
+    expect(monthly.end).toBe(new Date(2026, 5, 1).getTime());
+  });
+});
+
+// ─── Spend ───────────────────────────────────────────────────────────────────
+
+describe("computeBudgetStatuses", () => {
+  it("sums spend per scope within the current period", () => {
+    const statuses = computeBudgetStatuses([
+      budget({ id: "global-daily" }),
+      budget({ id: "global-monthly", period: "monthly" }),
+      budget({ id: "key", scope: "apiKey", target: "key-1", period: "monthly" }),
+      budget({ id: "provider", scope: "provider", target: "glm" }),
+    ], HISTORY, API_KEYS, NOW);
+
+    const spent = Object.fromEntries(statuses.map(s => [s.id, s.spent]));
+    expect(spent).toEqual({ "global-daily": 3.5, "global-monthly": 7.5, key: 6, provider: 1.5 });
+    expect(statuses[0]).toMatchObject({ remaining: 6.5, exceeded: false });
+    expect(statuses[0].resetsAt).toBe(new Date(2026, 4, 16).toISOString());
+  });
+
+  it("flags exceeded budgets unless disabled", () => {
+    const [active, disabled] = computeBudgetStatuses([
+      budget({ id: "a", limit: 3 }),
+      budget({ id: "b", limit: 3, isActive: false }),
+    ], HISTORY, API_KEYS, NOW);
+
+    expect(active.exceeded).toBe(true);
+    expect(disabled.exceeded).toBe(false);
+  });
+});
+
+describe("findExceededBudget", () => {
+  const statuses = () => computeBudgetStatuses([
+    budget({ id: "key-block", scope: "apiKey", target: "key-1", limit: 1 }),
+    budget({ id: "glm-free", scope: "provider", target: "glm", limit: 1, action: BUDGET_ACTIONS.SKIP_PAID }),
+  ], HISTORY, API_KEYS, NOW);
+
+  it("blocks only requests in the budget's scope", () => {
+    expect(findExceededBudget(statuses(), { apiKeyId: "key-1" })?.id).toBe("key-block");
+    expect(findExceededBudget(statuses(), { apiKeyId: "key-2" })).toBeNull();
+  });
+
+  it("skipPaid only blocks priced models of the scope", () => {
+    expect(findExceededBudget(statuses(), { apiKeyId: "key-2", provider: "glm", paid: true })?.id).toBe("glm-free");
+    expect(findExceededBudget(statuses(), { apiKeyId: "key-2", provider: "glm", paid: false })).toBeNull();
+    expect(findExceededBudget(statuses(), { apiKeyId: "key-2", provider: "openai", paid: true })).toBeNull();
+  });
+});
+
+// ─── Validation / response ───────────────────────────────────────────────────
+
+describe("validateBudget", () => {
+  it("requires scope, target, period and a non-negative limit", () => {
+    expect(validateBudget({ scope: "global", period: "daily", limit: 5 })).toBeNull();
+    expect(validateBudget({ scope: "apiKey", period: "daily", limit: 5 })).toMatch(/Target is required/);
+    expect(validateBudget({ scope: "global", period: "weekly", limit: 5 })).toBe("Invalid period");
+    expect(validateBudget({ scope: "global", period: "daily", limit: -1 })).toMatch(/Limit/);
+    expect(validateBudget({ scope: "global", period: "daily", limit: 1, action: "warn" })).toBe("Invalid action");
+  });
+});
+
+describe("budgetExceededResponse", () => {
+  it("returns 429 with Retry-After until the period resets", async () => {
+    const [status] = computeBudgetStatuses([budget({ name: "Daily cap", limit: 3 })], HISTORY, API_KEYS, NOW);
+    const response = budgetExceededResponse(status, ERROR_FORMATS.CLAUDE);
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get("Retry-After")).toBe(String(12 * 3600));
+    const body = await response.json();
+    expect(body.error.type).toBe("rate_limit_error");
+    expect(body.error.message).toBe('Budget "Daily cap" exceeded: $3.50 of $3.00 daily');
+    expect(isBudgetRejection(response)).toBe(true);
+    expect(isBudgetRejection(new Response(null, { status: 429, headers: { "Retry-After": "30" } }))).toBe(false);
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Unit tests for open-sse/services/circuitBreaker.js
+ *
+ * Tests cover:
+ *  - recordCircuitFailure()    — immediate trip on auth/rate errors, error-rate trip for transient
+ *  - half-open probing         — probe success closes, failure re-opens with longer cooldown
+ *  - trial requests            — no prober / unsupported probe lets a single request through
+ *  - account-level breaker     — model=null blocks every model, success closes it
+ *  - getCircuitBreakers / resetCircuitBreaker
+ *  - persistence               — open/close handed to the persister, restoreCircuitBreaker after restart
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+import {
+  CIRCUIT_STATES,
+  isCircuitAvailable,
+  acquireCircuitTrial,
+  getCircuitRetryAt,
+  recordCircuitSuccess,
+  recordCircuitFailure,
+  getCircuitBreakers,
+  resetCircuitBreaker,
+  setCircuitProber,
+  setCircuitPersister,
+  restoreCircuitBreaker,
+} from "../../open-sse/services/circuitBreaker.js";
+import { CIRCUIT_BREAKER_CONFIG } from "../../open-sse/config/constants.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const CONN = "conn-1";
+const MODEL = "gpt-x";
+
+function stateOf(connectionId, model) {
+  return getCircuitBreakers({ connectionId }).find(b => b.model === model)?.state;
+}
+
+async function flushProbe() {
+  // Prober runs on a promise chain after the open timer fires
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  globalThis._circuitBreakers.breakers.clear();
+  setCircuitProber(null);
+  setCircuitPersister(null);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+// ─── Tripping ────────────────────────────────────────────────────────────────
+
+describe("recordCircuitFailure", () => {
+  it("opens immediately on 429 and blocks the connection for that model only", () => {
+    const result = recordCircuitFailure(CONN, MODEL, { status: 429, errorText: "Too many requests" });
+
+    expect(result.tripped).toBe(true);
+    expect(result.cooldownMs).toBeGreaterThan(0);
+    expect(isCircuitAvailable(CONN, MODEL)).toBe(false);
+    expect(isCircuitAvailable(CONN, "other-model")).toBe(true);
+    expect(getCircuitRetryAt(CONN, MODEL)).not.toBeNull();
+  });
+
+  it("trips transient errors only once the window error rate crosses the threshold", () => {
+    recordCircuitSuccess(CONN, MODEL);
+    recordCircuitSuccess(CONN, MODEL);
+    expect(recordCircuitFailure(CONN, MODEL, { status: 503 }).tripped).toBe(false);
+    expect(isCircuitAvailable(CONN, MODEL)).toBe(true);
+
+    // 2 ok / 2 failed = 50% over minRequests samples
+    expect(recordCircuitFailure(CONN, MODEL, { status: 502 }).tripped).toBe(true);
+    expect(stateOf(CONN, MODEL)).toBe(CIRCUIT_STATES.OPEN);
+  });
+
+  it("forgets failures outside the sliding window", () => {
+    for (let i = 0; i < CIRCUIT_BREAKER_CONFIG.minRequests - 1; i++) {
+      recordCircuitFailure(CONN, MODEL, { status: 500 });
+    }
+    vi.advanceTimersByTime(CIRCUIT_BREAKER_CONFIG.windowMs + 1);
+    recordCircuitSuccess(CONN, MODEL);
+    recordCircuitSuccess(CONN, MODEL);
+    recordCircuitSuccess(CONN, MODEL);
+
+    expect(recordCircuitFailure(CONN, MODEL, { status: 500 }).tripped).toBe(false);
+  });
+});
+
+// ─── Half-open ───────────────────────────────────────────────────────────────
+
+describe("half-open probing", () => {
+  it("closes the breaker when the background probe passes", async () => {
+    const prober = vi.fn(async () => ({ ok: true }));
+    setCircuitProber(prober);
+
+    const { cooldownMs } = recordCircuitFailure(CONN, MODEL, { status: 401 });
+    vi.advanceTimersByTime(cooldownMs);
+    expect(stateOf(CONN, MODEL)).toBe(CIRCUIT_STATES.HALF_OPEN);
+    // Real traffic stays away while probing
+    expect(isCircuitAvailable(CONN, MODEL)).toBe(false);
+
+    await flushProbe();
+    expect(prober).toHaveBeenCalledWith(CONN, MODEL);
+    expect(stateOf(CONN, MODEL)).toBe(CIRCUIT_STATES.CLOSED);
+    expect(isCircuitAvailable(CONN, MODEL)).toBe(true);
+  });
+
+  it("re-opens with a longer cooldown when the probe fails", async () => {
+    setCircuitProber(async () => ({ ok: false, error: "API returned 503" }));
+
+    const { cooldownMs } = recordCircuitFailure(CONN, MODEL, { status: 401 });
+    vi.advanceTimersByTime(cooldownMs);
+    await flushProbe();
+
+    const breaker = getCircuitBreakers({ connectionId: CONN })[0];
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.lastProbeError).toBe("API returned 503");
+    expect(new Date(breaker.openUntil).getTime() - Date.now()).toBe(cooldownMs * 2);
+  });
+
+  it("allows a single trial request when probing is unsupported", async () => {
+    setCircuitProber(async () => ({ ok: false, unsupported: true }));
+
+    const { cooldownMs } = recordCircuitFailure(CONN, MODEL, { status: 403 });
+    vi.advanceTimersByTime(cooldownMs);
+    await flushProbe();
+
+    expect(isCircuitAvailable(CONN, MODEL)).toBe(true);
+    acquireCircuitTrial(CONN, MODEL);
+    expect(isCircuitAvailable(CONN, MODEL)).toBe(false);
+
+    // Trial failure re-opens, trial success would close
+    expect(recordCircuitFailure(CONN, MODEL, { status: 403 }).tripped).toBe(true);
+    expect(stateOf(CONN, MODEL)).toBe(CIRCUIT_STATES.OPEN);
+  });
+});
+
+// ─── Account-level breaker ───────────────────────────────────────────────────
+
+describe("account-level breaker", () => {
+  it("blocks every model and is closed by a model success", () => {
+    recordCircuitFailure(CONN, null, { status: 401 });
+    expect(isCircuitAvailable(CONN, MODEL)).toBe(false);
+    expect(isCircuitAvailable(CONN, "other-model")).toBe(false);
+
+    recordCircuitSuccess(CONN, MODEL);
+    expect(isCircuitAvailable(CONN, "other-model")).toBe(true);
+  });
+});
+
+// ─── Snapshot / reset ────────────────────────────────────────────────────────
+
+describe("getCircuitBreakers / resetCircuitBreaker", () => {
+  it("lists breaker stats and resets them", () => {
+    recordCircuitFailure(CONN, MODEL, { status: 429, errorText: "rate limit" });
+    recordCircuitSuccess("conn-2", MODEL);
+
+    const [breaker] = getCircuitBreakers({ connectionId: CONN });
+    expect(breaker).toMatchObject({ model: MODEL, state: "open", failures: 1, lastStatus: 429, lastError: "rate limit" });
+    expect(getCircuitBreakers()).toHaveLength(2);
+
+    expect(resetCircuitBreaker(CONN)).toBe(1);
+    expect(stateOf(CONN, MODEL)).toBe(CIRCUIT_STATES.CLOSED);
+    expect(isCircuitAvailable(CONN, MODEL)).toBe(true);
+  });
+});
+
+// ─── Persistence ─────────────────────────────────────────────────────────────
+
+describe("persistence", () => {
+  it("saves the cooldown end when a breaker opens and clears it when it closes", async () => {
+    const persister = vi.fn();
+    setCircuitPersister(persister);
+
+    recordCircuitFailure(CONN, MODEL, { status: 429 });
+    recordCircuitFailure(CONN, null, { status: 401 });
+    await flushProbe();
+    const [breaker] = getCircuitBreakers({ connectionId: CONN }).filter(b => b.model === MODEL);
+    expect(persister).toHaveBeenCalledWith(CONN, MODEL, breaker.openUntil);
+    expect(persister).toHaveBeenCalledWith(CONN, "__all", expect.any(String));
+
+    persister.mockClear();
+    recordCircuitSuccess(CONN, MODEL);
+    recordCircuitSuccess("conn-2", MODEL);
+    await flushProbe();
+    // Already-closed breakers are not written
+    expect(persister.mock.calls).toEqual([[CONN, MODEL, null], [CONN, "__all", null]]);
+  });
+
+  it("restores unexpired breakers after a restart", () => {
+    const until = new Date(Date.now() + 60_000).toISOString();
+
+    expect(restoreCircuitBreaker(CONN, MODEL, until)).toBe(true);
+    expect(isCircuitAvailable(CONN, MODEL)).toBe(false);
+    expect(getCircuitRetryAt(CONN, MODEL)).toBe(until);
+    // Already tracked in memory
+    expect(restoreCircuitBreaker(CONN, MODEL, new Date(Date.now() + 120_000).toISOString())).toBe(false);
+
+    expect(restoreCircuitBreaker(CONN, "__all", until)).toBe(true);
+    expect(isCircuitAvailable(CONN, "other-model")).toBe(false);
+
+    expect(restoreCircuitBreaker("conn-2", MODEL, new Date(Date.now() - 1000).toISOString())).toBe(false);
+    expect(isCircuitAvailable("conn-2", MODEL)).toBe(true);
+
+    vi.advanceTimersByTime(60_000);
+    expect(isCircuitAvailable(CONN, MODEL)).toBe(true);
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * Unit tests for open-sse/services/combo.js
+ *
+ * Tests cover:
+ *  - getComboFromData()        — combo lookup incl. strategy/weights
+ *  - orderComboModels()        — priority, weighted, latency, cost ordering
+ *  - handleComboChat()         — strategy applied, latency recorded at the first token, failures penalised,
+ *                                no retry time from budget rejections
+ *  - handleComboChat() race    — first token wins, losers aborted and told they lost, sequential tail
+ *  - waitForFirstToken()       — buffered chunks replayed
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+
+import {
+  COMBO_STRATEGIES,
+  getComboFromData,
+  getComboModelsFromData,
+  orderComboModels,
+  recordComboLatency,
+  getComboLatencyP50,
+  isValidComboWeights,
+  handleComboChat,
+  waitForFirstToken,
+} from "../../open-sse/services/combo.js";
+import { budgetExceededResponse } from "../../open-sse/services/budget.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const log = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+function okResponse() {
+  return new Response(JSON.stringify({ ok: true }), { status: 200 });
+}
+
+function errorResponse(status, message) {
+  return new Response(JSON.stringify({ error: { message } }), { status });
+}
+
+// SSE response emitting a role chunk, then a content chunk after `delayMs`
+function sseResponse(text, delayMs, signal) {
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    async start(controller) {
+      controller.enqueue(encoder.encode(`data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n`));
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+      if (signal?.aborted) return controller.error(new Error("aborted"));
+      controller.enqueue(encoder.encode(`data: {"choices":[{"delta":{"content":"${text}"}}]}\n\n`));
+      controller.close();
+    }
+  });
+  return new Response(stream, { status: 200, headers: { "Content-Type": "text/event-stream" } });
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  globalThis._comboLatencySamples.clear();
+});
+
+// ─── getComboFromData ────────────────────────────────────────────────────────
+
+describe("getComboFromData", () => {
+  const combos = [
+    { name: "fast", models: ["cc/a", "gc/b"], strategy: "latency" },
+    { name: "empty", models: [] },
+  ];
+
+  it("returns full combo with strategy", () => {
+    expect(getComboFromData("fast", combos).strategy).toBe("latency");
+    expect(getComboModelsFromData("fast", { combos })).toEqual(["cc/a", "gc/b"]);
+  });
+
+  it("ignores provider/model strings and empty combos", () => {
+    expect(getComboFromData("cc/fast", combos)).toBeNull();
+    expect(getComboFromData("empty", combos)).toBeNull();
+  });
+});
+
+// ─── orderComboModels ────────────────────────────────────────────────────────
+
+describe("orderComboModels", () => {
+  const models = ["a/1", "b/2", "c/3"];
+
+  it("priority (and unknown strategy) keeps configured order", async () => {
+    expect(await orderComboModels({ models, strategy: COMBO_STRATEGIES.PRIORITY })).toEqual(models);
+    expect(await orderComboModels({ models })).toEqual(models);
+  });
+
+  it("weighted picks by weight and moves zero-weight models last", async () => {
+    vi.spyOn(Math, "random").mockReturnValue(0.99);
+    const ordered = await orderComboModels({
+      models,
+      strategy: COMBO_STRATEGIES.WEIGHTED,
+      weights: { "a/1": 0, "b/2": 1, "c/3": 9 },
+    });
+    expect(ordered).toEqual(["c/3", "b/2", "a/1"]);
+  });
+
+  it("latency sorts by p50, unobserved models first", async () => {
+    recordComboLatency("a/1", 900);
+    recordComboLatency("b/2", 100);
+    recordComboLatency("b/2", 300);
+    recordComboLatency("b/2", 200);
+    expect(getComboLatencyP50("b/2")).toBe(200);
+
+    const ordered = await orderComboModels({ models, strategy: COMBO_STRATEGIES.LATENCY });
+    expect(ordered).toEqual(["c/3", "b/2", "a/1"]);
+  });
+
+  it("cost sorts cheapest first, unpriced last, ties keep order", async () => {
+    const prices = { "a/1": 10, "b/2": null, "c/3": 1 };
+    const ordered = await orderComboModels({
+      models: [...models, "d/4"],
+      strategy: COMBO_STRATEGIES.COST,
+      getModelCost: async (m) => (m === "d/4" ? 1 : prices[m]),
+    });
+    expect(ordered).toEqual(["c/3", "d/4", "a/1", "b/2"]);
+  });
+});
+
+describe("isValidComboWeights", () => {
+  it("accepts non-negative numbers only", () => {
+    expect(isValidComboWeights({ "a/1": 0, "b/2": 2.5 })).toBe(true);
+    expect(isValidComboWeights({ "a/1": -1 })).toBe(false);
+    expect(isValidComboWeights({ "a/1": "3" })).toBe(false);
+    expect(isValidComboWeights([1, 2])).toBe(false);
+  });
+});
+
+// ─── handleComboChat ─────────────────────────────────────────────────────────
+
+describe("handleComboChat", () => {
+  it("tries models in strategy order and records latency of the winner and the failures", async () => {
+    const handleSingleModel = vi.fn(async (body, modelStr) => (
+      modelStr === "c/3" ? errorResponse(503, "overloaded") : okResponse()
+    ));
+
+    const response = await handleComboChat({
+      body: {},
+      models: ["a/1", "b/2", "c/3"],
+      strategy: COMBO_STRATEGIES.COST,
+      getModelCost: async (m) => ({ "a/1": 5, "b/2": 2, "c/3": 1 })[m],
+      handleSingleModel,
+      log,
+    });
+
+    expect(response.status).toBe(200);
+    expect(handleSingleModel.mock.calls.map(c => c[1])).toEqual(["c/3", "b/2"]);
+    expect(getComboLatencyP50("b/2")).not.toBeNull();
+    expect(getComboLatencyP50("c/3")).toBeGreaterThan(getComboLatencyP50("b/2"));
+  });
+
+  it("records the latency of a streamed success at its first token, not at its headers", async () => {
+    const handleSingleModel = vi.fn(async () => sseResponse("hello", 40));
+
+    const response = await handleComboChat({ body: {}, models: ["a/1"], handleSingleModel, log });
+
+    expect(getComboLatencyP50("a/1")).toBeGreaterThanOrEqual(30);
+    expect(await response.text()).toContain("hello");
+  });
+
+  it("moves a model that keeps failing behind measured models in latency order", async () => {
+    recordComboLatency("b/2", 2000);
+    const handleSingleModel = vi.fn(async (body, modelStr) => (
+      modelStr === "a/1" ? errorResponse(503, "overloaded") : okResponse()
+    ));
+    const run = () => handleComboChat({ body: {}, models: ["a/1", "b/2"], strategy: COMBO_STRATEGIES.LATENCY, handleSingleModel, log });
+
+    await run();
+    await run();
+    expect(handleSingleModel.mock.calls.map(c => c[1])).toEqual(["a/1", "b/2", "b/2"]);
+  });
+});
+
+describe("handleComboChat budget rejections", () => {
+  it("does not pass a budget reset time on as the combo retry time", async () => {
+    const resetsAt = new Date(Date.now() + 60000).toISOString();
+    const handleSingleModel = vi.fn(async () => budgetExceededResponse({ scope: "global", spent: 12, limit: 10, period: "daily", resetsAt }));
+
+    const response = await handleComboChat({ body: {}, models: ["a/1", "b/2"], handleSingleModel, log });
+
+    expect(handleSingleModel).toHaveBeenCalledTimes(2);
+    expect(response.headers.get("Retry-After")).toBeNull();
+  });
+});
+
+describe("handleComboChat race mode", () => {
+  it("returns the model that streams a token first and aborts the rest", async () => {
+    const signals = {};
+    const handleSingleModel = vi.fn(async (body, modelStr, opts) => {
+      signals[modelStr] = opts.signal;
+      if (modelStr === "a/1") {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        return sseResponse("slow", 0, opts.signal);
+      }
+      return sseResponse("fast", 5, opts.signal);
+    });
+
+    const response = await handleComboChat({
+      body: {},
+      models: ["a/1", "b/2", "c/3"],
+      raceCount: 2,
+      handleSingleModel,
+      log,
+    });
+
+    expect(await response.text()).toContain("fast");
+    expect(handleSingleModel.mock.calls.map(c => c[1])).toEqual(["a/1", "b/2"]);
+    expect(signals["a/1"].aborted).toBe(true);
+    expect(signals["b/2"].aborted).toBe(false);
+    expect(getComboLatencyP50("b/2")).not.toBeNull();
+  });
+
+  it("tells each attempt whether it won, also when a loser finishes after the winner", async () => {
+    const won = {};
+    const handleSingleModel = vi.fn(async (body, modelStr, opts) => {
+      won[modelStr] = opts.won;
+      if (modelStr === "b/2") await new Promise((resolve) => setTimeout(resolve, 20));
+      return okResponse();
+    });
+
+    const response = await handleComboChat({
+      body: {},
+      models: ["a/1", "b/2"],
+      raceCount: 2,
+      handleSingleModel,
+      log,
+    });
+
+    expect(await response.json()).toEqual({ ok: true });
+    expect(await won["a/1"]).toBe(true);
+    expect(await won["b/2"]).toBe(false);
+  });
+
+  it("falls back sequentially when every raced model fails", async () => {
+    const handleSingleModel = vi.fn(async (body, modelStr) => {
+      if (modelStr === "a/1") return errorResponse(503, "overloaded");
+      if (modelStr === "b/2") throw new Error("boom");
+      return okResponse();
+    });
+
+    const response = await handleComboChat({
+      body: {},
+      models: ["a/1", "b/2", "c/3"],
+      raceCount: 2,
+      handleSingleModel,
+      log,
+    });
+
+    expect(response.status).toBe(200);
+    expect(handleSingleModel.mock.calls.map(c => c[1])).toEqual(["a/1", "b/2", "c/3"]);
+    expect(handleSingleModel.mock.calls[2][2]).toBeUndefined();
+  });
+});
+
+describe("waitForFirstToken", () => {
+  it("replays buffered chunks in the returned stream", async () => {
+    const { response } = await waitForFirstToken(sseResponse("hello", 0));
+    const text = await response.text();
+    expect(text).toContain(`"role":"assistant"`);
+    expect(text).toContain("hello");
+  });
+
+  it("passes non-SSE responses through", async () => {
+    const original = okResponse();
+    const { response } = await waitForFirstToken(original);
+    expect(response).toBe(original);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for open-sse/services/comboRules.js
+ *
+ * Tests cover:
+ *  - extractRequestFeatures()  — tokens, tools, images, effort, format, user-agent
+ *  - resolveComboRoute()       — first matching rule wins, disabled rules, default branch
+ *  - validateComboRules()      — payload validation
+ */
+
+import { describe, it, expect } from "vitest";
+
+import {
+  extractRequestFeatures,
+  resolveComboRoute,
+  validateComboRules,
+} from "../../open-sse/services/comboRules.js";
+
+const combo = {
+  name: "smart",
+  models: ["cc/claude-sonnet-4-5"],
+  rules: [
+    { name: "disabled", enabled: false, match: {}, models: ["x/never"] },
+    { name: "long-context", match: { minPromptTokens: 1000 }, models: ["gemini/gemini-2.5-pro"] },
+    { name: "claude-tools", match: { hasTools: true, sourceFormat: ["claude"], userAgent: "/^claude-cli/" }, models: ["cc/claude-opus-4-6"] },
+    { name: "vision", match: { hasImages: true }, models: ["gemini/gemini-2.5-flash"] },
+  ],
+};
+
+describe("extractRequestFeatures", () => {
+  it("detects tools, images and reasoning effort", () => {
+    const features = extractRequestFeatures({
+      body: {
+        messages: [{ role: "user", content: [{ type: "image_url", image_url: { url: "data:," } }] }],
+        tools: [{ type: "function", function: { name: "f" } }],
+        reasoning_effort: "high",
+      },
+      sourceFormat: "openai",
+      userAgent: "ua",
+    });
+    expect(features.hasTools).toBe(true);
+    expect(features.hasImages).toBe(true);
+    expect(features.reasoningEffort).toBe("high");
+    expect(features.sourceFormat).toBe("openai");
+    expect(features.promptTokens).toBeGreaterThan(0);
+  });
+
+  it("detects Responses input_image and Gemini inlineData", () => {
+    expect(extractRequestFeatures({ body: { input: [{ role: "user", content: [{ type: "input_image" }] }] } }).hasImages).toBe(true);
+    expect(extractRequestFeatures({ body: { contents: [{ parts: [{ inlineData: { mimeType: "image/png" } }] }] } }).hasImages).toBe(true);
+  });
+});
+
+describe("resolveComboRoute", () => {
+  it("falls back to default models when no rule matches", () => {
+    const route = resolveComboRoute(combo, { body: { messages: [{ role: "user", content: "hi" }] } });
+    expect(route.rule).toBeNull();
+    expect(route.models).toEqual(["cc/claude-sonnet-4-5"]);
+  });
+
+  it("matches first rule in order, skipping disabled ones", () => {
+    const route = resolveComboRoute(combo, { body: { messages: [{ role: "user", content: "a".repeat(5000) }] } });
+    expect(route.rule.name).toBe("long-context");
+    expect(route.models).toEqual(["gemini/gemini-2.5-pro"]);
+  });
+
+  it("requires all conditions of a rule to match", () => {
+    const body = { messages: [{ role: "user", content: "hi" }], tools: [{ name: "t" }] };
+    expect(resolveComboRoute(combo, { body, sourceFormat: "claude", userAgent: "claude-cli/2.1" }).rule.name).toBe("claude-tools");
+    expect(resolveComboRoute(combo, { body, sourceFormat: "openai", userAgent: "claude-cli/2.1" }).rule).toBeNull();
+    expect(resolveComboRoute(combo, { body, sourceFormat: "claude", userAgent: "curl/8" }).rule).toBeNull();
+  });
+});
+
+describe("validateComboRules", () => {
+  it("accepts valid rules", () => {
+    expect(validateComboRules(combo.rules)).toBeNull();
+  });
+
+  it("rejects malformed rules", () => {
+    expect(validateComboRules({})).toMatch(/array/);
+    expect(validateComboRules([{ match: {}, models: [] }])).toMatch(/model/);
+    expect(validateComboRules([{ match: { foo: 1 }, models: ["a/b"] }])).toMatch(/unknown condition/);
+    expect(validateComboRules([{ match: { hasTools: "yes" }, models: ["a/b"] }])).toMatch(/true or false/);
+    expect(validateComboRules([{ match: { minPromptTokens: -5 }, models: ["a/b"] }])).toMatch(/non-negative/);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for document (PDF / text file) support in the translator
+ *
+ * Tests cover:
+ *  - extractPdfText()                 — plain and FlateDecode content streams, TJ arrays, escapes
+ *  - Claude document ↔ OpenAI file    — base64 PDF, text source, citations / title kept
+ *  - Responses input_file ↔ OpenAI file
+ *  - Gemini inlineData for file parts
+ *  - extractUnsupportedDocuments()    — native targets keep files, others get extracted text
+ *  - filterToOpenAIFormat()           — translator-only file fields stripped
+ */
+
+import { describe, it, expect } from "vitest";
+import { deflateSync } from "node:zlib";
+
+import { extractPdfText } from "../../open-sse/utils/pdfText.js";
+import {
+  claudeDocumentToOpenAI,
+  openAIFileToClaudeDocument,
+  responsesInputFileToOpenAI,
+  openAIFileToResponsesInputFile,
+  supportsDocument,
+  extractUnsupportedDocuments,
+} from "../../open-sse/translator/helpers/documentHelper.js";
+import { convertOpenAIContentToParts } from "../../open-sse/translator/helpers/geminiHelper.js";
+import { filterToOpenAIFormat } from "../../open-sse/translator/helpers/openaiHelper.js";
+import { FORMATS } from "../../open-sse/translator/formats.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+// Minimal one-page PDF around a content stream
+function buildPdf(content, { compress = false } = {}) {
+  const data = compress ? deflateSync(Buffer.from(content, "latin1")) : Buffer.from(content, "latin1");
+  const filter = compress ? " /Filter /FlateDecode" : "";
+  return Buffer.concat([
+    Buffer.from("%PDF-1.4\n1 0 obj\n<< /Type /Page >>\nendobj\n", "latin1"),
+    Buffer.from(`2 0 obj\n<< /Length ${data.length}${filter} >>\nstream\n`, "latin1"),
+    data,
+    Buffer.from("\nendstream\nendobj\n%%EOF\n", "latin1"),
+  ]);
+}
+
+const PAGE = "BT /F1 12 Tf 72 712 Td (Hello \\(PDF\\) World) Tj 0 -14 Td [(Second) -300 (line)] TJ ET";
+const PDF_BASE64 = buildPdf(PAGE).toString("base64");
+
+const pdfPart = (extra = {}) => ({
+  type: "file",
+  file: { filename: "report.pdf", file_data: `data:application/pdf;base64,${PDF_BASE64}` },
+  ...extra,
+});
+
+// ─── extractPdfText ──────────────────────────────────────────────────────────
+
+describe("extractPdfText", () => {
+  it("reads text operators from plain and compressed streams", async () => {
+    expect(await extractPdfText(buildPdf(PAGE))).toBe("Hello (PDF) World\nSecond line");
+    expect(await extractPdfText(buildPdf(PAGE, { compress: true }))).toBe("Hello (PDF) World\nSecond line");
+  });
+
+  it("returns empty text when there are no text operators", async () => {
+    expect(await extractPdfText(buildPdf("0 0 m 100 100 l S"))).toBe("");
+  });
+});
+
+// ─── Format conversion ───────────────────────────────────────────────────────
+
+describe("document conversion", () => {
+  it("round-trips Claude base64 PDF documents with title and citations", () => {
+    const block = { type: "document", title: "report.pdf", citations: { enabled: true }, source: { type: "base64", media_type: "application/pdf", data: PDF_BASE64 } };
+    const part = claudeDocumentToOpenAI(block);
+    expect(part).toEqual(pdfPart({ citations: { enabled: true } }));
+    expect(openAIFileToClaudeDocument(part)).toEqual(block);
+  });
+
+  it("carries Claude text documents as text/plain files", () => {
+    const part = claudeDocumentToOpenAI({ type: "document", source: { type: "text", media_type: "text/plain", data: "plain notes" } });
+    expect(part.file.file_data).toBe(`data:text/plain;base64,${Buffer.from("plain notes").toString("base64")}`);
+    expect(openAIFileToClaudeDocument(part).source).toEqual({ type: "text", media_type: "text/plain", data: "plain notes" });
+  });
+
+  it("maps Responses API input_file both ways", () => {
+    const part = responsesInputFileToOpenAI({ type: "input_file", filename: "report.pdf", file_data: PDF_BASE64 });
+    expect(part).toEqual(pdfPart());
+    expect(openAIFileToResponsesInputFile(part)).toEqual({ type: "input_file", filename: "report.pdf", file_data: `data:application/pdf;base64,${PDF_BASE64}` });
+  });
+
+  it("sends file parts to Gemini as inlineData", () => {
+    expect(convertOpenAIContentToParts([pdfPart()])).toEqual([{ inlineData: { mime_type: "application/pdf", data: PDF_BASE64 } }]);
+  });
+
+  it("strips translator-only fields for OpenAI targets", () => {
+    const body = { messages: [{ role: "user", content: [pdfPart({ citations: { enabled: true } })] }] };
+    expect(filterToOpenAIFormat(body).messages[0].content[0]).toEqual({ type: "file", file: { filename: "report.pdf", file_data: pdfPart().file.file_data, file_id: undefined } });
+  });
+});
+
+// ─── extractUnsupportedDocuments ─────────────────────────────────────────────
+
+describe("extractUnsupportedDocuments", () => {
+  const body = { messages: [{ role: "user", content: [{ type: "text", text: "Summarize" }, pdfPart()] }] };
+
+  it("knows which targets read documents natively", () => {
+    expect(supportsDocument(pdfPart(), { targetFormat: FORMATS.CLAUDE })).toBe(true);
+    expect(supportsDocument(pdfPart(), { targetFormat: FORMATS.GEMINI })).toBe(true);
+    expect(supportsDocument(pdfPart(), { targetFormat: FORMATS.OPENAI, provider: "openai" })).toBe(true);
+    expect(supportsDocument(pdfPart(), { targetFormat: FORMATS.OPENAI, provider: "deepseek" })).toBe(false);
+    expect(supportsDocument(pdfPart(), { targetFormat: FORMATS.KIRO })).toBe(false);
+    expect(supportsDocument(pdfPart(), { targetFormat: FORMATS.ANTIGRAVITY, model: "claude-sonnet-4-5" })).toBe(false);
+  });
+
+  it("keeps documents for native targets", async () => {
+    expect(await extractUnsupportedDocuments(body, { targetFormat: FORMATS.CLAUDE })).toBe(body);
+  });
+
+  it("replaces documents with extracted text for other targets", async () => {
+    const result = await extractUnsupportedDocuments(body, { targetFormat: FORMATS.KIRO });
+    expect(result.messages[0].content[1]).toEqual({
+      type: "text",
+      text: `<document name="report.pdf">\nHello (PDF) World\nSecond line\n</document>`,
+    });
+    expect(body.messages[0].content[1].type).toBe("file");
+  });
+
+  it("notes documents without extractable text", async () => {
+    const image = { type: "file", file: { filename: "scan.png", file_data: "data:image/png;base64,AAAA" } };
+    const result = await extractUnsupportedDocuments({ messages: [{ role: "user", content: [image] }] }, { targetFormat: FORMATS.CURSOR });
+    expect(result.messages[0].content[0].text).toBe("[Document scan.png: no extractable text]");
+  });
+});
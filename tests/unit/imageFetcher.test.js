@@ -0,0 +1,126 @@
+/**
+ * Unit tests for remote image inlining
+ *
+ * Tests cover:
+ *  - sniffImageMime()       — PNG / JPEG / GIF / WEBP signatures
+ *  - fetchImage()           — base64 + sniffed MIME, size cap, non-image rejection, LRU cache, in-flight dedupe
+ *  - inlineRemoteImages()   — remote image_url → data URL, placeholder on failure, input untouched
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+import { sniffImageMime, fetchImage, resetImageCache } from "../../open-sse/services/imageFetcher.js";
+import { inlineRemoteImages } from "../../open-sse/translator/helpers/mediaHelper.js";
+import { convertOpenAIContentToParts } from "../../open-sse/translator/helpers/geminiHelper.js";
+import { IMAGE_FETCH_CONFIG } from "../../open-sse/config/constants.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3]);
+const PNG_BASE64 = Buffer.from(PNG).toString("base64");
+
+function imageResponse(bytes = PNG, contentType = "application/octet-stream") {
+  return new Response(bytes, { headers: { "Content-Type": contentType } });
+}
+
+let fetchMock;
+
+beforeEach(() => {
+  resetImageCache();
+  fetchMock = vi.fn(async () => imageResponse());
+  vi.stubGlobal("fetch", fetchMock);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+// ─── sniffImageMime ──────────────────────────────────────────────────────────
+
+describe("sniffImageMime", () => {
+  it("detects common image signatures", () => {
+    expect(sniffImageMime(PNG)).toBe("image/png");
+    expect(sniffImageMime(new Uint8Array([0xff, 0xd8, 0xff, 0xe0]))).toBe("image/jpeg");
+    expect(sniffImageMime(new TextEncoder().encode("GIF89a"))).toBe("image/gif");
+    expect(sniffImageMime(new TextEncoder().encode("RIFF\0\0\0\0WEBPVP8 "))).toBe("image/webp");
+    expect(sniffImageMime(new TextEncoder().encode("<html>"))).toBeNull();
+  });
+});
+
+// ─── fetchImage ──────────────────────────────────────────────────────────────
+
+describe("fetchImage", () => {
+  it("returns base64 data with the sniffed MIME type", async () => {
+    expect(await fetchImage("https://example.com/a")).toEqual({ mimeType: "image/png", data: PNG_BASE64 });
+  });
+
+  it("rejects non-images and oversized downloads", async () => {
+    fetchMock.mockResolvedValueOnce(imageResponse(new TextEncoder().encode("<html>"), "text/html"));
+    await expect(fetchImage("https://example.com/page")).rejects.toThrow(/not an image/);
+
+    fetchMock.mockResolvedValueOnce(new Response("x", { headers: { "Content-Length": String(IMAGE_FETCH_CONFIG.maxBytes + 1) } }));
+    await expect(fetchImage("https://example.com/huge")).rejects.toThrow(/larger than/);
+
+    fetchMock.mockResolvedValueOnce(new Response(null, { status: 404 }));
+    await expect(fetchImage("https://example.com/missing")).rejects.toThrow(/HTTP 404/);
+  });
+
+  it("downloads each URL once, sharing in-flight requests", async () => {
+    await Promise.all([fetchImage("https://example.com/a"), fetchImage("https://example.com/a")]);
+    await fetchImage("https://example.com/a");
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("evicts the least recently used entry", async () => {
+    for (let i = 0; i < IMAGE_FETCH_CONFIG.cacheEntries; i++) await fetchImage(`https://example.com/${i}`);
+    await fetchImage("https://example.com/0"); // now most recent
+    await fetchImage("https://example.com/new"); // evicts /1
+    fetchMock.mockClear();
+
+    await fetchImage("https://example.com/0");
+    expect(fetchMock).not.toHaveBeenCalled();
+    await fetchImage("https://example.com/1");
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ─── inlineRemoteImages ──────────────────────────────────────────────────────
+
+describe("inlineRemoteImages", () => {
+  const body = {
+    messages: [
+      { role: "system", content: "Be brief" },
+      {
+        role: "user",
+        content: [
+          { type: "text", text: "What is this?" },
+          { type: "image_url", image_url: { url: "https://example.com/cat.png", detail: "high" } },
+          { type: "image_url", image_url: { url: "data:image/jpeg;base64,AAAA" } },
+        ],
+      },
+    ],
+  };
+
+  it("replaces remote URLs with data URLs Gemini can inline", async () => {
+    const result = await inlineRemoteImages(body);
+    const content = result.messages[1].content;
+    expect(content[1].image_url).toEqual({ url: `data:image/png;base64,${PNG_BASE64}`, detail: "high" });
+    expect(content[2]).toBe(body.messages[1].content[2]);
+    expect(convertOpenAIContentToParts(content)[1]).toEqual({ inlineData: { mime_type: "image/png", data: PNG_BASE64 } });
+    expect(body.messages[1].content[1].image_url.url).toBe("https://example.com/cat.png");
+  });
+
+  it("leaves a placeholder when the image cannot be fetched", async () => {
+    fetchMock.mockResolvedValue(new Response(null, { status: 403 }));
+    const log = { warn: vi.fn() };
+    const result = await inlineRemoteImages(body, log);
+    expect(result.messages[1].content[1]).toEqual({ type: "text", text: "[Image unavailable: https://example.com/cat.png]" });
+    expect(log.warn).toHaveBeenCalledWith("MEDIA", expect.stringContaining("HTTP 403"));
+  });
+
+  it("returns bodies without remote images unchanged", async () => {
+    const plain = { messages: [{ role: "user", content: "hi" }] };
+    expect(await inlineRemoteImages(plain)).toBe(plain);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
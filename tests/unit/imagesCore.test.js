@@ -0,0 +1,172 @@
+/**
+ * Unit tests for open-sse/handlers/imagesCore.js
+ *
+ * Tests cover:
+ *  - sizeToAspectRatio() / imageRequestToChat()  — chat body for image-output models
+ *  - openaiToGeminiRequest()                     — modalities → responseModalities + imageConfig
+ *  - extractChatImages()                         — message.images, image_url parts, markdown
+ *  - toImagesResponse()                          — b64_json, stored URLs, remote URLs
+ *  - handleImagesCore()                          — native generations / edits requests
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+
+import {
+  handleImagesCore,
+  hasImagesApi,
+  sizeToAspectRatio,
+  imageRequestToChat,
+  extractChatImages,
+  toImagesResponse,
+  IMAGE_ACTIONS,
+} from "../../open-sse/handlers/imagesCore.js";
+import { openaiToGeminiRequest } from "../../open-sse/translator/request/openai-to-gemini.js";
+import { resetImageCache } from "../../open-sse/services/imageFetcher.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+const PNG_B64 = PNG.toString("base64");
+const PNG_DATA_URL = `data:image/png;base64,${PNG_B64}`;
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  resetImageCache();
+});
+
+// ─── Chat-based generation ───────────────────────────────────────────────────
+
+describe("imageRequestToChat", () => {
+  it("asks for image output with the size as an aspect ratio", () => {
+    expect(sizeToAspectRatio("1536x1024")).toBe("3:2");
+    expect(sizeToAspectRatio("auto")).toBeNull();
+
+    const body = imageRequestToChat({ model: "gemini/gemini-2.5-flash-image", prompt: "A red fox", size: "1024x1024" });
+    expect(body).toEqual({
+      model: "gemini/gemini-2.5-flash-image",
+      stream: false,
+      modalities: ["image", "text"],
+      messages: [{ role: "user", content: [{ type: "text", text: "A red fox" }] }],
+      image_config: { aspect_ratio: "1:1" },
+    });
+  });
+
+  it("puts images to edit before the prompt", () => {
+    const body = imageRequestToChat({ model: "m", prompt: "Make it blue" }, [{ mimeType: "image/png", data: PNG_B64 }]);
+    expect(body.messages[0].content).toEqual([
+      { type: "image_url", image_url: { url: PNG_DATA_URL } },
+      { type: "text", text: "Make it blue" },
+    ]);
+  });
+
+  it("turns modalities into Gemini responseModalities", () => {
+    const gemini = openaiToGeminiRequest("gemini-2.5-flash-image", imageRequestToChat({ model: "m", prompt: "fox", size: "1024x1536" }), false);
+    expect(gemini.generationConfig).toMatchObject({ responseModalities: ["IMAGE", "TEXT"], imageConfig: { aspectRatio: "2:3" } });
+
+    const text = openaiToGeminiRequest("gemini-2.5-flash", { messages: [{ role: "user", content: "hi" }] }, false);
+    expect(text.generationConfig.responseModalities).toBeUndefined();
+  });
+});
+
+describe("extractChatImages", () => {
+  it("finds images in message.images, content parts and markdown", () => {
+    const completion = {
+      choices: [
+        { message: { content: "Here you go", images: [{ type: "image_url", image_url: { url: PNG_DATA_URL } }] } },
+        { message: { content: [{ type: "image_url", image_url: { url: "https://cdn.example.com/a.png" } }] } },
+        { message: { content: `Done ![fox](${PNG_DATA_URL.replace("AAAA", "AAAB")})` } },
+      ],
+    };
+    expect(extractChatImages(completion)).toHaveLength(3);
+    expect(extractChatImages({ choices: [{ message: { content: "No image today" } }] })).toEqual([]);
+  });
+});
+
+// ─── Response building ───────────────────────────────────────────────────────
+
+describe("toImagesResponse", () => {
+  it("returns base64 by default", async () => {
+    const result = await toImagesResponse([{ url: PNG_DATA_URL, revised_prompt: "a fox" }]);
+    expect(result.data).toEqual([{ b64_json: PNG_B64, revised_prompt: "a fox" }]);
+    expect(result.created).toBeTypeOf("number");
+  });
+
+  it("stores inline images when URLs are asked for and keeps remote ones", async () => {
+    const storeImage = vi.fn(async () => "http://localhost:20128/v1/images/files/x.png");
+    const result = await toImagesResponse(
+      [{ url: PNG_DATA_URL }, { url: "https://cdn.example.com/a.png" }],
+      { responseFormat: "url", storeImage }
+    );
+    expect(result.data).toEqual([
+      { url: "http://localhost:20128/v1/images/files/x.png" },
+      { url: "https://cdn.example.com/a.png" },
+    ]);
+    expect(storeImage).toHaveBeenCalledWith(PNG, "image/png");
+  });
+
+  it("downloads remote images for b64_json", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => new Response(PNG, { headers: { "Content-Type": "image/png" } })));
+    const result = await toImagesResponse([{ url: "https://cdn.example.com/a.png" }], { responseFormat: "b64_json" });
+    expect(result.data).toEqual([{ b64_json: PNG_B64 }]);
+  });
+});
+
+// ─── handleImagesCore ────────────────────────────────────────────────────────
+
+describe("handleImagesCore", () => {
+  it("knows which providers have an images API", () => {
+    expect(hasImagesApi("openai")).toBe(true);
+    expect(hasImagesApi("openai-compatible-sd")).toBe(true);
+    expect(hasImagesApi("gemini")).toBe(false);
+  });
+
+  it("asks dall-e for base64 and returns data URLs", async () => {
+    const fetchMock = vi.fn(async () => Response.json({ created: 1, data: [{ b64_json: PNG_B64, revised_prompt: "a fox" }] }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await handleImagesCore({
+      action: IMAGE_ACTIONS.GENERATION,
+      body: { model: "openai/dall-e-3", prompt: "fox", size: "1024x1024", response_format: "url", n: 1 },
+      modelInfo: { provider: "openai", model: "dall-e-3" },
+      credentials: { apiKey: "sk-test" },
+    });
+
+    expect(result).toMatchObject({ success: true, images: [{ url: PNG_DATA_URL, revised_prompt: "a fox" }], usage: { images: 1 } });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("https://api.openai.com/v1/images/generations");
+    expect(init.headers.Authorization).toBe("Bearer sk-test");
+    expect(JSON.parse(init.body)).toEqual({ model: "dall-e-3", prompt: "fox", n: 1, size: "1024x1024", response_format: "b64_json" });
+  });
+
+  it("sends edits as multipart without response_format for gpt-image", async () => {
+    const fetchMock = vi.fn(async () => Response.json({ data: [{ b64_json: PNG_B64 }] }));
+    vi.stubGlobal("fetch", fetchMock);
+    const image = new File([PNG], "in.png", { type: "image/png" });
+
+    const result = await handleImagesCore({
+      action: IMAGE_ACTIONS.EDIT,
+      body: { prompt: "make it blue", image: [image, image], mask: image },
+      modelInfo: { provider: "openai-compatible-local", model: "gpt-image-1" },
+      credentials: { apiKey: "k", providerSpecificData: { baseUrl: "http://localhost:8080/v1/" } },
+    });
+
+    expect(result.success).toBe(true);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("http://localhost:8080/v1/images/edits");
+    expect(init.body.getAll("image[]")).toHaveLength(2);
+    expect(init.body.get("mask")).toBeTruthy();
+    expect(init.body.get("response_format")).toBeNull();
+  });
+
+  it("returns upstream errors with their status", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => Response.json({ error: { message: "content policy" } }, { status: 400 })));
+    const result = await handleImagesCore({
+      action: IMAGE_ACTIONS.GENERATION,
+      body: { prompt: "fox" },
+      modelInfo: { provider: "openai", model: "gpt-image-1" },
+      credentials: { apiKey: "k" },
+    });
+    expect(result.success).toBe(false);
+    expect(result.status).toBe(400);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for open-sse/services/metrics.js (Prometheus exposition)
+ *
+ * Tests cover:
+ *  - formatLabels()        — label escaping
+ *  - recordRequest()       — request counter, latency and TTFT histograms
+ *  - recordUsage()         — token and cost counters
+ *  - recordTokenRefresh()  — refresh outcome counter (also via refreshWithRetry)
+ *  - renderMetrics()       — scrape-time gauges
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+
+import {
+  formatLabels,
+  recordRequest,
+  recordUsage,
+  recordTokenRefresh,
+  renderMetrics,
+  resetMetrics,
+} from "../../open-sse/services/metrics.js";
+import { refreshWithRetry } from "../../open-sse/services/tokenRefresh.js";
+
+beforeEach(() => {
+  resetMetrics();
+});
+
+const sampleLines = (text, name) => text.split("\n").filter(l => l.startsWith(`ninerouter_${name}`));
+
+describe("formatLabels", () => {
+  it("escapes backslashes, quotes and newlines", () => {
+    expect(formatLabels({ model: "a\"b\\c\nd" })).toBe("{model=\"a\\\"b\\\\c\\nd\"}");
+    expect(formatLabels({})).toBe("");
+  });
+});
+
+describe("recordRequest", () => {
+  it("counts requests per provider, model, account and status", () => {
+    recordRequest({ provider: "openai", model: "gpt-4o", connectionId: "c1", status: 200, latencyMs: 300 });
+    recordRequest({ provider: "openai", model: "gpt-4o", connectionId: "c1", status: 200, latencyMs: 700 });
+    recordRequest({ provider: "openai", model: "gpt-4o", connectionId: "c1", status: 429, latencyMs: 50 });
+
+    const text = renderMetrics();
+    expect(text).toContain("# TYPE ninerouter_requests_total counter");
+    expect(text).toContain("ninerouter_requests_total{provider=\"openai\",model=\"gpt-4o\",connection=\"c1\",status=\"200\"} 2");
+    expect(text).toContain("ninerouter_requests_total{provider=\"openai\",model=\"gpt-4o\",connection=\"c1\",status=\"429\"} 1");
+  });
+
+  it("fills cumulative latency buckets and only observes TTFT when known", () => {
+    recordRequest({ provider: "p", model: "m", status: 200, latencyMs: 300, ttftMs: 80 });
+    recordRequest({ provider: "p", model: "m", status: 200, latencyMs: 2000 });
+
+    const text = renderMetrics();
+    expect(text).toContain("ninerouter_request_duration_seconds_bucket{provider=\"p\",model=\"m\",le=\"0.25\"} 0");
+    expect(text).toContain("ninerouter_request_duration_seconds_bucket{provider=\"p\",model=\"m\",le=\"0.5\"} 1");
+    expect(text).toContain("ninerouter_request_duration_seconds_bucket{provider=\"p\",model=\"m\",le=\"2.5\"} 2");
+    expect(text).toContain("ninerouter_request_duration_seconds_bucket{provider=\"p\",model=\"m\",le=\"+Inf\"} 2");
+    expect(text).toContain("ninerouter_request_duration_seconds_sum{provider=\"p\",model=\"m\"} 2.3");
+    expect(text).toContain("ninerouter_time_to_first_token_seconds_count{provider=\"p\",model=\"m\"} 1");
+  });
+});
+
+describe("recordUsage", () => {
+  it("adds prompt/completion tokens and cost", () => {
+    recordUsage({ provider: "claude", model: "sonnet", tokens: { input_tokens: 100, output_tokens: 20 }, cost: 0.5 });
+    recordUsage({ provider: "claude", model: "sonnet", tokens: { prompt_tokens: 10, completion_tokens: 0 }, cost: 0.25 });
+
+    const text = renderMetrics();
+    expect(text).toContain("ninerouter_tokens_total{provider=\"claude\",model=\"sonnet\",type=\"prompt\"} 110");
+    expect(text).toContain("ninerouter_tokens_total{provider=\"claude\",model=\"sonnet\",type=\"completion\"} 20");
+    expect(text).toContain("ninerouter_cost_usd_total{provider=\"claude\",model=\"sonnet\"} 0.75");
+  });
+});
+
+describe("token refresh", () => {
+  it("counts refreshWithRetry successes and failures", async () => {
+    await refreshWithRetry(async () => ({ accessToken: "t" }), 1, null, "codex");
+    await refreshWithRetry(async () => null, 1, null, "codex");
+    recordTokenRefresh("claude", true);
+
+    const text = renderMetrics();
+    expect(text).toContain("ninerouter_token_refresh_total{provider=\"codex\",result=\"success\"} 1");
+    expect(text).toContain("ninerouter_token_refresh_total{provider=\"codex\",result=\"failure\"} 1");
+    expect(text).toContain("ninerouter_token_refresh_total{provider=\"claude\",result=\"success\"} 1");
+  });
+});
+
+describe("renderMetrics gauges", () => {
+  it("renders in-flight, queued and cooldown gauges", () => {
+    const text = renderMetrics({
+      inFlight: [{ provider: "openai", model: "gpt-4o", connection: "c1", count: 3 }],
+      queued: 2,
+      cooldowns: [{ provider: "openai", connection: "c2", model: "", seconds: 42 }],
+    });
+
+    expect(text).toContain("# TYPE ninerouter_requests_in_flight gauge");
+    expect(sampleLines(text, "requests_in_flight")).toEqual(["ninerouter_requests_in_flight{provider=\"openai\",model=\"gpt-4o\",connection=\"c1\"} 3"]);
+    expect(sampleLines(text, "requests_queued")).toEqual(["ninerouter_requests_queued 2"]);
+    expect(sampleLines(text, "account_cooldown_seconds")).toEqual(["ninerouter_account_cooldown_seconds{provider=\"openai\",connection=\"c2\",model=\"\"} 42"]);
+    expect(text.endsWith("\n")).toBe(true);
+  });
+});
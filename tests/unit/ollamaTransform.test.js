@@ -0,0 +1,182 @@
+/**
+ * Unit tests for open-sse/utils/ollamaTransform.js
+ *
+ * Tests cover:
+ *  - ollamaChatToOpenAI()        — stream default, images, tool call ids, options / format / think
+ *  - ollamaGenerateToOpenAI()    — system + prompt turn
+ *  - transformToOllama()         — chat and generate JSON lines, tool calls, single done chunk, stream:false
+ *  - openAIEmbeddingsToOllama()  — embeddings order and counts
+ *  - toOllamaModel()             — tag entry shape
+ */
+
+import { describe, it, expect } from "vitest";
+
+import {
+  ollamaChatToOpenAI,
+  ollamaGenerateToOpenAI,
+  transformToOllama,
+  openAIEmbeddingsToOllama,
+  toOllamaModel,
+  OLLAMA_MODES,
+} from "../../open-sse/utils/ollamaTransform.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const PNG_BASE64 = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).toString("base64");
+
+function sseResponse(chunks) {
+  const text = chunks.map(c => `data: ${typeof c === "string" ? c : JSON.stringify(c)}\n\n`).join("");
+  return new Response(text, { headers: { "Content-Type": "text/event-stream" } });
+}
+
+async function readLines(response) {
+  return (await response.text()).trim().split("\n").map(line => JSON.parse(line));
+}
+
+const delta = (d, finish_reason = null) => ({ choices: [{ index: 0, delta: d, finish_reason }] });
+
+// ─── Requests ────────────────────────────────────────────────────────────────
+
+describe("ollamaChatToOpenAI", () => {
+  it("streams by default and only disables streaming for stream:false", () => {
+    expect(ollamaChatToOpenAI({ model: "m", messages: [] }).stream).toBe(true);
+    expect(ollamaChatToOpenAI({ model: "m", messages: [], stream: false }).stream).toBe(false);
+  });
+
+  it("turns images into image_url parts", () => {
+    const body = ollamaChatToOpenAI({ model: "m", messages: [{ role: "user", content: "What is this?", images: [PNG_BASE64] }] });
+    expect(body.messages[0].content).toEqual([
+      { type: "text", text: "What is this?" },
+      { type: "image_url", image_url: { url: `data:image/png;base64,${PNG_BASE64}` } },
+    ]);
+  });
+
+  it("assigns tool call ids and matches tool results by name", () => {
+    const body = ollamaChatToOpenAI({
+      model: "m",
+      messages: [
+        { role: "user", content: "Weather?" },
+        { role: "assistant", content: "", tool_calls: [
+          { function: { name: "get_weather", arguments: { city: "Paris" } } },
+          { function: { name: "get_time", arguments: {} } },
+        ] },
+        { role: "tool", tool_name: "get_time", content: "12:00" },
+        { role: "tool", tool_name: "get_weather", content: "sunny" },
+      ],
+    });
+    const calls = body.messages[1].tool_calls;
+    expect(calls[0]).toEqual({ id: "call_1_0", type: "function", function: { name: "get_weather", arguments: "{\"city\":\"Paris\"}" } });
+    expect(body.messages[2]).toEqual({ role: "tool", tool_call_id: "call_1_1", content: "12:00" });
+    expect(body.messages[3]).toEqual({ role: "tool", tool_call_id: "call_1_0", content: "sunny" });
+  });
+
+  it("maps options, format and think", () => {
+    const schema = { type: "object", properties: { a: { type: "string" } } };
+    const body = ollamaChatToOpenAI({
+      model: "m",
+      messages: [{ role: "user", content: "hi" }],
+      options: { temperature: 0.2, num_predict: 128, stop: ["\n"], seed: 7 },
+      format: schema,
+      think: "high",
+    });
+    expect(body).toMatchObject({
+      temperature: 0.2,
+      max_tokens: 128,
+      stop: ["\n"],
+      seed: 7,
+      response_format: { type: "json_schema", json_schema: { name: "response", schema } },
+      reasoning_effort: "high",
+    });
+    expect(ollamaChatToOpenAI({ model: "m", messages: [], format: "json" }).response_format).toEqual({ type: "json_object" });
+  });
+});
+
+describe("ollamaGenerateToOpenAI", () => {
+  it("builds a system + user conversation", () => {
+    const body = ollamaGenerateToOpenAI({ model: "m", system: "Be brief", prompt: "Why is the sky blue?", stream: false });
+    expect(body).toEqual({
+      model: "m",
+      stream: false,
+      messages: [{ role: "system", content: "Be brief" }, { role: "user", content: "Why is the sky blue?" }],
+    });
+  });
+});
+
+// ─── Responses ───────────────────────────────────────────────────────────────
+
+describe("transformToOllama", () => {
+  it("streams chat content and ends with one done chunk carrying counts", async () => {
+    const response = await transformToOllama(sseResponse([
+      delta({ role: "assistant", content: "Hel" }),
+      delta({ content: "lo" }),
+      delta({}, "stop"),
+      { choices: [], usage: { prompt_tokens: 5, completion_tokens: 2 } },
+      "[DONE]",
+    ]), "llama3");
+    const lines = await readLines(response);
+
+    expect(response.headers.get("Content-Type")).toBe("application/x-ndjson");
+    expect(lines.map(l => l.message.content)).toEqual(["Hel", "lo", ""]);
+    expect(lines.filter(l => l.done)).toHaveLength(1);
+    expect(lines[2]).toMatchObject({ model: "llama3", done: true, done_reason: "stop", prompt_eval_count: 5, eval_count: 2 });
+  });
+
+  it("streams generate responses in the response field", async () => {
+    const lines = await readLines(await transformToOllama(sseResponse([delta({ content: "Blue" }), delta({}, "length"), "[DONE]"]), "m", OLLAMA_MODES.GENERATE));
+    expect(lines[0]).toMatchObject({ response: "Blue", done: false });
+    expect(lines[1]).toMatchObject({ response: "", done: true, done_reason: "length" });
+  });
+
+  it("emits accumulated tool calls before the done chunk", async () => {
+    const lines = await readLines(await transformToOllama(sseResponse([
+      delta({ tool_calls: [{ index: 0, id: "c1", function: { name: "get_weather", arguments: "{\"ci" } }] }),
+      delta({ tool_calls: [{ index: 0, function: { arguments: "ty\":\"Paris\"}" } }] }),
+      delta({}, "tool_calls"),
+    ]), "m"));
+    expect(lines[0].message.tool_calls).toEqual([{ function: { name: "get_weather", arguments: { city: "Paris" } } }]);
+    expect(lines[1].done).toBe(true);
+  });
+
+  it("returns a single object for non-streaming completions", async () => {
+    const completion = {
+      choices: [{ message: { role: "assistant", content: "Hi", reasoning_content: "greet" }, finish_reason: "stop" }],
+      usage: { prompt_tokens: 3, completion_tokens: 1 },
+    };
+    const response = await transformToOllama(Response.json(completion), "m");
+    const body = await response.json();
+    expect(body).toMatchObject({
+      model: "m",
+      message: { role: "assistant", content: "Hi", thinking: "greet" },
+      done: true,
+      done_reason: "stop",
+      prompt_eval_count: 3,
+      eval_count: 1,
+    });
+
+    const generated = await (await transformToOllama(Response.json(completion), "m", OLLAMA_MODES.GENERATE)).json();
+    expect(generated).toMatchObject({ response: "Hi", done: true });
+  });
+
+  it("passes errors through", async () => {
+    const error = Response.json({ error: "nope" }, { status: 400 });
+    expect(await transformToOllama(error, "m")).toBe(error);
+  });
+});
+
+describe("openAIEmbeddingsToOllama", () => {
+  it("orders embeddings by index", () => {
+    const result = openAIEmbeddingsToOllama({
+      data: [{ index: 1, embedding: [2] }, { index: 0, embedding: [1] }],
+      usage: { prompt_tokens: 4 },
+    }, "embed");
+    expect(result).toMatchObject({ model: "embed", embeddings: [[1], [2]], prompt_eval_count: 4 });
+  });
+});
+
+describe("toOllamaModel", () => {
+  it("describes a remote model", () => {
+    const entry = toOllamaModel("cc/claude-sonnet-4-5", { family: "claude" });
+    expect(entry).toMatchObject({ name: "cc/claude-sonnet-4-5", model: "cc/claude-sonnet-4-5", size: 0, details: { format: "remote", family: "claude", families: ["claude"] } });
+    expect(entry.digest).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
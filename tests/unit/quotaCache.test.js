@@ -0,0 +1,160 @@
+/**
+ * Unit tests for open-sse/services/quotaCache.js
+ *
+ * Tests cover:
+ *  - summarizeQuota()          — binding quota, model-keyed quotas, exhaustion and reset time
+ *  - refreshQuotaSnapshots()   — background fetch, dedupe, TTL, error backoff
+ *  - rankByQuota()             — soonest reset first, most remaining on ties, unknown last,
+ *                                exhausted skipped until reset
+ *  - invalidateQuotaSnapshot()
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+import {
+  setQuotaFetcher,
+  summarizeQuota,
+  refreshQuotaSnapshots,
+  rankByQuota,
+  getQuotaSnapshot,
+  invalidateQuotaSnapshot,
+  resetQuotaSnapshots,
+} from "../../open-sse/services/quotaCache.js";
+import { QUOTA_CACHE_CONFIG } from "../../open-sse/config/constants.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const NOW = new Date("2026-05-15T12:00:00Z").getTime();
+const inHours = (h) => new Date(NOW + h * 3600000).toISOString();
+
+const quota = (used, total, resetAt) => ({ used, total, remaining: total - used, resetAt, unlimited: false });
+
+async function seed(usageById) {
+  setQuotaFetcher(async (connection) => usageById[connection.id]);
+  await refreshQuotaSnapshots(Object.keys(usageById).map(id => ({ id })));
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(NOW);
+  resetQuotaSnapshots();
+});
+
+afterEach(() => {
+  setQuotaFetcher(null);
+  vi.useRealTimers();
+});
+
+// ─── summarizeQuota ──────────────────────────────────────────────────────────
+
+describe("summarizeQuota", () => {
+  it("uses the tightest quota and its reset time", () => {
+    const summary = summarizeQuota({
+      quotas: { session: quota(20, 100, inHours(2)), weekly: quota(90, 100, inHours(72)) },
+    });
+    expect(summary.remainingFraction).toBeCloseTo(0.1);
+    expect(summary.resetAt).toBe(NOW + 72 * 3600000);
+    expect(summary.exhausted).toBe(false);
+  });
+
+  it("prefers quotas keyed by the requested model", () => {
+    const usage = {
+      quotas: {
+        "gemini-3-flash": { used: 0, total: 1000, remainingPercentage: 80, resetAt: inHours(1) },
+        "claude-sonnet-4-6": { used: 0, total: 1000, remainingPercentage: 5, resetAt: inHours(3) },
+      },
+    };
+    expect(summarizeQuota(usage, "gemini-3-flash").remainingFraction).toBeCloseTo(0.8);
+    expect(summarizeQuota(usage, "other-model").remainingFraction).toBeCloseTo(0.05);
+  });
+
+  it("ignores unlimited quotas and usage without quota numbers", () => {
+    expect(summarizeQuota({ message: "Usage API not implemented" })).toBeNull();
+    expect(summarizeQuota({ quotas: { chat: { used: 0, total: 0, unlimited: true } } })).toBeNull();
+  });
+
+  it("marks exhausted accounts until every empty quota resets", () => {
+    const summary = summarizeQuota({
+      quotas: { session: quota(100, 100, inHours(1)), weekly: quota(100, 100, inHours(48)) },
+    });
+    expect(summary.exhausted).toBe(true);
+    expect(summary.exhaustedUntil).toBe(NOW + 48 * 3600000);
+  });
+
+  it("treats limitReached without reset time as exhausted for a short retry window", () => {
+    const summary = summarizeQuota({ limitReached: true, quotas: { session: quota(50, 100, null) } });
+    expect(summary.exhausted).toBe(true);
+    expect(summary.exhaustedUntil).toBe(NOW + QUOTA_CACHE_CONFIG.exhaustedRetryMs);
+  });
+});
+
+// ─── refreshQuotaSnapshots ───────────────────────────────────────────────────
+
+describe("refreshQuotaSnapshots", () => {
+  it("fetches once per connection until the snapshot goes stale", async () => {
+    const fetcher = vi.fn(async () => ({ quotas: { chat: quota(1, 10, inHours(1)) } }));
+    setQuotaFetcher(fetcher);
+
+    const conns = [{ id: "a" }];
+    const first = refreshQuotaSnapshots(conns);
+    refreshQuotaSnapshots(conns); // in flight → deduped
+    await first;
+    await refreshQuotaSnapshots(conns); // fresh → skipped
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(getQuotaSnapshot("a").usage.quotas.chat.used).toBe(1);
+
+    vi.setSystemTime(NOW + QUOTA_CACHE_CONFIG.ttlMs);
+    await refreshQuotaSnapshots(conns);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it("backs off longer after a failed fetch and refetches when invalidated", async () => {
+    const fetcher = vi.fn(async () => { throw new Error("boom"); });
+    setQuotaFetcher(fetcher);
+
+    await refreshQuotaSnapshots([{ id: "a" }]);
+    expect(getQuotaSnapshot("a").error).toBe("boom");
+
+    vi.setSystemTime(NOW + QUOTA_CACHE_CONFIG.ttlMs);
+    await refreshQuotaSnapshots([{ id: "a" }]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    invalidateQuotaSnapshot("a");
+    await refreshQuotaSnapshots([{ id: "a" }]);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+});
+
+// ─── rankByQuota ─────────────────────────────────────────────────────────────
+
+describe("rankByQuota", () => {
+  it("drains soonest-resetting quota first, most remaining on ties, unknown last", async () => {
+    await seed({
+      weekly: { quotas: { chat: quota(10, 100, inHours(100)) } },
+      soonLow: { quotas: { chat: quota(95, 100, inHours(2)) } },
+      soonHigh: { quotas: { chat: quota(40, 100, inHours(2)) } },
+      noData: { message: "Usage API not implemented" },
+    });
+
+    const conns = [{ id: "noData" }, { id: "weekly" }, { id: "soonLow" }, { id: "soonHigh" }, { id: "never" }];
+    const { ranked, exhausted } = rankByQuota(conns);
+    expect(ranked.map(c => c.id)).toEqual(["soonHigh", "soonLow", "weekly", "noData", "never"]);
+    expect(exhausted).toEqual([]);
+  });
+
+  it("skips exhausted accounts until their reset time", async () => {
+    await seed({
+      empty: { quotas: { chat: quota(100, 100, inHours(1)) } },
+      ok: { quotas: { chat: quota(50, 100, inHours(5)) } },
+    });
+
+    const conns = [{ id: "empty" }, { id: "ok" }];
+    let result = rankByQuota(conns);
+    expect(result.ranked.map(c => c.id)).toEqual(["ok"]);
+    expect(result.exhausted).toEqual([{ connection: conns[0], until: NOW + 3600000 }]);
+
+    result = rankByQuota(conns, null, NOW + 3600000);
+    expect(result.ranked.map(c => c.id)).toEqual(["ok", "empty"]);
+    expect(result.exhausted).toEqual([]);
+  });
+});
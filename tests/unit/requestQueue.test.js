@@ -0,0 +1,172 @@
+/**
+ * Unit tests for open-sse/services/requestQueue.js
+ *
+ * Tests cover:
+ *  - getQueueMaxWait()      — opt-in per model/combo glob
+ *  - validateQueueConfig()
+ *  - getRetryDelayMs()      — Retry-After seconds / HTTP date, budget 429s never queued
+ *  - routeWithQueue()       — park until Retry-After and retry, max wait, queued feed + listener
+ *  - streamWithQueue()      — keepalive comments, final stream, error event in caller format
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+import {
+  getQueueMaxWait,
+  validateQueueConfig,
+  getRetryDelayMs,
+  routeWithQueue,
+  streamWithQueue,
+  getQueuedRequests,
+  setQueueListener,
+} from "../../open-sse/services/requestQueue.js";
+import { budgetExceededResponse } from "../../open-sse/services/budget.js";
+import { ERROR_FORMATS } from "../../open-sse/utils/error.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function limitedResponse(retryAfterSec, message = "All accounts rate limited") {
+  return new Response(JSON.stringify({ error: { message } }), {
+    status: 429,
+    headers: { "Content-Type": "application/json", "Retry-After": String(retryAfterSec) },
+  });
+}
+
+function sseResponse(text) {
+  return new Response(`data: {"choices":[{"delta":{"content":"${text}"}}]}\n\ndata: [DONE]\n\n`, {
+    headers: { "Content-Type": "text/event-stream" },
+  });
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  setQueueListener(null);
+  vi.useRealTimers();
+});
+
+// ─── Config ──────────────────────────────────────────────────────────────────
+
+describe("getQueueMaxWait", () => {
+  const config = { models: ["cc/*", "my-combo"], maxWaitMs: 60000 };
+
+  it("returns the max wait for matching models and combos only", () => {
+    expect(getQueueMaxWait(config, "cc/claude-opus-4")).toBe(60000);
+    expect(getQueueMaxWait(config, "my-combo")).toBe(60000);
+    expect(getQueueMaxWait(config, "gemini/gemini-2.5-pro")).toBe(0);
+  });
+
+  it("is off without models or wait", () => {
+    expect(getQueueMaxWait(undefined, "cc/x")).toBe(0);
+    expect(getQueueMaxWait({ models: ["*"], maxWaitMs: 0 }, "cc/x")).toBe(0);
+  });
+});
+
+describe("validateQueueConfig", () => {
+  it("accepts valid and missing config", () => {
+    expect(validateQueueConfig(undefined)).toBeNull();
+    expect(validateQueueConfig({ models: ["cc/*"], maxWaitMs: 1000 })).toBeNull();
+  });
+
+  it("rejects bad fields", () => {
+    expect(validateQueueConfig([])).toMatch(/object/);
+    expect(validateQueueConfig({ models: [""] })).toMatch(/models/);
+    expect(validateQueueConfig({ maxWaitMs: -1 })).toMatch(/maxWaitMs/);
+  });
+});
+
+describe("getRetryDelayMs", () => {
+  it("reads seconds and HTTP dates, ignores ok or header-less responses", () => {
+    const now = Date.now();
+    expect(getRetryDelayMs(limitedResponse(30))).toBe(30000);
+    const dated = new Response(null, { status: 503, headers: { "Retry-After": new Date(now + 10000).toUTCString() } });
+    expect(getRetryDelayMs(dated, now)).toBeGreaterThan(9000);
+    expect(getRetryDelayMs(new Response(null, { status: 500 }))).toBeNull();
+    expect(getRetryDelayMs(new Response("ok"))).toBeNull();
+  });
+
+  it("ignores budget rejections even though they carry Retry-After", () => {
+    const response = budgetExceededResponse({
+      scope: "global", spent: 12, limit: 10, period: "daily", resetsAt: new Date(Date.now() + 60000).toISOString()
+    });
+    expect(response.headers.get("Retry-After")).toBe("60");
+    expect(getRetryDelayMs(response)).toBeNull();
+  });
+});
+
+// ─── routeWithQueue ──────────────────────────────────────────────────────────
+
+describe("routeWithQueue", () => {
+  it("parks until Retry-After, retries and lists the request meanwhile", async () => {
+    const listener = vi.fn();
+    setQueueListener(listener);
+    const route = vi.fn().mockResolvedValueOnce(limitedResponse(5)).mockResolvedValueOnce(new Response("ok"));
+
+    const pending = routeWithQueue(route, { maxWaitMs: 60000, model: "cc/opus" });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(getQueuedRequests()).toMatchObject([{ model: "cc/opus", attempts: 1 }]);
+
+    await vi.advanceTimersByTimeAsync(5000);
+    const response = await pending;
+    expect(response.ok).toBe(true);
+    expect(route).toHaveBeenCalledTimes(2);
+    expect(getQueuedRequests()).toEqual([]);
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it("gives up when the next retry would pass the max wait", async () => {
+    const route = vi.fn().mockResolvedValue(limitedResponse(40));
+    const pending = routeWithQueue(route, { maxWaitMs: 60000, model: "cc/opus" });
+    await vi.advanceTimersByTimeAsync(40000);
+    const response = await pending;
+    expect(response.status).toBe(429);
+    expect(route).toHaveBeenCalledTimes(2);
+  });
+
+  it("stops waiting when the signal aborts", async () => {
+    const controller = new AbortController();
+    const route = vi.fn().mockResolvedValue(limitedResponse(30));
+    const pending = routeWithQueue(route, { maxWaitMs: 60000, model: "m", signal: controller.signal });
+    await vi.advanceTimersByTimeAsync(0);
+    controller.abort();
+    await pending;
+    expect(route).toHaveBeenCalledTimes(1);
+    expect(getQueuedRequests()).toEqual([]);
+  });
+});
+
+// ─── streamWithQueue ─────────────────────────────────────────────────────────
+
+describe("streamWithQueue", () => {
+  it("sends keepalive comments, then the routed stream", async () => {
+    const route = vi.fn().mockResolvedValue(sseResponse("hello"));
+    const response = streamWithQueue(route, { maxWaitMs: 60000, model: "m", firstResponse: limitedResponse(20) });
+    expect(response.headers.get("content-type")).toBe("text/event-stream");
+
+    const text = response.text();
+    await vi.advanceTimersByTimeAsync(20000);
+    const body = await text;
+    expect(body).toMatch(/^: queued, retrying in 20s\n\n/);
+    expect(body).toContain(": queued\n\n");
+    expect(body).toContain("hello");
+  });
+
+  it("ends with an error event in the caller's format when still limited", async () => {
+    const route = vi.fn().mockResolvedValue(limitedResponse(100, "Still limited"));
+    const response = streamWithQueue(route, {
+      maxWaitMs: 30000,
+      model: "m",
+      format: ERROR_FORMATS.CLAUDE,
+      firstResponse: limitedResponse(10),
+    });
+
+    const text = response.text();
+    await vi.advanceTimersByTimeAsync(10000);
+    const body = await text;
+    expect(body).toContain("event: error");
+    expect(body).toContain(`"type":"error"`);
+    expect(body).toContain("Still limited");
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for open-sse/handlers/rerankCore.js and moderationsCore.js
+ *
+ * Tests cover:
+ *  - getRerankBackend()       — native Cohere / Jina-style APIs vs embeddings fallback
+ *  - toRerankResponse()       — Jina and Cohere v2 shapes, top_n, return_documents
+ *  - handleRerankCore()       — upstream requests, embeddings-cosine fallback
+ *  - handleModerationsCore()  — OpenAI passthrough, Mistral categories and text input
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+
+// The embeddings fallback goes through embeddingsCore.js, whose executor imports
+// need 'uuid' (not installed here) - same mocks as embeddingsCore.test.js
+vi.mock("../../open-sse/executors/index.js", () => ({
+  getExecutor: vi.fn(() => ({
+    refreshCredentials: vi.fn().mockResolvedValue(null),
+  })),
+  hasSpecializedExecutor: vi.fn(() => false),
+}));
+
+vi.mock("../../open-sse/services/tokenRefresh.js", () => ({
+  refreshWithRetry: vi.fn().mockResolvedValue(null),
+}));
+
+import {
+  RERANK_FORMATS,
+  RERANK_BACKENDS,
+  getRerankBackend,
+  cosineSimilarity,
+  toRerankResponse,
+  handleRerankCore,
+} from "../../open-sse/handlers/rerankCore.js";
+import {
+  hasModerationsApi,
+  moderationInputToText,
+  handleModerationsCore,
+} from "../../open-sse/handlers/moderationsCore.js";
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+const credentials = { apiKey: "sk-test" };
+const documents = ["cats purr", { text: "dogs bark" }, "fish swim"];
+
+// ─── Rerank ──────────────────────────────────────────────────────────────────
+
+describe("getRerankBackend", () => {
+  it("uses native APIs where they exist and embeddings elsewhere", () => {
+    expect(getRerankBackend("cohere")).toBe(RERANK_BACKENDS.COHERE);
+    expect(getRerankBackend("together")).toBe(RERANK_BACKENDS.JINA);
+    expect(getRerankBackend("openai-compatible-local")).toBe(RERANK_BACKENDS.JINA);
+    expect(getRerankBackend("openai")).toBe(RERANK_BACKENDS.EMBEDDINGS);
+    expect(getRerankBackend("gemini")).toBe(RERANK_BACKENDS.EMBEDDINGS);
+  });
+});
+
+describe("cosineSimilarity", () => {
+  it("scores identical, orthogonal and zero vectors", () => {
+    expect(cosineSimilarity([1, 2], [2, 4])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+  });
+});
+
+describe("toRerankResponse", () => {
+  const results = [
+    { index: 0, relevance_score: 0.2 },
+    { index: 1, relevance_score: 0.9 },
+    { index: 2, relevance_score: 0.5 },
+  ];
+
+  it("returns Jina results by score with documents", () => {
+    const response = toRerankResponse(results, { format: RERANK_FORMATS.JINA, model: "jina-reranker", documents, topN: 2, usage: { total_tokens: 12 } });
+    expect(response.model).toBe("jina-reranker");
+    expect(response.usage).toEqual({ total_tokens: 12 });
+    expect(response.results).toEqual([
+      { index: 1, relevance_score: 0.9, document: { text: "dogs bark" } },
+      { index: 2, relevance_score: 0.5, document: { text: "fish swim" } },
+    ]);
+  });
+
+  it("returns Cohere v2 results without documents unless asked", () => {
+    const response = toRerankResponse(results, { format: RERANK_FORMATS.COHERE, model: "rerank-v3.5", documents });
+    expect(response.results.map(r => r.index)).toEqual([1, 2, 0]);
+    expect(response.results[0].document).toBeUndefined();
+    expect(response.meta.api_version.version).toBe("2");
+
+    const withDocs = toRerankResponse(results, { format: RERANK_FORMATS.COHERE, model: "rerank-v3.5", documents, returnDocuments: true });
+    expect(withDocs.results[0].document).toEqual({ text: "dogs bark" });
+  });
+});
+
+describe("handleRerankCore", () => {
+  it("calls Cohere's v2 rerank API with plain-text documents", async () => {
+    const fetchMock = vi.fn(async () => Response.json({ id: "r1", results: [{ index: 1, relevance_score: 0.8 }], meta: {} }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await handleRerankCore({
+      body: { query: "pets", documents, top_n: 1 },
+      modelInfo: { provider: "cohere", model: "rerank-v3.5" },
+      credentials,
+    });
+
+    expect(result).toMatchObject({ success: true, results: [{ index: 1, relevance_score: 0.8 }] });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("https://api.cohere.com/v2/rerank");
+    expect(init.headers.Authorization).toBe("Bearer sk-test");
+    expect(JSON.parse(init.body)).toEqual({ model: "rerank-v3.5", query: "pets", documents: ["cats purr", "dogs bark", "fish swim"], top_n: 1 });
+  });
+
+  it("calls /rerank next to the chat endpoint for Jina-style providers", async () => {
+    const fetchMock = vi.fn(async () => Response.json({ results: [{ index: 0, relevance_score: 0.3, document: { text: "cats purr" } }], usage: { prompt_tokens: 9 } }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await handleRerankCore({
+      body: { query: "pets", documents },
+      modelInfo: { provider: "openai-compatible-local", model: "bge-reranker" },
+      credentials: { apiKey: "k", providerSpecificData: { baseUrl: "http://localhost:8080/v1/" } },
+    });
+
+    expect(fetchMock.mock.calls[0][0]).toBe("http://localhost:8080/v1/rerank");
+    expect(result.results).toEqual([{ index: 0, relevance_score: 0.3 }]);
+    expect(result.usage).toEqual({ total_tokens: 9 });
+  });
+
+  it("ranks by embedding similarity when the provider has no rerank API", async () => {
+    const fetchMock = vi.fn(async () => Response.json({
+      object: "list",
+      data: [
+        { index: 0, embedding: [1, 0] },
+        { index: 2, embedding: [0.7, 0.7] },
+        { index: 1, embedding: [0, 1] },
+        { index: 3, embedding: [1, 0.1] },
+      ],
+      usage: { total_tokens: 20 },
+    }));
+    vi.stubGlobal("fetch", fetchMock);
+    const onRequestSuccess = vi.fn();
+
+    const result = await handleRerankCore({
+      body: { query: "pets", documents },
+      modelInfo: { provider: "openai", model: "text-embedding-3-small" },
+      credentials,
+      onRequestSuccess,
+    });
+
+    expect(fetchMock.mock.calls[0][0]).toBe("https://api.openai.com/v1/embeddings");
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).input).toEqual(["pets", "cats purr", "dogs bark", "fish swim"]);
+    const ranked = toRerankResponse(result.results, { format: RERANK_FORMATS.JINA, model: "m", documents });
+    expect(ranked.results.map(r => r.index)).toEqual([2, 1, 0]);
+    expect(result.usage).toEqual({ total_tokens: 20 });
+    expect(onRequestSuccess).toHaveBeenCalled();
+  });
+
+  it("rejects requests without documents", async () => {
+    const result = await handleRerankCore({ body: { query: "q", documents: [] }, modelInfo: { provider: "cohere", model: "m" }, credentials });
+    expect(result.success).toBe(false);
+    expect(result.status).toBe(400);
+  });
+});
+
+// ─── Moderations ─────────────────────────────────────────────────────────────
+
+describe("moderations", () => {
+  it("knows which providers moderate", () => {
+    expect(hasModerationsApi("openai")).toBe(true);
+    expect(hasModerationsApi("mistral")).toBe(true);
+    expect(hasModerationsApi("openai-compatible-x")).toBe(true);
+    expect(hasModerationsApi("anthropic")).toBe(false);
+  });
+
+  it("keeps the text of multimodal input", () => {
+    expect(moderationInputToText(["a", "b"])).toEqual(["a", "b"]);
+    expect(moderationInputToText([
+      { type: "text", text: "look" },
+      { type: "image_url", image_url: { url: "https://x/y.png" } },
+    ])).toBe("look");
+  });
+
+  it("maps Mistral categories to OpenAI names", async () => {
+    const fetchMock = vi.fn(async () => Response.json({
+      id: "mod-1",
+      model: "mistral-moderation-latest",
+      results: [{
+        categories: { hate_and_discrimination: true, selfharm: false, pii: false },
+        category_scores: { hate_and_discrimination: 0.91, selfharm: 0.01, pii: 0.02 },
+      }],
+    }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await handleModerationsCore({
+      body: { input: "some text" },
+      modelInfo: { provider: "mistral", model: "mistral-moderation-latest" },
+      credentials,
+    });
+
+    expect(fetchMock.mock.calls[0][0]).toBe("https://api.mistral.ai/v1/moderations");
+    const body = await result.response.json();
+    expect(body.results[0]).toEqual({
+      flagged: true,
+      categories: { hate: true, "self-harm": false, pii: false },
+      category_scores: { hate: 0.91, "self-harm": 0.01, pii: 0.02 },
+    });
+  });
+
+  it("passes OpenAI responses through", async () => {
+    const upstream = { id: "modr-1", model: "omni-moderation-latest", results: [{ flagged: false, categories: {}, category_scores: {} }] };
+    vi.stubGlobal("fetch", vi.fn(async () => Response.json(upstream)));
+
+    const result = await handleModerationsCore({
+      body: { input: ["a"] },
+      modelInfo: { provider: "openai", model: "omni-moderation-latest" },
+      credentials,
+    });
+    expect(await result.response.json()).toEqual(upstream);
+  });
+
+  it("rejects providers without a moderations API", async () => {
+    const result = await handleModerationsCore({ body: { input: "x" }, modelInfo: { provider: "anthropic", model: "m" }, credentials });
+    expect(result.status).toBe(400);
+  });
+});
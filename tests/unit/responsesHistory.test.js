@@ -0,0 +1,113 @@
+/**
+ * Unit tests for stateful Responses API helpers
+ *
+ * Tests cover:
+ *  - responseOutputToInput()          — stored output items → replayable input items
+ *  - buildResponsesHistory()          — previous_response_id chain → full input
+ *  - createResponsesStreamCollector() — response object from a streamed reply
+ *  - openaiResponsesToOpenAIRequest() — previous_response_id is not forwarded
+ */
+
+import { describe, it, expect } from "vitest";
+
+import {
+  responseOutputToInput,
+  buildResponsesHistory,
+} from "../../open-sse/translator/helpers/responsesApiHelper.js";
+import { createResponsesStreamCollector } from "../../open-sse/transformer/streamToJsonConverter.js";
+import { openaiResponsesToOpenAIRequest } from "../../open-sse/translator/request/openai-responses.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const userMessage = (text) => ({ type: "message", role: "user", content: [{ type: "input_text", text }] });
+const assistantMessage = (text) => ({
+  id: "msg_1",
+  type: "message",
+  role: "assistant",
+  status: "completed",
+  content: [{ type: "output_text", text }],
+});
+
+const sse = (event, data) => `event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`;
+
+// ─── History ─────────────────────────────────────────────────────────────────
+
+describe("responseOutputToInput", () => {
+  it("drops item ids and reasoning that cannot be replayed", () => {
+    const output = [
+      { id: "rs_1", type: "reasoning", summary: [] },
+      { id: "rs_2", type: "reasoning", summary: [], encrypted_content: "gAAA" },
+      assistantMessage("Hi!"),
+      { id: "fc_1", type: "function_call", call_id: "call_1", name: "ls", arguments: "{}", status: "completed" },
+    ];
+    expect(responseOutputToInput(output)).toEqual([
+      { type: "reasoning", summary: [], encrypted_content: "gAAA" },
+      { type: "message", role: "assistant", content: [{ type: "output_text", text: "Hi!" }] },
+      { type: "function_call", call_id: "call_1", name: "ls", arguments: "{}" },
+    ]);
+  });
+});
+
+describe("buildResponsesHistory", () => {
+  it("replays each turn's input and output before the new input", () => {
+    const chain = [
+      { input: [{ id: "msg_a", ...userMessage("Hello") }], output: [assistantMessage("Hi!")] },
+      { input: [userMessage("Name a color")], output: [assistantMessage("Blue")] },
+    ];
+    const input = buildResponsesHistory(chain, "Another one");
+    expect(input.map(item => [item.role, item.content[0].text])).toEqual([
+      ["user", "Hello"],
+      ["assistant", "Hi!"],
+      ["user", "Name a color"],
+      ["assistant", "Blue"],
+      ["user", "Another one"],
+    ]);
+    expect(input[0].id).toBeUndefined();
+  });
+
+  it("accepts function call outputs as the new input", () => {
+    const chain = [{
+      input: [userMessage("List files")],
+      output: [{ id: "fc_1", type: "function_call", call_id: "call_1", name: "ls", arguments: "{}" }],
+    }];
+    const input = buildResponsesHistory(chain, [{ type: "function_call_output", call_id: "call_1", output: "a.txt" }]);
+    expect(input.map(item => item.type)).toEqual(["message", "function_call", "function_call_output"]);
+  });
+
+  it("is not forwarded to chat providers", () => {
+    const result = openaiResponsesToOpenAIRequest("gpt-4o", { input: "hi", previous_response_id: "resp_1", store: true }, false);
+    expect(result.previous_response_id).toBeUndefined();
+    expect(result.store).toBeUndefined();
+    expect(result.messages).toEqual([{ role: "user", content: [{ type: "text", text: "hi" }] }]);
+  });
+});
+
+// ─── Stream collector ────────────────────────────────────────────────────────
+
+describe("createResponsesStreamCollector", () => {
+  it("builds the response object from chunks split anywhere", () => {
+    const text = [
+      sse("response.created", { response: { id: "resp_abc", created_at: 100, status: "in_progress" } }),
+      sse("response.output_item.done", { output_index: 0, item: assistantMessage("Hi!") }),
+      sse("response.completed", { response: { id: "resp_abc", status: "completed", usage: { input_tokens: 3, output_tokens: 2, total_tokens: 5 } } }),
+    ].join("");
+
+    const collector = createResponsesStreamCollector();
+    for (let i = 0; i < text.length; i += 7) collector.push(text.slice(i, i + 7));
+
+    expect(collector.finish()).toEqual({
+      id: "resp_abc",
+      object: "response",
+      created_at: 100,
+      status: "completed",
+      output: [assistantMessage("Hi!")],
+      usage: { input_tokens: 3, output_tokens: 2, total_tokens: 5 },
+    });
+  });
+
+  it("reports streams that never complete", () => {
+    const collector = createResponsesStreamCollector();
+    collector.push(sse("response.created", { response: { id: "resp_abc" } }));
+    expect(collector.finish().status).toBe("in_progress");
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for open-sse/utils/streamCollector.js (streamed response capture for request details)
+ *
+ * Tests cover:
+ *  - collect()    — content, thinking, tool calls and finish reason per chunk format
+ *  - firstTokenAt — set by the first token, not by role / metadata chunks
+ *  - appendRaw()  — raw SSE kept only when enabled, capped at rawLimit
+ */
+
+import { describe, it, expect } from "vitest";
+
+import { createStreamCollector } from "../../open-sse/utils/streamCollector.js";
+
+describe("collect", () => {
+  it("assembles OpenAI chat completion chunks, including parallel tool calls", () => {
+    const collector = createStreamCollector();
+    collector.collect({ choices: [{ index: 0, delta: { role: "assistant" } }] });
+    expect(collector.getResult().firstTokenAt).toBeNull();
+
+    collector.collect({ choices: [{ delta: { reasoning_content: "Let me " } }] });
+    collector.collect({ choices: [{ delta: { reasoning_content: "check." } }] });
+    collector.collect({ choices: [{ delta: { content: "Checking" } }] });
+    collector.collect({ choices: [{ delta: { tool_calls: [{ index: 0, id: "call_a", function: { name: "weather", arguments: "" } }] } }] });
+    collector.collect({ choices: [{ delta: { tool_calls: [{ index: 1, id: "call_b", function: { name: "time", arguments: "{}" } }] } }] });
+    collector.collect({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: "{\"city\":" } }] } }] });
+    collector.collect({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: "\"Paris\"}" } }] } }] });
+    collector.collect({ choices: [{ delta: {}, finish_reason: "tool_calls" }] });
+    collector.collect({ done: true });
+
+    const result = collector.getResult();
+    expect(result).toMatchObject({ content: "Checking", thinking: "Let me check.", finishReason: "tool_calls", raw: null });
+    expect(result.firstTokenAt).toEqual(expect.any(Number));
+    expect(result.toolCalls).toEqual([
+      { id: "call_a", type: "function", function: { name: "weather", arguments: "{\"city\":\"Paris\"}" } },
+      { id: "call_b", type: "function", function: { name: "time", arguments: "{}" } },
+    ]);
+  });
+
+  it("assembles Claude message events", () => {
+    const collector = createStreamCollector();
+    collector.collect({ type: "message_start", message: { usage: { input_tokens: 10 } } });
+    collector.collect({ type: "content_block_delta", index: 0, delta: { type: "thinking_delta", thinking: "hmm" } });
+    collector.collect({ type: "content_block_delta", index: 1, delta: { type: "text_delta", text: "Sure." } });
+    collector.collect({ type: "content_block_start", index: 2, content_block: { type: "tool_use", id: "toolu_1", name: "search" } });
+    collector.collect({ type: "content_block_delta", index: 2, delta: { type: "input_json_delta", partial_json: "{\"q\":" } });
+    collector.collect({ type: "content_block_delta", index: 2, delta: { type: "input_json_delta", partial_json: "\"x\"}" } });
+    collector.collect({ type: "message_delta", delta: { stop_reason: "tool_use" }, usage: { output_tokens: 5 } });
+
+    expect(collector.getResult()).toMatchObject({
+      content: "Sure.",
+      thinking: "hmm",
+      finishReason: "tool_use",
+      toolCalls: [{ id: "toolu_1", type: "function", function: { name: "search", arguments: "{\"q\":\"x\"}" } }],
+    });
+  });
+
+  it("assembles Responses API events", () => {
+    const collector = createStreamCollector();
+    collector.collect({ type: "response.created", response: { status: "in_progress" } });
+    collector.collect({ type: "response.reasoning_summary_text.delta", delta: "plan" });
+    collector.collect({ type: "response.output_text.delta", delta: "Hi" });
+    collector.collect({ type: "response.output_item.added", output_index: 1, item: { type: "function_call", id: "fc_1", call_id: "call_1", name: "lookup" } });
+    collector.collect({ type: "response.function_call_arguments.delta", item_id: "fc_1", delta: "{\"id\":1}" });
+    collector.collect({ type: "response.incomplete", response: { status: "incomplete", incomplete_details: { reason: "max_output_tokens" } } });
+
+    expect(collector.getResult()).toMatchObject({
+      content: "Hi",
+      thinking: "plan",
+      finishReason: "max_output_tokens",
+      toolCalls: [{ id: "call_1", function: { name: "lookup", arguments: "{\"id\":1}" } }],
+    });
+  });
+
+  it("assembles Gemini chunks, bare or wrapped", () => {
+    const collector = createStreamCollector();
+    collector.collect({ candidates: [{ content: { parts: [{ text: "think", thought: true }, { text: "Hello" }] } }] });
+    collector.collect({ response: { candidates: [{ content: { parts: [{ functionCall: { name: "f", args: { a: 1 } } }] }, finishReason: "STOP" }] } });
+
+    expect(collector.getResult()).toMatchObject({
+      content: "Hello",
+      thinking: "think",
+      finishReason: "STOP",
+      toolCalls: [{ id: null, function: { name: "f", arguments: "{\"a\":1}" } }],
+    });
+  });
+});
+
+describe("appendRaw", () => {
+  it("keeps raw SSE up to the limit and marks truncation", () => {
+    const collector = createStreamCollector({ rawLimit: 10 });
+    collector.appendRaw("data: 1\n\n");
+    collector.appendRaw("data: 2\n\n");
+    collector.appendRaw("data: 3\n\n");
+    expect(collector.getResult().raw).toBe("data: 1\n\nd\n[... truncated]");
+  });
+
+  it("keeps nothing when disabled", () => {
+    const collector = createStreamCollector();
+    collector.appendRaw("data: 1\n\n");
+    expect(collector.getResult().raw).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for open-sse/utils/streamHandler.js (pre-first-token failover)
+ *
+ * Tests cover:
+ *  - primeStream()      — buffered chunks replayed, errors / error events / TTFT timeout
+ *                         before the first token reject with a failover status
+ *  - getTtftTimeout()   — per-provider override, settings default, built-in default
+ */
+
+import { describe, it, expect } from "vitest";
+
+import { primeStream, getTtftTimeout } from "../../open-sse/utils/streamHandler.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const encoder = new TextEncoder();
+
+// Stream emitting `chunks` in order; a chunk may be { delayMs } or { error }
+function sseStream(chunks) {
+  let cancelled = null;
+  const stream = new ReadableStream({
+    async start(controller) {
+      for (const chunk of chunks) {
+        if (cancelled !== null) return;
+        if (chunk.delayMs) await new Promise((resolve) => setTimeout(resolve, chunk.delayMs));
+        else if (chunk.error) return controller.error(new Error(chunk.error));
+        else controller.enqueue(encoder.encode(chunk));
+      }
+      if (cancelled === null) controller.close();
+    },
+    cancel(reason) {
+      cancelled = reason ?? "cancelled";
+    }
+  });
+  return { stream, wasCancelled: () => cancelled !== null };
+}
+
+const ROLE = `data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n`;
+const TOKEN = `data: {"choices":[{"delta":{"content":"hi"}}]}\n\n`;
+
+// ─── primeStream ─────────────────────────────────────────────────────────────
+
+describe("primeStream", () => {
+  it("resolves at the first token and replays everything", async () => {
+    const { stream } = sseStream([ROLE, TOKEN, "data: [DONE]\n\n"]);
+    const primed = await primeStream(stream);
+    const text = await new Response(primed.stream).text();
+    expect(text).toBe(ROLE + TOKEN + "data: [DONE]\n\n");
+  });
+
+  it("returns streams that end cleanly without content", async () => {
+    const { stream } = sseStream([ROLE]);
+    const primed = await primeStream(stream);
+    expect(await new Response(primed.stream).text()).toBe(ROLE);
+  });
+
+  it("rejects with 502 when the upstream errors before the first token", async () => {
+    const { stream } = sseStream([ROLE, { error: "socket hang up" }]);
+    await expect(primeStream(stream)).rejects.toMatchObject({ status: 502, message: expect.stringContaining("socket hang up") });
+  });
+
+  it("rejects with 502 on an error event before the first token", async () => {
+    const { stream, wasCancelled } = sseStream([
+      `event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n`,
+      { delayMs: 50 },
+      TOKEN,
+    ]);
+    await expect(primeStream(stream)).rejects.toMatchObject({ status: 502 });
+    expect(wasCancelled()).toBe(true);
+  });
+
+  it("rejects with 504 and cancels the stream after the TTFT timeout", async () => {
+    const { stream, wasCancelled } = sseStream([ROLE, { delayMs: 200 }, TOKEN]);
+    await expect(primeStream(stream, { timeoutMs: 20 })).rejects.toMatchObject({ status: 504 });
+    expect(wasCancelled()).toBe(true);
+  });
+
+  it("does not time out once the first token arrived", async () => {
+    const { stream } = sseStream([TOKEN, { delayMs: 50 }, "data: [DONE]\n\n"]);
+    const primed = await primeStream(stream, { timeoutMs: 20 });
+    expect(await new Response(primed.stream).text()).toContain("[DONE]");
+  });
+});
+
+// ─── getTtftTimeout ──────────────────────────────────────────────────────────
+
+describe("getTtftTimeout", () => {
+  it("prefers the provider override, then the settings default", () => {
+    const overrides = { default: 30000, claude: 10000, codex: 0 };
+    expect(getTtftTimeout("claude", overrides)).toBe(10000);
+    expect(getTtftTimeout("codex", overrides)).toBe(0);
+    expect(getTtftTimeout("openai", overrides)).toBe(30000);
+  });
+
+  it("falls back to no timeout", () => {
+    expect(getTtftTimeout("openai")).toBe(0);
+    expect(getTtftTimeout("openai", { default: "abc" })).toBe(0);
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Unit tests for structured output (response_format) translation
+ *
+ * Tests cover:
+ *  - getStructuredOutput()      — Chat Completions and Responses API shapes
+ *  - parseStructuredOutput()    — code fences, invalid JSON, schema errors
+ *  - request translators        — Claude forced tool, Gemini responseSchema, Responses text.format,
+ *                                 schema instruction for Cursor
+ *  - response translation       — Claude tool input unwrapped into content (stream + non-stream)
+ *  - enforceStructuredOutput()  — single retry on invalid output
+ *  - buffered streaming         — emulated targets (Kiro, Cursor, Claude) validated then replayed as SSE
+ */
+
+import { describe, it, expect, vi } from "vitest";
+
+import {
+  getStructuredOutput,
+  parseStructuredOutput,
+  unwrapStructuredOutput,
+  STRUCTURED_OUTPUT_TOOL,
+} from "../../open-sse/translator/helpers/structuredOutputHelper.js";
+import { openaiToClaudeRequest } from "../../open-sse/translator/request/openai-to-claude.js";
+import { openaiToGeminiRequest } from "../../open-sse/translator/request/openai-to-gemini.js";
+import { openaiToOpenAIResponsesRequest, openaiResponsesToOpenAIRequest } from "../../open-sse/translator/request/openai-responses.js";
+import { buildCursorRequest } from "../../open-sse/translator/request/openai-to-cursor.js";
+import { claudeToOpenAIResponse } from "../../open-sse/translator/response/claude-to-openai.js";
+import { initState } from "../../open-sse/translator/index.js";
+import {
+  enforceStructuredOutput,
+  needsBufferedStructuredOutput,
+  toStreamingResult,
+} from "../../open-sse/handlers/chatCore/structuredOutputHandler.js";
+import { FORMATS } from "../../open-sse/translator/formats.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const SCHEMA = {
+  type: "object",
+  properties: {
+    city: { type: "string" },
+    temp: { type: "number" },
+    unit: { type: "string", enum: ["C", "F"] },
+  },
+  required: ["city", "temp"],
+  additionalProperties: false,
+};
+
+const chatBody = (responseFormat, extra = {}) => ({
+  model: "x",
+  messages: [{ role: "user", content: "Weather in Paris?" }],
+  response_format: responseFormat,
+  ...extra,
+});
+
+const JSON_SCHEMA_FORMAT = { type: "json_schema", json_schema: { name: "weather", schema: SCHEMA, strict: true } };
+
+const completion = (content) => ({
+  success: true,
+  response: new Response(JSON.stringify({
+    object: "chat.completion",
+    choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }],
+  }), { headers: { "Content-Type": "application/json" } }),
+});
+
+// ─── Helper ──────────────────────────────────────────────────────────────────
+
+describe("getStructuredOutput", () => {
+  it("reads Chat Completions and Responses API formats", () => {
+    expect(getStructuredOutput(chatBody(JSON_SCHEMA_FORMAT))).toMatchObject({ type: "json_schema", name: "weather", schema: SCHEMA, strict: true });
+    expect(getStructuredOutput({ text: { format: { type: "json_schema", name: "weather", schema: SCHEMA } } })).toMatchObject({ name: "weather", schema: SCHEMA });
+    expect(getStructuredOutput(chatBody({ type: "json_object" }))).toMatchObject({ type: "json_object", schema: null });
+    expect(getStructuredOutput(chatBody({ type: "text" }))).toBeNull();
+    expect(getStructuredOutput({ messages: [] })).toBeNull();
+  });
+});
+
+describe("parseStructuredOutput", () => {
+  const spec = getStructuredOutput(chatBody(JSON_SCHEMA_FORMAT));
+
+  it("accepts valid JSON, also inside code fences", () => {
+    expect(parseStructuredOutput(`{"city":"Paris","temp":21}`, spec)).toMatchObject({ valid: true, value: { city: "Paris", temp: 21 } });
+    expect(parseStructuredOutput("```json\n{\"city\":\"Paris\",\"temp\":21}\n```", spec)).toMatchObject({ valid: true, text: `{"city":"Paris","temp":21}` });
+  });
+
+  it("reports invalid JSON and schema violations", () => {
+    expect(parseStructuredOutput("Sure! Here it is", spec).error).toMatch(/Invalid JSON/);
+    expect(parseStructuredOutput(`{"city":"Paris"}`, spec).error).toMatch(/missing required property "temp"/);
+    expect(parseStructuredOutput(`{"city":"Paris","temp":"hot"}`, spec).error).toMatch(/\$\.temp: expected number/);
+    expect(parseStructuredOutput(`{"city":"Paris","temp":1,"unit":"K"}`, spec).error).toMatch(/\$\.unit: must be one of/);
+    expect(parseStructuredOutput(`{"city":"Paris","temp":1,"extra":true}`, spec).error).toMatch(/unexpected property "extra"/);
+  });
+
+  it("requires an object for json_object", () => {
+    const jsonObject = getStructuredOutput(chatBody({ type: "json_object" }));
+    expect(parseStructuredOutput(`{"a":1}`, jsonObject).valid).toBe(true);
+    expect(parseStructuredOutput(`[1,2]`, jsonObject).valid).toBe(false);
+  });
+});
+
+// ─── Request translation ─────────────────────────────────────────────────────
+
+describe("request translation", () => {
+  it("forces a structured_output tool for Claude", () => {
+    const result = openaiToClaudeRequest("claude-sonnet-4", chatBody(JSON_SCHEMA_FORMAT), true);
+    expect(result.tools).toEqual([expect.objectContaining({ name: STRUCTURED_OUTPUT_TOOL, input_schema: SCHEMA })]);
+    expect(result.tool_choice).toEqual({ type: "tool", name: STRUCTURED_OUTPUT_TOOL });
+  });
+
+  it("keeps Claude tool_choice auto with thinking and any with own tools", () => {
+    const thinking = openaiToClaudeRequest("claude-sonnet-4", chatBody(JSON_SCHEMA_FORMAT, { thinking: { type: "enabled", budget_tokens: 1024 } }), true);
+    expect(thinking.tool_choice).toBeUndefined();
+    expect(thinking.system.at(-1).text).toContain(STRUCTURED_OUTPUT_TOOL);
+
+    const tools = [{ type: "function", function: { name: "lookup", parameters: { type: "object" } } }];
+    const withTools = openaiToClaudeRequest("claude-sonnet-4", chatBody(JSON_SCHEMA_FORMAT, { tools }), true);
+    expect(withTools.tools.map(t => t.name)).toEqual(["lookup", STRUCTURED_OUTPUT_TOOL]);
+    expect(withTools.tool_choice).toEqual({ type: "any" });
+  });
+
+  it("sets responseMimeType and a cleaned responseSchema for Gemini", () => {
+    const body = chatBody(JSON_SCHEMA_FORMAT);
+    const result = openaiToGeminiRequest("gemini-2.5-pro", body, true);
+    expect(result.generationConfig.responseMimeType).toBe("application/json");
+    expect(result.generationConfig.responseSchema.properties.city).toEqual({ type: "string" });
+    expect(result.generationConfig.responseSchema.additionalProperties).toBeUndefined();
+    expect(body.response_format.json_schema.schema.additionalProperties).toBe(false);
+  });
+
+  it("maps response_format to and from Responses API text.format", () => {
+    const responses = openaiToOpenAIResponsesRequest("gpt-5", chatBody(JSON_SCHEMA_FORMAT), true);
+    expect(responses.text.format).toEqual({ type: "json_schema", name: "weather", schema: SCHEMA, strict: true });
+
+    const chat = openaiResponsesToOpenAIRequest("gpt-5", { input: "hi", text: { format: responses.text.format } }, true);
+    expect(chat.response_format).toEqual({ type: "json_schema", json_schema: { name: "weather", schema: SCHEMA, strict: true } });
+    expect(chat.text).toBeUndefined();
+  });
+
+  it("adds a schema instruction for targets without native support", () => {
+    const payload = buildCursorRequest("claude-sonnet-4", chatBody(JSON_SCHEMA_FORMAT), true);
+    expect(payload.response_format).toBeUndefined();
+    expect(payload.messages[0].content).toContain("valid JSON");
+    expect(payload.messages[0].content).toContain(`"additionalProperties":false`);
+  });
+});
+
+// ─── Response translation ────────────────────────────────────────────────────
+
+describe("response translation", () => {
+  it("streams the Claude structured_output tool input as content", () => {
+    const state = { ...initState("openai"), structuredOutput: true };
+    const events = [
+      { type: "message_start", message: { id: "m1", model: "claude" } },
+      { type: "content_block_start", index: 0, content_block: { type: "tool_use", id: "t1", name: STRUCTURED_OUTPUT_TOOL } },
+      { type: "content_block_delta", index: 0, delta: { type: "input_json_delta", partial_json: `{"city":` } },
+      { type: "content_block_delta", index: 0, delta: { type: "input_json_delta", partial_json: `"Paris","temp":21}` } },
+      { type: "content_block_stop", index: 0 },
+      { type: "message_delta", delta: { stop_reason: "tool_use" } },
+    ];
+    const chunks = events.flatMap(event => claudeToOpenAIResponse(event, state) || []);
+    const deltas = chunks.map(c => c.choices[0].delta);
+
+    expect(deltas.map(d => d.content).filter(Boolean).join("")).toBe(`{"city":"Paris","temp":21}`);
+    expect(deltas.some(d => d.tool_calls)).toBe(false);
+    expect(chunks.at(-1).choices[0].finish_reason).toBe("stop");
+  });
+
+  it("moves a non-streaming structured_output tool call into content", () => {
+    const response = {
+      choices: [{
+        message: { role: "assistant", tool_calls: [{ id: "t1", type: "function", function: { name: STRUCTURED_OUTPUT_TOOL, arguments: `{"a":1}` } }] },
+        finish_reason: "tool_calls",
+      }],
+    };
+    unwrapStructuredOutput(response);
+    expect(response.choices[0]).toEqual({ message: { role: "assistant", content: `{"a":1}` }, finish_reason: "stop" });
+  });
+});
+
+// ─── enforceStructuredOutput ─────────────────────────────────────────────────
+
+describe("enforceStructuredOutput", () => {
+  const body = chatBody(JSON_SCHEMA_FORMAT);
+
+  it("passes valid output through and strips code fences", async () => {
+    const retry = vi.fn();
+    const result = await enforceStructuredOutput(completion("```json\n{\"city\":\"Paris\",\"temp\":21}\n```"), { body, retry });
+    const json = await result.response.json();
+    expect(json.choices[0].message.content).toBe(`{"city":"Paris","temp":21}`);
+    expect(retry).not.toHaveBeenCalled();
+  });
+
+  it("retries once with the validation error", async () => {
+    const retried = completion(`{"city":"Paris","temp":21}`);
+    const retry = vi.fn().mockResolvedValue(retried);
+    const result = await enforceStructuredOutput(completion(`{"city":"Paris"}`), { body, retry });
+
+    expect(result).toBe(retried);
+    const retryBody = retry.mock.calls[0][0];
+    expect(retryBody.messages).toHaveLength(3);
+    expect(retryBody.messages[1]).toEqual({ role: "assistant", content: `{"city":"Paris"}` });
+    expect(retryBody.messages[2].content).toMatch(/missing required property "temp"/);
+  });
+
+  it("returns the invalid answer when already retried", async () => {
+    const invalid = completion("not json");
+    expect(await enforceStructuredOutput(invalid, { body, retry: null })).toBe(invalid);
+  });
+
+  it("passes Responses API results through unvalidated", async () => {
+    const retry = vi.fn();
+    const responses = {
+      success: true,
+      response: new Response(JSON.stringify({ object: "response", output: [{ type: "message", content: [{ type: "output_text", text: "not json" }] }] })),
+    };
+    expect(await enforceStructuredOutput(responses, { body: { text: { format: { type: "json_schema", ...JSON_SCHEMA_FORMAT.json_schema } } }, retry })).toBe(responses);
+    expect(retry).not.toHaveBeenCalled();
+  });
+});
+
+// ─── Buffered streaming ──────────────────────────────────────────────────────
+
+describe("buffered structured output streams", () => {
+  it("buffers emulated targets for OpenAI chat clients, not native ones", () => {
+    const body = chatBody(JSON_SCHEMA_FORMAT, { stream: true });
+    expect(needsBufferedStructuredOutput(body, FORMATS.OPENAI, FORMATS.KIRO)).toBe(true);
+    expect(needsBufferedStructuredOutput(body, FORMATS.OPENAI, FORMATS.CURSOR)).toBe(true);
+    expect(needsBufferedStructuredOutput(body, FORMATS.OPENAI, FORMATS.CLAUDE)).toBe(true);
+    expect(needsBufferedStructuredOutput(body, FORMATS.OPENAI, FORMATS.GEMINI)).toBe(false);
+    expect(needsBufferedStructuredOutput(body, FORMATS.OPENAI, FORMATS.OPENAI)).toBe(false);
+    expect(needsBufferedStructuredOutput(body, FORMATS.OPENAI_RESPONSES, FORMATS.KIRO)).toBe(false);
+    expect(needsBufferedStructuredOutput(chatBody(undefined, { stream: true }), FORMATS.OPENAI, FORMATS.KIRO)).toBe(false);
+  });
+
+  it("replays a validated completion as chat completion chunks", async () => {
+    const validated = await enforceStructuredOutput(completion("```json\n{\"city\":\"Paris\",\"temp\":21}\n```"), {
+      body: chatBody(JSON_SCHEMA_FORMAT),
+      retry: null,
+    });
+    const result = await toStreamingResult(validated);
+
+    expect(result.response.headers.get("Content-Type")).toBe("text/event-stream");
+    const events = (await result.response.text()).split("\n\n").filter(Boolean).map(line => line.slice("data: ".length));
+    expect(events.at(-1)).toBe("[DONE]");
+    const [content, final] = events.slice(0, -1).map(event => JSON.parse(event));
+    expect(content).toMatchObject({ object: "chat.completion.chunk", choices: [{ delta: { role: "assistant", content: `{"city":"Paris","temp":21}` } }] });
+    expect(final.choices[0]).toEqual({ index: 0, delta: {}, finish_reason: "stop" });
+  });
+});
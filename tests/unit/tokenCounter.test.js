@@ -0,0 +1,230 @@
+/**
+ * Unit tests for input token counting
+ *
+ * Tests cover:
+ *  - getModelFamily()           — family / encoding per model id, provider prefix ignored
+ *  - getImageDimensions()       — PNG / GIF / JPEG / WEBP headers
+ *  - countTokensOffline()       — heuristic tier (system, tools, images, documents), tokenizer tier
+ *  - handleCountTokensCore()    — Anthropic / Gemini count endpoints, offline fallback on failure
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+// kiro.js (imported by executors/index.js) requires 'uuid' which isn't
+// installed in the test environment: serve every provider with DefaultExecutor.
+vi.mock("../../open-sse/executors/index.js", async () => {
+  const { DefaultExecutor } = await vi.importActual("../../open-sse/executors/default.js");
+  return { getExecutor: (provider) => new DefaultExecutor(provider) };
+});
+
+import {
+  getModelFamily,
+  getImageDimensions,
+  estimateTextTokens,
+  countTokensOffline,
+  setTokenizerLoader,
+  TOKEN_COUNT_SOURCES,
+} from "../../open-sse/services/tokenCounter.js";
+import { handleCountTokensCore, getNativeCountFormat } from "../../open-sse/handlers/countTokensCore.js";
+import { FORMATS } from "../../open-sse/translator/formats.js";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+// 24-byte PNG header with the given size
+function pngHeader(width, height) {
+  const bytes = new Uint8Array(24);
+  bytes.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(16, width);
+  view.setUint32(20, height);
+  return bytes;
+}
+
+const pngBase64 = (width, height) => Buffer.from(pngHeader(width, height)).toString("base64");
+
+const unavailable = async () => {
+  throw new Error("not installed");
+};
+
+beforeEach(() => {
+  setTokenizerLoader(unavailable);
+});
+
+afterEach(() => {
+  setTokenizerLoader(null);
+  vi.unstubAllGlobals();
+});
+
+// ─── getModelFamily ──────────────────────────────────────────────────────────
+
+describe("getModelFamily", () => {
+  it("picks the encoding per model family", () => {
+    expect(getModelFamily("gpt-4o-mini").encoding).toBe("o200k_base");
+    expect(getModelFamily("openai/gpt-4-turbo").encoding).toBe("cl100k_base");
+    expect(getModelFamily("o3-mini").name).toBe("openai");
+    expect(getModelFamily("cc/claude-sonnet-4-5").name).toBe("claude");
+    expect(getModelFamily("gemini-2.5-pro").name).toBe("gemini");
+    expect(getModelFamily("deepseek-chat").name).toBe("default");
+    expect(getModelFamily().name).toBe("default");
+  });
+});
+
+// ─── getImageDimensions ──────────────────────────────────────────────────────
+
+describe("getImageDimensions", () => {
+  it("reads sizes from image headers", () => {
+    expect(getImageDimensions(pngHeader(800, 600))).toEqual({ width: 800, height: 600 });
+
+    const gif = new Uint8Array(24);
+    gif.set([...Buffer.from("GIF89a"), 0x40, 0x01, 0xf0, 0x00]);
+    expect(getImageDimensions(gif)).toEqual({ width: 320, height: 240 });
+
+    const jpeg = new Uint8Array(32);
+    jpeg.set([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x01, 0xe0, 0x02, 0x80]);
+    expect(getImageDimensions(jpeg)).toEqual({ width: 640, height: 480 });
+
+    const webp = new Uint8Array(32);
+    webp.set([...Buffer.from("RIFF\0\0\0\0WEBPVP8X"), 0, 0, 0, 0, 0, 0, 0, 0, 0x3f, 0x01, 0x00, 0xef, 0x00, 0x00]);
+    expect(getImageDimensions(webp)).toEqual({ width: 320, height: 240 });
+
+    expect(getImageDimensions(new Uint8Array(24))).toBeNull();
+  });
+});
+
+// ─── countTokensOffline ──────────────────────────────────────────────────────
+
+describe("countTokensOffline", () => {
+  it("estimates text per family and counts CJK per character", () => {
+    const claude = getModelFamily("claude-sonnet-4-5");
+    expect(estimateTextTokens("a".repeat(35), claude)).toBe(10);
+    expect(estimateTextTokens("你好世界", claude)).toBe(4);
+    expect(estimateTextTokens("", claude)).toBe(0);
+  });
+
+  it("counts system prompt, tools and framing, not just message text", async () => {
+    const base = { messages: [{ role: "user", content: "a".repeat(350) }] };
+    const { tokens, source } = await countTokensOffline(base, { model: "claude-sonnet-4-5" });
+    expect(source).toBe(TOKEN_COUNT_SOURCES.ESTIMATE);
+    expect(tokens).toBe(3 + 4 + 100);
+
+    const withExtras = await countTokensOffline({
+      ...base,
+      system: [{ type: "text", text: "b".repeat(350) }],
+      tools: [{ name: "read", description: "Read a file", input_schema: { type: "object" } }],
+    }, { model: "claude-sonnet-4-5" });
+    expect(withExtras.tokens).toBeGreaterThan(tokens + 100 + 346);
+  });
+
+  it("prices images from their dimensions", async () => {
+    const image = { type: "image", source: { type: "base64", media_type: "image/png", data: pngBase64(1000, 750) } };
+    const claude = await countTokensOffline({ messages: [{ role: "user", content: [image] }] }, { model: "claude-opus-4-1" });
+    expect(claude.tokens).toBe(3 + 4 + 1000);
+
+    const part = { type: "image_url", image_url: { url: `data:image/png;base64,${pngBase64(1024, 1024)}` } };
+    const openai = await countTokensOffline({ messages: [{ role: "user", content: [part] }] }, { model: "gpt-4o" });
+    expect(openai.tokens).toBe(3 + 3 + 85 + 170 * 4);
+
+    const gemini = await countTokensOffline({
+      contents: [{ role: "user", parts: [{ inlineData: { mimeType: "image/png", data: pngBase64(300, 300) } }] }],
+    }, { model: "gemini-2.5-flash" });
+    expect(gemini.tokens).toBe(1 + 258);
+  });
+
+  it("counts document pages and text", async () => {
+    const pdf = Buffer.from("%PDF-1.4\n<< /Type /Page >>\n<< /Type /Page >>\n<< /Type /Pages >>\n%%EOF").toString("base64");
+    const doc = { type: "document", source: { type: "base64", media_type: "application/pdf", data: pdf } };
+    const { tokens } = await countTokensOffline({ messages: [{ role: "user", content: [doc] }] }, { model: "claude-sonnet-4-5" });
+    expect(tokens).toBe(3 + 4 + 2 * 1600);
+  });
+
+  it("uses the tokenizer when one loads", async () => {
+    const loader = vi.fn(async () => ({ encode: (text) => text.split(/\s+/) }));
+    setTokenizerLoader(loader);
+    const body = { messages: [{ role: "user", content: "one two three four five" }] };
+
+    const openai = await countTokensOffline(body, { model: "gpt-4o" });
+    expect(openai).toEqual({ tokens: 3 + 3 + 5, source: TOKEN_COUNT_SOURCES.TOKENIZER });
+    const claude = await countTokensOffline(body, { model: "claude-sonnet-4-5" });
+    expect(claude.tokens).toBe(3 + 4 + Math.ceil(5 * 1.2));
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ─── handleCountTokensCore ───────────────────────────────────────────────────
+
+describe("handleCountTokensCore", () => {
+  const claudeBody = {
+    model: "claude-sonnet-4-5",
+    max_tokens: 1024,
+    system: "Be brief",
+    messages: [{ role: "user", content: "Hello" }],
+  };
+
+  it("knows which providers have a count endpoint", () => {
+    expect(getNativeCountFormat("claude")).toBe(FORMATS.CLAUDE);
+    expect(getNativeCountFormat("anthropic-compatible-abc")).toBe(FORMATS.CLAUDE);
+    expect(getNativeCountFormat("gemini")).toBe(FORMATS.GEMINI);
+    expect(getNativeCountFormat("openai")).toBeNull();
+  });
+
+  it("forwards Claude requests to Anthropic's count endpoint", async () => {
+    const fetchMock = vi.fn(async () => Response.json({ input_tokens: 42 }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await handleCountTokensCore({
+      body: claudeBody,
+      sourceFormat: FORMATS.CLAUDE,
+      modelInfo: { provider: "claude", model: "claude-sonnet-4-5" },
+      credentials: { apiKey: "sk-test" },
+    });
+
+    expect(result).toEqual({ tokens: 42, source: TOKEN_COUNT_SOURCES.PROVIDER });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("https://api.anthropic.com/v1/messages/count_tokens?beta=true");
+    expect(init.headers["x-api-key"]).toBe("sk-test");
+    expect(JSON.parse(init.body)).toEqual({ model: "claude-sonnet-4-5", system: "Be brief", messages: claudeBody.messages });
+  });
+
+  it("forwards Gemini requests to countTokens", async () => {
+    const fetchMock = vi.fn(async () => Response.json({ totalTokens: 7 }));
+    vi.stubGlobal("fetch", fetchMock);
+    const contents = [{ role: "user", parts: [{ text: "Hello" }] }];
+
+    const result = await handleCountTokensCore({
+      body: { contents },
+      sourceFormat: FORMATS.GEMINI,
+      modelInfo: { provider: "gemini", model: "gemini-2.5-pro" },
+      credentials: { apiKey: "g-key" },
+    });
+
+    expect(result.tokens).toBe(7);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:countTokens");
+    expect(JSON.parse(init.body)).toEqual({ generateContentRequest: { contents, model: "models/gemini-2.5-pro" } });
+  });
+
+  it("counts offline when the endpoint fails or the provider has none", async () => {
+    const fetchMock = vi.fn(async () => new Response("overloaded", { status: 529 }));
+    vi.stubGlobal("fetch", fetchMock);
+    const log = { warn: vi.fn(), debug: vi.fn() };
+
+    const failed = await handleCountTokensCore({
+      body: claudeBody,
+      sourceFormat: FORMATS.CLAUDE,
+      modelInfo: { provider: "claude", model: "claude-sonnet-4-5" },
+      credentials: { apiKey: "sk-test" },
+      log,
+    });
+    expect(failed.source).toBe(TOKEN_COUNT_SOURCES.ESTIMATE);
+    expect(log.warn).toHaveBeenCalledWith("TOKENS", expect.stringContaining("529"));
+
+    const none = await handleCountTokensCore({
+      body: claudeBody,
+      sourceFormat: FORMATS.CLAUDE,
+      modelInfo: { provider: "openai", model: "gpt-4o" },
+      credentials: { apiKey: "sk-test" },
+    });
+    expect(none.source).toBe(TOKEN_COUNT_SOURCES.ESTIMATE);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for open-sse/services/tracing.js (OTLP trace export)
+ *
+ * Tests cover:
+ *  - parseTraceparent() / formatTraceparent() — W3C header handling
+ *  - withSpan()         — nesting through async calls, remote parents, error recording
+ *  - startSpan()        — no-op when tracing is off or the caller's trace is unsampled
+ *  - flushSpans()       — OTLP/JSON payload sent to the configured collector
+ *  - BaseExecutor       — one child span per URL fallback
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+import {
+  configureTracing,
+  parseTraceparent,
+  formatTraceparent,
+  withSpan,
+  startSpan,
+  getActiveSpan,
+  flushSpans,
+  isTracingEnabled,
+  SPAN_KINDS,
+  SPAN_STATUS,
+} from "../../open-sse/services/tracing.js";
+import { BaseExecutor } from "../../open-sse/executors/base.js";
+
+const ENDPOINT = "http://collector:4318/v1/traces";
+const TRACE_ID = "4bf92f3577b34da6a3ce929d0e0e4736";
+const PARENT_ID = "00f067aa0ba902b7";
+
+// Flush and return the spans the collector received
+async function exportedSpans(fetchMock) {
+  await flushSpans();
+  return fetchMock.mock.calls.filter(([url]) => url === ENDPOINT).flatMap(([, init]) => JSON.parse(init.body).resourceSpans[0].scopeSpans[0].spans);
+}
+
+let fetchMock;
+
+beforeEach(() => {
+  configureTracing({ endpoint: ENDPOINT, headers: { authorization: "Bearer t" }, serviceName: "router-test" });
+  fetchMock = vi.fn(async () => new Response("{}"));
+  vi.stubGlobal("fetch", fetchMock);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  configureTracing({ endpoint: null });
+});
+
+describe("traceparent", () => {
+  it("parses valid headers and rejects malformed or all-zero ids", () => {
+    expect(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01`)).toEqual({ traceId: TRACE_ID, spanId: PARENT_ID, sampled: true });
+    expect(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-00`).sampled).toBe(false);
+    expect(parseTraceparent(`00-${"0".repeat(32)}-${PARENT_ID}-01`)).toBeNull();
+    expect(parseTraceparent("garbage")).toBeNull();
+    expect(parseTraceparent(null)).toBeNull();
+  });
+
+  it("formats a span as a header", () => {
+    expect(formatTraceparent({ traceId: TRACE_ID, spanId: PARENT_ID })).toBe(`00-${TRACE_ID}-${PARENT_ID}-01`);
+  });
+});
+
+describe("withSpan", () => {
+  it("nests spans across awaits and joins the caller's trace", async () => {
+    const parent = parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01`);
+    await withSpan("chat", { kind: SPAN_KINDS.SERVER, parent }, async () => {
+      await new Promise(r => setTimeout(r, 1));
+      await withSpan("upstream.fetch", { kind: SPAN_KINDS.CLIENT, attributes: { "gen_ai.system": "openai" } }, async (span) => {
+        span.setAttribute("http.response.status_code", 200);
+      });
+    });
+
+    const [fetchSpan, chatSpan] = await exportedSpans(fetchMock);
+    expect(chatSpan).toMatchObject({ name: "chat", traceId: TRACE_ID, parentSpanId: PARENT_ID, kind: SPAN_KINDS.SERVER });
+    expect(fetchSpan).toMatchObject({ name: "upstream.fetch", traceId: TRACE_ID, parentSpanId: chatSpan.spanId, kind: SPAN_KINDS.CLIENT });
+    expect(fetchSpan.attributes).toEqual([
+      { key: "gen_ai.system", value: { stringValue: "openai" } },
+      { key: "http.response.status_code", value: { intValue: 200 } },
+    ]);
+  });
+
+  it("records and rethrows errors", async () => {
+    await expect(withSpan("token.refresh", {}, async () => { throw new Error("boom"); })).rejects.toThrow("boom");
+    const [span] = await exportedSpans(fetchMock);
+    expect(span.status).toEqual({ code: SPAN_STATUS.ERROR, message: "boom" });
+    expect(span.events[0].name).toBe("exception");
+  });
+
+  it("keeps the children of an unsampled caller unsampled", async () => {
+    const parent = parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-00`);
+    await withSpan("chat", { parent }, () => withSpan("model.resolve", {}, () => {
+      expect(getActiveSpan().traceId).toBe(TRACE_ID);
+    }));
+    expect(await exportedSpans(fetchMock)).toEqual([]);
+  });
+});
+
+describe("disabled tracing", () => {
+  it("runs the callback with a no-op span and exports nothing", async () => {
+    configureTracing({ endpoint: null });
+    expect(isTracingEnabled()).toBe(false);
+    const result = await withSpan("chat", {}, async (span) => {
+      span.setAttribute("a", 1).end();
+      return "ok";
+    });
+    expect(result).toBe("ok");
+    expect(startSpan("x").recording).toBe(false);
+    await flushSpans();
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe("flushSpans", () => {
+  it("posts OTLP/JSON with resource, headers and events", async () => {
+    const span = startSpan("stream.translate");
+    span.addEvent("first_token", {}, 1700000000123);
+    span.end();
+    span.end();
+
+    await flushSpans();
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(ENDPOINT);
+    expect(init.headers).toMatchObject({ "Content-Type": "application/json", authorization: "Bearer t" });
+    const payload = JSON.parse(init.body);
+    expect(payload.resourceSpans[0].resource.attributes).toEqual([{ key: "service.name", value: { stringValue: "router-test" } }]);
+    const [exported] = payload.resourceSpans[0].scopeSpans[0].spans;
+    expect(exported.traceId).toMatch(/^[0-9a-f]{32}$/);
+    expect(exported.parentSpanId).toBeUndefined();
+    expect(exported.events).toEqual([{ name: "first_token", timeUnixNano: "1700000000123000000", attributes: [] }]);
+  });
+});
+
+describe("BaseExecutor URL fallbacks", () => {
+  it("traces each URL tried without its query string", async () => {
+    const executor = new BaseExecutor("test", { baseUrls: ["https://a.example/v1?key=secret", "https://b.example/v1"] });
+    executor.buildUrl = (model, stream, urlIndex) => executor.getBaseUrls()[urlIndex];
+    executor.buildHeaders = () => ({});
+    executor.transformRequest = (model, body) => body;
+
+    fetchMock.mockImplementationOnce(async () => new Response("busy", { status: 429 }));
+    await withSpan("upstream.fetch", {}, () => executor.execute({ model: "m", body: {}, stream: false, credentials: {} }));
+
+    const spans = await exportedSpans(fetchMock);
+    const attempts = spans.filter(s => s.name === "upstream.attempt");
+    const fetchSpan = spans.find(s => s.name === "upstream.fetch");
+    expect(attempts.map(s => s.attributes.find(a => a.key === "url.full").value.stringValue)).toEqual(["https://a.example/v1", "https://b.example/v1"]);
+    expect(attempts.every(s => s.parentSpanId === fetchSpan.spanId)).toBe(true);
+  });
+});
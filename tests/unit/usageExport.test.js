@@ -0,0 +1,129 @@
+/**
+ * Unit tests for src/lib/usageExport.js (/api/usage/export formatting)
+ *
+ * Tests cover:
+ *  - parseExportRange() — date-only dates are local days, end dates cover the whole day, invalid dates
+ *  - isDailyExport()    — grouped whole-local-day exports without status use the daily rollups
+ *  - toExportRecord()   — token shapes, API key id/name instead of the key, account names
+ *  - pivotUsage()       — totals per group, sorted rows
+ *  - toCsv() / toJsonl() — quoting and formula-looking text
+ */
+
+import { describe, it, expect } from "vitest";
+
+import {
+  parseExportRange,
+  isDailyExport,
+  toExportRecord,
+  pivotUsage,
+  toCsv,
+  toJsonl,
+} from "../../src/lib/usageExport.js";
+
+const names = {
+  apiKeys: new Map([["sk-secret-finance", { id: "key-1", name: "Finance" }]]),
+  connections: new Map([["conn-1234567890", "work@example.com"]]),
+};
+
+// Local time, as export days are the server's local days
+const at = (day, hour) => new Date(2026, 8, day, hour).toISOString();
+
+const entry = (overrides) => ({
+  timestamp: at(1, 10),
+  provider: "openai",
+  model: "gpt-4o",
+  connectionId: "conn-1234567890",
+  apiKey: "sk-secret-finance",
+  endpoint: "/v1/chat/completions",
+  tokens: { prompt_tokens: 100, completion_tokens: 20 },
+  cost: 0.5,
+  ...overrides,
+});
+
+describe("parseExportRange", () => {
+  it("reads date-only bounds as local days and extends the end date to the end of that day", () => {
+    expect(parseExportRange("2026-09-01", "2026-09-30")).toEqual({
+      startDate: new Date(2026, 8, 1).getTime(),
+      endDate: new Date(2026, 9, 1).getTime() - 1,
+    });
+    expect(parseExportRange(null, "2026-09-30T12:00:00Z")).toEqual({ endDate: Date.UTC(2026, 8, 30, 12) });
+    expect(parseExportRange("yesterday", null)).toBeNull();
+  });
+});
+
+describe("isDailyExport", () => {
+  it("accepts grouped exports over whole days without status", () => {
+    const days = parseExportRange("2026-01-01", "2026-01-31");
+    expect(isDailyExport(["day", "provider", "apiKey"], days)).toBe(true);
+    expect(isDailyExport(["model"], {})).toBe(true);
+
+    expect(isDailyExport([], days)).toBe(false);
+    expect(isDailyExport(["day", "status"], days)).toBe(false);
+    expect(isDailyExport(["day"], { ...days, status: "error" })).toBe(false);
+    expect(isDailyExport(["day"], parseExportRange("2026-01-01T12:00:00", null))).toBe(false);
+    expect(isDailyExport(["day"], { startDate: new Date(2026, 0, 1).getTime() })).toBe(true);
+  });
+});
+
+describe("toExportRecord", () => {
+  it("exports key id and name, never the key itself", () => {
+    const record = toExportRecord(entry(), names);
+    expect(record).toMatchObject({
+      day: "2026-09-01",
+      account: "work@example.com",
+      apiKeyId: "key-1",
+      apiKeyName: "Finance",
+      status: "ok",
+      promptTokens: 100,
+      completionTokens: 20,
+    });
+    expect(JSON.stringify(record)).not.toContain("sk-secret-finance");
+  });
+
+  it("reads Claude token names and labels unknown or missing keys", () => {
+    const record = toExportRecord(entry({
+      apiKey: "sk-unknown-key",
+      connectionId: "abcdefghijkl",
+      tokens: { input_tokens: 7, output_tokens: 3, cache_read_input_tokens: 5 },
+    }), names);
+    expect(record).toMatchObject({ apiKeyName: "sk-unkno...", account: "abcdefgh", promptTokens: 7, completionTokens: 3, cachedTokens: 5 });
+    expect(toExportRecord(entry({ apiKey: undefined }), names).apiKeyName).toBe("Local (No API Key)");
+  });
+});
+
+describe("pivotUsage", () => {
+  it("sums requests, tokens and cost per group", () => {
+    const records = [
+      entry({ timestamp: at(2, 8) }),
+      entry({}),
+      entry({ provider: "anthropic", model: "claude-sonnet-4", cost: 1 }),
+      entry({ timestamp: at(1, 23), cost: 0.25 }),
+    ].map(e => toExportRecord(e, names));
+
+    const { columns, rows, totals } = pivotUsage(records, ["day", "provider"]);
+    expect(columns).toEqual(["day", "provider", "requests", "promptTokens", "completionTokens", "cachedTokens", "reasoningTokens", "cost"]);
+    expect(rows.map(r => [r.day, r.provider, r.requests, r.cost])).toEqual([
+      ["2026-09-01", "anthropic", 1, 1],
+      ["2026-09-01", "openai", 2, 0.75],
+      ["2026-09-02", "openai", 1, 0.5],
+    ]);
+    expect(totals).toMatchObject({ requests: 4, promptTokens: 400, cost: 2.25 });
+  });
+
+  it("counts the requests of daily rollup entries", () => {
+    const records = [entry({ requests: 3 }), entry({})].map(e => toExportRecord(e, names));
+    expect(pivotUsage(records, ["day"]).rows[0]).toMatchObject({ day: "2026-09-01", requests: 4 });
+  });
+});
+
+describe("serialization", () => {
+  it("quotes CSV fields and defuses formulas", () => {
+    const csv = toCsv([{ name: "a,b", note: "say \"hi\"", formula: "=SUM(A1)", n: -1 }], ["name", "note", "formula", "n"]);
+    expect(csv).toBe("name,note,formula,n\n\"a,b\",\"say \"\"hi\"\"\",'=SUM(A1),-1\n");
+  });
+
+  it("writes one JSON object per line", () => {
+    expect(toJsonl([{ a: 1 }, { a: 2 }])).toBe("{\"a\":1}\n{\"a\":2}\n");
+    expect(toJsonl([])).toBe("");
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Unit tests for src/lib/usageHistoryDb.js (SQLite usage store) and the usageDb.js readers on top
+ *
+ * Tests cover:
+ *  - importUsageJson()  — usage.json imported on first open, never twice even if the rename failed
+ *  - insertUsageEntry() — raw row plus hourly and (local day) daily rollups
+ *  - pruneUsageHistory() — raw rows past USAGE_RETENTION_DAYS deleted, rollups kept, pruned ranges rejected
+ *  - getUsageGroups()   — daily rollups for all time, raw rows + hourly rollups for a period
+ *  - getUsageSeries()   — minute buckets from raw rows, whole hours from rollups, hours cut by a bucket edge
+ *  - getChartData()     — buckets end now, as with usage.json
+ *  - getCostEntries() / getDailyUsageEntries() / getBatchUsage() — rollups for pruned ranges
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2026, 9, 15, 12, 30);
+
+// Daily rollups are bucketed by local day
+const startOfLocalDay = (time) => {
+  const date = new Date(time);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+};
+const localDate = (time) => new Date(time).toLocaleDateString("en-CA");
+
+const entry = (time, overrides) => ({
+  timestamp: new Date(time).toISOString(),
+  provider: "openai",
+  model: "gpt-4o",
+  connectionId: "conn-1",
+  apiKey: "sk-a",
+  endpoint: "/v1/chat/completions",
+  tokens: { prompt_tokens: 100, completion_tokens: 20 },
+  cost: 1,
+  ...overrides,
+});
+
+const LEGACY_HISTORY = [
+  entry(NOW - 40 * DAY, { batchId: "batch_0", tokens: { prompt_tokens: 100, completion_tokens: 20, cached_tokens: 80 }, cost: 0.25 }),
+  entry(NOW - 3 * DAY, { provider: "anthropic", model: "claude-sonnet-4", batchId: "batch_1", cost: 2 }),
+  entry(NOW - 2 * HOUR),
+  entry(NOW - 2 * HOUR + 10 * MINUTE, { tokens: { input_tokens: 50, output_tokens: 10 }, cost: 0.5 }),
+];
+
+let dataDir;
+let usage;
+let usageDb;
+
+beforeAll(async () => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(NOW);
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "usage-history-"));
+  fs.writeFileSync(path.join(dataDir, "usage.json"), JSON.stringify({ history: LEGACY_HISTORY }));
+  process.env.DATA_DIR = dataDir;
+  process.env.USAGE_RETENTION_DAYS = "30";
+
+  vi.resetModules();
+  usage = await import("../../src/lib/usageHistoryDb.js");
+  usageDb = await import("../../src/lib/usageDb.js");
+  await usage.getUsageHistoryDb();
+});
+
+afterAll(() => {
+  vi.useRealTimers();
+  delete process.env.DATA_DIR;
+  delete process.env.USAGE_RETENTION_DAYS;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const openaiGroup = (groups) => groups.find(g => g.provider === "openai");
+
+describe("importUsageJson", () => {
+  it("imports usage.json on first open and renames it", async () => {
+    expect(fs.existsSync(path.join(dataDir, "usage.json"))).toBe(false);
+    expect(fs.existsSync(path.join(dataDir, "usage.json.migrated"))).toBe(true);
+
+    const entries = await usage.getUsageEntries({ startDate: NOW - 7 * DAY });
+    expect(entries.map(e => e.provider)).toEqual(["anthropic", "openai", "openai"]);
+    expect(entries[0]).toMatchObject({ batchId: "batch_1", cost: 2 });
+    expect(entries[2].tokens).toEqual({ input_tokens: 50, output_tokens: 10 });
+  });
+
+  it("does not import the file again when it was left in place", async () => {
+    // As if the rename after the first import had failed
+    const file = path.join(dataDir, "usage.json");
+    fs.copyFileSync(`${file}.migrated`, file);
+
+    expect(usage.importUsageJson(file)).toBe(0);
+    expect(fs.existsSync(file)).toBe(false);
+    expect(await usage.getUsageEntries({ startDate: NOW - 7 * DAY })).toHaveLength(3);
+  });
+});
+
+describe("pruneUsageHistory", () => {
+  it("deletes raw rows past the retention window but keeps their rollups", async () => {
+    const db = await usage.getUsageHistoryDb();
+    expect(db.prepare("SELECT COUNT(*) AS n FROM usage_history").get().n).toBe(3);
+
+    const all = openaiGroup(await usage.getUsageGroups(null));
+    expect(all).toMatchObject({ requests: 3, promptTokens: 250, completionTokens: 50, cost: 1.75 });
+  });
+
+  it("rejects raw reads that reach back past the pruned rows", async () => {
+    // Cutoff is the whole hour 30 days ago
+    await expect(usage.getUsageEntries()).rejects.toMatchObject({ status: 400 });
+    await expect(usage.getUsageEntries({ startDate: NOW - 31 * DAY })).rejects.toThrow(/USAGE_RETENTION_DAYS/);
+    expect(await usage.getUsageEntries({ startDate: NOW - 30 * DAY })).toHaveLength(3);
+  });
+});
+
+describe("getUsageGroups", () => {
+  it("sums raw rows for the partial first hour and hourly rollups after it", async () => {
+    // 10:25 → raw rows until 11:00 (10:30 and 10:40), rollups from 11:00
+    const period = openaiGroup(await usage.getUsageGroups(NOW - 2 * HOUR - 5 * MINUTE));
+    expect(period).toMatchObject({ requests: 2, promptTokens: 150, cost: 1.5, apiKey: "sk-a", connectionId: "conn-1" });
+
+    // 10:35 → only the 10:40 row
+    expect(openaiGroup(await usage.getUsageGroups(NOW - 2 * HOUR + 5 * MINUTE))).toMatchObject({ requests: 1, cost: 0.5 });
+  });
+
+  it("includes new entries in the hourly and daily rollups", async () => {
+    await usage.insertUsageEntry(entry(NOW - 5 * MINUTE, { apiKey: undefined, cost: 0.1 }));
+
+    const groups = await usage.getUsageGroups(NOW - HOUR);
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ apiKey: null, requests: 1, cost: 0.1 });
+
+    const db = await usage.getUsageHistoryDb();
+    const daily = db.prepare("SELECT SUM(requests) AS requests FROM usage_daily WHERE bucket >= ?").get(startOfLocalDay(NOW - 2 * HOUR));
+    expect(daily.requests).toBe(3);
+  });
+});
+
+describe("getUsageSeries", () => {
+  it("sums minute buckets from raw rows", async () => {
+    const minute = Math.floor(NOW / MINUTE) * MINUTE;
+    const series = await usage.getUsageSeries(minute - 9 * MINUTE, MINUTE, 10);
+    expect(series).toHaveLength(10);
+    expect(series[4]).toMatchObject({ requests: 1, promptTokens: 100, completionTokens: 20 });
+    expect(series.reduce((sum, b) => sum + b.requests, 0)).toBe(1);
+  });
+
+  it("sums hour-aligned buckets from the hourly rollups", async () => {
+    const series = await usage.getUsageSeries(NOW - 30 * MINUTE - 3 * HOUR, HOUR, 4);
+    expect(series.map(b => b.requests)).toEqual([0, 2, 0, 1]);
+  });
+
+  it("splits hours cut by a bucket edge using raw rows", async () => {
+    // Hourly buckets from 09:30: 10:30 and 10:40 in [10:30, 11:30), 12:25 in [11:30, 12:30)
+    expect((await usage.getUsageSeries(NOW - 3 * HOUR, HOUR, 3)).map(b => b.requests)).toEqual([0, 2, 1]);
+
+    // Daily buckets ending at 10:35 today: 10:30 is in, 10:40 is not
+    const daily = await usage.getUsageSeries(NOW - 2 * DAY - 115 * MINUTE, DAY, 2);
+    expect(daily.map(b => b.requests)).toEqual([0, 1]);
+    expect(daily[1].cost).toBe(1);
+  });
+
+  it("counts a pruned hour cut by an edge in the bucket holding its middle", async () => {
+    // Edge at 12:15 on the day of the pruned 12:30 row
+    const series = await usage.getUsageSeries(NOW - 41 * DAY - 15 * MINUTE, DAY, 2);
+    expect(series.map(b => b.requests)).toEqual([0, 1]);
+  });
+});
+
+describe("getChartData", () => {
+  it("ends the buckets now, like the usage.json charts", async () => {
+    const hourly = await usageDb.getChartData("24h");
+    expect(hourly).toHaveLength(24);
+    expect(hourly.map(b => b.tokens).slice(20)).toEqual([0, 0, 180, 120]);
+    expect(hourly[22].label).toBe(new Date(NOW - 2 * HOUR).toLocaleTimeString("en-US", { hour: "2-digit", minute: "2-digit", hour12: false }));
+
+    const daily = await usageDb.getChartData("7d");
+    expect(daily.map(b => b.tokens)).toEqual([0, 0, 0, 0, 120, 0, 300]);
+    expect(daily[6].cost).toBeCloseTo(1.6);
+  });
+});
+
+describe("rollup readers", () => {
+  it("sums budget spend from the hourly rollups for pruned hours", async () => {
+    const entries = await usage.getCostEntries(NOW - 45 * DAY);
+    const pruned = entries.find(e => e.cost === 0.25);
+    expect(pruned).toMatchObject({ timestamp: Math.floor((NOW - 40 * DAY) / HOUR) * HOUR, provider: "openai", apiKey: "sk-a" });
+    expect(entries.reduce((sum, e) => sum + e.cost, 0)).toBeCloseTo(3.85);
+  });
+
+  it("returns usage per day from the daily rollups, including pruned days", async () => {
+    const days = await usage.getDailyUsageEntries({ provider: "openai", apiKey: "sk-a", startDate: new Date(2026, 8, 1).getTime() });
+    expect(days.map(d => [localDate(d.timestamp), d.requests])).toEqual([[localDate(NOW - 40 * DAY), 1], [localDate(NOW - 2 * HOUR), 2]]);
+    expect(new Date(days[1].timestamp).getTime()).toBe(startOfLocalDay(NOW - 2 * HOUR));
+    expect(days[0].tokens).toEqual({ prompt_tokens: 100, completion_tokens: 20, cached_tokens: 80, reasoning_tokens: 0 });
+
+    expect(await usage.getDailyUsageEntries({ startDate: new Date(2026, 9, 1).getTime(), endDate: startOfLocalDay(NOW - 2 * DAY) - 1 })).toHaveLength(1);
+  });
+
+  it("keeps cost and requests per batch after the raw rows are pruned", async () => {
+    expect(await usage.getBatchUsage()).toEqual({
+      batch_0: { cost: 0.25, requests: 1 },
+      batch_1: { cost: 2, requests: 1 },
+    });
+  });
+});
@@ -16,6 +16,8 @@ export default defineConfig({
     alias: {
       // Resolve open-sse/* imports to the actual local package
       "open-sse": resolve(__dirname, "../open-sse"),
+      // src/lib SQLite stores import better-sqlite3 from outside tests/
+      "better-sqlite3": resolve(__dirname, "node_modules/better-sqlite3"),
     },
   },
 });